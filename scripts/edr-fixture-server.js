@@ -0,0 +1,37 @@
+const path = require('path');
+const express = require('express');
+
+/**
+ * Local SentinelOne-style fixture server for exercising the EDR adapter without a console
+ * Usage: node scripts/edr-fixture-server.js [port]
+ * Then sync with S1_BASE_URL=http://localhost:4010 and any S1_API_TOKEN
+ */
+
+const fixture = require(path.resolve(__dirname, '../tests/mocks/sentinelone-response.json'));
+const port = parseInt(process.argv[2] || process.env.EDR_FIXTURE_PORT, 10) || 4010;
+
+const app = express();
+
+app.use((req, res, next) => {
+  if (!/^ApiToken .+/.test(req.headers.authorization || '')) {
+    return res.status(401).json({ errors: [{ code: 4010010, title: 'Authentication Failed' }] });
+  }
+  next();
+});
+
+// Agents list with cursor pagination (cursor is the next offset)
+app.get('/web/api/v2.1/agents', (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const offset = parseInt(req.query.cursor, 10) || 0;
+  const page = fixture.agents.slice(offset, offset + limit);
+  const next = offset + limit < fixture.agents.length ? String(offset + limit) : null;
+
+  res.json({
+    data: page,
+    pagination: { totalItems: fixture.agents.length, nextCursor: next }
+  });
+});
+
+app.listen(port, () => {
+  console.log(`EDR fixture server listening on http://localhost:${port}`);
+});
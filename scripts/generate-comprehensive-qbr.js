@@ -22,15 +22,15 @@ async function generateComprehensiveQBR() {
 
     // 2. Get all related data
     const [devices, users, tickets, controls, risks, recommendations, sites, contacts, agreements] = await Promise.all([
-      db('devices').where({ client_id: clientId }),
-      db('users').where({ client_id: clientId }),
+      db('devices').where({ client_id: clientId }).whereNull('retired_at'),
+      db('users').where({ client_id: clientId }).whereNull('retired_at'),
       db('tickets').where({ client_id: clientId }),
-      db('controls').where({ client_id: clientId }),
+      db('controls').where({ client_id: clientId }).whereNull('retired_at'),
       db('risks').where({ client_id: clientId }).orderBy('impact', 'desc'),
       db('recommendations').where({ client_id: clientId }).orderBy('priority', 'desc'),
       db('sites').where({ client_id: clientId }),
       db('contacts').where({ client_id: clientId }),
-      db('agreements').where({ client_id: clientId })
+      db('agreements').where({ client_id: clientId, cancelled: false })
     ]);
 
     console.log(`📦 Data gathered:`);
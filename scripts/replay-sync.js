@@ -0,0 +1,44 @@
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const { replaySync } = require('../src/sync/sync-service');
+
+/**
+ * Replay a sync run from its archived vendor payload
+ * Re-runs normalization and persistence without calling the vendor, e.g. to
+ * backfill a normalization fix.
+ * Usage: npm run sync:replay -- <syncRunId> [--dry-run]
+ */
+
+async function replay() {
+  const args = process.argv.slice(2);
+  const syncRunId = parseInt(args.find(arg => !arg.startsWith('--')), 10);
+  const dryRun = args.includes('--dry-run');
+
+  if (!syncRunId) {
+    console.error('Usage: npm run sync:replay -- <syncRunId> [--dry-run]');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`🔁 Replaying sync run ${syncRunId}${dryRun ? ' (dry run)' : ''}...\n`);
+
+    const result = await replaySync(syncRunId, { trigger: 'cli', dryRun });
+
+    if (dryRun) {
+      console.log(JSON.stringify(result.summary, null, 2));
+    } else {
+      console.log(`✅ Replay recorded as sync run ${result.sync_run_id}`);
+      console.log(JSON.stringify(result.counts, null, 2));
+    }
+    for (const warning of result.warnings) {
+      console.log(`⚠️  ${warning.message}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Replay failed:', error.message, error.details || '');
+    process.exit(1);
+  }
+}
+
+replay();
@@ -38,6 +38,7 @@ async function seedMockData() {
       {
         client_id: client.id,
         external_id: 'contact-1',
+        name: 'John Carter',
         role: 'CEO',
         email: 'john@acmecorp.com',
         phone: '555-0100'
@@ -45,6 +46,7 @@ async function seedMockData() {
       {
         client_id: client.id,
         external_id: 'contact-2',
+        name: 'Jane Alvarez',
         role: 'IT Manager',
         email: 'jane@acmecorp.com',
         phone: '555-0101'
@@ -115,6 +117,7 @@ async function seedMockData() {
     await db('agreements').insert({
       client_id: client.id,
       external_id: 'agreement-1',
+      name: 'Managed Services Agreement',
       mrr: 5000.00,
       effective_rate: 150.00,
       term_months: 12
@@ -0,0 +1,125 @@
+const express = require('express');
+const { createGuard, paginate } = require('./faults');
+
+/**
+ * Simulated ConnectWise Manage REST API (mounted at /connectwise/v4_6_release/apis/3.0)
+ * Supports page/pageSize paging with a Link header and the conditions the
+ * adapter sends (flags, lastUpdated and dateEntered comparisons).
+ */
+
+// Largest pageSize ConnectWise accepts
+const MAX_PAGE_SIZE = 1000;
+
+const COLLECTIONS = {
+  '/company/companies': 'companies',
+  '/company/contacts': 'contacts',
+  '/finance/agreements': 'agreements',
+  '/service/tickets': 'tickets',
+  '/company/configurations': 'configurations'
+};
+
+/**
+ * Check Basic companyId+publicKey:privateKey auth and the clientId header
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function authenticate(req) {
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Basic' || !encoded || !req.headers.clientid) return false;
+
+  const decoded = Buffer.from(encoded, 'base64').toString();
+  return /^[^+:]+\+[^:]+:.+$/.test(decoded);
+}
+
+/**
+ * Send an error in ConnectWise format
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+function reject(res, status, message) {
+  res.status(status).json({
+    code: status === 429 ? 'TooManyRequests' : 'Unauthorized',
+    message
+  });
+}
+
+/**
+ * Parse a conditions string into clause predicates
+ * e.g. "inactiveFlag=false and lastUpdated>[2026-01-01T00:00:00Z]"
+ * @param {string} conditions - ConnectWise conditions
+ * @returns {Array<Function>} Predicates a record must all pass
+ */
+function parseConditions(conditions) {
+  if (!conditions) return [];
+
+  return conditions.split(/\s+and\s+/i).map(clause => {
+    const match = clause.trim().match(/^([\w.]+)\s*(>=|<=|>|<|=)\s*(.+)$/);
+    if (!match) return () => true;
+
+    const [, field, operator, raw] = match;
+    const dateValue = raw.startsWith('[') ? new Date(raw.slice(1, -1)) : null;
+    const read = (record) => (field === 'lastUpdated' ? record._info?.lastUpdated : record[field]);
+
+    return (record) => {
+      const value = read(record);
+      if (dateValue) {
+        if (!value) return false;
+        const diff = new Date(value) - dateValue;
+        return { '>': diff > 0, '>=': diff >= 0, '<': diff < 0, '<=': diff <= 0, '=': diff === 0 }[operator];
+      }
+      // Flags missing from a record are false
+      return operator === '=' && String(value ?? false) === raw;
+    };
+  });
+}
+
+/**
+ * Build the Link header for a page
+ * @param {Object} req - Express request
+ * @param {number} page - Current page
+ * @param {number} lastPage - Last page
+ * @returns {string}
+ */
+function linkHeader(req, page, lastPage) {
+  const link = (n, rel) => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    url.searchParams.set('page', String(n));
+    return `<${url.href}>; rel="${rel}"`;
+  };
+
+  return [page < lastPage && link(page + 1, 'next'), link(lastPage, 'last')].filter(Boolean).join(', ');
+}
+
+/**
+ * Create the ConnectWise router
+ * @param {Object} state - Simulator state
+ * @returns {Object} Express router
+ */
+function createConnectWiseRouter(state) {
+  const router = express.Router();
+  router.use(createGuard(state, 'connectwise', { authenticate, reject }));
+
+  for (const [route, collection] of Object.entries(COLLECTIONS)) {
+    router.get(route, (req, res) => {
+      const predicates = parseConditions(req.query.conditions);
+      const records = state.dataset.connectwise[collection].filter(r => predicates.every(p => p(r)));
+
+      const requested = Math.min(parseInt(req.query.pageSize, 10) || 25, MAX_PAGE_SIZE);
+      const pageSize = Math.min(requested, state.options.pageSize);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const lastPage = Math.max(Math.ceil(records.length / pageSize), 1);
+
+      res.set('Link', linkHeader(req, page, lastPage));
+      res.json(paginate(records, (page - 1) * pageSize, pageSize).page);
+    });
+  }
+
+  router.use((req, res) => {
+    res.status(404).json({ code: 'NotFound', message: `${req.path} not found` });
+  });
+
+  return router;
+}
+
+module.exports = createConnectWiseRouter;
@@ -0,0 +1,406 @@
+const path = require('path');
+const { subDays, subHours, addMonths, subMonths, addMinutes, formatISO } = require('date-fns');
+
+/**
+ * Simulator dataset
+ * Builds ConnectWise, Immy.Bot and Microsoft Graph records for a set of
+ * simulated clients. The first client is the company in tests/mocks/*.json and
+ * every record is cloned from its fixture, then varied with a seeded random
+ * source, so the same options always produce the same data. Dates are
+ * relative to now so delta syncs and 90-day ticket windows keep working.
+ */
+
+const MOCKS_DIR = path.resolve(__dirname, '../../tests/mocks');
+const fixtures = {
+  connectwise: require(path.join(MOCKS_DIR, 'connectwise-response.json')),
+  immy: require(path.join(MOCKS_DIR, 'immy-response.json')),
+  m365: require(path.join(MOCKS_DIR, 'm365-response.json'))
+};
+
+// Companies simulated after the fixture's own
+const COMPANY_NAMES = [
+  'Globex Industries', 'Initech LLC', 'Umbrella Health', 'Stark Logistics', 'Wayne Dental Group',
+  'Hooli Partners', 'Soylent Foods', 'Vandelay Imports', 'Cyberdyne Engineering', 'Wonka Confections'
+];
+
+const FIRST_NAMES = ['Alex', 'Maria', 'Sam', 'Priya', 'Jordan', 'Chen', 'Fatima', 'Liam', 'Grace', 'Omar', 'Nina', 'Diego'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Patel', 'Nguyen', 'Johnson', 'Okafor', 'Kim', 'Muller', 'Rossi', 'Brown', 'Silva', 'Cohen'];
+
+const TICKET_SUMMARIES = [
+  'Email not working', 'Password reset', 'VPN disconnects', 'Printer offline', 'New user setup',
+  'Laptop running slow', 'Teams audio issues', 'Shared drive access', 'Phishing email reported', 'Software install request'
+];
+const TICKET_TYPES = ['Service Request', 'Incident', 'Problem'];
+const TICKET_PRIORITIES = ['Low', 'Medium', 'Medium', 'High', 'Critical'];
+
+const DRIFT_ITEMS = ['BitLocker disabled', 'Windows Update paused', 'Local admin account enabled', 'Firewall profile off'];
+
+// Secure Score controls simulated after the fixture's own
+const SECURE_SCORE_CONTROLS = [
+  { controlName: 'AdminMFAV2', controlCategory: 'Identity', maxScore: 10, description: 'Ensure all admins use MFA' },
+  { controlName: 'BlockLegacyAuthentication', controlCategory: 'Identity', maxScore: 8, description: 'Block legacy authentication' },
+  { controlName: 'SelfServicePasswordReset', controlCategory: 'Identity', maxScore: 1, description: 'Enable self-service password reset' },
+  { controlName: 'mdo_safelinksforemail', controlCategory: 'Apps', maxScore: 9, description: 'Enable Safe Links for email' },
+  { controlName: 'MailboxAuditingEnabled', controlCategory: 'Data', maxScore: 5, description: 'Turn on mailbox auditing' }
+];
+
+const ALERT_TEMPLATES = [
+  { title: 'Suspicious email activity detected', category: 'Email' },
+  { title: 'Impossible travel sign-in', category: 'CredentialAccess' },
+  { title: 'Malware detected on endpoint', category: 'Malware' },
+  { title: 'Suspicious inbox forwarding rule', category: 'Exfiltration' }
+];
+
+/**
+ * Seeded pseudo-random source (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Object} { next, int, pick, chance }
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    chance: (probability) => next() < probability
+  };
+}
+
+/**
+ * Replace the trailing group of a fixture GUID with a counter
+ * @param {string} template - Fixture GUID
+ * @param {number} n - Counter
+ * @returns {string}
+ */
+function guid(template, n) {
+  return template.slice(0, -12) + n.toString(16).padStart(12, '0');
+}
+
+const clone = (record, overrides) => ({ ...JSON.parse(JSON.stringify(record)), ...overrides });
+const iso = (date) => formatISO(date);
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Describe the simulated clients
+ * @param {number} count - Number of clients
+ * @param {Object} random - Random source
+ * @returns {Array<Object>}
+ */
+function buildClients(count, random) {
+  const company = fixtures.connectwise.companies[0];
+  const organization = fixtures.m365.organization[0];
+  const computer = fixtures.immy.computers[0];
+
+  return Array.from({ length: count }, (_, i) => {
+    const name = i === 0
+      ? company.name
+      : COMPANY_NAMES[(i - 1) % COMPANY_NAMES.length] +
+        (i > COMPANY_NAMES.length ? ` ${Math.ceil(i / COMPANY_NAMES.length)}` : '');
+    const word = name.split(' ')[0].toLowerCase() + (i > COMPANY_NAMES.length ? Math.ceil(i / COMPANY_NAMES.length) : '');
+
+    return {
+      index: i,
+      name,
+      identifier: i === 0 ? company.identifier : word.toUpperCase().slice(0, 8),
+      domain: i === 0 ? new URL(company.website).hostname.replace(/^www\./, '') : `${word}.com`,
+      companyId: company.id + i,
+      immyTenantId: computer.tenantId + i,
+      tenantId: guid(organization.id, i + 1),
+      // 0.5-0.95: how well run the client is (MFA coverage, compliance, secure score)
+      health: i === 0 ? 0.85 : 0.5 + random.next() * 0.45
+    };
+  });
+}
+
+/**
+ * Build the simulated dataset
+ * @param {Object} options - Dataset options
+ * @param {number} options.clients - Number of simulated clients
+ * @param {number} options.scale - Devices per client (users, tickets etc. scale with it)
+ * @param {number} options.seed - Random seed
+ * @returns {Object} { clients, connectwise, immy, m365: { tenants: Map } }
+ */
+function buildDataset({ clients: clientCount = 3, scale = 10, seed = 1 } = {}) {
+  const random = createRandom(seed);
+  const now = new Date();
+  const clients = buildClients(clientCount, random);
+
+  const cw = fixtures.connectwise;
+  const immy = fixtures.immy;
+  const m365 = fixtures.m365;
+
+  const dataset = {
+    clients,
+    connectwise: { companies: [], contacts: [], agreements: [], tickets: [], configurations: [] },
+    immy: {
+      computers: [],
+      baselines: [...immy.baselines, clone(immy.baselines[0], { id: immy.baselines[0].id + 1, name: 'Windows Server Baseline', description: 'Standard configuration for Windows servers' })],
+      complianceReports: []
+    },
+    m365: { tenants: new Map() }
+  };
+
+  const ids = { contact: cw.contacts[0].id, agreement: cw.agreements[0].id, ticket: cw.tickets[0].id, configuration: cw.configurations[0].id, computer: immy.computers[0].id, report: immy.complianceReports[0].id, user: parseInt(m365.users[0].id, 10), device: 1, alert: parseInt(m365.defenderAlerts[0].id, 10) };
+  const changed = () => iso(subHours(now, random.int(1, 24 * 30)));
+
+  for (const client of clients) {
+    const companyRef = { id: client.companyId, identifier: client.identifier, name: client.name };
+
+    // ConnectWise company, contacts and agreement
+    dataset.connectwise.companies.push(clone(cw.companies[0], {
+      id: client.companyId,
+      identifier: client.identifier,
+      name: client.name,
+      website: `https://www.${client.domain}`,
+      addressLine1: `${random.int(10, 999)} ${random.pick(['Main', 'Oak', 'Market', 'Park'])} St`,
+      _info: { lastUpdated: changed() }
+    }));
+
+    for (let n = 0; n < 2; n++) {
+      const first = random.pick(FIRST_NAMES);
+      const last = random.pick(LAST_NAMES);
+      dataset.connectwise.contacts.push(clone(cw.contacts[0], {
+        id: ids.contact++,
+        firstName: first,
+        lastName: last,
+        title: n === 0 ? 'IT Manager' : 'Office Manager',
+        company: companyRef,
+        communicationItems: [
+          { type: { name: 'Email' }, communicationType: 'Email', value: `${first}.${last}@${client.domain}`.toLowerCase(), defaultFlag: true },
+          { type: { name: 'Direct' }, communicationType: 'Phone', value: `555-01${pad(random.int(0, 99))}`, defaultFlag: true }
+        ],
+        _info: { lastUpdated: changed() }
+      }));
+    }
+
+    const agreementStart = subMonths(now, random.int(3, 22));
+    dataset.connectwise.agreements.push(clone(cw.agreements[0], {
+      id: ids.agreement++,
+      company: companyRef,
+      billAmount: scale * random.int(90, 160),
+      startDate: iso(agreementStart).slice(0, 10),
+      endDate: iso(addMonths(agreementStart, 24)).slice(0, 10),
+      _info: { lastUpdated: changed() }
+    }));
+
+    for (let n = 0; n < scale * 2; n++) {
+      const entered = subHours(now, random.int(2, 24 * 88));
+      const closed = random.chance(0.8);
+      const hours = random.int(1, 16) / 2;
+      dataset.connectwise.tickets.push(clone(cw.tickets[0], {
+        id: ids.ticket++,
+        summary: random.pick(TICKET_SUMMARIES),
+        company: companyRef,
+        type: { name: random.pick(TICKET_TYPES) },
+        priority: { name: random.pick(TICKET_PRIORITIES) },
+        status: { name: closed ? 'Closed' : random.pick(['New', 'In Progress', 'Waiting on Client']) },
+        dateEntered: iso(entered),
+        closedDate: closed ? iso(addMinutes(entered, hours * 60 + random.int(10, 600))) : null,
+        actualHours: hours,
+        respondedSkippedMinutes: random.chance(client.health) ? 0 : random.int(5, 120),
+        resolveSlaMinutes: random.int(60, 480),
+        _info: { lastUpdated: iso(closed ? addMinutes(entered, hours * 60) : entered) }
+      }));
+    }
+
+    // Devices are shared by ConnectWise, Immy.Bot and (workstations only) Intune
+    const tenant = {
+      organization: clone(m365.organization[0], {
+        id: client.tenantId,
+        displayName: client.name,
+        verifiedDomains: [
+          { name: client.domain, isDefault: true },
+          { name: `${client.domain.split('.')[0]}.onmicrosoft.com`, isDefault: false }
+        ]
+      }),
+      users: [],
+      userRegistrationDetails: [],
+      signIns: [],
+      roleAssignments: [],
+      securityDefaults: clone(m365.securityDefaults, { isEnabled: false }),
+      conditionalAccessPolicies: [],
+      subscribedSkus: [],
+      managedDevices: [],
+      deviceCompliancePolicies: m365.deviceCompliancePolicies.map(p => clone(p)),
+      deviceStatuses: new Map(),
+      secureScores: [],
+      alerts: []
+    };
+    const policyId = tenant.deviceCompliancePolicies[0].id;
+    tenant.deviceStatuses.set(policyId, []);
+
+    for (let n = 1; n <= scale; n++) {
+      const server = n % 8 === 0;
+      const name = `${server ? 'SRV' : 'WS'}-${client.identifier}-${pad(n)}`;
+      const healthy = random.chance(client.health);
+      const lastSeen = iso(subHours(now, healthy ? random.int(0, 48) : random.int(24, 24 * 20)));
+      const os = server ? 'Windows Server 2019 Standard' : random.pick(['Windows 11 Pro', 'Windows 11 Pro', 'Windows 10 Pro']);
+
+      dataset.connectwise.configurations.push(clone(cw.configurations[0], {
+        id: ids.configuration++,
+        name,
+        company: companyRef,
+        type: { name: server ? 'Server' : 'Workstation' },
+        osInfo: os,
+        lastUpdate: lastSeen,
+        _info: { lastUpdated: lastSeen }
+      }));
+
+      if (random.chance(0.9)) {
+        const computerId = ids.computer++;
+        dataset.immy.computers.push(clone(immy.computers[0], {
+          id: computerId,
+          name,
+          computerName: name,
+          tenantId: client.immyTenantId,
+          tenantName: client.name,
+          operatingSystem: os,
+          type: server ? 'Server' : 'Workstation',
+          status: healthy ? 'Healthy' : random.pick(['Warning', 'Drift Detected', 'Critical']),
+          lastSeen
+        }));
+
+        const baseline = dataset.immy.baselines[server ? 1 : 0];
+        const compliant = healthy || random.chance(0.3);
+        dataset.immy.complianceReports.push(clone(immy.complianceReports[0], {
+          id: ids.report++,
+          computerId,
+          computerName: name,
+          baselineId: baseline.id,
+          baselineName: baseline.name,
+          status: compliant ? 'Pass' : 'Fail',
+          compliant,
+          driftItems: compliant ? [] : [random.pick(DRIFT_ITEMS)],
+          lastChecked: iso(subHours(now, random.int(1, 72)))
+        }));
+      }
+
+      if (!server) {
+        const complianceState = healthy ? 'compliant' : random.pick(['noncompliant', 'noncompliant', 'inGracePeriod']);
+        tenant.managedDevices.push(clone(m365.managedDevices[0], {
+          id: guid(m365.managedDevices[0].id, ids.device++),
+          deviceName: name,
+          osVersion: os === 'Windows 10 Pro' ? '10.0.19045.3930' : '10.0.22631.3007',
+          complianceState,
+          lastSyncDateTime: lastSeen,
+          serialNumber: `5CG${random.int(1000, 9999)}${client.identifier.slice(0, 3)}`
+        }));
+        if (complianceState === 'noncompliant') {
+          tenant.deviceStatuses.get(policyId).push({ deviceDisplayName: name, status: 'nonCompliant' });
+        }
+      }
+    }
+
+    // Microsoft 365 users, MFA registration and legacy sign-ins
+    const skuTemplate = m365.subscribedSkus[0];
+    const userCount = Math.max(2, Math.round(scale * 1.5));
+    for (let n = 0; n < userCount; n++) {
+      const id = String(ids.user++);
+      const first = FIRST_NAMES[n % FIRST_NAMES.length];
+      const last = LAST_NAMES[(n + client.index) % LAST_NAMES.length];
+      const upn = `${first}.${last}${n >= FIRST_NAMES.length ? n : ''}@${client.domain}`.toLowerCase();
+      const active = random.chance(0.85);
+      const mfaRegistered = random.chance(client.health);
+
+      tenant.users.push(clone(m365.users[0], {
+        id,
+        userPrincipalName: upn,
+        mail: upn,
+        displayName: `${first} ${last}`,
+        accountEnabled: random.chance(0.95),
+        signInActivity: {
+          lastSignInDateTime: iso(subDays(now, active ? random.int(0, 10) : random.int(50, 150)))
+        },
+        assignedLicenses: [{ skuId: skuTemplate.skuId, disabledPlans: [] }]
+      }));
+      tenant.userRegistrationDetails.push(clone(m365.userRegistrationDetails[0], { id, isMfaRegistered: mfaRegistered }));
+
+      if (!mfaRegistered && random.chance(0.4)) {
+        for (let s = random.int(1, 5); s > 0; s--) {
+          tenant.signIns.push(clone(m365.signIns[0], {
+            userId: id,
+            clientAppUsed: random.pick(['IMAP4', 'POP3', 'Authenticated SMTP', 'Exchange ActiveSync']),
+            createdDateTime: iso(subHours(now, random.int(1, 24 * 29)))
+          }));
+        }
+      }
+    }
+
+    // Directory roles: one or two Global Administrators and an Exchange Administrator
+    const adminCount = random.int(1, 2);
+    tenant.users.slice(0, adminCount + 1).forEach((user, n) => {
+      tenant.roleAssignments.push(clone(m365.roleAssignments[0], {
+        id: `${m365.roleAssignments[0].id.slice(0, -2)}-${user.id}`,
+        roleDefinitionId: n < adminCount ? m365.roleAssignments[0].roleDefinitionId : '29232cdf-9323-42fd-ade2-1d097af3e4de',
+        principalId: user.id,
+        principal: { ...m365.roleAssignments[0].principal, id: user.id, displayName: user.displayName, userPrincipalName: user.userPrincipalName }
+      }));
+    });
+
+    // Conditional Access: better-run clients require MFA and block legacy authentication
+    if (client.health >= 0.7) {
+      tenant.conditionalAccessPolicies.push(clone(m365.conditionalAccessPolicies[0], {
+        id: guid(m365.conditionalAccessPolicies[0].id, client.index * 2 + 1)
+      }));
+    }
+    if (client.health >= 0.8) {
+      tenant.conditionalAccessPolicies.push(clone(m365.conditionalAccessPolicies[0], {
+        id: guid(m365.conditionalAccessPolicies[0].id, client.index * 2 + 2),
+        displayName: 'Block legacy authentication',
+        conditions: { users: { includeUsers: ['All'], includeRoles: [] }, clientAppTypes: ['exchangeActiveSync', 'other'] },
+        grantControls: { operator: 'OR', builtInControls: ['block'] }
+      }));
+    }
+    tenant.securityDefaults.isEnabled = tenant.conditionalAccessPolicies.length === 0 && random.chance(0.5);
+
+    // Licenses: a few unassigned seats to show up in the license waste report
+    tenant.subscribedSkus.push(clone(skuTemplate, {
+      consumedUnits: userCount,
+      prepaidUnits: { ...skuTemplate.prepaidUnits, enabled: userCount + random.int(0, 4) }
+    }));
+
+    // Secure Score follows client health
+    const controlScores = [m365.secureScores[0].controlScores[0], ...SECURE_SCORE_CONTROLS].map(control => ({
+      ...control,
+      score: Math.round(control.maxScore * Math.min(1, client.health * (0.6 + random.next() * 0.6)))
+    }));
+    tenant.secureScores.push(clone(m365.secureScores[0], {
+      id: String(parseInt(m365.secureScores[0].id, 10) + client.index),
+      currentScore: controlScores.reduce((sum, c) => sum + c.score, 0),
+      maxScore: controlScores.reduce((sum, c) => sum + c.maxScore, 0),
+      controlScores,
+      createdDateTime: iso(subHours(now, random.int(1, 24)))
+    }));
+
+    // Defender alerts: worse-run clients have more
+    for (let n = Math.round((1 - client.health) * 8); n > 0; n--) {
+      const template = random.pick(ALERT_TEMPLATES);
+      const created = subHours(now, random.int(1, 24 * 30));
+      const status = random.pick(['new', 'new', 'inProgress', 'resolved']);
+      tenant.alerts.push(clone(m365.defenderAlerts[0], {
+        id: String(ids.alert++),
+        ...template,
+        severity: random.pick(['Low', 'Medium', 'Medium', 'High']),
+        status,
+        createdDateTime: iso(created),
+        lastUpdateDateTime: iso(status === 'new' ? created : addMinutes(created, random.int(30, 600)))
+      }));
+    }
+
+    dataset.m365.tenants.set(client.tenantId, tenant);
+  }
+
+  return dataset;
+}
+
+module.exports = {
+  buildDataset
+};
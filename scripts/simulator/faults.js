@@ -0,0 +1,52 @@
+/**
+ * Simulator fault injection
+ * Every vendor router runs its requests through a guard that counts them,
+ * answers every Nth one with a 429 and rejects credentials for vendors
+ * configured to fail authentication.
+ */
+
+/**
+ * Create a guard middleware for one vendor
+ * @param {Object} state - Simulator state ({ options, requests })
+ * @param {string} vendor - Vendor key ('connectwise', 'immy', 'm365', 'openai')
+ * @param {Object} handlers - Vendor-specific behaviour
+ * @param {Function} handlers.authenticate - (req) => boolean, whether the request's credentials are acceptable
+ * @param {Function} handlers.reject - (res, status, message) => void, sends an error in the vendor's format
+ * @returns {Function} Express middleware
+ */
+function createGuard(state, vendor, { authenticate, reject }) {
+  return (req, res, next) => {
+    state.requests[vendor] = (state.requests[vendor] || 0) + 1;
+    const { rateLimitEvery, retryAfter, failAuth } = state.options;
+
+    if (rateLimitEvery > 0 && state.requests[vendor] % rateLimitEvery === 0) {
+      res.set('Retry-After', String(retryAfter));
+      return reject(res, 429, `Rate limit exceeded, retry after ${retryAfter} seconds`);
+    }
+
+    if (failAuth.includes(vendor) || !authenticate(req)) {
+      return reject(res, 401, 'Authentication failed');
+    }
+
+    next();
+  };
+}
+
+/**
+ * Page an array
+ * @param {Array} records - Records
+ * @param {number} offset - First record
+ * @param {number} size - Page size
+ * @returns {{page: Array, hasMore: boolean}}
+ */
+function paginate(records, offset, size) {
+  return {
+    page: records.slice(offset, offset + size),
+    hasMore: offset + size < records.length
+  };
+}
+
+module.exports = {
+  createGuard,
+  paginate
+};
@@ -0,0 +1,188 @@
+const express = require('express');
+const { createGuard, paginate } = require('./faults');
+
+/**
+ * Simulated Microsoft identity platform token endpoint (mounted at /login) and
+ * Microsoft Graph v1.0 (mounted at /graph/v1.0)
+ *
+ * Tokens name the tenant they were issued for, and Graph answers with that
+ * tenant's data (unknown tenants, e.g. a GDAP partner, get the first client's).
+ * Collections page with @odata.nextLink; links point at graph.microsoft.com
+ * like the real service, and the adapter rewrites them to the simulator.
+ */
+
+const GRAPH_ROOT = 'https://graph.microsoft.com/v1.0';
+
+// Default $top for collections that don't set one
+const DEFAULT_TOP = 100;
+
+/**
+ * Issue a simulator access token for a tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {string}
+ */
+function issueToken(tenantId) {
+  return `sim.${Buffer.from(JSON.stringify({ tid: tenantId })).toString('base64url')}`;
+}
+
+/**
+ * Read the tenant ID from a simulator access token
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function tokenTenant(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer sim\.(.+)$/);
+  if (!match) return null;
+
+  try {
+    return JSON.parse(Buffer.from(match[1], 'base64url').toString()).tid || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Send an error in Microsoft Graph format
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+function reject(res, status, message) {
+  res.status(status).json({
+    error: {
+      code: status === 429 ? 'TooManyRequests' : 'InvalidAuthenticationToken',
+      message
+    }
+  });
+}
+
+/**
+ * Send one page of a collection, linking to the next
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} state - Simulator state
+ * @param {Array} records - Full collection
+ */
+function sendCollection(req, res, state, records) {
+  const top = Math.min(parseInt(req.query.$top, 10) || DEFAULT_TOP, state.options.pageSize);
+  const offset = parseInt(req.query.$skiptoken, 10) || 0;
+  const { page, hasMore } = paginate(records, offset, top);
+  const body = { '@odata.context': `${GRAPH_ROOT}/$metadata#${req.path.slice(1)}`, value: page };
+
+  if (hasMore) {
+    const params = new URLSearchParams({ ...req.query, $top: String(top), $skiptoken: String(offset + top) });
+    body['@odata.nextLink'] = `${GRAPH_ROOT}${req.path}?${params}`;
+  }
+
+  res.json(body);
+}
+
+/**
+ * Create the token endpoint router
+ * @param {Object} state - Simulator state
+ * @returns {Object} Express router
+ */
+function createLoginRouter(state) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  router.post('/:tenantId/oauth2/v2.0/token', (req, res) => {
+    const { grant_type: grantType, client_id: clientId, client_secret: clientSecret } = req.body || {};
+
+    if (grantType !== 'client_credentials') {
+      return res.status(400).json({ error: 'unsupported_grant_type', error_description: 'AADSTS70003: Only client_credentials is simulated.' });
+    }
+    if (state.options.failAuth.includes('m365') || !clientId || !clientSecret) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'AADSTS7000215: Invalid client secret provided.' });
+    }
+
+    res.json({
+      token_type: 'Bearer',
+      expires_in: 3599,
+      ext_expires_in: 3599,
+      access_token: issueToken(req.params.tenantId)
+    });
+  });
+
+  return router;
+}
+
+/**
+ * Create the Graph router
+ * @param {Object} state - Simulator state
+ * @returns {Object} Express router
+ */
+function createGraphRouter(state) {
+  const router = express.Router();
+  router.use(createGuard(state, 'm365', { authenticate: req => Boolean(tokenTenant(req)), reject }));
+
+  // Data for the token's tenant
+  router.use((req, res, next) => {
+    const tenants = state.dataset.m365.tenants;
+    req.tenant = tenants.get(tokenTenant(req)) || tenants.values().next().value;
+    next();
+  });
+
+  const collections = {
+    '/users': t => t.users,
+    '/reports/authenticationMethods/userRegistrationDetails': t => t.userRegistrationDetails,
+    '/roleManagement/directory/roleAssignments': t => t.roleAssignments,
+    '/identity/conditionalAccess/policies': t => t.conditionalAccessPolicies,
+    '/subscribedSkus': t => t.subscribedSkus,
+    '/deviceManagement/managedDevices': t => t.managedDevices,
+    '/deviceManagement/deviceCompliancePolicies': t => t.deviceCompliancePolicies,
+    '/security/secureScores': t => t.secureScores
+  };
+
+  for (const [route, select] of Object.entries(collections)) {
+    router.get(route, (req, res) => sendCollection(req, res, state, select(req.tenant)));
+  }
+
+  router.get('/organization', (req, res) => {
+    res.json({ value: [req.tenant.organization] });
+  });
+
+  router.get('/policies/identitySecurityDefaultsEnforcementPolicy', (req, res) => {
+    res.json(req.tenant.securityDefaults);
+  });
+
+  router.get('/deviceManagement/deviceCompliancePolicies/:id/deviceStatuses', (req, res) => {
+    sendCollection(req, res, state, req.tenant.deviceStatuses.get(req.params.id) || []);
+  });
+
+  // Sign-ins are generated inside the adapter's 30-day window, so only the app filter matters
+  router.get('/auditLogs/signIns', (req, res) => {
+    const filter = req.query.$filter || '';
+    sendCollection(req, res, state, req.tenant.signIns.filter(s => filter.includes(`'${s.clientAppUsed}'`)));
+  });
+
+  // Delta syncs ask for alerts updated since the watermark, full syncs for open alerts
+  router.get('/security/alerts_v2', (req, res) => {
+    const since = (req.query.$filter || '').match(/lastUpdateDateTime ge (\S+)/);
+    const alerts = since
+      ? req.tenant.alerts.filter(a => new Date(a.lastUpdateDateTime) >= new Date(since[1]))
+      : req.tenant.alerts.filter(a => ['new', 'inProgress'].includes(a.status));
+    sendCollection(req, res, state, alerts);
+  });
+
+  router.get('/tenantRelationships/delegatedAdminCustomers', (req, res) => {
+    sendCollection(req, res, state, state.dataset.clients.map(c => ({
+      id: c.tenantId,
+      tenantId: c.tenantId,
+      displayName: c.name
+    })));
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({
+      error: { code: 'Request_ResourceNotFound', message: `Resource '${req.path}' does not exist in the simulator.` }
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createLoginRouter,
+  createGraphRouter
+};
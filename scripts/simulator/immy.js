@@ -0,0 +1,69 @@
+const express = require('express');
+const { createGuard } = require('./faults');
+
+/**
+ * Simulated Immy.Bot API (mounted at /immy/api)
+ * Immy.Bot returns plain arrays; updatedSince limits computers and reports
+ */
+
+/**
+ * Check for a Bearer API key
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function authenticate(req) {
+  return /^Bearer .+/.test(req.headers.authorization || '');
+}
+
+/**
+ * Send an error in Immy.Bot format
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+function reject(res, status, message) {
+  res.status(status).json({ message });
+}
+
+/**
+ * Drop records unchanged since ?updatedSince
+ * @param {Array} records - Records
+ * @param {string} updatedSince - ISO timestamp
+ * @param {Function} getTimestamp - Returns a record's change timestamp
+ * @returns {Array}
+ */
+function changedSince(records, updatedSince, getTimestamp) {
+  if (!updatedSince) return records;
+  const since = new Date(updatedSince);
+  return records.filter(r => new Date(getTimestamp(r)) > since);
+}
+
+/**
+ * Create the Immy.Bot router
+ * @param {Object} state - Simulator state
+ * @returns {Object} Express router
+ */
+function createImmyRouter(state) {
+  const router = express.Router();
+  router.use(createGuard(state, 'immy', { authenticate, reject }));
+
+  router.get('/computers', (req, res) => {
+    res.json(changedSince(state.dataset.immy.computers, req.query.updatedSince, c => c.lastSeen));
+  });
+
+  router.get('/baselines', (req, res) => {
+    res.json(state.dataset.immy.baselines);
+  });
+
+  router.get('/compliance/reports', (req, res) => {
+    res.json(changedSince(state.dataset.immy.complianceReports, req.query.updatedSince, r => r.lastChecked));
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ message: `${req.path} not found` });
+  });
+
+  return router;
+}
+
+module.exports = createImmyRouter;
@@ -0,0 +1,142 @@
+const express = require('express');
+const { buildDataset } = require('./dataset');
+const createConnectWiseRouter = require('./connectwise');
+const createImmyRouter = require('./immy');
+const { createLoginRouter, createGraphRouter } = require('./graph');
+const createOpenAIRouter = require('./openai');
+
+/**
+ * Offline vendor simulator: ConnectWise Manage, Immy.Bot, Microsoft Graph
+ * (plus its token endpoint) and OpenAI chat completions, seeded from
+ * tests/mocks/*.json, so the sync -> score -> QBR pipeline runs without
+ * live credentials.
+ *
+ * Usage: npm run simulator -- [--port=4020] [--clients=3] [--scale=10] [--page-size=25]
+ *          [--rate-limit-every=0] [--retry-after=1] [--fail-auth=connectwise,m365] [--seed=1]
+ * Every option can also be set as SIMULATOR_<NAME> (e.g. SIMULATOR_FAIL_AUTH), and changed
+ * at runtime with PATCH /_simulator. See the README for the adapter settings to point at it.
+ */
+
+const OPTIONS = {
+  port: { env: 'SIMULATOR_PORT', default: 4020 },
+  clients: { env: 'SIMULATOR_CLIENTS', default: 3 }, // Simulated clients (the first is the fixture's)
+  scale: { env: 'SIMULATOR_SCALE', default: 10 }, // Devices per client; users and tickets scale with it
+  pageSize: { env: 'SIMULATOR_PAGE_SIZE', default: 25 }, // Largest page served, whatever the adapter asks for
+  rateLimitEvery: { env: 'SIMULATOR_RATE_LIMIT_EVERY', default: 0 }, // Every Nth request per vendor gets a 429 (0 = never)
+  retryAfter: { env: 'SIMULATOR_RETRY_AFTER', default: 1 }, // Retry-After seconds sent with 429s
+  failAuth: { env: 'SIMULATOR_FAIL_AUTH', default: '' }, // Vendors whose credentials are rejected
+  seed: { env: 'SIMULATOR_SEED', default: 1 } // Random seed for the generated data
+};
+
+// Options that change the generated data
+const DATASET_OPTIONS = ['clients', 'scale', 'seed'];
+
+/**
+ * Normalize an option value to its type
+ * @param {string} name - Option name
+ * @param {*} value - Raw value
+ * @returns {*}
+ */
+function parseOption(name, value) {
+  if (name === 'failAuth') {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(v => v.trim().toLowerCase()).filter(Boolean);
+  }
+
+  const number = parseInt(value, 10);
+  if (Number.isNaN(number) || number < 0) {
+    throw new Error(`Option ${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+/**
+ * Read options from --kebab-case=value arguments, then SIMULATOR_* variables
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {Object}
+ */
+function readOptions(argv) {
+  const args = Object.fromEntries(argv
+    .map(arg => arg.match(/^--([\w-]+)=(.*)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key.replace(/-(\w)/g, (_, c) => c.toUpperCase()), value]));
+
+  return Object.fromEntries(Object.entries(OPTIONS).map(([name, option]) => [
+    name,
+    parseOption(name, args[name] ?? process.env[option.env] ?? option.default)
+  ]));
+}
+
+/**
+ * Create the simulator app
+ * @param {Object} options - Simulator options (see OPTIONS)
+ * @returns {Object} Express app, with its state on app.locals.state
+ */
+function createSimulator(options) {
+  const state = {
+    options,
+    dataset: buildDataset(options),
+    requests: {}
+  };
+
+  const app = express();
+  app.locals.state = state;
+
+  const describe = () => ({
+    options: state.options,
+    clients: state.dataset.clients.map(({ name, identifier, domain, companyId, immyTenantId, tenantId }) =>
+      ({ name, identifier, domain, companyId, immyTenantId, tenantId })),
+    requests: state.requests
+  });
+
+  app.get('/_simulator', (req, res) => res.json(describe()));
+
+  app.patch('/_simulator', express.json(), (req, res) => {
+    try {
+      const updates = {};
+      for (const [name, value] of Object.entries(req.body || {})) {
+        if (!OPTIONS[name] || name === 'port') {
+          return res.status(400).json({ error: 'Validation error', details: `Unknown option: ${name}` });
+        }
+        updates[name] = parseOption(name, value);
+      }
+
+      state.options = { ...state.options, ...updates };
+      if (DATASET_OPTIONS.some(name => name in updates)) {
+        state.dataset = buildDataset(state.options);
+      }
+      res.json(describe());
+    } catch (error) {
+      res.status(400).json({ error: 'Validation error', details: error.message });
+    }
+  });
+
+  app.use('/connectwise/v4_6_release/apis/3.0', createConnectWiseRouter(state));
+  app.use('/immy/api', createImmyRouter(state));
+  app.use('/login', createLoginRouter(state));
+  app.use('/graph/v1.0', createGraphRouter(state));
+  app.use('/openai/v1', createOpenAIRouter(state));
+
+  return app;
+}
+
+if (require.main === module) {
+  const options = readOptions(process.argv.slice(2));
+  const app = createSimulator(options);
+  const base = `http://localhost:${options.port}`;
+
+  app.listen(options.port, () => {
+    console.log(`Vendor simulator listening on ${base} ` +
+      `(${options.clients} clients, ${options.scale} devices each, pages of ${options.pageSize})`);
+    console.log(`  CW_BASE_URL=${base}/connectwise/v4_6_release/apis/3.0`);
+    console.log(`  IMMY_BASE_URL=${base}/immy/api`);
+    console.log(`  M365_AUTHORITY_HOST=${base}/login`);
+    console.log(`  M365_GRAPH_BASE_URL=${base}/graph`);
+    console.log(`  OPENAI_BASE_URL=${base}/openai/v1`);
+  });
+}
+
+module.exports = {
+  createSimulator,
+  readOptions
+};
@@ -0,0 +1,126 @@
+const express = require('express');
+const { createGuard } = require('./faults');
+
+/**
+ * Simulated OpenAI chat completions (mounted at /openai/v1)
+ * Answers the QBR narrative prompts with canned text that cites the first
+ * ticket and device in the prompt's PROVIDED DATA, so generated QBRs pass
+ * citation validation without a model.
+ */
+
+/**
+ * Send an error in OpenAI format
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+function reject(res, status, message) {
+  res.status(status).json({
+    error: { message, type: status === 429 ? 'requests' : 'invalid_request_error', code: status === 429 ? 'rate_limit_exceeded' : 'invalid_api_key' }
+  });
+}
+
+/**
+ * Parse the PROVIDED DATA block of a narrative prompt
+ * @param {string} prompt - User prompt
+ * @returns {Object} Narrative input, or {} if it can't be read
+ */
+function providedData(prompt) {
+  const start = prompt.indexOf('PROVIDED DATA:\n');
+  if (start === -1) return {};
+
+  const json = prompt.slice(start + 'PROVIDED DATA:\n'.length);
+  const end = json.indexOf('\n}\n');
+  try {
+    return JSON.parse(json.slice(0, end + 2));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Write a canned answer for a narrative prompt
+ * @param {string} prompt - User prompt
+ * @returns {string}
+ */
+function answer(prompt) {
+  const data = providedData(prompt);
+  const name = data.client?.name || 'the client';
+  const ticket = data.recent_tickets?.[0];
+  const device = data.lifecycle_items?.[0];
+  const evidence = [
+    ticket && `[Ticket #${ticket.external_id || ticket.id}]`,
+    device && `[Device: ${device.name}]`
+  ].filter(Boolean);
+  const scores = data.scores || {};
+  const score = (key) => scores[key]?.score ?? 'n/a';
+
+  if (prompt.includes('EXACT JSON format')) {
+    return JSON.stringify([
+      {
+        title: 'Close the gaps in endpoint compliance',
+        description: `Bring every device at ${name} back to its configuration baseline to reduce the chance of a security incident.`,
+        priority: 'high',
+        effort: 'medium',
+        cost_range: '$1-5K',
+        evidence: evidence.length ? evidence : ['[Simulated data]']
+      },
+      {
+        title: 'Review recurring support requests',
+        description: 'Look at the most common ticket types together and agree on fixes that save staff time.',
+        priority: 'medium',
+        effort: 'low',
+        cost_range: '$1-5K',
+        evidence: evidence.length ? evidence.slice(0, 1) : ['[Simulated data]']
+      }
+    ]);
+  }
+
+  if (prompt.includes('discussion topics')) {
+    return JSON.stringify([
+      `Security priorities: how ${name} wants to balance protection and convenience`,
+      'Support experience: what would make IT easier for your staff next quarter',
+      'Planning: devices and licenses to budget for in the coming year'
+    ]);
+  }
+
+  if (prompt.includes('executive summary')) {
+    return `${name} finished the quarter with a Standards score of ${score('standards')}, a Risk score of ${score('risk')} ` +
+      `and an Experience score of ${score('experience')}.\n\n` +
+      `The team resolved support requests promptly${ticket ? ` ${evidence[0]}` : ''}.\n\n` +
+      `Next quarter the priority is bringing every device up to standard${device ? ` ${evidence[evidence.length - 1]}` : ''}.`;
+  }
+
+  return `Scores for ${name} are steady this quarter (Standards ${score('standards')}, Risk ${score('risk')}, ` +
+    `Experience ${score('experience')}).\n\nTicket volume and open security risks are in line with last quarter.`;
+}
+
+/**
+ * Create the OpenAI router
+ * @param {Object} state - Simulator state
+ * @returns {Object} Express router
+ */
+function createOpenAIRouter(state) {
+  const router = express.Router();
+  router.use(express.json({ limit: '20mb' }));
+  router.use(createGuard(state, 'openai', { authenticate: req => /^Bearer .+/.test(req.headers.authorization || ''), reject }));
+
+  router.post('/chat/completions', (req, res) => {
+    const messages = req.body?.messages || [];
+    const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+    const content = answer(prompt);
+
+    res.json({
+      id: `chatcmpl-sim-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: req.body?.model || 'simulator',
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: Math.ceil(prompt.length / 4), completion_tokens: Math.ceil(content.length / 4), total_tokens: Math.ceil((prompt.length + content.length) / 4) }
+    });
+  });
+
+  return router;
+}
+
+module.exports = createOpenAIRouter;
@@ -0,0 +1,464 @@
+const { parseISO, subDays, addDays, differenceInCalendarMonths } = require('date-fns');
+const { BaseAdapter, AdapterError } = require('./base-adapter');
+const { HttpClient, RequestMetrics } = require('./http-client');
+const { extractDomains, mapDeviceType } = require('./normalizers');
+const logger = require('../utils/logger');
+
+// Autotask caps query pages at 500 records
+const PAGE_SIZE = 500;
+
+// Ticket status picklist value Autotask reserves for "Complete"
+const STATUS_COMPLETE = 5;
+
+// Contract status for active contracts (0 = inactive)
+const CONTRACT_STATUS_ACTIVE = 1;
+
+/**
+ * Autotask PSA Adapter
+ * Fetches and normalizes data from the Autotask REST API into the same
+ * shapes ConnectWiseAdapter produces
+ */
+class AutotaskAdapter extends BaseAdapter {
+  static source = 'autotask';
+  static label = 'Autotask';
+  static entityTypes = ['clients', 'sites', 'agreements', 'tickets', 'devices'];
+  static requiredCredentials = ['username', 'secret', 'integrationCode', 'baseUrl'];
+
+  constructor(config) {
+    super();
+    this.config = config;
+    this.client = null;
+    this.requestMetrics = new RequestMetrics();
+  }
+
+  /**
+   * Initialize the HTTP client with Autotask API user credentials
+   * @param {Object} credentials - Autotask API credentials
+   */
+  initializeClient(credentials) {
+    this.client = new HttpClient({
+      vendor: AutotaskAdapter.source,
+      label: AutotaskAdapter.label,
+      baseURL: credentials.baseUrl,
+      headers: {
+        'ApiIntegrationCode': credentials.integrationCode,
+        'UserName': credentials.username,
+        'Secret': credentials.secret,
+        'Content-Type': 'application/json'
+      },
+      metrics: this.requestMetrics
+    });
+  }
+
+  /**
+   * Sync data from Autotask
+   * @param {Object} credentials - API credentials
+   * @param {SyncOptions} options - Delta sync options
+   * @returns {Promise<NormalizedData>}
+   */
+  async sync(credentials, options = {}) {
+    this.validateCredentials(credentials, AutotaskAdapter.requiredCredentials);
+    this.initializeClient(credentials);
+
+    const since = options.since || null;
+    logger.info('Starting Autotask sync', { since });
+
+    try {
+      // Fetch data in parallel
+      const [companies, contracts, contractServices, tickets, configurationItems, picklists, ciTypes] =
+        await Promise.all([
+          this.fetchCompanies(since),
+          this.fetchContracts(since),
+          this.fetchContractServices(),
+          this.fetchTickets(since),
+          this.fetchConfigurationItems(since),
+          this.fetchTicketPicklists(),
+          this.fetchConfigurationItemTypes()
+        ]);
+
+      // Hours are summed from every time entry on the fetched tickets, not just changed entries
+      const timeEntries = await this.fetchTimeEntries(tickets.map(t => t.id));
+
+      logger.info('Autotask data fetched', {
+        companies: companies.length,
+        contracts: contracts.length,
+        tickets: tickets.length,
+        timeEntries: timeEntries.length,
+        configurationItems: configurationItems.length
+      });
+
+      const normalized = this.normalizePayload(
+        this.recordPayload({
+          companies, contracts, contractServices, tickets, configurationItems, picklists, ciTypes, timeEntries
+        })
+      );
+
+      logger.info('Autotask data normalized');
+      return normalized;
+
+    } catch (error) {
+      logger.error('Autotask sync failed', { error: error.message });
+
+      if (error.response?.status === 401) {
+        throw new AdapterError(
+          'Autotask authentication failed',
+          'Invalid API credentials',
+          401
+        );
+      }
+
+      if (error.name === 'AdapterError') {
+        throw error;
+      }
+
+      throw new AdapterError(
+        'Autotask API error',
+        error.message,
+        error.response?.status || 500
+      );
+    }
+  }
+
+  /**
+   * Normalize fetched Autotask records (also used to replay an archived sync)
+   * @param {Object} payload - { companies, contracts, contractServices, tickets, configurationItems, picklists, ciTypes, timeEntries }
+   * @returns {NormalizedData}
+   */
+  normalizePayload({ companies, contracts, contractServices, tickets, configurationItems, picklists, ciTypes, timeEntries }) {
+    // Tickets and contracts only carry a companyID, so resolve names from the company list
+    const companiesById = new Map(companies.map(c => [c.id, c]));
+    const hoursByTicket = this.sumHoursByTicket(timeEntries);
+    const mrrByContract = this.sumMrrByContract(contractServices);
+
+    return {
+      clients: companies.map(c => this.normalizeClient(c)),
+      sites: companies.flatMap(c => this.normalizeSites(c)),
+      contacts: [],
+      users: [], // Autotask doesn't provide M365 users
+      devices: configurationItems.map(ci => this.normalizeDevice(ci, companiesById, ciTypes)),
+      agreements: contracts.map(c => this.normalizeAgreement(c, companiesById, mrrByContract)),
+      tickets: tickets.map(t => this.normalizeTicket(t, companiesById, hoursByTicket, picklists)),
+      controls: [], // Autotask doesn't provide compliance controls
+      risks: [], // Autotask doesn't directly provide risks
+      recommendations: []
+    };
+  }
+
+  /**
+   * Watermarks are kept per Autotask API user (one per Autotask instance)
+   * @param {Object} credentials - API credentials
+   * @returns {string} Scope key
+   */
+  getSyncScope(credentials) {
+    return String(credentials?.username || '*');
+  }
+
+  /**
+   * Run an Autotask query, following nextPageUrl until all pages are read
+   * @param {string} entity - Entity name (e.g. 'Companies')
+   * @param {Array<Object>} filter - Autotask filter expressions
+   * @returns {Promise<Array>}
+   */
+  async query(entity, filter) {
+    let response = await this.client.request({
+      method: 'post',
+      url: `/${entity}/query`,
+      data: { MaxRecords: PAGE_SIZE, filter }
+    });
+
+    const records = [...(response.data.items || [])];
+
+    while (response.data.pageDetails?.nextPageUrl) {
+      response = await this.client.get(response.data.pageDetails.nextPageUrl);
+      records.push(...(response.data.items || []));
+    }
+
+    return records;
+  }
+
+  /**
+   * Build an Autotask filter, limited to records changed since a watermark
+   * @param {Array<Object>} base - Base filter expressions
+   * @param {string} field - Last-modified field for the entity
+   * @param {Date|null} since - Watermark
+   * @returns {Array<Object>}
+   */
+  buildFilter(base, field, since) {
+    if (!since) return base;
+    return [...base, { op: 'gt', field, value: since.toISOString() }];
+  }
+
+  /**
+   * Fetch companies (clients) from Autotask
+   * @param {Date|null} since - Only fetch records changed after this time
+   * @returns {Promise<Array>}
+   */
+  async fetchCompanies(since = null) {
+    return this.query('Companies', this.buildFilter(
+      [{ op: 'eq', field: 'isActive', value: true }],
+      'lastActivityDate',
+      since
+    ));
+  }
+
+  /**
+   * Fetch contracts from Autotask
+   * Inactive contracts are included, so one deactivated since the last sync is
+   * updated and stops counting towards the client's MRR
+   * @param {Date|null} since - Only fetch records changed after this time
+   * @returns {Promise<Array>}
+   */
+  async fetchContracts(since = null) {
+    return this.query('Contracts', this.buildFilter(
+      [{ op: 'exist', field: 'id' }],
+      'lastModifiedDateTime',
+      since
+    ));
+  }
+
+  /**
+   * Fetch recurring contract services (used to calculate contract MRR)
+   * Always pulled in full so a changed contract's total stays correct
+   * @returns {Promise<Array>}
+   */
+  async fetchContractServices() {
+    return this.query('ContractServices', [{ op: 'exist', field: 'id' }]);
+  }
+
+  /**
+   * Fetch tickets from Autotask (last 90 days, or changed since the watermark)
+   * @param {Date|null} since - Only fetch records changed after this time
+   * @returns {Promise<Array>}
+   */
+  async fetchTickets(since = null) {
+    const filter = since
+      ? [{ op: 'gt', field: 'lastActivityDate', value: since.toISOString() }]
+      : [{ op: 'gte', field: 'createDate', value: subDays(new Date(), 90).toISOString() }];
+    return this.query('Tickets', filter);
+  }
+
+  /**
+   * Fetch time entries logged against the given tickets
+   * @param {Array<number>} ticketIds - Autotask ticket IDs
+   * @returns {Promise<Array>}
+   */
+  async fetchTimeEntries(ticketIds) {
+    const entries = [];
+    // Keep "in" filters to one page's worth of IDs
+    for (let i = 0; i < ticketIds.length; i += PAGE_SIZE) {
+      const batch = ticketIds.slice(i, i + PAGE_SIZE);
+      entries.push(...await this.query('TimeEntries', [{ op: 'in', field: 'ticketID', value: batch }]));
+    }
+    return entries;
+  }
+
+  /**
+   * Fetch active configuration items (devices) from Autotask
+   * @param {Date|null} since - Only fetch records changed after this time
+   * @returns {Promise<Array>}
+   */
+  async fetchConfigurationItems(since = null) {
+    return this.query('ConfigurationItems', this.buildFilter(
+      [{ op: 'eq', field: 'isActive', value: true }],
+      'lastModifiedTime',
+      since
+    ));
+  }
+
+  /**
+   * Fetch configuration item type names keyed by ID
+   * @returns {Promise<Map<number, string>>}
+   */
+  async fetchConfigurationItemTypes() {
+    const types = await this.query('ConfigurationItemTypes', [{ op: 'exist', field: 'id' }]);
+    return new Map(types.map(t => [t.id, t.name]));
+  }
+
+  /**
+   * Fetch ticket picklist labels (priority, status, issue type)
+   * Autotask returns these fields as numeric picklist values
+   * @returns {Promise<Object>} Map of field name → Map of value → label
+   */
+  async fetchTicketPicklists() {
+    const response = await this.client.get('/Tickets/entityInformation/fields');
+    const picklists = {};
+
+    for (const field of response.data.fields || []) {
+      if (!field.isPickList) continue;
+      picklists[field.name] = new Map(
+        (field.picklistValues || []).map(v => [Number(v.value), v.label])
+      );
+    }
+
+    return picklists;
+  }
+
+  /**
+   * Sum hours worked per ticket
+   * @param {Array} timeEntries - Autotask time entries
+   * @returns {Map<number, number>}
+   */
+  sumHoursByTicket(timeEntries) {
+    const hours = new Map();
+    for (const entry of timeEntries) {
+      if (!entry.ticketID) continue;
+      hours.set(entry.ticketID, (hours.get(entry.ticketID) || 0) + (entry.hoursWorked || 0));
+    }
+    return hours;
+  }
+
+  /**
+   * Sum monthly recurring service price per contract
+   * @param {Array} contractServices - Autotask contract services
+   * @returns {Map<number, number>}
+   */
+  sumMrrByContract(contractServices) {
+    const mrr = new Map();
+    for (const service of contractServices) {
+      const price = service.adjustedPrice ?? service.unitPrice ?? 0;
+      mrr.set(service.contractID, (mrr.get(service.contractID) || 0) + price);
+    }
+    return mrr;
+  }
+
+  /**
+   * Normalize Autotask company to Client
+   * @param {Object} company - Autotask company object
+   * @returns {Object} Normalized client
+   */
+  normalizeClient(company) {
+    return {
+      external_id: company.id.toString(),
+      source: 'autotask',
+      name: company.companyName,
+      segment: null, // Will be set manually
+      mrr: null, // Calculate from agreements
+      agreement_start: null,
+      agreement_end: null,
+      domains: extractDomains(company.webAddress)
+    };
+  }
+
+  /**
+   * Build the client reference used to resolve a record's owning client
+   * @param {number} companyId - Autotask company ID
+   * @param {Map<number, Object>} companiesById - Companies fetched in this sync
+   * @returns {Object|null} Client reference
+   */
+  buildClientRef(companyId, companiesById = new Map()) {
+    if (!companyId) return null;
+    return {
+      external_id: companyId.toString(),
+      name: companiesById.get(companyId)?.companyName || null
+    };
+  }
+
+  /**
+   * Normalize Autotask company sites
+   * @param {Object} company - Autotask company object
+   * @returns {Array} Normalized sites
+   */
+  normalizeSites(company) {
+    // The company's own address is its main site
+    return [{
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(company.id, new Map([[company.id, company]])),
+      external_id: `${company.id}-main`,
+      name: company.companyName,
+      address: [
+        company.address1,
+        company.address2,
+        company.city,
+        company.state,
+        company.postalCode
+      ].filter(Boolean).join(', ')
+    }];
+  }
+
+  /**
+   * Normalize Autotask configuration item to Device
+   * @param {Object} ci - Autotask configuration item
+   * @param {Map<number, Object>} companiesById - Companies fetched in this sync
+   * @param {Map<number, string>} ciTypes - Configuration item type names
+   * @returns {Object} Normalized device
+   */
+  normalizeDevice(ci, companiesById = new Map(), ciTypes = new Map()) {
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(ci.companyID, companiesById),
+      site_id: null,
+      external_id: ci.id.toString(),
+      name: ci.referenceTitle || ci.rmmDeviceAuditHostname || null,
+      type: mapDeviceType(ciTypes.get(ci.configurationItemType)),
+      os: ci.rmmDeviceAuditOperatingSystem || null,
+      managed: true, // Assume managed if in Autotask
+      health_status: 'healthy', // Default, would need more data
+      last_seen: ci.lastModifiedTime ? new Date(ci.lastModifiedTime) : null
+    };
+  }
+
+  /**
+   * Normalize Autotask contract to Agreement
+   * @param {Object} contract - Autotask contract object
+   * @param {Map<number, Object>} companiesById - Companies fetched in this sync
+   * @param {Map<number, number>} mrrByContract - Recurring service total per contract
+   * @returns {Object} Normalized agreement
+   */
+  normalizeAgreement(contract, companiesById = new Map(), mrrByContract = new Map()) {
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(contract.companyID, companiesById),
+      external_id: contract.id.toString(),
+      name: contract.contractName || null,
+      mrr: mrrByContract.get(contract.id) || 0,
+      effective_rate: null,
+      term_months: this.calculateTermMonths(contract.startDate, contract.endDate),
+      start_date: contract.startDate ? new Date(contract.startDate) : null,
+      end_date: contract.endDate ? new Date(contract.endDate) : null,
+      cancelled: contract.status !== CONTRACT_STATUS_ACTIVE
+    };
+  }
+
+  /**
+   * Calculate contract term length
+   * @param {string} startDate - Contract start date
+   * @param {string} endDate - Contract end date
+   * @returns {number|null} Term in months
+   */
+  calculateTermMonths(startDate, endDate) {
+    if (!startDate || !endDate) return null;
+    // End dates are inclusive (2024-01-01 → 2025-12-31 is a 24 month term)
+    const months = differenceInCalendarMonths(addDays(parseISO(endDate), 1), parseISO(startDate));
+    return months > 0 ? months : null;
+  }
+
+  /**
+   * Normalize Autotask ticket
+   * @param {Object} ticket - Autotask ticket object
+   * @param {Map<number, Object>} companiesById - Companies fetched in this sync
+   * @param {Map<number, number>} hoursByTicket - Hours worked per ticket
+   * @param {Object} picklists - Ticket picklist labels
+   * @returns {Object} Normalized ticket
+   */
+  normalizeTicket(ticket, companiesById = new Map(), hoursByTicket = new Map(), picklists = {}) {
+    const label = (field) => picklists[field]?.get(ticket[field]) || null;
+    const complete = ticket.status === STATUS_COMPLETE;
+
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(ticket.companyID, companiesById),
+      external_id: ticket.id.toString(),
+      category: label('issueType') || 'Unknown',
+      priority: label('priority') || 'Normal',
+      status: label('status') || (complete ? 'Complete' : 'Unknown'),
+      hours_spent: hoursByTicket.get(ticket.id) || 0,
+      sla_met: ticket.serviceLevelAgreementHasBeenMet ?? null,
+      reopen_count: 0, // Not tracked by Autotask
+      csat_score: null, // Not directly available
+      created_date: ticket.createDate ? new Date(ticket.createDate) : null,
+      closed_date: ticket.completedDate ? new Date(ticket.completedDate) : null
+    };
+  }
+}
+
+module.exports = AutotaskAdapter;
@@ -5,16 +5,89 @@
  */
 
 class BaseAdapter {
+  /**
+   * Source key the adapter is registered under (also its config section and sync route)
+   * @type {string|null}
+   */
+  static source = null;
+
+  /**
+   * Human-readable vendor name used in logs
+   * @type {string|null}
+   */
+  static label = null;
+
+  /**
+   * Normalized entity types this adapter emits (see ENTITY_TYPES)
+   * Only these are persisted from its sync() output
+   * @type {Array<string>}
+   */
+  static entityTypes = [];
+
+  /**
+   * Credential fields a sync can't run without
+   * Checked by sync() and before the worker schedules the source
+   * @type {Array<string>}
+   */
+  static requiredCredentials = [];
+
+  /**
+   * Whether the worker can run the source on a cron schedule
+   * (false for sources that need input on every run, such as an uploaded file)
+   * @type {boolean}
+   */
+  static schedulable = true;
+
   /**
    * Sync data from vendor platform
    * @param {Object} credentials - Vendor-specific auth credentials
+   * @param {SyncOptions} options - Optional delta sync options
    * @returns {Promise<NormalizedData>} - Normalized entities
    * @throws {AdapterError} - If API call fails or data invalid
    */
-  async sync(credentials) {
+  async sync(credentials, options = {}) {
     throw new Error('sync() must be implemented by subclass');
   }
 
+  /**
+   * Rebuild normalized data from the raw responses a sync recorded
+   * Adapters that support replay implement this and call it from sync()
+   * @param {Object} payload - Raw responses passed to recordPayload()
+   * @returns {NormalizedData} - Normalized entities
+   */
+  normalizePayload(payload) {
+    throw new Error(`${this.constructor.label || this.constructor.name} does not support replay`);
+  }
+
+  /**
+   * Keep the raw responses a sync fetched so the run can be archived and replayed
+   * @param {Object} payload - Raw vendor responses (JSON-serializable, Maps allowed)
+   * @returns {Object} The payload, for chaining into normalizePayload()
+   */
+  recordPayload(payload) {
+    this.payload = payload;
+    return payload;
+  }
+
+  /**
+   * Summarize the vendor API requests the sync made, for its sync run
+   * Adapters built on HttpClient keep their RequestMetrics in this.requestMetrics
+   * @returns {Object|null} Request metrics, or null if the adapter doesn't collect them
+   */
+  getRequestMetrics() {
+    return this.requestMetrics ? this.requestMetrics.toJSON() : null;
+  }
+
+  /**
+   * Identify the vendor account a sync watermark applies to
+   * Adapters connected to a single vendor account can use the default
+   * @param {Object} credentials - Vendor-specific auth credentials
+   * @returns {string} Scope key
+   */
+  getSyncScope(credentials) {
+    return '*';
+  }
+
   /**
    * Validate credentials structure
    * @param {Object} credentials - Credentials to validate
@@ -41,6 +114,28 @@ class BaseAdapter {
   }
 }
 
+/**
+ * Entity types an adapter can emit, in the order a sync persists them
+ * (clients first so every other record can be attached to one)
+ */
+const ENTITY_TYPES = [
+  'clients',
+  'sites',
+  'contacts',
+  'agreements',
+  'tickets',
+  'devices',
+  'patches',
+  'edr_agents',
+  'backups',
+  'users',
+  'licenses',
+  'role_assignments',
+  'identity_posture',
+  'controls',
+  'risks'
+];
+
 /**
  * Custom error class for adapter errors
  */
@@ -53,6 +148,25 @@ class AdapterError extends Error {
   }
 }
 
+/**
+ * Options passed to sync()
+ * @typedef {Object} SyncOptions
+ * @property {Date|null} since - Only fetch records changed after this time (null = full sync)
+ * @property {ImportFile} [file] - Uploaded file (import adapter only)
+ */
+
+/**
+ * File uploaded to POST /sync/import
+ * @typedef {Object} ImportFile
+ * @property {Buffer} content - File contents
+ * @property {string} format - 'csv' or 'xlsx'
+ * @property {string} entity - Entity type the rows hold ('devices', 'users', ...)
+ * @property {string} template - Column template name
+ * @property {Object<string, string>} mapping - { field: 'Header' } overrides
+ * @property {number|null} clientId - Client every row belongs to (otherwise read from a client column)
+ * @property {boolean} [replace] - The file is the client's complete list: retire records it doesn't contain
+ */
+
 /**
  * Normalized data structure that all adapters must return
  * @typedef {Object} NormalizedData
@@ -61,11 +175,19 @@ class AdapterError extends Error {
  * @property {Array<Contact>} contacts
  * @property {Array<User>} users
  * @property {Array<Device>} devices
+ * @property {Array<PatchStatus>} patches - Per-device patch posture (RMM adapters)
+ * @property {Array<EDRAgent>} edr_agents - Per-device EDR agent state (EDR adapters)
+ * @property {Array<BackupStatus>} backups - Per-workload backup outcome (backup adapters)
+ * @property {Array<LicenseSubscription>} licenses - Subscribed license SKUs and seat counts (M365)
+ * @property {Array<RoleAssignment>} role_assignments - Privileged directory role assignments (M365)
+ * @property {Array<IdentityPosture>} identity_posture - Per-tenant security defaults and Conditional Access (M365)
  * @property {Array<Agreement>} agreements
  * @property {Array<Ticket>} tickets
  * @property {Array<Control>} controls
  * @property {Array<Risk>} risks
  * @property {Array<Recommendation>} recommendations
+ * @property {Array<{message: string, details: Object}>} [warnings] - Non-fatal problems, recorded on the sync run
+ * @property {boolean} [partial] - Some of the account could not be synced (the watermark is not advanced)
  */
 
-module.exports = { BaseAdapter, AdapterError };
+module.exports = { BaseAdapter, AdapterError, ENTITY_TYPES };
@@ -1,21 +1,34 @@
-const axios = require('axios');
-const { parseISO, subDays } = require('date-fns');
+const { parseISO, subDays, addDays, differenceInCalendarMonths } = require('date-fns');
 const { BaseAdapter, AdapterError } = require('./base-adapter');
+const { HttpClient, RequestMetrics, pageNumberPagination } = require('./http-client');
+const { extractDomains, mapDeviceType } = require('./normalizers');
 const logger = require('../utils/logger');
 
+// Largest page ConnectWise serves
+const PAGE_SIZE = 1000;
+
+// Concurrent requests (ConnectWise throttles API members that run many in parallel)
+const CONCURRENCY = 4;
+
 /**
  * ConnectWise Manage Adapter
  * Fetches and normalizes data from ConnectWise Manage API
  */
 class ConnectWiseAdapter extends BaseAdapter {
+  static source = 'connectwise';
+  static label = 'ConnectWise';
+  static entityTypes = ['clients', 'sites', 'contacts', 'agreements', 'tickets', 'devices'];
+  static requiredCredentials = ['companyId', 'publicKey', 'privateKey', 'clientId', 'baseUrl'];
+
   constructor(config) {
     super();
     this.config = config;
     this.client = null;
+    this.requestMetrics = new RequestMetrics();
   }
 
   /**
-   * Initialize axios client with ConnectWise credentials
+   * Initialize the HTTP client with ConnectWise credentials
    * @param {Object} credentials - ConnectWise API credentials
    */
   initializeClient(credentials) {
@@ -23,74 +36,54 @@ class ConnectWiseAdapter extends BaseAdapter {
       `${credentials.companyId}+${credentials.publicKey}:${credentials.privateKey}`
     ).toString('base64');
 
-    this.client = axios.create({
+    this.client = new HttpClient({
+      vendor: ConnectWiseAdapter.source,
+      label: ConnectWiseAdapter.label,
       baseURL: credentials.baseUrl,
       headers: {
         'Authorization': `Basic ${auth}`,
         'clientId': credentials.clientId,
         'Content-Type': 'application/json'
       },
-      timeout: 30000
+      concurrency: CONCURRENCY,
+      metrics: this.requestMetrics
     });
-
-    // Add retry logic for rate limits
-    this.client.interceptors.response.use(
-      response => response,
-      async error => {
-        if (error.response?.status === 429) {
-          const retryAfter = parseInt(error.response.headers['retry-after'] || '60', 10);
-          logger.warn(`ConnectWise rate limit hit, retry after ${retryAfter}s`);
-          throw new AdapterError(
-            'ConnectWise rate limit exceeded',
-            error.response.data,
-            429
-          );
-        }
-        throw error;
-      }
-    );
   }
 
   /**
    * Sync data from ConnectWise Manage
    * @param {Object} credentials - API credentials
+   * @param {SyncOptions} options - Delta sync options
    * @returns {Promise<NormalizedData>}
    */
-  async sync(credentials) {
-    this.validateCredentials(credentials, ['companyId', 'publicKey', 'privateKey', 'clientId', 'baseUrl']);
+  async sync(credentials, options = {}) {
+    this.validateCredentials(credentials, ConnectWiseAdapter.requiredCredentials);
     this.initializeClient(credentials);
 
-    logger.info('Starting ConnectWise sync');
+    const since = options.since || null;
+    logger.info('Starting ConnectWise sync', { since });
 
     try {
       // Fetch data in parallel
-      const [companies, agreements, tickets, configurations] = await Promise.all([
-        this.fetchCompanies(),
-        this.fetchAgreements(),
-        this.fetchTickets(),
-        this.fetchConfigurations()
+      const [companies, contacts, agreements, tickets, configurations] = await Promise.all([
+        this.fetchCompanies(since),
+        this.fetchContacts(since),
+        this.fetchAgreements(since),
+        this.fetchTickets(since),
+        this.fetchConfigurations(since)
       ]);
 
       logger.info('ConnectWise data fetched', {
         companies: companies.length,
+        contacts: contacts.length,
         agreements: agreements.length,
         tickets: tickets.length,
         configurations: configurations.length
       });
 
-      // Normalize data
-      const normalized = {
-        clients: companies.map(c => this.normalizeClient(c)),
-        sites: companies.flatMap(c => this.normalizeSites(c)),
-        contacts: companies.flatMap(c => this.normalizeContacts(c)),
-        users: [], // ConnectWise doesn't provide M365 users
-        devices: configurations.map(c => this.normalizeDevice(c)),
-        agreements: agreements.map(a => this.normalizeAgreement(a)),
-        tickets: tickets.map(t => this.normalizeTicket(t)),
-        controls: [], // ConnectWise doesn't provide compliance controls
-        risks: [], // ConnectWise doesn't directly provide risks
-        recommendations: []
-      };
+      const normalized = this.normalizePayload(
+        this.recordPayload({ companies, contacts, agreements, tickets, configurations })
+      );
 
       logger.info('ConnectWise data normalized');
       return normalized;
@@ -119,60 +112,88 @@ class ConnectWiseAdapter extends BaseAdapter {
   }
 
   /**
-   * Fetch companies (clients) from ConnectWise
+   * Normalize fetched ConnectWise records (also used to replay an archived sync)
+   * @param {Object} payload - { companies, contacts, agreements, tickets, configurations }
+   * @returns {NormalizedData}
+   */
+  normalizePayload({ companies, contacts, agreements, tickets, configurations }) {
+    return {
+      clients: companies.map(c => this.normalizeClient(c)),
+      sites: companies.flatMap(c => this.normalizeSites(c)),
+      contacts: contacts.map(c => this.normalizeContact(c)),
+      users: [], // ConnectWise doesn't provide M365 users
+      devices: configurations.map(c => this.normalizeDevice(c)),
+      agreements: agreements.map(a => this.normalizeAgreement(a)),
+      tickets: tickets.map(t => this.normalizeTicket(t)),
+      controls: [], // ConnectWise doesn't provide compliance controls
+      risks: [], // ConnectWise doesn't directly provide risks
+      recommendations: []
+    };
+  }
+
+  /**
+   * Fetch every page of a ConnectWise collection
+   * @param {string} path - Collection path
+   * @param {string} conditions - ConnectWise conditions
    * @returns {Promise<Array>}
    */
-  async fetchCompanies() {
-    const response = await this.client.get('/company/companies', {
-      params: {
-        pageSize: 1000,
-        conditions: 'deletedFlag=false'
-      }
+  async fetchAllPages(path, conditions) {
+    return this.client.fetchAll(path, {
+      params: { conditions },
+      pagination: pageNumberPagination({ pageSize: PAGE_SIZE })
     });
-    return response.data;
+  }
+
+  /**
+   * Fetch companies (clients) from ConnectWise
+   * @param {Date|null} since - Only fetch records changed after this time
+   * @returns {Promise<Array>}
+   */
+  async fetchCompanies(since = null) {
+    return this.fetchAllPages('/company/companies', this.buildConditions('deletedFlag=false', since));
+  }
+
+  /**
+   * Fetch company contacts from ConnectWise
+   * @param {Date|null} since - Only fetch records changed after this time
+   * @returns {Promise<Array>}
+   */
+  async fetchContacts(since = null) {
+    return this.fetchAllPages('/company/contacts', this.buildConditions('inactiveFlag=false', since));
   }
 
   /**
    * Fetch agreements from ConnectWise
+   * Cancelled agreements are included, so one cancelled since the last sync is
+   * updated and stops counting towards the client's MRR
+   * @param {Date|null} since - Only fetch records changed after this time
    * @returns {Promise<Array>}
    */
-  async fetchAgreements() {
-    const response = await this.client.get('/finance/agreements', {
-      params: {
-        pageSize: 1000,
-        conditions: 'cancelledFlag=false'
-      }
-    });
-    return response.data;
+  async fetchAgreements(since = null) {
+    const conditions = since ? `lastUpdated>[${since.toISOString()}]` : undefined;
+    return this.fetchAllPages('/finance/agreements', conditions);
   }
 
   /**
-   * Fetch tickets from ConnectWise (last 90 days)
+   * Fetch tickets from ConnectWise (last 90 days, or changed since the watermark)
+   * @param {Date|null} since - Only fetch records changed after this time
    * @returns {Promise<Array>}
    */
-  async fetchTickets() {
+  async fetchTickets(since = null) {
     const startDate = subDays(new Date(), 90).toISOString();
-    const response = await this.client.get('/service/tickets', {
-      params: {
-        pageSize: 1000,
-        conditions: `dateEntered>=[${startDate}]`
-      }
-    });
-    return response.data;
+    const conditions = since
+      ? `lastUpdated>[${since.toISOString()}]`
+      : `dateEntered>=[${startDate}]`;
+    return this.fetchAllPages('/service/tickets', conditions);
   }
 
   /**
    * Fetch configurations (devices) from ConnectWise
+   * @param {Date|null} since - Only fetch records changed after this time
    * @returns {Promise<Array>}
    */
-  async fetchConfigurations() {
-    const response = await this.client.get('/company/configurations', {
-      params: {
-        pageSize: 1000,
-        conditions: 'inactiveFlag=false'
-      }
-    });
-    return response.data;
+  async fetchConfigurations(since = null) {
+    return this.fetchAllPages('/company/configurations', this.buildConditions('inactiveFlag=false', since));
   }
 
   /**
@@ -188,7 +209,41 @@ class ConnectWiseAdapter extends BaseAdapter {
       segment: null, // Will be set manually
       mrr: null, // Calculate from agreements
       agreement_start: null,
-      agreement_end: null
+      agreement_end: null,
+      domains: extractDomains(company.website)
+    };
+  }
+
+  /**
+   * Watermarks are kept per ConnectWise instance
+   * @param {Object} credentials - API credentials
+   * @returns {string} Scope key
+   */
+  getSyncScope(credentials) {
+    return String(credentials?.companyId || '*');
+  }
+
+  /**
+   * Build a ConnectWise conditions string, limited to records changed since a watermark
+   * @param {string} base - Base conditions
+   * @param {Date|null} since - Watermark
+   * @returns {string}
+   */
+  buildConditions(base, since) {
+    if (!since) return base;
+    return `${base} and lastUpdated>[${since.toISOString()}]`;
+  }
+
+  /**
+   * Build the client reference used to resolve a record's owning client
+   * @param {Object} company - ConnectWise company reference ({ id, identifier, name })
+   * @returns {Object|null} Client reference
+   */
+  buildClientRef(company) {
+    if (!company?.id) return null;
+    return {
+      external_id: company.id.toString(),
+      name: company.name || company.identifier
     };
   }
 
@@ -201,6 +256,7 @@ class ConnectWiseAdapter extends BaseAdapter {
     // ConnectWise companies have a default site
     return [{
       client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(company),
       external_id: `${company.id}-main`,
       name: company.name,
       address: [
@@ -214,14 +270,24 @@ class ConnectWiseAdapter extends BaseAdapter {
   }
 
   /**
-   * Normalize ConnectWise contacts
-   * @param {Object} company - ConnectWise company object
-   * @returns {Array} Normalized contacts
+   * Normalize ConnectWise contact
+   * @param {Object} contact - ConnectWise contact object
+   * @returns {Object} Normalized contact
    */
-  normalizeContacts(company) {
-    // Would need separate API call to fetch contacts
-    // Simplified for now
-    return [];
+  normalizeContact(contact) {
+    const items = contact.communicationItems || [];
+    const findItem = (type) => items.find(i => i.communicationType === type && i.defaultFlag) ||
+      items.find(i => i.communicationType === type);
+
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(contact.company),
+      external_id: contact.id.toString(),
+      name: [contact.firstName, contact.lastName].filter(Boolean).join(' ') || null,
+      role: contact.title || null,
+      email: findItem('Email')?.value || null,
+      phone: findItem('Phone')?.value || null
+    };
   }
 
   /**
@@ -232,10 +298,11 @@ class ConnectWiseAdapter extends BaseAdapter {
   normalizeDevice(config) {
     return {
       client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(config.company),
       site_id: null,
       external_id: config.id.toString(),
       name: config.name,
-      type: this.mapConfigTypeToDeviceType(config.type?.name),
+      type: mapDeviceType(config.type?.name),
       os: config.osInfo || null,
       managed: true, // Assume managed if in ConnectWise
       health_status: 'healthy', // Default, would need more data
@@ -243,19 +310,6 @@ class ConnectWiseAdapter extends BaseAdapter {
     };
   }
 
-  /**
-   * Map ConnectWise config type to normalized device type
-   * @param {string} cwType - ConnectWise type
-   * @returns {string} Normalized type
-   */
-  mapConfigTypeToDeviceType(cwType) {
-    if (!cwType) return 'endpoint';
-    const lower = cwType.toLowerCase();
-    if (lower.includes('server')) return 'server';
-    if (lower.includes('switch') || lower.includes('router') || lower.includes('firewall')) return 'network';
-    return 'endpoint';
-  }
-
   /**
    * Normalize ConnectWise agreement
    * @param {Object} agreement - ConnectWise agreement object
@@ -264,15 +318,31 @@ class ConnectWiseAdapter extends BaseAdapter {
   normalizeAgreement(agreement) {
     return {
       client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(agreement.company),
       external_id: agreement.id.toString(),
+      name: agreement.name || null,
       mrr: agreement.billAmount || 0,
       effective_rate: null,
-      term_months: null,
+      term_months: this.calculateTermMonths(agreement.startDate, agreement.endDate),
       start_date: agreement.startDate ? new Date(agreement.startDate) : null,
-      end_date: agreement.endDate ? new Date(agreement.endDate) : null
+      end_date: agreement.endDate ? new Date(agreement.endDate) : null,
+      cancelled: agreement.cancelledFlag === true
     };
   }
 
+  /**
+   * Calculate agreement term length
+   * @param {string} startDate - Agreement start date
+   * @param {string} endDate - Agreement end date (null for evergreen agreements)
+   * @returns {number|null} Term in months
+   */
+  calculateTermMonths(startDate, endDate) {
+    if (!startDate || !endDate) return null;
+    // End dates are inclusive (2024-01-01 → 2025-12-31 is a 24 month term)
+    const months = differenceInCalendarMonths(addDays(parseISO(endDate), 1), parseISO(startDate));
+    return months > 0 ? months : null;
+  }
+
   /**
    * Normalize ConnectWise ticket
    * @param {Object} ticket - ConnectWise ticket object
@@ -281,6 +351,7 @@ class ConnectWiseAdapter extends BaseAdapter {
   normalizeTicket(ticket) {
     return {
       client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(ticket.company),
       external_id: ticket.id.toString(),
       category: ticket.type?.name || 'Unknown',
       priority: ticket.priority?.name || 'Normal',
@@ -0,0 +1,243 @@
+const { subDays } = require('date-fns');
+const { BaseAdapter, AdapterError } = require('./base-adapter');
+const { HttpClient, RequestMetrics } = require('./http-client');
+const logger = require('../utils/logger');
+
+const PAGE_SIZE = 100;
+
+// Backup failures are counted over this window
+const FAILURE_WINDOW_DAYS = 7;
+
+/**
+ * Datto BCDR Adapter
+ * Fetches protected workloads (agents and shares) on each Datto SIRIS/ALTO
+ * appliance with their latest backup, offsite and screenshot verification state.
+ * Each appliance's client company is the owning client.
+ */
+class DattoBCDRAdapter extends BaseAdapter {
+  static source = 'datto_bcdr';
+  static label = 'Datto BCDR';
+  static entityTypes = ['backups'];
+  static requiredCredentials = ['publicKey', 'secretKey', 'baseUrl'];
+
+  constructor(config) {
+    super();
+    this.config = config;
+    this.client = null;
+    this.requestMetrics = new RequestMetrics();
+  }
+
+  /**
+   * Initialize the HTTP client with Datto REST API keys
+   * @param {Object} credentials - Datto API credentials
+   */
+  initializeClient(credentials) {
+    const auth = Buffer.from(`${credentials.publicKey}:${credentials.secretKey}`).toString('base64');
+
+    this.client = new HttpClient({
+      vendor: DattoBCDRAdapter.source,
+      label: 'Datto',
+      baseURL: credentials.baseUrl,
+      headers: {
+        'Authorization': `Basic ${auth}`,
+        'Content-Type': 'application/json'
+      },
+      metrics: this.requestMetrics
+    });
+  }
+
+  /**
+   * Sync data from Datto BCDR
+   * Backup state is current state, so every sync pulls every appliance
+   * @param {Object} credentials - API credentials
+   * @param {SyncOptions} options - Delta sync options (ignored)
+   * @returns {Promise<NormalizedData>}
+   */
+  async sync(credentials, options = {}) {
+    this.validateCredentials(credentials, DattoBCDRAdapter.requiredCredentials);
+    this.initializeClient(credentials);
+
+    logger.info('Starting Datto BCDR sync');
+
+    try {
+      const appliances = (await this.fetchAppliances()).filter(a => !a.hidden);
+
+      // Appliances are fetched one at a time to stay under the API rate limit
+      const protectedAgents = [];
+      for (const appliance of appliances) {
+        const agents = await this.fetchProtectedAgents(appliance.serialNumber);
+        protectedAgents.push({ appliance, agents });
+      }
+
+      logger.info('Datto BCDR data fetched', {
+        appliances: appliances.length,
+        workloads: protectedAgents.reduce((sum, { agents }) => sum + agents.filter(a => !a.isArchived).length, 0)
+      });
+
+      const normalized = this.normalizePayload(this.recordPayload({ protectedAgents }));
+
+      logger.info('Datto BCDR data normalized');
+      return normalized;
+
+    } catch (error) {
+      logger.error('Datto BCDR sync failed', { error: error.message });
+
+      if (error.response?.status === 401) {
+        throw new AdapterError(
+          'Datto authentication failed',
+          'Invalid API keys',
+          401
+        );
+      }
+
+      if (error.name === 'AdapterError') {
+        throw error;
+      }
+
+      throw new AdapterError(
+        'Datto API error',
+        error.message,
+        error.response?.status || 500
+      );
+    }
+  }
+
+  /**
+   * Normalize fetched appliances and their agents (also used to replay an archived sync)
+   * @param {Object} payload - { protectedAgents: [{ appliance, agents }] }
+   * @returns {NormalizedData}
+   */
+  normalizePayload({ protectedAgents }) {
+    return {
+      clients: [],
+      sites: [],
+      contacts: [],
+      users: [],
+      devices: [],
+      backups: protectedAgents.flatMap(({ appliance, agents }) => agents
+        .filter(agent => !agent.isArchived)
+        .map(agent => this.normalizeBackup(agent, appliance))),
+      agreements: [],
+      tickets: [],
+      controls: [],
+      risks: [],
+      recommendations: []
+    };
+  }
+
+  /**
+   * Watermarks are kept per Datto API key
+   * @param {Object} credentials - API credentials
+   * @returns {string} Scope key
+   */
+  getSyncScope(credentials) {
+    return String(credentials?.publicKey || '*');
+  }
+
+  /**
+   * Fetch all BCDR appliances
+   * @returns {Promise<Array>}
+   */
+  async fetchAppliances() {
+    const appliances = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await this.client.get('/bcdr/device', {
+        params: { _page: page, _perPage: PAGE_SIZE }
+      });
+      appliances.push(...(response.data.items || []));
+      totalPages = response.data.pagination?.totalPages || 1;
+      page++;
+    } while (page <= totalPages);
+
+    return appliances;
+  }
+
+  /**
+   * Fetch protected agents on an appliance, with recent backup history
+   * @param {string} serialNumber - Appliance serial number
+   * @returns {Promise<Array>}
+   */
+  async fetchProtectedAgents(serialNumber) {
+    const response = await this.client.get(`/bcdr/device/${serialNumber}/asset/agent`);
+    return response.data || [];
+  }
+
+  /**
+   * Build the client reference used to resolve a record's owning client
+   * @param {Object} appliance - Datto appliance
+   * @returns {Object|null} Client reference
+   */
+  buildClientRef(appliance) {
+    const name = appliance?.clientCompanyName;
+    if (!name) return null;
+    return {
+      external_id: String(appliance.organizationId || name),
+      name
+    };
+  }
+
+  /**
+   * Normalize a protected agent to a backup status row
+   * @param {Object} agent - Datto protected agent
+   * @param {Object} appliance - Appliance protecting the agent
+   * @returns {Object} Normalized backup status
+   */
+  normalizeBackup(agent, appliance) {
+    const history = (agent.backups || [])
+      .map(b => ({
+        at: this.toDate(b.timestamp),
+        success: b.backup?.status === 'success',
+        verified: b.advancedVerification?.screenshotVerification?.status
+      }))
+      .filter(b => b.at)
+      .sort((a, b) => b.at - a.at);
+
+    const failureCutoff = subDays(new Date(), FAILURE_WINDOW_DAYS);
+    const latest = history[0] || null;
+    const lastSuccess = history.find(b => b.success) || null;
+    const lastVerified = history.find(b => b.verified === 'success' || b.verified === 'failed');
+
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(appliance),
+      source: 'datto_bcdr',
+      external_id: `${appliance.serialNumber}:${agent.volume || agent.name}`,
+      workload_name: agent.name || null,
+      workload_type: this.mapWorkloadType(agent),
+      appliance: appliance.name || appliance.serialNumber,
+      paused: agent.isPaused === true,
+      last_backup_status: latest ? (latest.success ? 'success' : 'failed') : null,
+      last_backup_at: latest?.at || this.toDate(agent.lastSnapshot),
+      last_successful_backup_at: lastSuccess?.at || this.toDate(agent.lastSnapshot),
+      last_offsite_at: this.toDate(agent.latestOffsite),
+      failed_backups: history.filter(b => !b.success && b.at >= failureCutoff).length,
+      retention_days: agent.localRetentionDays ?? null,
+      last_verification_passed: lastVerified ? lastVerified.verified === 'success' : null
+    };
+  }
+
+  /**
+   * Map Datto agent to workload type
+   * @param {Object} agent - Datto protected agent
+   * @returns {string} 'server', 'workstation' or 'share'
+   */
+  mapWorkloadType(agent) {
+    if (agent.type === 'share') return 'share';
+    return /server/i.test(agent.os || '') ? 'server' : 'workstation';
+  }
+
+  /**
+   * Convert a Datto timestamp (epoch seconds) to a Date
+   * @param {number|string} value - Timestamp
+   * @returns {Date|null}
+   */
+  toDate(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  }
+}
+
+module.exports = DattoBCDRAdapter;
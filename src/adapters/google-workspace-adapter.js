@@ -0,0 +1,521 @@
+const crypto = require('crypto');
+const { subDays } = require('date-fns');
+const { BaseAdapter, AdapterError } = require('./base-adapter');
+const { HttpClient, RequestMetrics } = require('./http-client');
+const logger = require('../utils/logger');
+
+// Read-only scopes the service account needs through domain-wide delegation
+const SCOPES = [
+  'https://www.googleapis.com/auth/admin.directory.customer.readonly',
+  'https://www.googleapis.com/auth/admin.directory.domain.readonly',
+  'https://www.googleapis.com/auth/admin.directory.user.readonly',
+  'https://www.googleapis.com/auth/admin.directory.rolemanagement.readonly',
+  'https://www.googleapis.com/auth/apps.alerts'
+];
+
+// Role ID stored for Super Admin assignments (scored like Entra Global Administrator)
+const SUPER_ADMIN_ROLE_ID = 'google:super_admin';
+
+// A full sync pulls Alert Center alerts created over this window
+const ALERT_WINDOW_DAYS = 30;
+
+// Directory API reports this last login time for users who have never signed in
+const NEVER_LOGGED_IN = '1970-01-01T00:00:00.000Z';
+
+/**
+ * Google Workspace Adapter
+ * Fetches users (2-Step Verification and last login), admin role assignments
+ * and Alert Center alerts from the Admin SDK, and derives security controls
+ * from them, so Google Workspace clients are scored like Microsoft 365 ones
+ */
+class GoogleWorkspaceAdapter extends BaseAdapter {
+  static source = 'google_workspace';
+  static label = 'Google Workspace';
+  static entityTypes = ['users', 'role_assignments', 'controls', 'risks'];
+  static requiredCredentials = ['serviceAccountEmail', 'privateKey', 'adminEmail'];
+
+  constructor(config) {
+    super();
+    this.config = config;
+    this.client = null;
+    this.requestMetrics = new RequestMetrics();
+  }
+
+  /**
+   * Initialize the HTTP client with a service account access token
+   * The service account impersonates a Workspace admin (domain-wide delegation)
+   * @param {Object} credentials - Google Workspace credentials
+   */
+  async initializeClient(credentials) {
+    const token = await this.fetchAccessToken(credentials);
+
+    // Directory and Alert Center requests use absolute URLs
+    this.client = new HttpClient({
+      vendor: GoogleWorkspaceAdapter.source,
+      label: GoogleWorkspaceAdapter.label,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      metrics: this.requestMetrics
+    });
+  }
+
+  /**
+   * Exchange a signed service account assertion for an access token
+   * @param {Object} credentials - Google Workspace credentials
+   * @returns {Promise<string>}
+   * @throws {AdapterError} - 401 if the key can't sign or Google rejects the assertion
+   */
+  async fetchAccessToken(credentials) {
+    const authClient = new HttpClient({
+      vendor: GoogleWorkspaceAdapter.source,
+      label: GoogleWorkspaceAdapter.label,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      metrics: this.requestMetrics
+    });
+
+    try {
+      const now = Math.floor(Date.now() / 1000);
+      const assertion = this.signJwt({
+        iss: credentials.serviceAccountEmail,
+        sub: credentials.adminEmail,
+        scope: SCOPES.join(' '),
+        aud: credentials.tokenUrl,
+        iat: now,
+        exp: now + 3600
+      }, credentials.privateKey);
+
+      const response = await authClient.request({
+        method: 'post',
+        url: credentials.tokenUrl,
+        data: new URLSearchParams({
+          grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+          assertion
+        }).toString()
+      });
+      return response.data.access_token;
+    } catch (error) {
+      // Rate limits and an open circuit aren't credential problems
+      if (error.name === 'AdapterError') throw error;
+
+      logger.error('Failed to obtain Google Workspace access token', { error: error.message });
+      throw new AdapterError(
+        'Google Workspace authentication failed',
+        error.response?.data?.error_description || error.message,
+        401
+      );
+    }
+  }
+
+  /**
+   * Sign a JWT with the service account's private key (RS256)
+   * @param {Object} claims - JWT claims
+   * @param {string} privateKey - PEM private key
+   * @returns {string} Signed JWT
+   */
+  signJwt(claims, privateKey) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(privateKey, 'base64url');
+    return `${unsigned}.${signature}`;
+  }
+
+  /**
+   * Sync data from Google Workspace
+   * Users and admin roles are current state and always pulled in full; alerts
+   * are pulled incrementally by creation time
+   * @param {Object} credentials - API credentials
+   * @param {SyncOptions} options - Delta sync options
+   * @returns {Promise<NormalizedData>}
+   */
+  async sync(credentials, options = {}) {
+    this.validateCredentials(credentials, GoogleWorkspaceAdapter.requiredCredentials);
+
+    // Credentials passed to the API only need the account fields; endpoints come from config
+    const { tokenUrl, directoryBaseUrl, alertCenterBaseUrl } = this.config.google_workspace || {};
+    credentials = { tokenUrl, directoryBaseUrl, alertCenterBaseUrl, customerId: 'my_customer', ...credentials };
+
+    const since = options.since || null;
+    logger.info('Starting Google Workspace sync', { since });
+
+    try {
+      await this.initializeClient(credentials);
+
+      const [customer, domains, users, roles, roleAssignments, alerts] = await Promise.all([
+        this.fetchCustomer(credentials),
+        this.fetchDomains(credentials),
+        this.fetchUsers(credentials),
+        this.fetchRoles(credentials),
+        this.fetchRoleAssignments(credentials),
+        this.fetchAlerts(credentials, since)
+      ]);
+
+      logger.info('Google Workspace data fetched', {
+        users: users.length,
+        roleAssignments: roleAssignments.length,
+        alerts: alerts.length
+      });
+
+      const normalized = this.normalizePayload(
+        this.recordPayload({ customer, domains, users, roles, roleAssignments, alerts })
+      );
+
+      logger.info('Google Workspace data normalized');
+      return normalized;
+
+    } catch (error) {
+      logger.error('Google Workspace sync failed', { error: error.message });
+
+      if (error.name === 'AdapterError') {
+        throw error;
+      }
+
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        throw new AdapterError(
+          'Google Workspace permission denied',
+          `Grant the service account domain-wide delegation for: ${SCOPES.join(', ')}`,
+          error.response.status
+        );
+      }
+
+      throw new AdapterError(
+        'Google Workspace API error',
+        error.response?.data?.error?.message || error.message,
+        error.response?.status || 500
+      );
+    }
+  }
+
+  /**
+   * Normalize fetched Google Workspace records (also used to replay an archived sync)
+   * @param {Object} payload - { customer, domains, users, roles, roleAssignments, alerts }
+   * @returns {NormalizedData}
+   */
+  normalizePayload({ customer, domains, users, roles, roleAssignments, alerts }) {
+    // Every record belongs to the customer's client
+    const clientRef = this.buildClientRef(customer, domains);
+    const rolesById = new Map(roles.map(r => [String(r.roleId), r]));
+
+    return {
+      clients: [], // Matched by the customer's domains
+      sites: [],
+      contacts: [],
+      users: users.map(u => this.normalizeUser(u, clientRef)),
+      role_assignments: roleAssignments
+        .filter(a => rolesById.has(String(a.roleId)))
+        .map(a => this.normalizeRoleAssignment(a, rolesById.get(String(a.roleId)), users, clientRef)),
+      devices: [],
+      agreements: [],
+      tickets: [],
+      controls: this.buildControls(customer.id, users, clientRef),
+      risks: alerts.filter(a => !a.deleted).map(a => this.normalizeRisk(a, clientRef)),
+      recommendations: []
+    };
+  }
+
+  /**
+   * Watermarks are kept per Workspace customer
+   * @param {Object} credentials - API credentials
+   * @returns {string} Scope key
+   */
+  getSyncScope(credentials) {
+    if (credentials?.customerId && credentials.customerId !== 'my_customer') {
+      return String(credentials.customerId);
+    }
+    return String(credentials?.adminEmail || '*').split('@').pop();
+  }
+
+  /**
+   * Fetch the Workspace customer (ID and organization name)
+   * @param {Object} credentials - API credentials
+   * @returns {Promise<Object>}
+   */
+  async fetchCustomer(credentials) {
+    const response = await this.client.get(
+      `${credentials.directoryBaseUrl}/customers/${encodeURIComponent(credentials.customerId)}`
+    );
+    return response.data;
+  }
+
+  /**
+   * Fetch the customer's verified domains
+   * @param {Object} credentials - API credentials
+   * @returns {Promise<Array<string>>}
+   */
+  async fetchDomains(credentials) {
+    try {
+      const response = await this.client.get(
+        `${credentials.directoryBaseUrl}/customer/${encodeURIComponent(credentials.customerId)}/domains`
+      );
+      return (response.data.domains || [])
+        .filter(d => d.verified !== false)
+        .map(d => d.domainName);
+    } catch (error) {
+      logger.warn('Failed to fetch Google Workspace domains', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Fetch users with 2-Step Verification state, admin flags and last login
+   * @param {Object} credentials - API credentials
+   * @returns {Promise<Array>}
+   */
+  async fetchUsers(credentials) {
+    return this.fetchAllPages(`${credentials.directoryBaseUrl}/users`, {
+      customer: credentials.customerId,
+      projection: 'basic',
+      maxResults: 500
+    }, 'users');
+  }
+
+  /**
+   * Fetch admin roles
+   * @param {Object} credentials - API credentials
+   * @returns {Promise<Array>}
+   */
+  async fetchRoles(credentials) {
+    return this.fetchAllPages(
+      `${credentials.directoryBaseUrl}/customer/${encodeURIComponent(credentials.customerId)}/roles`,
+      { maxResults: 100 },
+      'items'
+    );
+  }
+
+  /**
+   * Fetch admin role assignments
+   * @param {Object} credentials - API credentials
+   * @returns {Promise<Array>}
+   */
+  async fetchRoleAssignments(credentials) {
+    return this.fetchAllPages(
+      `${credentials.directoryBaseUrl}/customer/${encodeURIComponent(credentials.customerId)}/roleassignments`,
+      { maxResults: 200 },
+      'items'
+    );
+  }
+
+  /**
+   * Fetch Alert Center alerts
+   * A full sync pulls the last ALERT_WINDOW_DAYS days; a delta sync pulls alerts created since the watermark
+   * @param {Object} credentials - API credentials
+   * @param {Date|null} since - Only fetch alerts created after this time
+   * @returns {Promise<Array>}
+   */
+  async fetchAlerts(credentials, since = null) {
+    try {
+      const from = since || subDays(new Date(), ALERT_WINDOW_DAYS);
+      return await this.fetchAllPages(`${credentials.alertCenterBaseUrl}/alerts`, {
+        ...(credentials.customerId !== 'my_customer' && { customerId: credentials.customerId }),
+        filter: `createTime >= "${from.toISOString()}"`,
+        pageSize: 100
+      }, 'alerts');
+    } catch (error) {
+      logger.warn('Failed to fetch Google Workspace alerts', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Follow nextPageToken until every page of a list endpoint is fetched
+   * @param {string} url - List endpoint
+   * @param {Object} params - Query parameters
+   * @param {string} key - Response property holding the page's items
+   * @returns {Promise<Array>}
+   */
+  async fetchAllPages(url, params, key) {
+    const items = [];
+    let pageToken = null;
+
+    do {
+      const response = await this.client.get(url, {
+        params: { ...params, ...(pageToken && { pageToken }) }
+      });
+      items.push(...(response.data[key] || []));
+      pageToken = response.data.nextPageToken || null;
+    } while (pageToken);
+
+    return items;
+  }
+
+  /**
+   * Build the client reference used to resolve a record's owning client
+   * @param {Object} customer - Directory API customer
+   * @param {Array<string>} domains - Verified domains
+   * @returns {Object} Client reference
+   */
+  buildClientRef(customer, domains) {
+    return {
+      external_id: customer.id,
+      name: customer.postalAddress?.organizationName || customer.customerDomain,
+      domains: domains.length > 0 ? domains : [customer.customerDomain].filter(Boolean)
+    };
+  }
+
+  /**
+   * Normalize Google Workspace user to User
+   * @param {Object} user - Directory API user
+   * @param {Object} clientRef - Customer client reference
+   * @returns {Object} Normalized user
+   */
+  normalizeUser(user, clientRef = null) {
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: clientRef,
+      external_id: user.id,
+      email: user.primaryEmail,
+      upn: user.primaryEmail,
+      account_enabled: !user.suspended && !user.archived,
+      mfa_enabled: user.isEnrolledIn2Sv === true, // 2-Step Verification enrolled
+      legacy_auth_sign_ins: 0, // Not reported by the Directory API
+      risk_level: 'none',
+      last_sign_in: user.lastLoginTime && user.lastLoginTime !== NEVER_LOGGED_IN
+        ? new Date(user.lastLoginTime)
+        : null
+    };
+  }
+
+  /**
+   * Normalize an admin role assignment
+   * Super Admin is stored as SUPER_ADMIN_ROLE_ID so it is scored like Global Administrator
+   * @param {Object} assignment - Directory API role assignment
+   * @param {Object} role - The assignment's role
+   * @param {Array} users - Directory API users (for the assignee's email)
+   * @param {Object} clientRef - Customer client reference
+   * @returns {Object} Normalized role assignment
+   */
+  normalizeRoleAssignment(assignment, role, users, clientRef = null) {
+    const principalType = assignment.assigneeType || 'user';
+    const user = principalType === 'user' ? users.find(u => u.id === assignment.assignedTo) : null;
+
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: clientRef,
+      source: 'google_workspace',
+      external_id: String(assignment.roleAssignmentId),
+      role_template_id: role.isSuperAdminRole ? SUPER_ADMIN_ROLE_ID : `google:${role.roleId}`,
+      role_name: role.roleName,
+      principal_external_id: assignment.assignedTo,
+      principal_type: principalType,
+      principal_name: user?.primaryEmail || null
+    };
+  }
+
+  /**
+   * Derive security controls from the customer's users
+   * Evidence mirrors Secure Score controls (score out of max_score)
+   * @param {string} customerId - Workspace customer ID
+   * @param {Array} users - Directory API users
+   * @param {Object} clientRef - Customer client reference
+   * @returns {Array<Object>} Normalized controls
+   */
+  buildControls(customerId, users, clientRef = null) {
+    const active = users.filter(u => !u.suspended && !u.archived);
+    const admins = active.filter(u => u.isAdmin || u.isDelegatedAdmin);
+
+    const checks = [
+      {
+        name: '2sv_enrollment',
+        category: 'Identity',
+        description: 'Active users enrolled in 2-Step Verification',
+        score: active.filter(u => u.isEnrolledIn2Sv).length,
+        maxScore: active.length
+      },
+      {
+        name: '2sv_enforcement',
+        category: 'Identity',
+        description: 'Active users in an organizational unit that enforces 2-Step Verification',
+        score: active.filter(u => u.isEnforcedIn2Sv).length,
+        maxScore: active.length
+      },
+      {
+        name: 'admin_2sv_enrollment',
+        category: 'Identity',
+        description: 'Administrators enrolled in 2-Step Verification',
+        score: admins.filter(u => u.isEnrolledIn2Sv).length,
+        maxScore: admins.length
+      }
+    ];
+
+    return checks.map(check => ({
+      client_id: null, // Will be set during insert
+      client_ref: clientRef,
+      external_id: `${customerId}:${check.name}`,
+      control_type: 'google_workspace_security',
+      status: this.mapCoverageStatus(check.score, check.maxScore),
+      evidence: {
+        control_name: check.name,
+        control_category: check.category,
+        score: check.score,
+        max_score: check.maxScore,
+        description: check.description
+      },
+      last_checked: new Date()
+    }));
+  }
+
+  /**
+   * Map coverage to pass/fail status (same thresholds as Secure Score controls)
+   * @param {number} score - Covered count
+   * @param {number} maxScore - Total count
+   * @returns {string} Normalized status
+   */
+  mapCoverageStatus(score, maxScore) {
+    if (!maxScore) return 'unknown';
+    const percentage = (score / maxScore) * 100;
+    if (percentage >= 80) return 'pass';
+    if (percentage >= 50) return 'unknown'; // Partial coverage
+    return 'fail';
+  }
+
+  /**
+   * Normalize Alert Center alert to Risk
+   * @param {Object} alert - Alert Center alert
+   * @param {Object} clientRef - Customer client reference
+   * @returns {Object} Normalized risk
+   */
+  normalizeRisk(alert, clientRef = null) {
+    const severity = alert.metadata?.severity;
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: clientRef,
+      external_id: alert.alertId,
+      risk_type: this.mapAlertToRiskType(alert.type, alert.source),
+      title: alert.type,
+      description: `${alert.source || 'Google Workspace'} alert: ${alert.type}`,
+      likelihood: this.mapSeverity(severity),
+      impact: this.mapSeverity(severity),
+      status: alert.metadata?.status === 'CLOSED' ? 'mitigated' : 'open',
+      detected_at: alert.createTime ? new Date(alert.createTime) : new Date()
+    };
+  }
+
+  /**
+   * Map alert type and source to risk type
+   * @param {string} type - Alert type ('User reported phishing', 'Suspicious login', ...)
+   * @param {string} source - Alert source ('Gmail phishing', 'Google identity', ...)
+   * @returns {string} Risk type
+   */
+  mapAlertToRiskType(type, source) {
+    const text = `${type || ''} ${source || ''}`.toLowerCase();
+    if (/gmail|phish|spam|malware|message/.test(text)) return 'email';
+    if (/login|password|identity|account|government-backed/.test(text)) return 'identity';
+    return 'endpoint';
+  }
+
+  /**
+   * Map Alert Center severity to likelihood/impact
+   * @param {string} severity - 'HIGH', 'MEDIUM' or 'LOW'
+   * @returns {string} Normalized level
+   */
+  mapSeverity(severity) {
+    if (!severity) return 'medium';
+    const lower = severity.toLowerCase();
+    if (lower === 'high') return 'high';
+    if (lower === 'medium') return 'medium';
+    return 'low';
+  }
+}
+
+module.exports = GoogleWorkspaceAdapter;
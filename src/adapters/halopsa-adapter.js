@@ -0,0 +1,385 @@
+const { subDays } = require('date-fns');
+const { BaseAdapter, AdapterError } = require('./base-adapter');
+const { HttpClient, RequestMetrics, pageNumberPagination } = require('./http-client');
+const { extractDomains, mapDeviceType } = require('./normalizers');
+const logger = require('../utils/logger');
+
+const PAGE_SIZE = 100;
+
+// HaloPSA SLA state: 'I' = inside SLA, 'O' = outside (breached)
+const SLA_INSIDE = 'I';
+
+/**
+ * HaloPSA Adapter
+ * Fetches and normalizes clients, sites, contacts, tickets and assets from the HaloPSA API
+ */
+class HaloPSAAdapter extends BaseAdapter {
+  static source = 'halopsa';
+  static label = 'HaloPSA';
+  static entityTypes = ['clients', 'sites', 'contacts', 'tickets', 'devices'];
+  static requiredCredentials = ['clientId', 'clientSecret', 'baseUrl'];
+
+  constructor(config) {
+    super();
+    this.config = config;
+    this.client = null;
+    this.requestMetrics = new RequestMetrics();
+  }
+
+  /**
+   * Authenticate with client credentials and initialize the HTTP client
+   * @param {Object} credentials - HaloPSA API credentials
+   */
+  async initializeClient(credentials) {
+    const baseUrl = credentials.baseUrl.replace(/\/+$/, '');
+    const token = await this.fetchAccessToken(baseUrl, credentials);
+
+    this.client = new HttpClient({
+      vendor: HaloPSAAdapter.source,
+      label: HaloPSAAdapter.label,
+      baseURL: `${baseUrl}/api`,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      metrics: this.requestMetrics
+    });
+  }
+
+  /**
+   * Get an access token for the client credentials grant
+   * @param {string} baseUrl - HaloPSA instance URL (without trailing slash)
+   * @param {Object} credentials - HaloPSA API credentials
+   * @returns {Promise<string>}
+   * @throws {AdapterError} - 401 if HaloPSA rejects the credentials
+   */
+  async fetchAccessToken(baseUrl, credentials) {
+    const authClient = new HttpClient({
+      vendor: HaloPSAAdapter.source,
+      label: HaloPSAAdapter.label,
+      baseURL: baseUrl,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      metrics: this.requestMetrics
+    });
+
+    try {
+      const response = await authClient.request({
+        method: 'post',
+        url: '/auth/token',
+        data: new URLSearchParams({
+          grant_type: 'client_credentials',
+          client_id: credentials.clientId,
+          client_secret: credentials.clientSecret,
+          scope: 'all',
+          ...(credentials.tenant && { tenant: credentials.tenant })
+        }).toString()
+      });
+      return response.data.access_token;
+    } catch (error) {
+      // Rate limits and an open circuit aren't credential problems
+      if (error.name === 'AdapterError') throw error;
+
+      logger.error('Failed to authenticate with HaloPSA', { error: error.message });
+      throw new AdapterError(
+        'HaloPSA authentication failed',
+        error.response?.data?.error_description || error.message,
+        401
+      );
+    }
+  }
+
+  /**
+   * Sync data from HaloPSA
+   * Clients, sites, contacts and assets are always pulled in full (small
+   * lists with no reliable change filter); tickets are pulled incrementally
+   * @param {Object} credentials - API credentials
+   * @param {SyncOptions} options - Delta sync options
+   * @returns {Promise<NormalizedData>}
+   */
+  async sync(credentials, options = {}) {
+    this.validateCredentials(credentials, HaloPSAAdapter.requiredCredentials);
+    await this.initializeClient(credentials);
+
+    const since = options.since || null;
+    logger.info('Starting HaloPSA sync', { since });
+
+    try {
+      // Fetch data in parallel
+      const [clients, sites, contacts, tickets, assets, statuses] = await Promise.all([
+        this.fetchClients(),
+        this.fetchSites(),
+        this.fetchContacts(),
+        this.fetchTickets(since),
+        this.fetchAssets(),
+        this.fetchStatuses()
+      ]);
+
+      logger.info('HaloPSA data fetched', {
+        clients: clients.length,
+        sites: sites.length,
+        contacts: contacts.length,
+        tickets: tickets.length,
+        assets: assets.length
+      });
+
+      const normalized = this.normalizePayload(
+        this.recordPayload({ clients, sites, contacts, tickets, assets, statuses })
+      );
+
+      logger.info('HaloPSA data normalized');
+      return normalized;
+
+    } catch (error) {
+      logger.error('HaloPSA sync failed', { error: error.message });
+
+      if (error.response?.status === 401) {
+        throw new AdapterError(
+          'HaloPSA authentication failed',
+          'Invalid API credentials',
+          401
+        );
+      }
+
+      if (error.name === 'AdapterError') {
+        throw error;
+      }
+
+      throw new AdapterError(
+        'HaloPSA API error',
+        error.message,
+        error.response?.status || 500
+      );
+    }
+  }
+
+  /**
+   * Normalize fetched HaloPSA records (also used to replay an archived sync)
+   * @param {Object} payload - { clients, sites, contacts, tickets, assets, statuses }
+   * @returns {NormalizedData}
+   */
+  normalizePayload({ clients, sites, contacts, tickets, assets, statuses }) {
+    return {
+      clients: clients.map(c => this.normalizeClient(c)),
+      sites: sites.map(s => this.normalizeSite(s)),
+      contacts: contacts.map(c => this.normalizeContact(c)),
+      users: [], // HaloPSA doesn't provide M365 users
+      devices: assets.map(a => this.normalizeDevice(a)),
+      agreements: [],
+      tickets: tickets.map(t => this.normalizeTicket(t, statuses)),
+      controls: [], // HaloPSA doesn't provide compliance controls
+      risks: [], // HaloPSA doesn't directly provide risks
+      recommendations: []
+    };
+  }
+
+  /**
+   * Watermarks are kept per HaloPSA instance
+   * @param {Object} credentials - API credentials
+   * @returns {string} Scope key
+   */
+  getSyncScope(credentials) {
+    return String(credentials?.tenant || credentials?.baseUrl || '*');
+  }
+
+  /**
+   * Fetch every page of a HaloPSA list endpoint
+   * @param {string} endpoint - Endpoint path (e.g. '/Client')
+   * @param {string} key - Response property holding the records (e.g. 'clients')
+   * @param {Object} params - Additional query parameters
+   * @returns {Promise<Array>}
+   */
+  async fetchAll(endpoint, key, params = {}) {
+    return this.client.fetchAll(endpoint, {
+      params: { ...params, pageinate: true },
+      pagination: pageNumberPagination({
+        pageSize: PAGE_SIZE,
+        pageParam: 'page_no',
+        sizeParam: 'page_size',
+        itemsKey: key,
+        totalKey: 'record_count'
+      })
+    });
+  }
+
+  /**
+   * Fetch active clients from HaloPSA
+   * @returns {Promise<Array>}
+   */
+  async fetchClients() {
+    return this.fetchAll('/Client', 'clients', { includeinactive: false });
+  }
+
+  /**
+   * Fetch client sites from HaloPSA
+   * @returns {Promise<Array>}
+   */
+  async fetchSites() {
+    return this.fetchAll('/Site', 'sites', { includeinactive: false });
+  }
+
+  /**
+   * Fetch end users (contacts) from HaloPSA
+   * @returns {Promise<Array>}
+   */
+  async fetchContacts() {
+    return this.fetchAll('/Users', 'users', { includeinactive: false });
+  }
+
+  /**
+   * Fetch tickets from HaloPSA (last 90 days, or updated since the watermark)
+   * @param {Date|null} since - Only fetch records changed after this time
+   * @returns {Promise<Array>}
+   */
+  async fetchTickets(since = null) {
+    return this.fetchAll('/Tickets', 'tickets', {
+      datesearch: since ? 'lastactiondate' : 'dateoccurred',
+      startdate: (since || subDays(new Date(), 90)).toISOString(),
+      includeclosed: true
+    });
+  }
+
+  /**
+   * Fetch assets (devices) from HaloPSA
+   * @returns {Promise<Array>}
+   */
+  async fetchAssets() {
+    return this.fetchAll('/Asset', 'assets', { includeinactive: false });
+  }
+
+  /**
+   * Fetch ticket status names keyed by ID
+   * @returns {Promise<Map<number, Object>>}
+   */
+  async fetchStatuses() {
+    const response = await this.client.get('/Status');
+    return new Map((response.data || []).map(s => [s.id, s]));
+  }
+
+  /**
+   * Build the client reference used to resolve a record's owning client
+   * @param {Object} item - HaloPSA record with client_id/client_name
+   * @returns {Object|null} Client reference
+   */
+  buildClientRef(item) {
+    if (!item?.client_id) return null;
+    return {
+      external_id: item.client_id.toString(),
+      name: item.client_name || null
+    };
+  }
+
+  /**
+   * Normalize HaloPSA client to Client
+   * @param {Object} client - HaloPSA client object
+   * @returns {Object} Normalized client
+   */
+  normalizeClient(client) {
+    return {
+      external_id: client.id.toString(),
+      source: 'halopsa',
+      name: client.name,
+      segment: null, // Will be set manually
+      mrr: null,
+      agreement_start: null,
+      agreement_end: null,
+      domains: extractDomains(client.website)
+    };
+  }
+
+  /**
+   * Normalize HaloPSA site
+   * @param {Object} site - HaloPSA site object
+   * @returns {Object} Normalized site
+   */
+  normalizeSite(site) {
+    const address = site.delivery_address || {};
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(site),
+      external_id: site.id.toString(),
+      name: site.name,
+      address: [
+        address.line1,
+        address.line2,
+        address.line3,
+        address.line4,
+        address.postcode
+      ].filter(Boolean).join(', ')
+    };
+  }
+
+  /**
+   * Normalize HaloPSA end user to Contact
+   * @param {Object} user - HaloPSA user object
+   * @returns {Object} Normalized contact
+   */
+  normalizeContact(user) {
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(user),
+      external_id: user.id.toString(),
+      name: user.name || null,
+      role: user.jobtitle || null,
+      email: user.emailaddress || null,
+      phone: user.phonenumber || null
+    };
+  }
+
+  /**
+   * Normalize HaloPSA asset to Device
+   * @param {Object} asset - HaloPSA asset object
+   * @returns {Object} Normalized device
+   */
+  normalizeDevice(asset) {
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(asset),
+      site_id: null,
+      external_id: asset.id.toString(),
+      name: asset.key_field || asset.inventory_number || null,
+      type: mapDeviceType(asset.assettype_name),
+      os: asset.operating_system || null,
+      managed: true, // Assume managed if in HaloPSA
+      health_status: 'healthy', // Default, would need more data
+      last_seen: asset.last_seen ? new Date(asset.last_seen) : null
+    };
+  }
+
+  /**
+   * Normalize HaloPSA ticket
+   * @param {Object} ticket - HaloPSA ticket object
+   * @param {Map<number, Object>} statuses - Ticket statuses keyed by ID
+   * @returns {Object} Normalized ticket
+   */
+  normalizeTicket(ticket, statuses = new Map()) {
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(ticket),
+      external_id: ticket.id.toString(),
+      category: ticket.tickettype_name || ticket.category_1 || 'Unknown',
+      priority: ticket.priority_name || (ticket.priority_id ? `P${ticket.priority_id}` : 'Normal'),
+      status: statuses.get(ticket.status_id)?.name || 'Unknown',
+      hours_spent: ticket.timetaken || 0,
+      sla_met: this.mapSlaMet(ticket),
+      sla_hold: ticket.onhold === true,
+      reopen_count: ticket.reopened_count ?? (ticket.reopened ? 1 : 0),
+      csat_score: null, // Feedback is a separate endpoint
+      created_date: ticket.dateoccurred ? new Date(ticket.dateoccurred) : null,
+      closed_date: ticket.dateclosed ? new Date(ticket.dateclosed) : null
+    };
+  }
+
+  /**
+   * Whether a ticket met its SLA (both response and resolution inside target)
+   * @param {Object} ticket - HaloPSA ticket object
+   * @returns {boolean|null} Null when the ticket has no SLA
+   */
+  mapSlaMet(ticket) {
+    if (!ticket.sla_id) return null;
+    const responseMet = !ticket.slaresponsestate || ticket.slaresponsestate === SLA_INSIDE;
+    const fixMet = !ticket.slastate || ticket.slastate === SLA_INSIDE;
+    return responseMet && fixMet;
+  }
+}
+
+module.exports = HaloPSAAdapter;
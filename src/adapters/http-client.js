@@ -0,0 +1,431 @@
+const axios = require('axios');
+const config = require('../config');
+const { AdapterError } = require('./base-adapter');
+const logger = require('../utils/logger');
+
+/**
+ * Vendor HTTP Client
+ * Shared request layer for adapters, wrapping an axios instance with:
+ * - per-vendor concurrency limits (requests over the limit wait for a slot)
+ * - retries of 429s, 502-504s and network errors, honouring Retry-After and
+ *   otherwise backing off exponentially
+ * - a per-vendor circuit breaker: after HTTP_BREAKER_THRESHOLD consecutive failed
+ *   requests, requests fail fast until a probe request succeeds
+ * - request metrics, collected per sync (see BaseAdapter.getRequestMetrics())
+ * - pagination (pageNumberPagination, nextLinkPagination)
+ *
+ * Concurrency slots and circuit state are per vendor and shared by every client
+ * in the process, so concurrent syncs of one vendor respect the same limits.
+ */
+
+// Concurrent requests per vendor unless the adapter or HTTP_CONCURRENCY sets one
+const DEFAULT_CONCURRENCY = 4;
+
+// First exponential backoff step when the vendor sends no Retry-After
+const BASE_RETRY_DELAY_MS = 1000;
+
+// Statuses worth retrying: rate limited, or the vendor (or its gateway) briefly unavailable
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// Only requests that are safe to repeat are retried after a 5xx or network error
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Stop following pages after this many (a vendor that keeps linking to a next page)
+const MAX_PAGES = 10000;
+
+// Concurrency slots and circuit breaker, by vendor
+const vendors = new Map();
+
+/**
+ * Get a vendor's shared state
+ * @param {string} vendor - Vendor key (adapter source)
+ * @returns {Object}
+ */
+function getVendorState(vendor) {
+  if (!vendors.has(vendor)) {
+    vendors.set(vendor, {
+      active: 0,
+      waiting: [],
+      failures: 0, // Consecutive failed requests
+      openedAt: null, // When the circuit opened (null = closed)
+      probing: false // A request is testing whether the vendor has recovered
+    });
+  }
+  return vendors.get(vendor);
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} Delay in ms, or null if absent or unparseable
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds) * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed request counts against the vendor's circuit
+ * Client errors (401, 404, ...) mean the vendor is up, so they don't
+ * @param {Error} error - Request error
+ * @returns {boolean}
+ */
+function isVendorFailure(error) {
+  const status = error.response?.status ?? (error.name === 'AdapterError' ? error.statusCode : null);
+  return status === null || status === 429 || status >= 500;
+}
+
+/**
+ * Counters for the requests made with one or more clients (typically one sync)
+ */
+class RequestMetrics {
+  constructor() {
+    this.requests = 0; // Attempts sent, including retries
+    this.retries = 0;
+    this.rate_limited = 0; // 429 responses
+    this.failed = 0; // Requests that failed after any retries
+    this.rejected = 0; // Requests refused by an open circuit
+    this.queued = 0; // Requests that waited for a concurrency slot
+    this.circuit_opened = 0;
+    this.duration_ms = 0;
+    this.max_duration_ms = 0;
+    this.statuses = {}; // Responses by HTTP status ('error' = no response)
+  }
+
+  /**
+   * Count one attempt
+   * @param {number|null} status - Response status (null if none)
+   * @param {number} durationMs - Time to response or failure
+   */
+  recordAttempt(status, durationMs) {
+    const key = status ?? 'error';
+    this.requests++;
+    this.statuses[key] = (this.statuses[key] || 0) + 1;
+    this.duration_ms += durationMs;
+    this.max_duration_ms = Math.max(this.max_duration_ms, durationMs);
+    if (status === 429) this.rate_limited++;
+  }
+
+  /**
+   * Serializable snapshot (recorded on the sync run)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      requests: this.requests,
+      retries: this.retries,
+      rate_limited: this.rate_limited,
+      failed: this.failed,
+      rejected: this.rejected,
+      queued: this.queued,
+      circuit_opened: this.circuit_opened,
+      avg_duration_ms: this.requests ? Math.round(this.duration_ms / this.requests) : 0,
+      max_duration_ms: this.max_duration_ms,
+      statuses: { ...this.statuses }
+    };
+  }
+}
+
+class HttpClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.vendor - Vendor key the limits and circuit are shared under (adapter source)
+   * @param {string} options.label - Vendor name used in errors and logs
+   * @param {string} options.baseURL - API base URL
+   * @param {Object} options.headers - Headers sent with every request
+   * @param {Function} options.getAuthHeaders - Resolves to per-request auth headers (e.g. a refreshed bearer token)
+   * @param {Function} options.paramsSerializer - Query string serializer (axios default when unset)
+   * @param {number} options.timeout - Per-attempt timeout in ms
+   * @param {number} options.concurrency - Default concurrent requests for the vendor (HTTP_CONCURRENCY overrides)
+   * @param {RequestMetrics} options.metrics - Counters to add to (shared across clients of one sync)
+   */
+  constructor({
+    vendor, label = vendor, baseURL, headers = {}, getAuthHeaders = null, paramsSerializer,
+    timeout = 30000, concurrency = DEFAULT_CONCURRENCY, metrics = new RequestMetrics()
+  }) {
+    this.vendor = vendor;
+    this.label = label;
+    this.getAuthHeaders = getAuthHeaders;
+    this.concurrency = config.http.concurrency[vendor] || concurrency;
+    this.metrics = metrics;
+    this.state = getVendorState(vendor);
+    this.axios = axios.create({
+      baseURL,
+      headers,
+      timeout,
+      ...(paramsSerializer && { paramsSerializer: { serialize: paramsSerializer } })
+    });
+  }
+
+  /**
+   * GET a URL (relative to the base URL, or absolute)
+   * @param {string} url - URL
+   * @param {Object} requestConfig - Extra axios request config (params, headers, ...)
+   * @returns {Promise<Object>} axios response
+   */
+  async get(url, requestConfig = {}) {
+    return this.request({ ...requestConfig, method: 'get', url });
+  }
+
+  /**
+   * Send a request through the vendor's concurrency limit and circuit, retrying when worthwhile
+   * @param {Object} requestConfig - axios request config
+   * @returns {Promise<Object>} axios response
+   * @throws {AdapterError} - 503 if the vendor's circuit is open, 429 if still rate limited after retrying
+   * @throws {Error} - The axios error of the last attempt for other failures
+   */
+  async request(requestConfig) {
+    const method = (requestConfig.method || 'get').toLowerCase();
+    const authHeaders = this.getAuthHeaders ? await this.getAuthHeaders() : {};
+    this.enterCircuit();
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+      const startedAt = Date.now();
+      let response;
+      let error;
+
+      try {
+        response = await this.axios.request({
+          ...requestConfig,
+          headers: { ...requestConfig.headers, ...authHeaders }
+        });
+      } catch (requestError) {
+        error = requestError;
+      } finally {
+        // Released before any retry wait, so waiting requests aren't held up
+        this.release();
+      }
+
+      const status = error ? error.response?.status ?? null : response.status;
+      this.metrics.recordAttempt(status, Date.now() - startedAt);
+
+      if (!error) {
+        this.recordOutcome(false);
+        return response;
+      }
+
+      const delay = this.getRetryDelay(error, method, attempt);
+      if (delay === null) {
+        const failure = this.toFinalError(error, attempt);
+        this.metrics.failed++;
+        this.recordOutcome(isVendorFailure(failure));
+        throw failure;
+      }
+
+      this.metrics.retries++;
+      logger.warn(`${this.label} request failed (${status ?? error.code ?? error.message}), retrying in ${Math.ceil(delay / 1000)}s`, {
+        url: requestConfig.url,
+        attempt: attempt + 1
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Fetch every page of a collection
+   * @param {string} url - First page URL
+   * @param {Object} options - Paging options
+   * @param {Object} options.pagination - Paging strategy (pageNumberPagination, nextLinkPagination)
+   * @param {Object} options.params - Query params for the first page
+   * @returns {Promise<Array>} Records from every page
+   */
+  async fetchAll(url, { pagination, params = {}, ...requestConfig }) {
+    const records = [];
+    let request = { url, params: pagination.first(params) };
+
+    for (let page = 1; request; page++) {
+      if (page > MAX_PAGES) {
+        throw new AdapterError(`${this.label} API error`, `${url} returned more than ${MAX_PAGES} pages`, 502);
+      }
+
+      const response = await this.get(request.url, { ...requestConfig, params: request.params });
+      records.push(...pagination.items(response));
+      request = pagination.next(response, request);
+    }
+
+    return records;
+  }
+
+  /**
+   * Decide whether to retry a failed attempt
+   * @param {Error} error - axios error
+   * @param {string} method - Request method
+   * @param {number} attempt - Attempts made before this one
+   * @returns {number|null} Delay before retrying in ms, or null to give up
+   */
+  getRetryDelay(error, method, attempt) {
+    if (axios.isCancel(error) || attempt >= config.http.maxRetries) return null;
+
+    const status = error.response?.status;
+    if (status !== 429) {
+      const retryable = status === undefined ? Boolean(error.request) : RETRYABLE_STATUSES.includes(status);
+      if (!retryable || !IDEMPOTENT_METHODS.includes(method)) return null;
+    }
+
+    const maxDelay = config.http.maxRetryDelaySeconds * 1000;
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      // Waiting longer than this would stall the whole sync; fail and let the next run pick it up
+      return retryAfter <= maxDelay ? retryAfter : null;
+    }
+
+    // Exponential backoff with full jitter: up to 1s, 2s, 4s, ...
+    return Math.min(maxDelay, Math.random() * BASE_RETRY_DELAY_MS * 2 ** attempt);
+  }
+
+  /**
+   * Error to throw once a request won't be retried
+   * @param {Error} error - axios error of the last attempt
+   * @param {number} attempt - Attempts made before the last one
+   * @returns {Error}
+   */
+  toFinalError(error, attempt) {
+    if (error.response?.status !== 429) return error;
+
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    const details = retryAfter !== null && retryAfter > config.http.maxRetryDelaySeconds * 1000
+      ? `Retry-After of ${Math.ceil(retryAfter / 1000)}s exceeds HTTP_MAX_RETRY_DELAY_SECONDS (${config.http.maxRetryDelaySeconds}s)`
+      : `Still rate limited after ${attempt + 1} attempts`;
+
+    return new AdapterError(`${this.label} rate limit exceeded`, details, 429);
+  }
+
+  /**
+   * Take a concurrency slot, waiting for one if the vendor is at its limit
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    if (this.state.active < this.concurrency) {
+      this.state.active++;
+    } else {
+      this.metrics.queued++;
+      // release() hands its slot straight to the next waiting request
+      await new Promise(resolve => this.state.waiting.push(resolve));
+    }
+  }
+
+  /**
+   * Give up a concurrency slot
+   */
+  release() {
+    const next = this.state.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.state.active--;
+    }
+  }
+
+  /**
+   * Fail fast while the vendor's circuit is open
+   * Once the cooldown has passed, one request is let through to probe the vendor
+   * @throws {AdapterError} - 503 if the circuit is open
+   */
+  enterCircuit() {
+    const { state } = this;
+    if (state.openedAt === null) return;
+
+    const retryAt = state.openedAt + config.http.breakerCooldownSeconds * 1000;
+    if (Date.now() >= retryAt && !state.probing) {
+      state.probing = true;
+      return;
+    }
+
+    this.metrics.rejected++;
+    throw new AdapterError(
+      `${this.label} is unavailable`,
+      `Circuit open after ${state.failures} consecutive failed requests; retrying after ${new Date(retryAt).toISOString()}`,
+      503
+    );
+  }
+
+  /**
+   * Update the vendor's circuit with a request's outcome
+   * @param {boolean} failed - The request failed in a way that counts against the vendor
+   */
+  recordOutcome(failed) {
+    const { state } = this;
+
+    if (!failed) {
+      if (state.openedAt !== null) {
+        logger.info(`${this.label} circuit closed`);
+      }
+      state.failures = 0;
+      state.openedAt = null;
+      state.probing = false;
+      return;
+    }
+
+    state.failures++;
+    if (state.probing || (state.openedAt === null && state.failures >= config.http.breakerThreshold)) {
+      logger.warn(`${this.label} circuit opened after ${state.failures} consecutive failed requests`);
+      state.openedAt = Date.now();
+      state.probing = false;
+      this.metrics.circuit_opened++;
+    }
+  }
+}
+
+/**
+ * Page through ?page=N&pageSize=M collections
+ * Pages are followed while the Link header offers a next page, or a page comes back full
+ * (and, when the body reports a total, until that many records have been read)
+ * @param {Object} options - Paging options
+ * @param {number} options.pageSize - Records per page
+ * @param {string} options.pageParam - Page number parameter
+ * @param {string} options.sizeParam - Page size parameter
+ * @param {string} options.itemsKey - Body property holding the page's records (the body itself when unset)
+ * @param {string} options.totalKey - Body property holding the collection's total record count
+ * @returns {Object} Paging strategy for fetchAll()
+ */
+function pageNumberPagination({ pageSize, pageParam = 'page', sizeParam = 'pageSize', itemsKey = null, totalKey = null }) {
+  const getItems = response => (itemsKey ? response.data?.[itemsKey] : response.data) || [];
+
+  return {
+    first: params => ({ ...params, [sizeParam]: pageSize, [pageParam]: 1 }),
+    items: getItems,
+    next: (response, request) => {
+      const count = getItems(response).length;
+      const hasNext = /rel="next"/.test(response.headers?.link || '');
+      if (count === 0 || (!hasNext && count < pageSize)) return null;
+
+      const total = totalKey ? response.data?.[totalKey] : null;
+      if (typeof total === 'number' && request.params[pageParam] * pageSize >= total) return null;
+
+      return { url: request.url, params: { ...request.params, [pageParam]: request.params[pageParam] + 1 } };
+    }
+  };
+}
+
+/**
+ * Follow a next-page link in the response body (e.g. OData's @odata.nextLink)
+ * The link carries the whole query, so later pages are requested without params
+ * @param {Object} options - Paging options
+ * @param {string} options.itemsKey - Body property holding the page's records
+ * @param {string} options.linkKey - Body property holding the next page's URL
+ * @param {Function} options.rewriteLink - Maps a next link before it is requested
+ * @returns {Object} Paging strategy for fetchAll()
+ */
+function nextLinkPagination({ itemsKey = 'value', linkKey = '@odata.nextLink', rewriteLink = link => link } = {}) {
+  return {
+    first: params => params,
+    items: response => response.data?.[itemsKey] || [],
+    next: (response) => {
+      const link = response.data?.[linkKey];
+      return link ? { url: rewriteLink(link), params: undefined } : null;
+    }
+  };
+}
+
+module.exports = {
+  HttpClient,
+  RequestMetrics,
+  pageNumberPagination,
+  nextLinkPagination
+};
@@ -1,50 +1,64 @@
-const axios = require('axios');
 const { BaseAdapter, AdapterError } = require('./base-adapter');
+const { HttpClient, RequestMetrics } = require('./http-client');
 const logger = require('../utils/logger');
 
+// Concurrent requests (Immy.Bot instances are single-tenant and easily overloaded)
+const CONCURRENCY = 2;
+
 /**
  * Immy.Bot Adapter
  * Fetches and normalizes compliance data from Immy.Bot API
  */
 class ImmyAdapter extends BaseAdapter {
+  static source = 'immy';
+  static label = 'Immy.Bot';
+  static entityTypes = ['devices', 'controls'];
+  static requiredCredentials = ['apiKey', 'baseUrl'];
+
   constructor(config) {
     super();
     this.config = config;
     this.client = null;
+    this.requestMetrics = new RequestMetrics();
   }
 
   /**
-   * Initialize axios client with Immy.Bot credentials
+   * Initialize the HTTP client with Immy.Bot credentials
    * @param {Object} credentials - Immy.Bot API credentials
    */
   initializeClient(credentials) {
-    this.client = axios.create({
+    this.client = new HttpClient({
+      vendor: ImmyAdapter.source,
+      label: ImmyAdapter.label,
       baseURL: credentials.baseUrl,
       headers: {
         'Authorization': `Bearer ${credentials.apiKey}`,
         'Content-Type': 'application/json'
       },
-      timeout: 30000
+      concurrency: CONCURRENCY,
+      metrics: this.requestMetrics
     });
   }
 
   /**
    * Sync data from Immy.Bot
    * @param {Object} credentials - API credentials
+   * @param {SyncOptions} options - Delta sync options
    * @returns {Promise<NormalizedData>}
    */
-  async sync(credentials) {
-    this.validateCredentials(credentials, ['apiKey', 'baseUrl']);
+  async sync(credentials, options = {}) {
+    this.validateCredentials(credentials, ImmyAdapter.requiredCredentials);
     this.initializeClient(credentials);
 
-    logger.info('Starting Immy.Bot sync');
+    const since = options.since || null;
+    logger.info('Starting Immy.Bot sync', { since });
 
     try {
       // Fetch data
       const [computers, baselines, complianceReports] = await Promise.all([
-        this.fetchComputers(),
+        this.fetchComputers(since),
         this.fetchBaselines(),
-        this.fetchComplianceReports()
+        this.fetchComplianceReports(since)
       ]);
 
       logger.info('Immy.Bot data fetched', {
@@ -53,19 +67,9 @@ class ImmyAdapter extends BaseAdapter {
         complianceReports: complianceReports.length
       });
 
-      // Normalize data
-      const normalized = {
-        clients: [], // Immy doesn't provide client data, devices will be matched to existing clients
-        sites: [],
-        contacts: [],
-        users: [],
-        devices: computers.map(c => this.normalizeDevice(c)),
-        agreements: [],
-        tickets: [],
-        controls: complianceReports.map(r => this.normalizeControl(r)),
-        risks: [],
-        recommendations: []
-      };
+      const normalized = this.normalizePayload(
+        this.recordPayload({ computers, baselines, complianceReports })
+      );
 
       logger.info('Immy.Bot data normalized');
       return normalized;
@@ -93,20 +97,44 @@ class ImmyAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Normalize fetched Immy.Bot records (also used to replay an archived sync)
+   * @param {Object} payload - { computers, baselines, complianceReports }
+   * @returns {NormalizedData}
+   */
+  normalizePayload({ computers, complianceReports }) {
+    // Compliance reports only reference a computer, so look up its tenant
+    const computersById = new Map(
+      computers.map(c => [(c.id ?? c.computerId)?.toString(), c])
+    );
+
+    return {
+      clients: [], // Immy doesn't provide client data, devices will be matched to existing clients
+      sites: [],
+      contacts: [],
+      users: [],
+      devices: computers.map(c => this.normalizeDevice(c)),
+      agreements: [],
+      tickets: [],
+      controls: complianceReports.map(r =>
+        this.normalizeControl(r, computersById.get(r.computerId?.toString()))
+      ),
+      risks: [],
+      recommendations: []
+    };
+  }
+
   /**
    * Fetch computers from Immy.Bot
+   * @param {Date|null} since - Only return computers changed after this time
    * @returns {Promise<Array>}
    */
-  async fetchComputers() {
-    try {
-      const response = await this.client.get('/computers');
-      return response.data;
-    } catch (error) {
-      // If endpoint doesn't exist, try alternative
-      logger.warn('Immy.Bot /computers endpoint failed, trying /devices');
-      const response = await this.client.get('/devices');
-      return response.data;
+  async fetchComputers(since = null) {
+    const computers = await this.fetchFromFirstAvailable(['/computers', '/devices'], this.buildSinceParams(since));
+    if (!computers) {
+      throw new AdapterError('Immy.Bot API error', 'Neither /computers nor /devices exists (check IMMY_BASE_URL)', 404);
     }
+    return this.filterChangedSince(computers, since, c => c.updatedDate || c.lastSeen);
   }
 
   /**
@@ -125,23 +153,65 @@ class ImmyAdapter extends BaseAdapter {
 
   /**
    * Fetch compliance reports from Immy.Bot
+   * Instances without compliance reports (or drift reports) report none
+   * @param {Date|null} since - Only return reports checked after this time
    * @returns {Promise<Array>}
    */
-  async fetchComplianceReports() {
-    try {
-      const response = await this.client.get('/compliance/reports');
-      return response.data;
-    } catch (error) {
-      // Try alternative endpoint
-      logger.warn('Immy.Bot compliance reports endpoint failed, trying /drift-reports');
+  async fetchComplianceReports(since = null) {
+    const reports = await this.fetchFromFirstAvailable(['/compliance/reports', '/drift-reports'], this.buildSinceParams(since));
+    if (!reports) {
+      logger.warn('Immy.Bot has neither compliance nor drift reports');
+      return [];
+    }
+    return this.filterChangedSince(reports, since, r => r.lastChecked);
+  }
+
+  /**
+   * GET the first of several equivalent endpoints the instance has
+   * Endpoint names differ between Immy.Bot versions; only a 404 moves on to the
+   * next one, so auth, rate limit and server errors still fail the sync
+   * @param {Array<string>} paths - Endpoints, preferred first
+   * @param {Object|undefined} params - Query params
+   * @returns {Promise<*>} Response body, or null if none of the endpoints exist
+   */
+  async fetchFromFirstAvailable(paths, params) {
+    for (const path of paths) {
       try {
-        const response = await this.client.get('/drift-reports');
+        const response = await this.client.get(path, { params });
         return response.data;
-      } catch (error2) {
-        logger.warn('Immy.Bot drift reports also failed', { error: error2.message });
-        return [];
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        logger.warn(`Immy.Bot ${path} endpoint not found`);
       }
     }
+    return null;
+  }
+
+  /**
+   * Build query params limiting results to records changed since a watermark
+   * @param {Date|null} since - Watermark
+   * @returns {Object|undefined}
+   */
+  buildSinceParams(since) {
+    return since ? { updatedSince: since.toISOString() } : undefined;
+  }
+
+  /**
+   * Drop records unchanged since the watermark
+   * Older Immy.Bot instances ignore updatedSince and return everything,
+   * so results are filtered again before normalization
+   * @param {Array} records - Immy.Bot records
+   * @param {Date|null} since - Watermark
+   * @param {Function} getTimestamp - Returns the record's change timestamp
+   * @returns {Array}
+   */
+  filterChangedSince(records, since, getTimestamp) {
+    if (!since || !Array.isArray(records)) return records;
+    return records.filter(record => {
+      const timestamp = getTimestamp(record);
+      // Keep records without a timestamp rather than silently skipping them
+      return !timestamp || new Date(timestamp) > since;
+    });
   }
 
   /**
@@ -151,7 +221,8 @@ class ImmyAdapter extends BaseAdapter {
    */
   normalizeDevice(computer) {
     return {
-      client_id: null, // Will be matched by serial number or name
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(computer),
       site_id: null,
       external_id: computer.id?.toString() || computer.computerId?.toString(),
       name: computer.name || computer.computerName,
@@ -190,14 +261,29 @@ class ImmyAdapter extends BaseAdapter {
     return 'healthy';
   }
 
+  /**
+   * Build the client reference used to resolve a record's owning client
+   * @param {Object} item - Immy.Bot object carrying tenantId/tenantName
+   * @returns {Object|null} Client reference
+   */
+  buildClientRef(item) {
+    if (!item?.tenantId) return null;
+    return {
+      external_id: item.tenantId.toString(),
+      name: item.tenantName
+    };
+  }
+
   /**
    * Normalize Immy.Bot compliance report to Control
    * @param {Object} report - Immy.Bot compliance report
+   * @param {Object} computer - Optional computer the report belongs to
    * @returns {Object} Normalized control
    */
-  normalizeControl(report) {
+  normalizeControl(report, computer = null) {
     return {
-      client_id: null, // Will be matched to device's client
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(report.tenantId ? report : computer),
       external_id: report.id?.toString() || `${report.computerId}-${report.baselineId}`,
       control_type: 'immy_baseline',
       status: this.mapComplianceStatus(report.status || report.compliant),
@@ -0,0 +1,393 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const Joi = require('joi');
+const { BaseAdapter, AdapterError } = require('./base-adapter');
+const { getColumnAliases } = require('./import-templates');
+const logger = require('../utils/logger');
+
+// Entity types a file can contain (one per file)
+const IMPORT_ENTITIES = ['clients', 'devices', 'users', 'tickets', 'controls'];
+
+// Row errors beyond this many are summarized rather than recorded one by one
+const MAX_ROW_ERRORS = 100;
+
+const bool = () => Joi.boolean()
+  .truthy('yes', 'y', '1', 'enabled', 'active', 'on')
+  .falsy('no', 'n', '0', 'disabled', 'inactive', 'off');
+
+const clientColumns = {
+  client: Joi.string().trim().max(255),
+  client_domain: Joi.string().trim().lowercase().max(255)
+};
+
+/**
+ * Row schemas per entity, applied after column mapping
+ */
+const ROW_SCHEMAS = {
+  clients: Joi.object({
+    external_id: Joi.string().trim().max(255).required(),
+    name: Joi.string().trim().max(255).required(),
+    domains: Joi.string().trim(),
+    segment: Joi.string().trim().uppercase().valid('A', 'B', 'C', 'D')
+  }),
+  devices: Joi.object({
+    ...clientColumns,
+    external_id: Joi.string().trim().max(255),
+    name: Joi.string().trim().max(255).required(),
+    type: Joi.string().trim().lowercase().valid('endpoint', 'server', 'network'),
+    os: Joi.string().trim().max(100),
+    serial_number: Joi.string().trim().max(100),
+    managed: bool(),
+    health_status: Joi.string().trim().lowercase().valid('healthy', 'warning', 'critical'),
+    last_seen: Joi.date()
+  }),
+  users: Joi.object({
+    ...clientColumns,
+    external_id: Joi.string().trim().max(255),
+    email: Joi.string().trim().lowercase().email({ tlds: false }).required(),
+    upn: Joi.string().trim().max(255),
+    account_enabled: bool(),
+    mfa_enabled: bool(),
+    risk_level: Joi.string().trim().lowercase().valid('none', 'low', 'medium', 'high'),
+    last_sign_in: Joi.date()
+  }),
+  tickets: Joi.object({
+    ...clientColumns,
+    external_id: Joi.string().trim().max(255).required(),
+    category: Joi.string().trim().max(100),
+    priority: Joi.string().trim().max(20),
+    status: Joi.string().trim().max(50),
+    hours_spent: Joi.number().min(0).max(999),
+    sla_met: bool(),
+    reopen_count: Joi.number().integer().min(0),
+    csat_score: Joi.number().integer().min(1).max(5),
+    created_date: Joi.date().required(),
+    closed_date: Joi.date()
+  }),
+  controls: Joi.object({
+    ...clientColumns,
+    external_id: Joi.string().trim().max(255).required(),
+    name: Joi.string().trim(),
+    control_type: Joi.string().trim().max(100),
+    status: Joi.string().trim().lowercase().valid('pass', 'fail', 'unknown').required(),
+    description: Joi.string().trim(),
+    last_checked: Joi.date()
+  })
+};
+
+/**
+ * File Import Adapter
+ * Reads clients, devices, users, tickets or controls from an uploaded CSV or
+ * XLSX file (POST /sync/import) for clients whose data only exists in
+ * spreadsheets. Headers are mapped to fields by a column template, rows
+ * that fail validation are skipped and reported, and the rest go through the
+ * same persistence path as vendor syncs.
+ */
+class ImportAdapter extends BaseAdapter {
+  static source = 'import';
+  static label = 'File import';
+  static entityTypes = IMPORT_ENTITIES;
+  static schedulable = false; // Every run needs an uploaded file
+
+  constructor(config) {
+    super();
+    this.config = config;
+  }
+
+  /**
+   * Parse, map and validate an uploaded file
+   * @param {Object} credentials - Unused (files carry their own data)
+   * @param {SyncOptions} options - Must include `file`
+   * @returns {Promise<NormalizedData>}
+   */
+  async sync(credentials, options = {}) {
+    const file = options.file;
+    if (!file?.content?.length) {
+      throw new AdapterError('No file to import', 'Upload a CSV or XLSX file to POST /sync/import', 400);
+    }
+    if (!IMPORT_ENTITIES.includes(file.entity)) {
+      throw new AdapterError('Unsupported import entity', `Supported entities: ${IMPORT_ENTITIES.join(', ')}`, 400);
+    }
+
+    const aliases = getColumnAliases(file.template || 'default', file.entity);
+    if (!aliases) {
+      throw new AdapterError('Unknown import template', `Template "${file.template}" does not exist`, 400);
+    }
+
+    logger.info('Starting file import', { entity: file.entity, format: file.format, template: file.template });
+
+    const { headers, rows } = await this.readRows(file);
+    const columns = this.mapColumns(headers, aliases, file.mapping || {});
+
+    const records = [];
+    const rowErrors = [];
+
+    for (const { rowNumber, values } of rows) {
+      const raw = {};
+      for (const [field, index] of Object.entries(columns)) {
+        const value = values[index];
+        if (value !== null && value !== undefined && String(value).trim() !== '') {
+          // Spreadsheet numbers (IDs, serials) are validated as text where a field expects text
+          raw[field] = typeof value === 'number' ? String(value) : value;
+        }
+      }
+
+      const { error, value } = ROW_SCHEMAS[file.entity].validate(raw, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        rowErrors.push(...error.details.map(d => ({ row: rowNumber, field: d.path.join('.'), message: d.message })));
+        continue;
+      }
+
+      const clientRef = file.entity === 'clients' ? null : this.buildClientRef(value, file.clientId);
+      if (file.entity !== 'clients' && !clientRef) {
+        rowErrors.push({ row: rowNumber, field: 'client', message: '"client" is required unless client_id is given' });
+        continue;
+      }
+
+      records.push(this.normalize(file.entity, value, clientRef));
+    }
+
+    logger.info('File import parsed', { rows: rows.length, valid: records.length, errors: rowErrors.length });
+
+    if (records.length === 0) {
+      throw new AdapterError(
+        'No valid rows to import',
+        rows.length === 0 ? 'The file has no data rows' : rowErrors.slice(0, MAX_ROW_ERRORS),
+        422
+      );
+    }
+
+    const normalized = {
+      clients: [],
+      devices: [],
+      users: [],
+      tickets: [],
+      controls: [],
+      risks: [],
+      recommendations: [],
+      warnings: rowErrors.slice(0, MAX_ROW_ERRORS).map(e => ({
+        message: `Row ${e.row}: ${e.message}`,
+        details: e
+      }))
+    };
+    normalized[file.entity] = records;
+
+    // Rejected rows may be records that still exist, so they must not be retired
+    if (rowErrors.length > 0) {
+      normalized.partial = true;
+    }
+
+    if (rowErrors.length > MAX_ROW_ERRORS) {
+      normalized.warnings.push({ message: `${rowErrors.length - MAX_ROW_ERRORS} more row errors not shown` });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Imports have no vendor account, so they share one scope
+   * @param {Object} credentials - Unused
+   * @returns {string} Scope key
+   */
+  getSyncScope(credentials) {
+    return '*';
+  }
+
+  /**
+   * Read the first worksheet (or the CSV) into a header row and data rows
+   * @param {Object} file - Uploaded file ({ content, format })
+   * @returns {Promise<{headers: Array<string>, rows: Array<{rowNumber: number, values: Array}>}>}
+   */
+  async readRows(file) {
+    const workbook = new ExcelJS.Workbook();
+    let sheet;
+
+    try {
+      if (file.format === 'xlsx') {
+        await workbook.xlsx.load(file.content);
+        sheet = workbook.worksheets[0];
+      } else {
+        // Keep CSV values as text; the row schemas do the type conversion
+        sheet = await workbook.csv.read(Readable.from([file.content]), { map: value => value });
+      }
+    } catch (error) {
+      throw new AdapterError(`Could not read ${file.format.toUpperCase()} file`, error.message, 400);
+    }
+
+    const rows = [];
+    let headers = null;
+
+    sheet?.eachRow((row, rowNumber) => {
+      // row.values is 1-indexed
+      const values = row.values.slice(1).map(v => this.cellValue(v));
+      if (!headers) {
+        headers = values.map(v => (v === null || v === undefined ? '' : String(v).replace(/^\uFEFF/, '')));
+        return;
+      }
+      rows.push({ rowNumber, values });
+    });
+
+    if (!headers) {
+      throw new AdapterError('No valid rows to import', 'The file is empty', 422);
+    }
+
+    return { headers, rows };
+  }
+
+  /**
+   * Reduce an XLSX cell value (formula, rich text, hyperlink) to a plain value
+   * @param {*} value - ExcelJS cell value
+   * @returns {*}
+   */
+  cellValue(value) {
+    if (value === null || value === undefined || value instanceof Date || typeof value !== 'object') {
+      return value ?? null;
+    }
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return this.cellValue(value.result);
+    if ('text' in value) return value.text;
+    return null;
+  }
+
+  /**
+   * Work out which column holds each field
+   * @param {Array<string>} headers - Header row
+   * @param {Object<string, Array<string>>} aliases - Accepted headers per field (from the template)
+   * @param {Object<string, string>} mapping - Explicit { field: 'Header' } overrides
+   * @returns {Object<string, number>} Column index by field
+   * @throws {AdapterError} - If an explicitly mapped header isn't in the file
+   */
+  mapColumns(headers, aliases, mapping) {
+    const normalizedHeaders = headers.map(normalizeHeader);
+    const columns = {};
+
+    for (const [field, fieldAliases] of Object.entries(aliases)) {
+      const index = fieldAliases
+        .map(alias => normalizedHeaders.indexOf(normalizeHeader(alias)))
+        .find(i => i !== -1);
+      if (index !== undefined) columns[field] = index;
+    }
+
+    for (const [field, header] of Object.entries(mapping)) {
+      if (!(field in aliases)) {
+        throw new AdapterError('Invalid column mapping', `Unknown field "${field}"; fields: ${Object.keys(aliases).join(', ')}`, 400);
+      }
+      const index = normalizedHeaders.indexOf(normalizeHeader(header));
+      if (index === -1) {
+        throw new AdapterError('Invalid column mapping', `Column "${header}" (mapped to ${field}) is not in the file`, 400);
+      }
+      columns[field] = index;
+    }
+
+    return columns;
+  }
+
+  /**
+   * Build the client reference for a row
+   * @param {Object} row - Validated row
+   * @param {number|null} clientId - Client every row belongs to (from the request)
+   * @returns {Object|null} Client reference
+   */
+  buildClientRef(row, clientId) {
+    if (clientId) {
+      return { client_id: clientId };
+    }
+    if (!row.client) return null;
+
+    return {
+      external_id: row.client,
+      name: row.client,
+      domains: row.client_domain ? [row.client_domain] : []
+    };
+  }
+
+  /**
+   * Normalize a validated row to the entity's record shape
+   * @param {string} entity - Entity type
+   * @param {Object} row - Validated row
+   * @param {Object|null} clientRef - Client reference
+   * @returns {Object} Normalized record
+   */
+  normalize(entity, row, clientRef) {
+    switch (entity) {
+      case 'clients':
+        return {
+          external_id: row.external_id,
+          source: 'import',
+          name: row.name,
+          segment: row.segment || null,
+          domains: row.domains ? row.domains.split(/[\s,;]+/).filter(Boolean).map(d => d.toLowerCase()) : []
+        };
+
+      case 'devices':
+        return {
+          client_id: null, // Will be set during insert
+          client_ref: clientRef,
+          site_id: null,
+          external_id: row.external_id || row.serial_number || row.name,
+          name: row.name,
+          type: row.type || (/server/i.test(row.os || '') ? 'server' : 'endpoint'),
+          os: row.os || null,
+          serial_number: row.serial_number || null,
+          managed: row.managed ?? false,
+          health_status: row.health_status || null,
+          last_seen: row.last_seen || null
+        };
+
+      case 'users':
+        return {
+          client_id: null, // Will be set during insert
+          client_ref: clientRef,
+          external_id: row.external_id || row.email,
+          email: row.email,
+          upn: row.upn || row.email,
+          account_enabled: row.account_enabled ?? null,
+          mfa_enabled: row.mfa_enabled ?? false,
+          risk_level: row.risk_level || 'none',
+          last_sign_in: row.last_sign_in || null
+        };
+
+      case 'tickets':
+        return {
+          client_id: null, // Will be set during insert
+          client_ref: clientRef,
+          external_id: row.external_id,
+          category: row.category || 'Unknown',
+          priority: row.priority || 'Normal',
+          status: row.status || 'Unknown',
+          hours_spent: row.hours_spent ?? 0,
+          sla_met: row.sla_met ?? null,
+          reopen_count: row.reopen_count ?? 0,
+          csat_score: row.csat_score ?? null,
+          created_date: row.created_date,
+          closed_date: row.closed_date || null
+        };
+
+      case 'controls':
+        return {
+          client_id: null, // Will be set during insert
+          client_ref: clientRef,
+          external_id: row.external_id,
+          control_type: row.control_type || 'imported',
+          status: row.status,
+          evidence: {
+            control_name: row.name || row.external_id,
+            description: row.description || null,
+            imported: true
+          },
+          last_checked: row.last_checked || new Date()
+        };
+    }
+  }
+}
+
+/**
+ * Compare headers ignoring case, spacing and punctuation
+ * @param {string} header - Column header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+module.exports = ImportAdapter;
@@ -0,0 +1,150 @@
+/**
+ * Import Column Templates
+ * Map spreadsheet headers to normalized fields for the import adapter.
+ *
+ * Each template lists, per entity, the headers accepted for each field
+ * (compared case- and punctuation-insensitively). Fields a template doesn't
+ * list fall back to the default template, and a request can override any
+ * field with its own { field: 'Header' } mapping.
+ */
+
+// Headers shared by every entity that belongs to a client
+const CLIENT_COLUMNS = {
+  client: ['client', 'client name', 'company', 'company name', 'customer', 'organization', 'account'],
+  client_domain: ['client domain', 'company domain', 'domain']
+};
+
+const TEMPLATES = {
+  default: {
+    label: 'Generic spreadsheet',
+    entities: {
+      clients: {
+        external_id: ['client id', 'company id', 'customer id', 'account id', 'account number', 'id'],
+        name: ['name', 'client name', 'company name', 'customer name', 'client', 'company'],
+        domains: ['domains', 'domain', 'website'],
+        segment: ['segment', 'tier']
+      },
+      devices: {
+        ...CLIENT_COLUMNS,
+        external_id: ['device id', 'asset id', 'id'],
+        name: ['name', 'device name', 'hostname', 'computer name', 'device'],
+        type: ['type', 'device type'],
+        os: ['os', 'operating system'],
+        serial_number: ['serial number', 'serial'],
+        managed: ['managed', 'agent installed'],
+        health_status: ['health', 'health status', 'status'],
+        last_seen: ['last seen', 'last check in', 'last contact']
+      },
+      users: {
+        ...CLIENT_COLUMNS,
+        external_id: ['user id', 'id'],
+        email: ['email', 'email address', 'mail', 'user'],
+        upn: ['upn', 'user principal name', 'username'],
+        account_enabled: ['enabled', 'account enabled', 'active'],
+        mfa_enabled: ['mfa', 'mfa enabled', '2fa', '2sv'],
+        risk_level: ['risk', 'risk level'],
+        last_sign_in: ['last sign in', 'last login', 'last logon']
+      },
+      tickets: {
+        ...CLIENT_COLUMNS,
+        external_id: ['ticket id', 'ticket number', 'ticket', 'id'],
+        category: ['category', 'type', 'issue type'],
+        priority: ['priority'],
+        status: ['status'],
+        hours_spent: ['hours', 'hours spent', 'time spent', 'actual hours'],
+        sla_met: ['sla met', 'within sla'],
+        reopen_count: ['reopen count', 'reopens'],
+        csat_score: ['csat', 'csat score', 'satisfaction'],
+        created_date: ['created', 'created date', 'date entered', 'opened'],
+        closed_date: ['closed', 'closed date', 'date closed', 'resolved']
+      },
+      controls: {
+        ...CLIENT_COLUMNS,
+        external_id: ['control id', 'id'],
+        name: ['control', 'control name', 'name', 'check'],
+        control_type: ['control type', 'framework'],
+        status: ['status', 'result'],
+        description: ['description', 'notes', 'details'],
+        last_checked: ['last checked', 'checked', 'date']
+      }
+    }
+  },
+
+  kaseya_vsa: {
+    label: 'Kaseya VSA agent export',
+    entities: {
+      devices: {
+        client: ['organization', 'group id'],
+        external_id: ['agent guid'],
+        name: ['machine id', 'computer name'],
+        os: ['os info', 'os type'],
+        serial_number: ['system serial number'],
+        last_seen: ['last check in time', 'last check in']
+      }
+    }
+  },
+
+  connectwise_automate: {
+    label: 'ConnectWise Automate computers export',
+    entities: {
+      devices: {
+        client: ['client name'],
+        external_id: ['computer id', 'computerid'],
+        name: ['computer name'],
+        os: ['os', 'operating system'],
+        serial_number: ['serial number', 'bios serial'],
+        last_seen: ['last contact']
+      }
+    }
+  },
+
+  autotask_tickets: {
+    label: 'Autotask ticket search export',
+    entities: {
+      tickets: {
+        client: ['account'],
+        external_id: ['ticket number'],
+        category: ['issue type'],
+        priority: ['priority'],
+        status: ['status'],
+        hours_spent: ['total hours worked', 'worked hours'],
+        created_date: ['created'],
+        closed_date: ['complete date', 'completed date']
+      }
+    }
+  }
+};
+
+/**
+ * Get the header aliases for each of an entity's fields under a template
+ * @param {string} templateName - Template key
+ * @param {string} entity - Entity type
+ * @returns {Object<string, Array<string>>|null} Aliases by field, or null if the template doesn't exist
+ */
+function getColumnAliases(templateName, entity) {
+  const template = TEMPLATES[templateName];
+  if (!template) return null;
+
+  return {
+    ...TEMPLATES.default.entities[entity],
+    ...(template.entities[entity] || {})
+  };
+}
+
+/**
+ * List templates with the entities they cover
+ * @returns {Array<{name: string, label: string, entities: Array<string>}>}
+ */
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, template]) => ({
+    name,
+    label: template.label,
+    entities: Object.keys(template.entities),
+    columns: template.entities
+  }));
+}
+
+module.exports = {
+  getColumnAliases,
+  listTemplates
+};
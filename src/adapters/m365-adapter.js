@@ -1,44 +1,117 @@
-const { Client } = require('@microsoft/microsoft-graph-client');
+const axios = require('axios');
 const { ClientSecretCredential } = require('@azure/identity');
+const { subDays } = require('date-fns');
 const { BaseAdapter, AdapterError } = require('./base-adapter');
+const { HttpClient, RequestMetrics, nextLinkPagination } = require('./http-client');
 const logger = require('../utils/logger');
 
+const GRAPH_HOST = 'https://graph.microsoft.com';
+const GRAPH_SCOPE = `${GRAPH_HOST}/.default`;
+
+// Concurrent Graph requests (Graph throttles per app and tenant)
+const CONCURRENCY = 4;
+
+// Intune compliance policy statuses that mean a device is failing the policy
+const FAILING_POLICY_STATUSES = ['nonCompliant', 'error', 'conflict'];
+
+// Privileged built-in Entra ID roles, by role template ID
+const PRIVILEGED_ROLES = {
+  '62e90394-69f5-4237-9190-012177145e10': 'Global Administrator',
+  'e8611ab8-c189-46e8-94e1-60213ab1f814': 'Privileged Role Administrator',
+  '7be44c8a-adaf-4e2a-84d6-ab2649e08a13': 'Privileged Authentication Administrator',
+  '194ae4cb-b126-40b2-bd5b-6091b380977d': 'Security Administrator',
+  'b1be1c3e-b65d-4f19-8427-f6fa0d97feb9': 'Conditional Access Administrator',
+  '29232cdf-9323-42fd-ade2-1d097af3e4de': 'Exchange Administrator',
+  'f28a1f50-f6e7-4571-818b-6a12f2af6b6c': 'SharePoint Administrator',
+  'fe930be7-5e62-47db-91af-98c3a49a38b1': 'User Administrator',
+  '9b895d92-2cd3-44c7-9d02-a6ac2d5ea5c3': 'Application Administrator',
+  '158c047a-c907-4556-b7ef-446551a6b5f7': 'Cloud Application Administrator',
+  'c4e39bd9-1100-46d3-8c65-fb160da0071f': 'Authentication Administrator',
+  '3a2c62db-5318-420d-8d74-23affee5d9d5': 'Intune Administrator',
+  '729827e3-9c14-49f7-bb1b-9608f156bbb8': 'Helpdesk Administrator'
+};
+
+// Sign-in client apps that use legacy (basic) authentication
+const LEGACY_AUTH_CLIENT_APPS = [
+  'Authenticated SMTP',
+  'AutoDiscover',
+  'Exchange ActiveSync',
+  'Exchange Online PowerShell',
+  'Exchange Web Services',
+  'IMAP4',
+  'MAPI Over HTTP',
+  'Offline Address Book',
+  'Outlook Anywhere (RPC over HTTP)',
+  'Other clients',
+  'POP3'
+];
+
+// Legacy authentication sign-ins are counted over this window
+const LEGACY_AUTH_WINDOW_DAYS = 30;
+
+/**
+ * Serialize OData query options ($select, $filter, ...) for Graph
+ * Values are percent-encoded (axios would send spaces as '+'); option names keep their '$'
+ * @param {Object} params - Query options
+ * @returns {string} Query string
+ */
+function serializeODataParams(params) {
+  return Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
 /**
  * Microsoft 365 Adapter
- * Fetches and normalizes security data from Microsoft Graph API
+ * Fetches and normalizes security, identity, license and Intune device data from Microsoft Graph API
  */
 class M365Adapter extends BaseAdapter {
+  static source = 'm365';
+  static label = 'M365';
+  static entityTypes = ['devices', 'users', 'licenses', 'role_assignments', 'identity_posture', 'controls', 'risks'];
+  static requiredCredentials = ['tenantId', 'clientId', 'clientSecret'];
+
   constructor(config) {
     super();
     this.config = config;
     this.client = null;
+    this.token = null;
+    this.graphBaseUrl = GRAPH_HOST;
+    this.requestMetrics = new RequestMetrics();
   }
 
   /**
-   * Initialize Microsoft Graph client with credentials
+   * Initialize the Graph HTTP client with credentials
+   * authorityHost and graphBaseUrl point token requests and Graph calls elsewhere
+   * (e.g. the offline vendor simulator); both default to Microsoft's own hosts
    * @param {Object} credentials - M365 API credentials
    */
   async initializeClient(credentials) {
     try {
-      // Create credential object
-      const credential = new ClientSecretCredential(
-        credentials.tenantId,
-        credentials.clientId,
-        credentials.clientSecret
-      );
+      const getToken = credentials.authorityHost
+        ? () => this.requestToken(credentials)
+        : this.createCredentialTokenSource(credentials);
 
-      // Create Graph client
-      this.client = Client.initWithMiddleware({
-        authProvider: {
-          getAccessToken: async () => {
-            const token = await credential.getToken('https://graph.microsoft.com/.default');
-            return token.token;
-          }
-        }
+      // Fail on bad credentials here rather than inside the first Graph call
+      await getToken();
+
+      this.graphBaseUrl = (credentials.graphBaseUrl || GRAPH_HOST).replace(/\/+$/, '');
+      this.client = new HttpClient({
+        vendor: M365Adapter.source,
+        label: 'Microsoft 365',
+        baseURL: `${this.graphBaseUrl}/v1.0`,
+        getAuthHeaders: async () => ({ Authorization: `Bearer ${await getToken()}` }),
+        paramsSerializer: serializeODataParams,
+        concurrency: CONCURRENCY,
+        metrics: this.requestMetrics
       });
 
     } catch (error) {
       logger.error('Failed to initialize Microsoft Graph client', { error: error.message });
+      if (error.name === 'AdapterError') {
+        throw error;
+      }
       throw new AdapterError(
         'Microsoft 365 authentication failed',
         error.message,
@@ -47,68 +120,307 @@ class M365Adapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Get Graph tokens through MSAL
+   * @param {Object} credentials - M365 API credentials
+   * @returns {Function} Resolves to an access token
+   */
+  createCredentialTokenSource(credentials) {
+    // Create credential object
+    const credential = new ClientSecretCredential(
+      credentials.tenantId,
+      credentials.clientId,
+      credentials.clientSecret
+    );
+
+    return async () => {
+      const token = await credential.getToken(GRAPH_SCOPE);
+      return token.token;
+    };
+  }
+
+  /**
+   * Request a Graph token from {authorityHost}/{tenantId}/oauth2/v2.0/token
+   * MSAL only accepts https authorities, so custom hosts use a plain client credentials request
+   * @param {Object} credentials - M365 API credentials
+   * @returns {Promise<string>} Access token
+   */
+  async requestToken(credentials) {
+    if (this.token?.tenantId === credentials.tenantId && this.token.expiresAt > Date.now()) {
+      return this.token.accessToken;
+    }
+
+    try {
+      const response = await axios.post(
+        `${credentials.authorityHost.replace(/\/+$/, '')}/${credentials.tenantId}/oauth2/v2.0/token`,
+        new URLSearchParams({
+          grant_type: 'client_credentials',
+          client_id: credentials.clientId,
+          client_secret: credentials.clientSecret,
+          scope: GRAPH_SCOPE
+        }),
+        { timeout: 30000 }
+      );
+
+      this.token = {
+        tenantId: credentials.tenantId,
+        accessToken: response.data.access_token,
+        // Renew a minute early
+        expiresAt: Date.now() + ((response.data.expires_in || 3600) - 60) * 1000
+      };
+      return this.token.accessToken;
+    } catch (error) {
+      throw new AdapterError(
+        'Microsoft 365 authentication failed',
+        error.response?.data?.error_description || error.message,
+        error.response?.status === 400 || error.response?.status === 401 ? 401 : error.response?.status || 500
+      );
+    }
+  }
+
   /**
    * Sync data from Microsoft 365
+   * Users, licenses, Intune devices and Secure Score are always pulled in full (Graph has
+   * no change filter that includes sign-in activity); alerts are pulled incrementally.
+   * In multi-tenant (GDAP) mode every delegated customer tenant is synced in
+   * turn; a tenant that fails is skipped and reported as a warning
    * @param {Object} credentials - API credentials
+   * @param {SyncOptions} options - Delta sync options
    * @returns {Promise<NormalizedData>}
    */
-  async sync(credentials) {
-    this.validateCredentials(credentials, ['tenantId', 'clientId', 'clientSecret']);
-    await this.initializeClient(credentials);
+  async sync(credentials, options = {}) {
+    this.validateCredentials(credentials, M365Adapter.requiredCredentials);
 
-    logger.info('Starting Microsoft 365 sync');
+    const since = options.since || null;
+    logger.info('Starting Microsoft 365 sync', { since, multiTenant: !!credentials.multiTenant });
 
-    try {
-      // Fetch data
-      const [users, secureScore, defenderAlerts] = await Promise.all([
-        this.fetchUsers(),
-        this.fetchSecureScore(),
-        this.fetchDefenderAlerts()
-      ]);
-
-      logger.info('Microsoft 365 data fetched', {
-        users: users.length,
-        secureScoreControls: secureScore?.controlScores?.length || 0,
-        defenderAlerts: defenderAlerts.length
-      });
+    const tenants = credentials.multiTenant
+      ? await this.fetchCustomerTenants(credentials)
+      : [{ tenantId: credentials.tenantId, displayName: null }];
 
-      // Normalize data
-      const normalized = {
-        clients: [], // M365 doesn't provide client data
-        sites: [],
-        contacts: [],
-        users: users.map(u => this.normalizeUser(u)),
-        devices: [],
-        agreements: [],
-        tickets: [],
-        controls: (secureScore?.controlScores || []).map(c => this.normalizeControl(c)),
-        risks: defenderAlerts.map(a => this.normalizeRisk(a)),
-        recommendations: []
-      };
+    const fetched = [];
+    const warnings = [];
 
-      logger.info('Microsoft 365 data normalized');
-      return normalized;
+    for (const tenant of tenants) {
+      try {
+        fetched.push(await this.fetchTenant(credentials, tenant, since));
 
-    } catch (error) {
-      logger.error('Microsoft 365 sync failed', { error: error.message });
+      } catch (error) {
+        const adapterError = this.toAdapterError(error);
+        if (!credentials.multiTenant) {
+          throw adapterError;
+        }
+
+        logger.warn(`Microsoft 365 sync failed for tenant ${tenant.tenantId}`, { error: adapterError.message });
+        warnings.push({
+          message: `Tenant ${tenant.displayName || tenant.tenantId} skipped: ${adapterError.message}`,
+          details: { tenant_id: tenant.tenantId, status: adapterError.statusCode, error: adapterError.details }
+        });
+      }
+    }
+
+    if (credentials.multiTenant && tenants.length > 0 && warnings.length === tenants.length) {
+      throw new AdapterError(
+        'Microsoft 365 sync failed for every customer tenant',
+        warnings.map(w => w.message),
+        502
+      );
+    }
+
+    const normalized = this.normalizePayload(this.recordPayload({ tenants: fetched, warnings }));
+
+    logger.info('Microsoft 365 data normalized', {
+      tenants: tenants.length,
+      failedTenants: warnings.length
+    });
+    return normalized;
+  }
+
+  /**
+   * Normalize fetched tenants (also used to replay an archived sync)
+   * Tenants that failed to fetch are carried as warnings and make the sync partial
+   * @param {Object} payload - { tenants: [fetchTenant() results], warnings }
+   * @returns {NormalizedData}
+   */
+  normalizePayload({ tenants, warnings = [] }) {
+    const normalized = {
+      clients: [], // M365 doesn't provide client data
+      sites: [],
+      contacts: [],
+      users: [],
+      licenses: [],
+      role_assignments: [],
+      identity_posture: [],
+      devices: [],
+      agreements: [],
+      tickets: [],
+      controls: [],
+      risks: [],
+      recommendations: [],
+      warnings: [...warnings]
+    };
+
+    if (warnings.length > 0) {
+      normalized.partial = true;
+    }
 
-      if (error.statusCode === 403) {
+    for (const fetched of tenants) {
+      const data = this.normalizeTenant(fetched);
+      normalized.users.push(...data.users);
+      normalized.devices.push(...data.devices);
+      normalized.licenses.push(...data.licenses);
+      normalized.role_assignments.push(...data.role_assignments);
+      normalized.identity_posture.push(data.identity_posture);
+      normalized.controls.push(...data.controls);
+      normalized.risks.push(...data.risks);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Fetch one tenant's users, licenses, identity posture, Intune devices,
+   * Secure Score and Defender alerts
+   * @param {Object} credentials - API credentials (app registration)
+   * @param {{tenantId: string, displayName: string|null}} tenant - Tenant to sync
+   * @param {Date|null} since - Only fetch alerts updated after this time
+   * @returns {Promise<Object>} The tenant and its raw responses, keyed by dataset
+   */
+  async fetchTenant(credentials, tenant, since) {
+    await this.initializeClient({ ...credentials, tenantId: tenant.tenantId });
+
+    // Fetch data
+    const [
+      organization, users, mfaRegistration, legacySignIns, subscribedSkus, roleAssignments, identityPosture,
+      managedDevices, policyFailures, secureScore, defenderAlerts
+    ] = await Promise.all([
+      this.fetchOrganization(),
+      this.fetchUsers(),
+      this.fetchMfaRegistration(),
+      this.fetchLegacyAuthSignIns(),
+      this.fetchSubscribedSkus(),
+      this.fetchRoleAssignments(),
+      this.fetchIdentityPosture(),
+      this.fetchManagedDevices(),
+      this.fetchCompliancePolicyFailures(),
+      this.fetchSecureScore(),
+      this.fetchDefenderAlerts(since)
+    ]);
+
+    logger.info('Microsoft 365 data fetched', {
+      tenantId: tenant.tenantId,
+      users: users.length,
+      subscribedSkus: subscribedSkus.length,
+      privilegedRoleAssignments: roleAssignments.length,
+      conditionalAccessPolicies: identityPosture.policies.length,
+      managedDevices: managedDevices.length,
+      secureScoreControls: secureScore?.controlScores?.length || 0,
+      defenderAlerts: defenderAlerts.length
+    });
+
+    return {
+      tenant, organization, users, mfaRegistration, legacySignIns, subscribedSkus, roleAssignments,
+      identityPosture, managedDevices, policyFailures, secureScore, defenderAlerts
+    };
+  }
+
+  /**
+   * Normalize one tenant's fetched data
+   * @param {Object} fetched - fetchTenant() result
+   * @returns {Object} Normalized records for the tenant, keyed by entity type
+   */
+  normalizeTenant({
+    tenant, organization, users, mfaRegistration, legacySignIns, subscribedSkus, roleAssignments,
+    identityPosture, managedDevices, policyFailures, secureScore, defenderAlerts
+  }) {
+    // Every record from this tenant belongs to the same client
+    const clientRef = this.buildClientRef(tenant.tenantId, organization || { displayName: tenant.displayName });
+
+    return {
+      users: users.map(u => this.normalizeUser(u, clientRef, mfaRegistration, legacySignIns)),
+      licenses: subscribedSkus.map(s => this.normalizeLicense(s, tenant.tenantId, clientRef)),
+      role_assignments: roleAssignments.map(a => this.normalizeRoleAssignment(a, clientRef)),
+      identity_posture: this.normalizeIdentityPosture(tenant.tenantId, identityPosture, clientRef),
+      devices: managedDevices.map(d => this.normalizeDevice(d, policyFailures, clientRef)),
+      controls: (secureScore?.controlScores || []).map(c => this.normalizeControl(c, clientRef)),
+      risks: defenderAlerts.map(a => this.normalizeRisk(a, clientRef))
+    };
+  }
+
+  /**
+   * Convert a Graph request error to an AdapterError
+   * @param {Error} error - Error thrown while syncing a tenant
+   * @returns {AdapterError}
+   */
+  toAdapterError(error) {
+    if (error.name === 'AdapterError') {
+      return error;
+    }
+
+    const status = error.response?.status;
+    if (status === 403) {
+      return new AdapterError(
+        'Microsoft Graph permission denied',
+        'Required scopes: Organization.Read.All, User.Read.All, SecurityEvents.Read.All, ' +
+          'SecurityActions.Read.All, LicenseAssignment.Read.All, AuditLog.Read.All, RoleManagement.Read.Directory, ' +
+          'Policy.Read.All, DeviceManagementManagedDevices.Read.All, DeviceManagementConfiguration.Read.All',
+        403
+      );
+    }
+
+    return new AdapterError(
+      'Microsoft 365 API error',
+      error.response?.data?.error?.message || error.message,
+      status || 500
+    );
+  }
+
+  /**
+   * Watermarks are kept per tenant (the partner tenant in multi-tenant mode)
+   * @param {Object} credentials - API credentials
+   * @returns {string} Scope key
+   */
+  getSyncScope(credentials) {
+    return String(credentials?.tenantId || '*');
+  }
+
+  /**
+   * Fetch customer tenants with an active GDAP relationship to the partner tenant
+   * @param {Object} credentials - API credentials (tenantId is the partner tenant)
+   * @returns {Promise<Array<{tenantId: string, displayName: string}>>}
+   */
+  async fetchCustomerTenants(credentials) {
+    await this.initializeClient(credentials);
+
+    try {
+      const customers = await this.fetchAllPages('/tenantRelationships/delegatedAdminCustomers');
+
+      logger.info('Microsoft 365 customer tenants fetched', { tenants: customers.length });
+      return customers.map(c => ({ tenantId: c.tenantId || c.id, displayName: c.displayName || null }));
+    } catch (error) {
+      logger.error('Failed to fetch GDAP customer tenants', { error: error.message });
+      if (error.response?.status === 403) {
         throw new AdapterError(
           'Microsoft Graph permission denied',
-          'Required scopes: User.Read.All, SecurityEvents.Read.All, SecurityActions.Read.All',
+          'Required scope on the partner tenant: DelegatedAdminRelationship.Read.All',
           403
         );
       }
+      throw this.toAdapterError(error);
+    }
+  }
 
-      if (error.name === 'AdapterError') {
-        throw error;
-      }
-
-      throw new AdapterError(
-        'Microsoft 365 API error',
-        error.message,
-        error.statusCode || 500
-      );
+  /**
+   * Fetch tenant organization details (name and verified domains)
+   * @returns {Promise<Object|null>}
+   */
+  async fetchOrganization() {
+    try {
+      const response = await this.graphGet('/organization', { $select: 'id,displayName,verifiedDomains' });
+      return response.value?.[0] || null;
+    } catch (error) {
+      logger.warn('Failed to fetch M365 organization', { error: error.message });
+      return null;
     }
   }
 
@@ -118,29 +430,198 @@ class M365Adapter extends BaseAdapter {
    */
   async fetchUsers() {
     try {
-      const response = await this.client
-        .api('/users')
-        .select('id,userPrincipalName,mail,displayName,accountEnabled,signInActivity')
-        .top(999)
-        .get();
-
-      return response.value || [];
+      return await this.fetchAllPages('/users', {
+        $select: 'id,userPrincipalName,mail,displayName,accountEnabled,signInActivity,assignedLicenses',
+        $top: 999
+      });
     } catch (error) {
       logger.error('Failed to fetch M365 users', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Fetch which users have registered an MFA method
+   * @returns {Promise<Map<string, boolean>|null>} MFA registration by user ID, or null if unavailable
+   */
+  async fetchMfaRegistration() {
+    try {
+      const details = await this.fetchAllPages('/reports/authenticationMethods/userRegistrationDetails', {
+        $select: 'id,isMfaRegistered',
+        $top: 999
+      });
+
+      return new Map(details.map(d => [d.id, d.isMfaRegistered === true]));
+    } catch (error) {
+      logger.warn('Failed to fetch M365 MFA registration details', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Count each user's legacy authentication sign-ins over the last 30 days
+   * Sign-in logs need Entra ID P1; tenants without it report no legacy sign-ins
+   * @returns {Promise<Map<string, number>>} Sign-in count by user ID
+   */
+  async fetchLegacyAuthSignIns() {
+    const counts = new Map();
+
+    try {
+      const since = subDays(new Date(), LEGACY_AUTH_WINDOW_DAYS).toISOString();
+      const apps = LEGACY_AUTH_CLIENT_APPS.map(app => `clientAppUsed eq '${app}'`).join(' or ');
+
+      const signIns = await this.fetchAllPages('/auditLogs/signIns', {
+        $filter: `createdDateTime ge ${since} and (${apps})`,
+        $select: 'userId,clientAppUsed',
+        $top: 999
+      });
+
+      for (const signIn of signIns) {
+        counts.set(signIn.userId, (counts.get(signIn.userId) || 0) + 1);
+      }
+    } catch (error) {
+      logger.warn('Failed to fetch M365 legacy authentication sign-ins', { error: error.message });
+    }
+
+    return counts;
+  }
+
+  /**
+   * Fetch privileged directory role assignments with their principals
+   * @returns {Promise<Array>}
+   */
+  async fetchRoleAssignments() {
+    try {
+      const assignments = await this.fetchAllPages('/roleManagement/directory/roleAssignments', {
+        $expand: 'principal'
+      });
+
+      return assignments.filter(a => PRIVILEGED_ROLES[a.roleDefinitionId]);
+    } catch (error) {
+      logger.warn('Failed to fetch M365 directory role assignments', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Fetch security defaults and Conditional Access policies
+   * Conditional Access needs Entra ID P1, so it is reported as unavailable when Graph refuses
+   * @returns {Promise<{securityDefaults: boolean|null, conditionalAccessAvailable: boolean, policies: Array}>}
+   */
+  async fetchIdentityPosture() {
+    let securityDefaults = null;
+    try {
+      const response = await this.graphGet('/policies/identitySecurityDefaultsEnforcementPolicy');
+      securityDefaults = response.isEnabled === true;
+    } catch (error) {
+      logger.warn('Failed to fetch M365 security defaults', { error: error.message });
+    }
+
+    try {
+      const policies = await this.fetchAllPages('/identity/conditionalAccess/policies');
+      return { securityDefaults, conditionalAccessAvailable: true, policies };
+    } catch (error) {
+      logger.warn('Failed to fetch Conditional Access policies', { error: error.message });
+      return { securityDefaults, conditionalAccessAvailable: false, policies: [] };
+    }
+  }
+
+  /**
+   * Fetch the license SKUs the tenant subscribes to
+   * @returns {Promise<Array>}
+   */
+  async fetchSubscribedSkus() {
+    try {
+      const response = await this.graphGet('/subscribedSkus', {
+        $select: 'skuId,skuPartNumber,capabilityStatus,consumedUnits,prepaidUnits'
+      });
+
+      return response.value || [];
+    } catch (error) {
+      logger.warn('Failed to fetch M365 subscribed SKUs', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * GET a Graph resource
+   * @param {string} path - Resource path (relative to /v1.0)
+   * @param {Object} query - OData query options ({ $select, $filter, $top, ... })
+   * @returns {Promise<Object>} Response body
+   */
+  async graphGet(path, query = {}) {
+    const response = await this.client.get(path, { params: query });
+    return response.data;
+  }
+
+  /**
+   * Fetch every page of a Graph collection
+   * @param {string} path - Collection path (relative to /v1.0)
+   * @param {Object} query - OData query options for the first page
+   * @returns {Promise<Array>}
+   */
+  async fetchAllPages(path, query = {}) {
+    return this.client.fetchAll(path, {
+      params: query,
+      // Next links point at graph.microsoft.com; follow them on the configured host
+      pagination: nextLinkPagination({ rewriteLink: link => link.replace(GRAPH_HOST, this.graphBaseUrl) })
+    });
+  }
+
+  /**
+   * Fetch Intune managed devices
+   * Tenants without Intune return no devices rather than failing the sync
+   * @returns {Promise<Array>}
+   */
+  async fetchManagedDevices() {
+    try {
+      return await this.fetchAllPages('/deviceManagement/managedDevices', {
+        $select: 'id,deviceName,operatingSystem,osVersion,complianceState,lastSyncDateTime,serialNumber,managementAgent',
+        $top: 1000
+      });
+    } catch (error) {
+      logger.warn('Failed to fetch Intune managed devices', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Fetch the compliance policies each device is failing
+   * Policy device statuses only carry the device name, so failures are keyed by lowercased name
+   * @returns {Promise<Map<string, Array<string>>>} Failing policy names by device name
+   */
+  async fetchCompliancePolicyFailures() {
+    const failures = new Map();
+
+    try {
+      const policies = await this.fetchAllPages('/deviceManagement/deviceCompliancePolicies', {
+        $select: 'id,displayName'
+      });
+
+      for (const policy of policies) {
+        const statuses = await this.fetchAllPages(`/deviceManagement/deviceCompliancePolicies/${policy.id}/deviceStatuses`);
+
+        for (const status of statuses.filter(s => FAILING_POLICY_STATUSES.includes(s.status))) {
+          const key = (status.deviceDisplayName || '').toLowerCase();
+          if (!key) continue;
+          if (!failures.has(key)) failures.set(key, []);
+          if (!failures.get(key).includes(policy.displayName)) failures.get(key).push(policy.displayName);
+        }
+      }
+    } catch (error) {
+      logger.warn('Failed to fetch Intune compliance policy states', { error: error.message });
+    }
+
+    return failures;
+  }
+
   /**
    * Fetch Microsoft Secure Score
    * @returns {Promise<Object>}
    */
   async fetchSecureScore() {
     try {
-      const response = await this.client
-        .api('/security/secureScores')
-        .top(1)
-        .get();
+      const response = await this.graphGet('/security/secureScores', { $top: 1 });
 
       return response.value?.[0] || null;
     } catch (error) {
@@ -151,35 +632,58 @@ class M365Adapter extends BaseAdapter {
 
   /**
    * Fetch Defender for Endpoint alerts
+   * A full sync pulls open alerts; a delta sync pulls every alert updated since
+   * the watermark so alerts resolved in the meantime are marked mitigated
+   * @param {Date|null} since - Only fetch alerts updated after this time
    * @returns {Promise<Array>}
    */
-  async fetchDefenderAlerts() {
+  async fetchDefenderAlerts(since = null) {
     try {
-      const response = await this.client
-        .api('/security/alerts_v2')
-        .filter("status eq 'new' or status eq 'inProgress'")
-        .top(100)
-        .get();
+      const filter = since
+        ? `lastUpdateDateTime ge ${since.toISOString()}`
+        : "status eq 'new' or status eq 'inProgress'";
 
-      return response.value || [];
+      return await this.fetchAllPages('/security/alerts_v2', { $filter: filter, $top: 100 });
     } catch (error) {
       logger.warn('Failed to fetch Defender alerts', { error: error.message });
       return [];
     }
   }
 
+  /**
+   * Build the client reference used to resolve a record's owning client
+   * @param {string} tenantId - Entra tenant ID
+   * @param {Object} organization - Graph organization object
+   * @returns {Object} Client reference
+   */
+  buildClientRef(tenantId, organization) {
+    return {
+      external_id: tenantId,
+      tenant_id: tenantId,
+      name: organization?.displayName,
+      domains: (organization?.verifiedDomains || []).map(d => d.name)
+    };
+  }
+
   /**
    * Normalize M365 user to User
    * @param {Object} user - Microsoft Graph user object
+   * @param {Object} clientRef - Tenant client reference
+   * @param {Map<string, boolean>|null} mfaRegistration - MFA registration by user ID
+   * @param {Map<string, number>} legacySignIns - Legacy authentication sign-ins by user ID
    * @returns {Object} Normalized user
    */
-  normalizeUser(user) {
+  normalizeUser(user, clientRef = null, mfaRegistration = null, legacySignIns = new Map()) {
     return {
       client_id: null, // Will be set during insert
+      client_ref: clientRef,
       external_id: user.id,
       email: user.mail || user.userPrincipalName,
       upn: user.userPrincipalName,
-      mfa_enabled: false, // Would need separate API call to check MFA status
+      account_enabled: user.accountEnabled ?? null,
+      assigned_skus: (user.assignedLicenses || []).map(l => l.skuId),
+      mfa_enabled: mfaRegistration?.get(user.id) ?? null, // MFA method registered (null when the report is unavailable)
+      legacy_auth_sign_ins: legacySignIns.get(user.id) || 0,
       risk_level: 'none', // Would need Identity Protection API
       last_sign_in: user.signInActivity?.lastSignInDateTime
         ? new Date(user.signInActivity.lastSignInDateTime)
@@ -187,14 +691,139 @@ class M365Adapter extends BaseAdapter {
     };
   }
 
+  /**
+   * Normalize a privileged directory role assignment
+   * @param {Object} assignment - Graph unifiedRoleAssignment with expanded principal
+   * @param {Object} clientRef - Tenant client reference
+   * @returns {Object} Normalized role assignment
+   */
+  normalizeRoleAssignment(assignment, clientRef = null) {
+    const principal = assignment.principal || {};
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: clientRef,
+      source: 'm365',
+      external_id: assignment.id,
+      role_template_id: assignment.roleDefinitionId,
+      role_name: PRIVILEGED_ROLES[assignment.roleDefinitionId],
+      principal_external_id: assignment.principalId,
+      principal_type: (principal['@odata.type'] || '').replace('#microsoft.graph.', '') || null,
+      principal_name: principal.userPrincipalName || principal.displayName || null
+    };
+  }
+
+  /**
+   * Normalize a tenant's security defaults and Conditional Access policies
+   * @param {string} tenantId - Entra tenant ID
+   * @param {Object} posture - Result of fetchIdentityPosture()
+   * @param {Object} clientRef - Tenant client reference
+   * @returns {Object} Normalized identity posture
+   */
+  normalizeIdentityPosture(tenantId, posture, clientRef = null) {
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: clientRef,
+      source: 'm365',
+      external_id: tenantId,
+      security_defaults_enabled: posture.securityDefaults,
+      conditional_access_available: posture.conditionalAccessAvailable,
+      conditional_access_policies: posture.policies.map(p => this.summarizeConditionalAccessPolicy(p)),
+      checked_at: new Date()
+    };
+  }
+
+  /**
+   * Summarize what a Conditional Access policy enforces
+   * @param {Object} policy - Graph conditionalAccessPolicy
+   * @returns {Object} Policy summary
+   */
+  summarizeConditionalAccessPolicy(policy) {
+    const builtInControls = policy.grantControls?.builtInControls || [];
+    const clientAppTypes = policy.conditions?.clientAppTypes || [];
+    const users = policy.conditions?.users || {};
+    const targetsAllUsers = (users.includeUsers || []).includes('All');
+
+    return {
+      id: policy.id,
+      name: policy.displayName,
+      state: policy.state, // 'enabled', 'disabled', 'enabledForReportingButNotEnforced'
+      requires_mfa: builtInControls.includes('mfa') || !!policy.grantControls?.authenticationStrength,
+      blocks_legacy_auth: builtInControls.includes('block') &&
+        (clientAppTypes.includes('exchangeActiveSync') || clientAppTypes.includes('other')),
+      targets_all_users: targetsAllUsers,
+      targets_admins: targetsAllUsers || (users.includeRoles || []).some(r => PRIVILEGED_ROLES[r])
+    };
+  }
+
+  /**
+   * Normalize a subscribed SKU to a license subscription
+   * @param {Object} sku - Graph subscribedSku object
+   * @param {string} tenantId - Entra tenant ID
+   * @param {Object} clientRef - Tenant client reference
+   * @returns {Object} Normalized license subscription
+   */
+  normalizeLicense(sku, tenantId, clientRef = null) {
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: clientRef,
+      source: 'm365',
+      external_id: `${tenantId}:${sku.skuId}`,
+      sku_id: sku.skuId,
+      sku_part_number: sku.skuPartNumber || null,
+      enabled_units: sku.prepaidUnits?.enabled || 0,
+      consumed_units: sku.consumedUnits || 0,
+      capability_status: sku.capabilityStatus || null
+    };
+  }
+
+  /**
+   * Normalize Intune managed device to Device
+   * @param {Object} device - Intune managedDevice object
+   * @param {Map<string, Array<string>>} policyFailures - Failing policy names by device name
+   * @param {Object} clientRef - Tenant client reference
+   * @returns {Object} Normalized device
+   */
+  normalizeDevice(device, policyFailures = new Map(), clientRef = null) {
+    const complianceState = device.complianceState || 'unknown';
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: clientRef,
+      site_id: null,
+      external_id: device.id,
+      intune_device_id: device.id,
+      name: device.deviceName || null,
+      serial_number: device.serialNumber || null,
+      type: /server/i.test(device.operatingSystem || '') ? 'server' : 'endpoint',
+      os: [device.operatingSystem, device.osVersion].filter(Boolean).join(' ') || null,
+      managed: true, // Enrolled in Intune
+      health_status: this.mapComplianceToHealth(complianceState),
+      compliance_state: complianceState,
+      noncompliant_policies: policyFailures.get((device.deviceName || '').toLowerCase()) || [],
+      compliance_checked_at: device.lastSyncDateTime ? new Date(device.lastSyncDateTime) : null,
+      last_seen: device.lastSyncDateTime ? new Date(device.lastSyncDateTime) : null
+    };
+  }
+
+  /**
+   * Map Intune compliance state to device health (used only for devices Intune alone reports)
+   * Non-compliance is scored separately by endpoint risk, so it is a warning here
+   * @param {string} complianceState - Intune compliance state
+   * @returns {string} 'healthy' or 'warning'
+   */
+  mapComplianceToHealth(complianceState) {
+    return complianceState === 'compliant' ? 'healthy' : 'warning';
+  }
+
   /**
    * Normalize Secure Score control to Control
    * @param {Object} controlScore - Secure Score control object
+   * @param {Object} clientRef - Tenant client reference
    * @returns {Object} Normalized control
    */
-  normalizeControl(controlScore) {
+  normalizeControl(controlScore, clientRef = null) {
     return {
       client_id: null, // Will be set during insert
+      client_ref: clientRef,
       external_id: controlScore.controlName,
       control_type: 'm365_secure_score',
       status: this.mapSecureScoreStatus(controlScore.score, controlScore.maxScore),
@@ -226,11 +855,13 @@ class M365Adapter extends BaseAdapter {
   /**
    * Normalize Defender alert to Risk
    * @param {Object} alert - Defender alert object
+   * @param {Object} clientRef - Tenant client reference
    * @returns {Object} Normalized risk
    */
-  normalizeRisk(alert) {
+  normalizeRisk(alert, clientRef = null) {
     return {
       client_id: null, // Will be set during insert
+      client_ref: clientRef,
       external_id: alert.id,
       risk_type: this.mapAlertToRiskType(alert.category),
       title: alert.title,
@@ -294,26 +925,4 @@ class M365Adapter extends BaseAdapter {
   }
 }
 
-// Note: @azure/identity is not in our package.json dependencies
-// For now, we'll use a simplified version without it
-class M365AdapterSimplified extends BaseAdapter {
-  async sync(credentials) {
-    logger.warn('M365 adapter using simplified mode - full implementation requires @azure/identity package');
-
-    // Return empty normalized data structure
-    return {
-      clients: [],
-      sites: [],
-      contacts: [],
-      users: [],
-      devices: [],
-      agreements: [],
-      tickets: [],
-      controls: [],
-      risks: [],
-      recommendations: []
-    };
-  }
-}
-
-module.exports = M365AdapterSimplified;
+module.exports = M365Adapter;
@@ -0,0 +1,388 @@
+const { subDays } = require('date-fns');
+const { BaseAdapter, AdapterError } = require('./base-adapter');
+const { HttpClient, RequestMetrics } = require('./http-client');
+const logger = require('../utils/logger');
+
+const PAGE_SIZE = 1000;
+
+// How far back to look for installed patches when finding each device's last patch date
+const PATCH_HISTORY_DAYS = 90;
+
+/**
+ * NinjaOne RMM Adapter
+ * Fetches devices and their OS patch posture from the NinjaOne public API
+ */
+class NinjaOneAdapter extends BaseAdapter {
+  static source = 'ninjaone';
+  static label = 'NinjaOne';
+  static entityTypes = ['devices', 'patches'];
+  static requiredCredentials = ['clientId', 'clientSecret', 'baseUrl'];
+
+  constructor(config) {
+    super();
+    this.config = config;
+    this.client = null;
+    this.requestMetrics = new RequestMetrics();
+  }
+
+  /**
+   * Authenticate with client credentials and initialize the HTTP client
+   * @param {Object} credentials - NinjaOne API credentials
+   */
+  async initializeClient(credentials) {
+    const baseUrl = credentials.baseUrl.replace(/\/+$/, '');
+    const token = await this.fetchAccessToken(baseUrl, credentials);
+
+    this.client = new HttpClient({
+      vendor: NinjaOneAdapter.source,
+      label: NinjaOneAdapter.label,
+      baseURL: `${baseUrl}/v2`,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      metrics: this.requestMetrics
+    });
+  }
+
+  /**
+   * Get an access token for the client credentials grant
+   * @param {string} baseUrl - NinjaOne instance URL (without trailing slash)
+   * @param {Object} credentials - NinjaOne API credentials
+   * @returns {Promise<string>}
+   * @throws {AdapterError} - 401 if NinjaOne rejects the credentials
+   */
+  async fetchAccessToken(baseUrl, credentials) {
+    const authClient = new HttpClient({
+      vendor: NinjaOneAdapter.source,
+      label: NinjaOneAdapter.label,
+      baseURL: baseUrl,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      metrics: this.requestMetrics
+    });
+
+    try {
+      const response = await authClient.request({
+        method: 'post',
+        url: '/ws/oauth/token',
+        data: new URLSearchParams({
+          grant_type: 'client_credentials',
+          client_id: credentials.clientId,
+          client_secret: credentials.clientSecret,
+          scope: 'monitoring'
+        }).toString()
+      });
+      return response.data.access_token;
+    } catch (error) {
+      // Rate limits and an open circuit aren't credential problems
+      if (error.name === 'AdapterError') throw error;
+
+      logger.error('Failed to authenticate with NinjaOne', { error: error.message });
+      throw new AdapterError(
+        'NinjaOne authentication failed',
+        error.response?.data?.error_description || error.message,
+        401
+      );
+    }
+  }
+
+  /**
+   * Sync data from NinjaOne
+   * Patch posture is current state, so every sync pulls the full device list
+   * @param {Object} credentials - API credentials
+   * @param {SyncOptions} options - Delta sync options (ignored)
+   * @returns {Promise<NormalizedData>}
+   */
+  async sync(credentials, options = {}) {
+    this.validateCredentials(credentials, NinjaOneAdapter.requiredCredentials);
+    await this.initializeClient(credentials);
+
+    logger.info('Starting NinjaOne sync');
+
+    try {
+      // Fetch data in parallel
+      const [organizations, devices, pendingPatches, failedPatches, installedPatches] = await Promise.all([
+        this.fetchOrganizations(),
+        this.fetchDevices(),
+        this.fetchPatches('os-patches', { status: 'PENDING' }),
+        this.fetchPatches('os-patches', { status: 'FAILED' }),
+        this.fetchPatches('os-patch-installs', {
+          status: 'INSTALLED',
+          installedAfter: subDays(new Date(), PATCH_HISTORY_DAYS).toISOString().slice(0, 10)
+        })
+      ]);
+
+      logger.info('NinjaOne data fetched', {
+        organizations: organizations.length,
+        devices: devices.length,
+        pendingPatches: pendingPatches.length,
+        failedPatches: failedPatches.length,
+        installedPatches: installedPatches.length
+      });
+
+      const normalized = this.normalizePayload(
+        this.recordPayload({ organizations, devices, pendingPatches, failedPatches, installedPatches })
+      );
+
+      logger.info('NinjaOne data normalized');
+      return normalized;
+
+    } catch (error) {
+      logger.error('NinjaOne sync failed', { error: error.message });
+
+      if (error.response?.status === 401) {
+        throw new AdapterError(
+          'NinjaOne authentication failed',
+          'Invalid API credentials',
+          401
+        );
+      }
+
+      if (error.name === 'AdapterError') {
+        throw error;
+      }
+
+      throw new AdapterError(
+        'NinjaOne API error',
+        error.message,
+        error.response?.status || 500
+      );
+    }
+  }
+
+  /**
+   * Normalize fetched NinjaOne records (also used to replay an archived sync)
+   * @param {Object} payload - { organizations, devices, pendingPatches, failedPatches, installedPatches }
+   * @returns {NormalizedData}
+   */
+  normalizePayload({ organizations, devices, pendingPatches, failedPatches, installedPatches }) {
+    const organizationsById = new Map(organizations.map(o => [o.id, o]));
+    const patchSummaries = this.summarizePatches(pendingPatches, failedPatches, installedPatches);
+
+    return {
+      clients: [],
+      sites: [],
+      contacts: [],
+      users: [],
+      devices: devices.map(d => this.normalizeDevice(d, organizationsById, patchSummaries.get(d.id))),
+      patches: devices.map(d => this.normalizePatchStatus(d, organizationsById, patchSummaries.get(d.id))),
+      agreements: [],
+      tickets: [],
+      controls: [],
+      risks: [],
+      recommendations: []
+    };
+  }
+
+  /**
+   * Watermarks are kept per NinjaOne API client
+   * @param {Object} credentials - API credentials
+   * @returns {string} Scope key
+   */
+  getSyncScope(credentials) {
+    return String(credentials?.clientId || '*');
+  }
+
+  /**
+   * Fetch organizations (clients) from NinjaOne
+   * @returns {Promise<Array>}
+   */
+  async fetchOrganizations() {
+    const response = await this.client.get('/organizations');
+    return response.data;
+  }
+
+  /**
+   * Fetch all devices with OS details, paging by device ID
+   * @returns {Promise<Array>}
+   */
+  async fetchDevices() {
+    const devices = [];
+    let page;
+
+    do {
+      const after = devices.length > 0 ? devices[devices.length - 1].id : 0;
+      const response = await this.client.get('/devices-detailed', {
+        params: { pageSize: PAGE_SIZE, after }
+      });
+      page = response.data;
+      devices.push(...page);
+    } while (page.length === PAGE_SIZE);
+
+    return devices;
+  }
+
+  /**
+   * Fetch every page of a patch query report
+   * @param {string} report - Query name ('os-patches', 'os-patch-installs')
+   * @param {Object} params - Report filters
+   * @returns {Promise<Array>}
+   */
+  async fetchPatches(report, params = {}) {
+    const results = [];
+    let cursor = null;
+
+    do {
+      const response = await this.client.get(`/queries/${report}`, {
+        params: { ...params, pageSize: PAGE_SIZE, ...(cursor && { cursor }) }
+      });
+      results.push(...(response.data.results || []));
+      cursor = response.data.results?.length === PAGE_SIZE ? response.data.cursor?.name : null;
+    } while (cursor);
+
+    return results;
+  }
+
+  /**
+   * Summarize patch reports per device
+   * @param {Array} pending - Pending (missing) patches
+   * @param {Array} failed - Failed patches
+   * @param {Array} installed - Recently installed patches
+   * @returns {Map<number, Object>} Summary keyed by NinjaOne device ID
+   */
+  summarizePatches(pending, failed, installed) {
+    const summaries = new Map();
+    const summaryFor = (deviceId) => {
+      if (!summaries.has(deviceId)) {
+        summaries.set(deviceId, {
+          missing_critical: 0,
+          missing_important: 0,
+          missing_other: 0,
+          failed_patches: 0,
+          last_patched_at: null,
+          last_scanned_at: null
+        });
+      }
+      return summaries.get(deviceId);
+    };
+
+    for (const patch of pending) {
+      const summary = summaryFor(patch.deviceId);
+      const severity = (patch.severity || '').toUpperCase();
+      if (severity === 'CRITICAL') summary.missing_critical++;
+      else if (severity === 'IMPORTANT') summary.missing_important++;
+      else summary.missing_other++;
+      summary.last_scanned_at = this.latest(summary.last_scanned_at, this.toDate(patch.timestamp));
+    }
+
+    for (const patch of failed) {
+      summaryFor(patch.deviceId).failed_patches++;
+    }
+
+    for (const install of installed) {
+      const summary = summaryFor(install.deviceId);
+      summary.last_patched_at = this.latest(summary.last_patched_at, this.toDate(install.installedAt));
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Build the client reference used to resolve a record's owning client
+   * @param {number} organizationId - NinjaOne organization ID
+   * @param {Map<number, Object>} organizationsById - Organizations fetched in this sync
+   * @returns {Object|null} Client reference
+   */
+  buildClientRef(organizationId, organizationsById = new Map()) {
+    if (!organizationId) return null;
+    return {
+      external_id: organizationId.toString(),
+      name: organizationsById.get(organizationId)?.name || null
+    };
+  }
+
+  /**
+   * Normalize NinjaOne device to Device
+   * @param {Object} device - NinjaOne detailed device object
+   * @param {Map<number, Object>} organizationsById - Organizations fetched in this sync
+   * @param {Object} patchSummary - Patch summary for the device
+   * @returns {Object} Normalized device
+   */
+  normalizeDevice(device, organizationsById = new Map(), patchSummary = null) {
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(device.organizationId, organizationsById),
+      site_id: null,
+      external_id: device.id.toString(),
+      name: device.systemName || device.dnsName || null,
+      type: this.mapNodeClassToDeviceType(device.nodeClass),
+      os: device.os?.name || null,
+      managed: true, // Agent installed
+      health_status: this.mapHealthStatus(device, patchSummary),
+      last_seen: this.toDate(device.lastContact)
+    };
+  }
+
+  /**
+   * Normalize a device's patch posture
+   * @param {Object} device - NinjaOne detailed device object
+   * @param {Map<number, Object>} organizationsById - Organizations fetched in this sync
+   * @param {Object} patchSummary - Patch summary for the device
+   * @returns {Object} Normalized patch status
+   */
+  normalizePatchStatus(device, organizationsById = new Map(), patchSummary = null) {
+    const summary = patchSummary || {};
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(device.organizationId, organizationsById),
+      source: 'ninjaone',
+      external_id: device.id.toString(),
+      device_name: device.systemName || device.dnsName || null,
+      missing_critical: summary.missing_critical || 0,
+      missing_important: summary.missing_important || 0,
+      missing_other: summary.missing_other || 0,
+      failed_patches: summary.failed_patches || 0,
+      pending_reboot: device.os?.needsReboot === true,
+      last_patched_at: summary.last_patched_at || null,
+      last_scanned_at: summary.last_scanned_at || this.toDate(device.lastUpdate)
+    };
+  }
+
+  /**
+   * Map NinjaOne node class to normalized device type
+   * @param {string} nodeClass - NinjaOne node class (e.g. 'WINDOWS_SERVER')
+   * @returns {string} Normalized type
+   */
+  mapNodeClassToDeviceType(nodeClass) {
+    if (!nodeClass) return 'endpoint';
+    if (nodeClass.includes('SERVER') || nodeClass.includes('VM_HOST')) return 'server';
+    if (nodeClass.startsWith('NMS')) return 'network';
+    return 'endpoint';
+  }
+
+  /**
+   * Derive device health from connectivity and patch posture
+   * @param {Object} device - NinjaOne detailed device object
+   * @param {Object} patchSummary - Patch summary for the device
+   * @returns {string} 'healthy', 'warning' or 'critical'
+   */
+  mapHealthStatus(device, patchSummary) {
+    if (patchSummary?.missing_critical > 0) return 'critical';
+    if (device.offline || device.os?.needsReboot || patchSummary?.failed_patches > 0) return 'warning';
+    return 'healthy';
+  }
+
+  /**
+   * Convert a NinjaOne timestamp (epoch seconds) to a Date
+   * @param {number|string} value - Timestamp
+   * @returns {Date|null}
+   */
+  toDate(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  }
+
+  /**
+   * Later of two dates
+   * @param {Date|null} a
+   * @param {Date|null} b
+   * @returns {Date|null}
+   */
+  latest(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return a > b ? a : b;
+  }
+}
+
+module.exports = NinjaOneAdapter;
@@ -0,0 +1,39 @@
+/**
+ * Normalization Helpers
+ * Field mappings shared by adapters whose vendors describe records the same way
+ * (PSA company websites, configuration/asset type names).
+ */
+
+/**
+ * Extract the domain from a company website
+ * @param {string} website - Website (e.g. 'https://www.acme.com/' or 'www.acme.com')
+ * @returns {Array<string>} Domains
+ */
+function extractDomains(website) {
+  if (!website) return [];
+  const host = website
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0];
+  return host.includes('.') ? [host] : [];
+}
+
+/**
+ * Map a PSA configuration or asset type name to a normalized device type
+ * @param {string} typeName - Vendor type name (e.g. 'Windows Server', 'Firewall')
+ * @returns {string} Normalized type ('server', 'network' or 'endpoint')
+ */
+function mapDeviceType(typeName) {
+  if (!typeName) return 'endpoint';
+  const lower = typeName.toLowerCase();
+  if (lower.includes('server')) return 'server';
+  if (lower.includes('switch') || lower.includes('router') || lower.includes('firewall')) return 'network';
+  return 'endpoint';
+}
+
+module.exports = {
+  extractDomains,
+  mapDeviceType
+};
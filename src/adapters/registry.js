@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { BaseAdapter, AdapterError, ENTITY_TYPES } = require('./base-adapter');
+
+/**
+ * Adapter Registry
+ * Maps source keys to adapter classes. Every `*-adapter.js` module in this
+ * directory that exports a BaseAdapter subclass with a `source` is registered
+ * automatically, so adding a vendor only requires adding its adapter class.
+ */
+
+const adapters = new Map();
+
+/**
+ * Register an adapter class under its source key
+ * @param {Function} Adapter - BaseAdapter subclass
+ * @throws {Error} - If the adapter does not declare a source or valid entity types
+ */
+function registerAdapter(Adapter) {
+  if (!(Adapter?.prototype instanceof BaseAdapter)) {
+    throw new Error('Adapters must extend BaseAdapter');
+  }
+
+  if (!Adapter.source) {
+    throw new Error(`${Adapter.name} must declare a static source`);
+  }
+
+  const unknown = Adapter.entityTypes.filter(type => !ENTITY_TYPES.includes(type));
+  if (Adapter.entityTypes.length === 0 || unknown.length > 0) {
+    throw new Error(
+      `${Adapter.name} declares invalid entity types: ${unknown.join(', ') || '(none)'}`
+    );
+  }
+
+  adapters.set(Adapter.source, Adapter);
+}
+
+/**
+ * Get the adapter class for a source
+ * @param {string} source - Source key (e.g. 'connectwise')
+ * @returns {Function} Adapter class
+ * @throws {AdapterError} - If no adapter is registered for the source
+ */
+function getAdapter(source) {
+  const Adapter = adapters.get(source);
+  if (!Adapter) {
+    throw new AdapterError(
+      'Unknown sync source',
+      `Supported sources: ${listSources().join(', ')}`,
+      404
+    );
+  }
+  return Adapter;
+}
+
+/**
+ * Whether an adapter is registered for a source
+ * @param {string} source - Source key
+ * @returns {boolean}
+ */
+function hasAdapter(source) {
+  return adapters.has(source);
+}
+
+/**
+ * List registered source keys
+ * @returns {Array<string>}
+ */
+function listSources() {
+  return [...adapters.keys()];
+}
+
+/**
+ * Register every adapter module in this directory
+ */
+function loadAdapters() {
+  const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('-adapter.js') && file !== 'base-adapter.js')
+    .sort();
+
+  for (const file of files) {
+    const Adapter = require(path.join(__dirname, file));
+    if (Adapter?.prototype instanceof BaseAdapter && Adapter.source) {
+      registerAdapter(Adapter);
+    }
+  }
+}
+
+loadAdapters();
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  hasAdapter,
+  listSources
+};
@@ -0,0 +1,176 @@
+const { BaseAdapter, AdapterError } = require('./base-adapter');
+const { HttpClient, RequestMetrics } = require('./http-client');
+const logger = require('../utils/logger');
+
+const PAGE_SIZE = 1000;
+
+/**
+ * SentinelOne EDR Adapter
+ * Fetches per-device agent state (presence, version, last check-in, active
+ * threats) from the SentinelOne management API. Each SentinelOne site is a client.
+ */
+class SentinelOneAdapter extends BaseAdapter {
+  static source = 'sentinelone';
+  static label = 'SentinelOne';
+  static entityTypes = ['edr_agents'];
+  static requiredCredentials = ['apiToken', 'baseUrl'];
+
+  constructor(config) {
+    super();
+    this.config = config;
+    this.client = null;
+    this.requestMetrics = new RequestMetrics();
+  }
+
+  /**
+   * Initialize the HTTP client with a SentinelOne API token
+   * @param {Object} credentials - SentinelOne API credentials
+   */
+  initializeClient(credentials) {
+    this.client = new HttpClient({
+      vendor: SentinelOneAdapter.source,
+      label: SentinelOneAdapter.label,
+      baseURL: `${credentials.baseUrl.replace(/\/+$/, '')}/web/api/v2.1`,
+      headers: {
+        'Authorization': `ApiToken ${credentials.apiToken}`,
+        'Content-Type': 'application/json'
+      },
+      metrics: this.requestMetrics
+    });
+  }
+
+  /**
+   * Sync data from SentinelOne
+   * Agent state is current state, so every sync pulls the full agent list
+   * @param {Object} credentials - API credentials
+   * @param {SyncOptions} options - Delta sync options (ignored)
+   * @returns {Promise<NormalizedData>}
+   */
+  async sync(credentials, options = {}) {
+    this.validateCredentials(credentials, SentinelOneAdapter.requiredCredentials);
+    this.initializeClient(credentials);
+
+    logger.info('Starting SentinelOne sync');
+
+    try {
+      const agents = await this.fetchAgents();
+
+      logger.info('SentinelOne data fetched', { agents: agents.length });
+
+      const normalized = this.normalizePayload(
+        this.recordPayload({ agents })
+      );
+
+      logger.info('SentinelOne data normalized');
+      return normalized;
+
+    } catch (error) {
+      logger.error('SentinelOne sync failed', { error: error.message });
+
+      if (error.response?.status === 401) {
+        throw new AdapterError(
+          'SentinelOne authentication failed',
+          'Invalid API token',
+          401
+        );
+      }
+
+      if (error.name === 'AdapterError') {
+        throw error;
+      }
+
+      throw new AdapterError(
+        'SentinelOne API error',
+        error.message,
+        error.response?.status || 500
+      );
+    }
+  }
+
+  /**
+   * Normalize fetched SentinelOne agents (also used to replay an archived sync)
+   * @param {Object} payload - { agents }
+   * @returns {NormalizedData}
+   */
+  normalizePayload({ agents }) {
+    return {
+      clients: [],
+      sites: [],
+      contacts: [],
+      users: [],
+      devices: [],
+      edr_agents: agents.map(a => this.normalizeAgent(a)),
+      agreements: [],
+      tickets: [],
+      controls: [],
+      risks: [],
+      recommendations: []
+    };
+  }
+
+  /**
+   * Watermarks are kept per SentinelOne management console
+   * @param {Object} credentials - API credentials
+   * @returns {string} Scope key
+   */
+  getSyncScope(credentials) {
+    return String(credentials?.baseUrl || '*');
+  }
+
+  /**
+   * Fetch all agents, following the pagination cursor
+   * @returns {Promise<Array>}
+   */
+  async fetchAgents() {
+    const agents = [];
+    let cursor = null;
+
+    do {
+      const response = await this.client.get('/agents', {
+        params: { limit: PAGE_SIZE, ...(cursor && { cursor }) }
+      });
+      agents.push(...(response.data.data || []));
+      cursor = response.data.pagination?.nextCursor || null;
+    } while (cursor);
+
+    return agents;
+  }
+
+  /**
+   * Build the client reference used to resolve a record's owning client
+   * @param {Object} agent - SentinelOne agent (siteId/siteName)
+   * @returns {Object|null} Client reference
+   */
+  buildClientRef(agent) {
+    if (!agent?.siteId) return null;
+    return {
+      external_id: agent.siteId.toString(),
+      name: agent.siteName || null
+    };
+  }
+
+  /**
+   * Normalize SentinelOne agent
+   * @param {Object} agent - SentinelOne agent object
+   * @returns {Object} Normalized EDR agent
+   */
+  normalizeAgent(agent) {
+    const activeThreats = agent.activeThreats || 0;
+    return {
+      client_id: null, // Will be set during insert
+      client_ref: this.buildClientRef(agent),
+      source: 'sentinelone',
+      external_id: agent.id.toString(),
+      device_name: agent.computerName || null,
+      os: agent.osName || null,
+      agent_version: agent.agentVersion || null,
+      agent_up_to_date: agent.isUpToDate ?? null,
+      is_active: agent.isActive !== false && !agent.isDecommissioned,
+      last_check_in: agent.lastActiveDate ? new Date(agent.lastActiveDate) : null,
+      active_threats: activeThreats,
+      threat_status: agent.infected || activeThreats > 0 ? 'infected' : 'clean'
+    };
+  }
+}
+
+module.exports = SentinelOneAdapter;
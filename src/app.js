@@ -9,12 +9,18 @@ const { errorHandler, notFoundHandler } = require('./middleware/error-handler');
 const syncRoutes = require('./routes/sync');
 const clientRoutes = require('./routes/clients');
 const qbrRoutes = require('./routes/qbr');
+const mappingRoutes = require('./routes/mappings');
+const webhookRoutes = require('./routes/webhooks');
 
 // Create Express app
 const app = express();
 
-// Middleware
-app.use(express.json());
+// Middleware (the raw body is kept for webhook signature checks)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from public directory (no auth required for dashboard)
@@ -42,6 +48,10 @@ app.get('/health', (req, res) => {
 app.use('/sync', authenticate, syncRoutes);
 app.use('/clients', authenticate, clientRoutes);
 app.use('/clients', authenticate, qbrRoutes);
+app.use('/mappings', authenticate, mappingRoutes);
+
+// Vendor webhooks (verified by signature)
+app.use('/webhooks', webhookRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
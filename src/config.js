@@ -20,6 +20,42 @@ module.exports = {
     baseUrl: process.env.CW_BASE_URL || 'https://api-na.myconnectwise.net/v4_6_release/apis/3.0',
   },
 
+  // Autotask PSA
+  autotask: {
+    username: process.env.AT_USERNAME,
+    secret: process.env.AT_SECRET,
+    integrationCode: process.env.AT_INTEGRATION_CODE,
+    baseUrl: process.env.AT_BASE_URL || 'https://webservices1.autotask.net/atservicesrest/v1.0',
+  },
+
+  // HaloPSA
+  halopsa: {
+    clientId: process.env.HALO_CLIENT_ID,
+    clientSecret: process.env.HALO_CLIENT_SECRET,
+    baseUrl: process.env.HALO_BASE_URL,
+    tenant: process.env.HALO_TENANT,
+  },
+
+  // NinjaOne RMM
+  ninjaone: {
+    clientId: process.env.NINJA_CLIENT_ID,
+    clientSecret: process.env.NINJA_CLIENT_SECRET,
+    baseUrl: process.env.NINJA_BASE_URL || 'https://app.ninjarmm.com',
+  },
+
+  // SentinelOne EDR
+  sentinelone: {
+    apiToken: process.env.S1_API_TOKEN,
+    baseUrl: process.env.S1_BASE_URL,
+  },
+
+  // Datto BCDR
+  datto_bcdr: {
+    publicKey: process.env.DATTO_API_PUBLIC_KEY,
+    secretKey: process.env.DATTO_API_SECRET_KEY,
+    baseUrl: process.env.DATTO_API_BASE_URL || 'https://api.datto.com/v1',
+  },
+
   // Immy.Bot
   immy: {
     apiKey: process.env.IMMY_API_KEY,
@@ -31,16 +67,90 @@ module.exports = {
     tenantId: process.env.M365_TENANT_ID,
     clientId: process.env.M365_CLIENT_ID,
     clientSecret: process.env.M365_CLIENT_SECRET,
+    multiTenant: process.env.M365_MULTI_TENANT === 'true',
+    authorityHost: process.env.M365_AUTHORITY_HOST || null, // Token endpoint host; MSAL's login.microsoftonline.com when unset
+    graphBaseUrl: process.env.M365_GRAPH_BASE_URL || null, // Replaces https://graph.microsoft.com when set
+  },
+
+  // Google Workspace (service account with domain-wide delegation)
+  google_workspace: {
+    serviceAccountEmail: process.env.GOOGLE_SA_CLIENT_EMAIL,
+    privateKey: process.env.GOOGLE_SA_PRIVATE_KEY?.replace(/\\n/g, '\n'), // PEM with escaped newlines
+    adminEmail: process.env.GOOGLE_ADMIN_EMAIL, // Admin the service account acts as
+    customerId: process.env.GOOGLE_CUSTOMER_ID || 'my_customer',
+    tokenUrl: process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+    directoryBaseUrl: process.env.GOOGLE_DIRECTORY_BASE_URL || 'https://admin.googleapis.com/admin/directory/v1',
+    alertCenterBaseUrl: process.env.GOOGLE_ALERTCENTER_BASE_URL || 'https://alertcenter.googleapis.com/v1beta1',
   },
 
   // OpenAI
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
     model: process.env.OPENAI_MODEL || 'gpt-4',
+    baseUrl: process.env.OPENAI_BASE_URL || undefined, // OpenAI-compatible endpoint; api.openai.com when unset
     timeout: 60000, // 60 seconds
     maxRetries: 3,
   },
 
+  // Vendor API requests made by adapters (see adapters/http-client)
+  http: {
+    maxRetries: parseInt(process.env.HTTP_MAX_RETRIES || '4', 10), // 429s, 502-504s and network errors
+    maxRetryDelaySeconds: parseInt(process.env.HTTP_MAX_RETRY_DELAY_SECONDS || '120', 10), // a longer Retry-After fails the request
+    concurrency: process.env.HTTP_CONCURRENCY ? JSON.parse(process.env.HTTP_CONCURRENCY) : {}, // { "connectwise": 4 } overrides
+    breakerThreshold: parseInt(process.env.HTTP_BREAKER_THRESHOLD || '5', 10), // consecutive failures that open a vendor's circuit
+    breakerCooldownSeconds: parseInt(process.env.HTTP_BREAKER_COOLDOWN_SECONDS || '60', 10),
+  },
+
+  // Background syncs (cron expressions; set to an empty string to disable a schedule)
+  sync: {
+    schedules: {
+      connectwise: process.env.SYNC_SCHEDULE_CONNECTWISE ?? '0 1 * * *',
+      autotask: process.env.SYNC_SCHEDULE_AUTOTASK ?? '',
+      halopsa: process.env.SYNC_SCHEDULE_HALOPSA ?? '',
+      ninjaone: process.env.SYNC_SCHEDULE_NINJAONE ?? '',
+      sentinelone: process.env.SYNC_SCHEDULE_SENTINELONE ?? '',
+      datto_bcdr: process.env.SYNC_SCHEDULE_DATTO_BCDR ?? '',
+      immy: process.env.SYNC_SCHEDULE_IMMY ?? '30 1 * * *',
+      m365: process.env.SYNC_SCHEDULE_M365 ?? '0 2 * * *',
+      google_workspace: process.env.SYNC_SCHEDULE_GOOGLE_WORKSPACE ?? '',
+    },
+    timezone: process.env.SYNC_SCHEDULE_TZ || 'UTC',
+    expireInMinutes: 60,
+  },
+
+  // License waste report
+  licensing: {
+    inactiveDays: parseInt(process.env.LICENSE_INACTIVE_DAYS || '45', 10), // No sign-in for this long = inactive
+    prices: process.env.LICENSE_PRICES ? JSON.parse(process.env.LICENSE_PRICES) : {}, // { "SPE_E3": 36 } overrides
+  },
+
+  // Email authentication posture (SPF/DKIM/DMARC) checks
+  emailPosture: {
+    schedule: process.env.EMAIL_POSTURE_SCHEDULE ?? '0 3 * * *', // cron; empty to disable
+    dnsServers: (process.env.EMAIL_POSTURE_DNS_SERVERS || '').split(',').map(s => s.trim()).filter(Boolean),
+    dnsFixture: process.env.EMAIL_POSTURE_DNS_FIXTURE || null, // JSON file of TXT records (offline runs)
+    dnsTimeout: 5000, // ms per query
+    dkimSelectors: (process.env.DKIM_SELECTORS ||
+      'selector1,selector2,google,default,k1,s1,s2,dkim,mail').split(',').map(s => s.trim()).filter(Boolean),
+  },
+
+  // CSV/XLSX imports (POST /sync/import)
+  import: {
+    maxFileSize: process.env.IMPORT_MAX_FILE_SIZE || '10mb',
+  },
+
+  // Raw vendor responses kept per sync run for replay
+  payloadArchive: {
+    enabled: process.env.PAYLOAD_ARCHIVE_ENABLED !== 'false',
+    retentionDays: parseInt(process.env.PAYLOAD_ARCHIVE_RETENTION_DAYS || '14', 10),
+  },
+
+  // Per-client credential vault (envelope encryption under a local master key)
+  credentialVault: {
+    masterKey: process.env.CREDENTIAL_MASTER_KEY || null, // base64-encoded 32-byte key
+    masterKeyFile: process.env.CREDENTIAL_MASTER_KEY_FILE || null, // or a file holding it
+  },
+
   // Job Queue (pg-boss)
   pgBoss: {
     schema: process.env.PG_BOSS_SCHEMA || 'pgboss',
@@ -0,0 +1,21 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('client_mappings', (table) => {
+    table.increments('id').primary();
+    table.integer('client_id').unsigned().notNullable().references('id').inTable('clients').onDelete('CASCADE');
+    table.string('source', 50).notNullable(); // 'connectwise', 'immy', 'm365'
+    table.string('external_id', 255).notNullable(); // Vendor company/tenant ID
+    table.string('external_name', 255);
+    table.string('match_method', 20).notNullable(); // 'exact', 'domain', 'fuzzy', 'manual'
+    table.decimal('confidence', 4, 3);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    // A vendor tenant can only ever belong to one client
+    table.unique(['source', 'external_id']);
+    table.index('client_id', 'idx_client_mappings_client');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('client_mappings');
+};
@@ -0,0 +1,21 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('client_mapping_reviews', (table) => {
+    table.increments('id').primary();
+    table.string('source', 50).notNullable();
+    table.string('external_id', 255).notNullable();
+    table.string('external_name', 255);
+    table.jsonb('domains'); // Domains reported by the vendor for this tenant
+    table.jsonb('candidates'); // [{ client_id, name, confidence }]
+    table.string('status', 20).notNullable().defaultTo('pending'); // 'pending', 'resolved', 'ignored'
+    table.integer('resolved_client_id').unsigned().references('id').inTable('clients').onDelete('SET NULL');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['source', 'external_id']);
+    table.index('status', 'idx_client_mapping_reviews_status');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('client_mapping_reviews');
+};
@@ -0,0 +1,11 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('clients', (table) => {
+    table.specificType('domains', 'text[]'); // Email/web domains used for identity matching
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('clients', (table) => {
+    table.dropColumn('domains');
+  });
+};
@@ -0,0 +1,19 @@
+exports.up = async function(knex) {
+  await knex.schema.alterTable('contacts', (table) => {
+    table.string('name', 255);
+  });
+  await knex.schema.alterTable('agreements', (table) => {
+    table.string('name', 255);
+    table.index('client_id', 'idx_agreements_client');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('agreements', (table) => {
+    table.dropIndex('client_id', 'idx_agreements_client');
+    table.dropColumn('name');
+  });
+  await knex.schema.alterTable('contacts', (table) => {
+    table.dropColumn('name');
+  });
+};
@@ -0,0 +1,16 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('sync_state', (table) => {
+    table.increments('id').primary();
+    table.string('source', 50).notNullable(); // 'connectwise', 'immy', 'm365'
+    table.string('scope', 255).notNullable(); // Vendor account/tenant the watermark applies to
+    table.timestamp('watermark'); // Start time of the last successful sync
+    table.timestamp('last_full_sync_at');
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['source', 'scope']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('sync_state');
+};
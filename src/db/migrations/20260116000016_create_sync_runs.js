@@ -0,0 +1,23 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('sync_runs', (table) => {
+    table.increments('id').primary();
+    table.string('source', 50).notNullable(); // 'connectwise', 'immy', 'm365'
+    table.string('scope', 255); // Vendor account/tenant synced
+    table.string('trigger', 20).notNullable(); // 'api', 'schedule'
+    table.string('mode', 20); // 'full', 'delta'
+    table.string('status', 20).notNullable().defaultTo('running'); // 'running', 'succeeded', 'failed'
+    table.timestamp('started_at').defaultTo(knex.fn.now());
+    table.timestamp('finished_at');
+    table.jsonb('counts'); // { entity: { inserted, updated, skipped } }
+    table.jsonb('warnings'); // [{ message, details }]
+    table.text('error');
+    table.jsonb('error_details');
+
+    table.index(['source', 'started_at'], 'idx_sync_runs_source_started');
+    table.index('status', 'idx_sync_runs_status');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('sync_runs');
+};
@@ -0,0 +1,11 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('tickets', (table) => {
+    table.boolean('sla_hold').notNullable().defaultTo(false); // SLA clock paused (e.g. waiting on customer)
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('tickets', (table) => {
+    table.dropColumn('sla_hold');
+  });
+};
@@ -0,0 +1,26 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('device_patch_status', (table) => {
+    table.increments('id').primary();
+    table.integer('client_id').unsigned().references('id').inTable('clients').onDelete('CASCADE');
+    table.integer('device_id').unsigned().references('id').inTable('devices').onDelete('SET NULL');
+    table.string('source', 50).notNullable(); // 'ninjaone'
+    table.string('external_id', 255).notNullable(); // RMM device ID
+    table.string('device_name', 255);
+    table.integer('missing_critical').defaultTo(0);
+    table.integer('missing_important').defaultTo(0);
+    table.integer('missing_other').defaultTo(0);
+    table.integer('failed_patches').defaultTo(0);
+    table.boolean('pending_reboot').defaultTo(false);
+    table.timestamp('last_patched_at');
+    table.timestamp('last_scanned_at');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['source', 'external_id']);
+    table.index('client_id', 'idx_device_patch_status_client');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('device_patch_status');
+};
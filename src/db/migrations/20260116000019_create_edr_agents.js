@@ -0,0 +1,26 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('edr_agents', (table) => {
+    table.increments('id').primary();
+    table.integer('client_id').unsigned().references('id').inTable('clients').onDelete('CASCADE');
+    table.integer('device_id').unsigned().references('id').inTable('devices').onDelete('SET NULL');
+    table.string('source', 50).notNullable(); // 'sentinelone'
+    table.string('external_id', 255).notNullable(); // EDR agent ID
+    table.string('device_name', 255);
+    table.string('os', 100);
+    table.string('agent_version', 50);
+    table.boolean('agent_up_to_date');
+    table.boolean('is_active').defaultTo(true); // Agent enabled and not decommissioned
+    table.timestamp('last_check_in');
+    table.integer('active_threats').defaultTo(0);
+    table.string('threat_status', 20); // 'clean', 'infected'
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['source', 'external_id']);
+    table.index('client_id', 'idx_edr_agents_client');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('edr_agents');
+};
@@ -0,0 +1,29 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('backup_status', (table) => {
+    table.increments('id').primary();
+    table.integer('client_id').unsigned().references('id').inTable('clients').onDelete('CASCADE');
+    table.integer('device_id').unsigned().references('id').inTable('devices').onDelete('SET NULL');
+    table.string('source', 50).notNullable(); // 'datto_bcdr'
+    table.string('external_id', 255).notNullable(); // Protected workload ID
+    table.string('workload_name', 255);
+    table.string('workload_type', 50); // 'server', 'workstation', 'share'
+    table.string('appliance', 255); // Backup appliance/repository protecting the workload
+    table.boolean('paused').defaultTo(false);
+    table.string('last_backup_status', 20); // 'success', 'failed'
+    table.timestamp('last_backup_at');
+    table.timestamp('last_successful_backup_at');
+    table.timestamp('last_offsite_at');
+    table.integer('failed_backups').defaultTo(0); // Failures in the last 7 days
+    table.integer('retention_days');
+    table.boolean('last_verification_passed');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['source', 'external_id']);
+    table.index('client_id', 'idx_backup_status_client');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('backup_status');
+};
@@ -0,0 +1,11 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('clients', (table) => {
+    table.string('m365_tenant_id', 64).unique(); // Entra tenant ID for partner (GDAP) syncs
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('clients', (table) => {
+    table.dropColumn('m365_tenant_id');
+  });
+};
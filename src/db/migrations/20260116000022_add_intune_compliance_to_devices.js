@@ -0,0 +1,22 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('devices', (table) => {
+    table.string('intune_device_id', 64); // Intune managed device ID, set when Intune reports the device
+    table.string('serial_number', 100);
+    table.string('compliance_state', 20); // Intune: 'compliant', 'noncompliant', 'inGracePeriod', 'error', 'unknown'
+    table.jsonb('noncompliant_policies'); // Names of compliance policies the device is failing
+    table.timestamp('compliance_checked_at');
+
+    table.index(['client_id', 'intune_device_id'], 'idx_devices_client_intune');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('devices', (table) => {
+    table.dropIndex(['client_id', 'intune_device_id'], 'idx_devices_client_intune');
+    table.dropColumn('intune_device_id');
+    table.dropColumn('serial_number');
+    table.dropColumn('compliance_state');
+    table.dropColumn('noncompliant_policies');
+    table.dropColumn('compliance_checked_at');
+  });
+};
@@ -0,0 +1,32 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('license_subscriptions', (table) => {
+    table.increments('id').primary();
+    table.integer('client_id').unsigned().references('id').inTable('clients').onDelete('CASCADE');
+    table.string('source', 50).notNullable(); // 'm365'
+    table.string('external_id', 255).notNullable(); // Tenant ID + SKU ID
+    table.string('sku_id', 64).notNullable();
+    table.string('sku_part_number', 100); // e.g. 'SPE_E3'
+    table.integer('enabled_units').defaultTo(0); // Seats paid for
+    table.integer('consumed_units').defaultTo(0); // Seats assigned
+    table.string('capability_status', 20); // 'Enabled', 'Warning', 'Suspended', 'Deleted', 'LockedOut'
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['source', 'external_id']);
+    table.index('client_id', 'idx_license_subscriptions_client');
+  });
+
+  await knex.schema.alterTable('users', (table) => {
+    table.boolean('account_enabled');
+    table.jsonb('assigned_skus'); // SKU IDs of the licenses assigned to the user
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('account_enabled');
+    table.dropColumn('assigned_skus');
+  });
+
+  await knex.schema.dropTable('license_subscriptions');
+};
@@ -0,0 +1,48 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('identity_posture', (table) => {
+    table.increments('id').primary();
+    table.integer('client_id').unsigned().references('id').inTable('clients').onDelete('CASCADE');
+    table.string('source', 50).notNullable(); // 'm365'
+    table.string('external_id', 255).notNullable(); // Tenant ID
+    table.boolean('security_defaults_enabled');
+    table.boolean('conditional_access_available').defaultTo(false); // False when the tenant has no Entra ID P1
+    table.jsonb('conditional_access_policies'); // Policy summaries (state, MFA, legacy auth, targets)
+    table.timestamp('checked_at');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['source', 'external_id']);
+    table.index('client_id', 'idx_identity_posture_client');
+  });
+
+  await knex.schema.createTable('directory_role_assignments', (table) => {
+    table.increments('id').primary();
+    table.integer('client_id').unsigned().references('id').inTable('clients').onDelete('CASCADE');
+    table.integer('user_id').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.string('source', 50).notNullable(); // 'm365'
+    table.string('external_id', 255).notNullable(); // Role assignment ID
+    table.string('role_template_id', 64);
+    table.string('role_name', 255);
+    table.string('principal_external_id', 255); // User/group/service principal ID in the tenant
+    table.string('principal_type', 50); // 'user', 'group', 'servicePrincipal'
+    table.string('principal_name', 255);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['source', 'external_id']);
+    table.index('client_id', 'idx_role_assignments_client');
+  });
+
+  await knex.schema.alterTable('users', (table) => {
+    table.integer('legacy_auth_sign_ins').defaultTo(0); // Legacy protocol sign-ins in the last 30 days
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('legacy_auth_sign_ins');
+  });
+
+  await knex.schema.dropTable('directory_role_assignments');
+  await knex.schema.dropTable('identity_posture');
+};
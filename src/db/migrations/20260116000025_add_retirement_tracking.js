@@ -0,0 +1,41 @@
+// Tables whose rows are retired when a full sync of their source no longer reports them
+const RETIRABLE_TABLES = [
+  'devices',
+  'users',
+  'controls',
+  'device_patch_status',
+  'edr_agents',
+  'backup_status',
+  'license_subscriptions',
+  'directory_role_assignments'
+];
+
+// Tables that didn't record which source wrote each row
+const UNSOURCED_TABLES = ['devices', 'users', 'controls'];
+
+exports.up = async function(knex) {
+  for (const tableName of RETIRABLE_TABLES) {
+    await knex.schema.alterTable(tableName, (table) => {
+      if (UNSOURCED_TABLES.includes(tableName)) {
+        table.string('source', 50); // Adapter that last synced the row; null for seeded/manual rows
+      }
+      table.timestamp('last_synced_at'); // Start of the last sync that reported the row
+      table.timestamp('retired_at'); // Set when a full sync of the source no longer reports the row
+
+      table.index(['client_id', 'retired_at'], `idx_${tableName}_client_retired`);
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  for (const tableName of RETIRABLE_TABLES) {
+    await knex.schema.alterTable(tableName, (table) => {
+      table.dropIndex(['client_id', 'retired_at'], `idx_${tableName}_client_retired`);
+      table.dropColumn('last_synced_at');
+      table.dropColumn('retired_at');
+      if (UNSOURCED_TABLES.includes(tableName)) {
+        table.dropColumn('source');
+      }
+    });
+  }
+};
@@ -0,0 +1,27 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('sync_payloads', (table) => {
+    table.increments('id').primary();
+    table.integer('sync_run_id').unsigned().notNullable().references('id').inTable('sync_runs').onDelete('CASCADE');
+    table.string('source', 50).notNullable();
+    table.string('scope', 255);
+    table.timestamp('since'); // Delta watermark the payload was fetched from; null for a full sync
+    table.binary('payload').notNullable(); // Gzipped JSON of the raw vendor responses
+    table.integer('size'); // Uncompressed bytes
+    table.integer('compressed_size');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.unique('sync_run_id');
+    table.index('created_at', 'idx_sync_payloads_created');
+  });
+
+  await knex.schema.alterTable('sync_runs', (table) => {
+    table.integer('replay_of').unsigned().references('id').inTable('sync_runs').onDelete('SET NULL'); // Run whose archived payload was replayed
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('sync_runs', (table) => {
+    table.dropColumn('replay_of');
+  });
+  await knex.schema.dropTable('sync_payloads');
+};
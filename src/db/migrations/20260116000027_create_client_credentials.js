@@ -0,0 +1,28 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('client_credentials', (table) => {
+    table.increments('id').primary();
+    table.integer('client_id').unsigned().notNullable().references('id').inTable('clients').onDelete('CASCADE');
+    table.string('source', 50).notNullable(); // Adapter the credentials are for
+    table.jsonb('fields'); // Names of the stored credential fields (never their values)
+    table.binary('encrypted_key').notNullable(); // Per-row data key, encrypted with the master key
+    table.binary('ciphertext').notNullable(); // Credentials JSON, encrypted with the data key
+    table.string('master_key_id', 16).notNullable(); // Fingerprint of the master key that encrypted the data key
+    table.timestamp('last_used_at'); // Last sync that used the credentials
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    // One set of credentials per client and source
+    table.unique(['client_id', 'source']);
+  });
+
+  await knex.schema.alterTable('sync_runs', (table) => {
+    table.integer('client_id').unsigned().references('id').inTable('clients').onDelete('SET NULL'); // Client whose stored credentials the run used
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('sync_runs', (table) => {
+    table.dropColumn('client_id');
+  });
+  await knex.schema.dropTable('client_credentials');
+};
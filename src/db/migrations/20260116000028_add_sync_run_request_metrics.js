@@ -0,0 +1,11 @@
+exports.up = async function(knex) {
+  await knex.schema.alterTable('sync_runs', (table) => {
+    table.jsonb('request_metrics'); // Vendor API requests, retries, 429s and latency (adapters on HttpClient)
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('sync_runs', (table) => {
+    table.dropColumn('request_metrics');
+  });
+};
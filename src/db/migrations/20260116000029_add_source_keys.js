@@ -0,0 +1,41 @@
+// Vendors' IDs overlap (a NinjaOne device and a ConnectWise configuration can
+// both be 1042), so synced rows are keyed by source as well as external ID
+const SOURCE_KEYED_TABLES = ['devices', 'tickets', 'agreements'];
+
+// Tables that didn't record which source wrote each row
+const UNSOURCED_TABLES = ['tickets', 'agreements'];
+
+exports.up = async function(knex) {
+  for (const tableName of UNSOURCED_TABLES) {
+    await knex.schema.alterTable(tableName, (table) => {
+      table.string('source', 50); // Adapter that last synced the row; null for seeded/manual rows
+    });
+
+    // Tickets and agreements only come from a PSA, which is the source the client was synced from
+    await knex.raw(`
+      UPDATE ?? SET source = clients.source
+      FROM clients
+      WHERE ??.client_id = clients.id
+    `, [tableName, tableName]);
+  }
+
+  for (const tableName of SOURCE_KEYED_TABLES) {
+    await knex.schema.alterTable(tableName, (table) => {
+      table.unique(['source', 'external_id', 'client_id'], { indexName: `uq_${tableName}_source_external_id` });
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  for (const tableName of SOURCE_KEYED_TABLES) {
+    await knex.schema.alterTable(tableName, (table) => {
+      table.dropUnique(['source', 'external_id', 'client_id'], `uq_${tableName}_source_external_id`);
+    });
+  }
+
+  for (const tableName of UNSOURCED_TABLES) {
+    await knex.schema.alterTable(tableName, (table) => {
+      table.dropColumn('source');
+    });
+  }
+};
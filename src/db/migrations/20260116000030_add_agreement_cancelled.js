@@ -0,0 +1,11 @@
+exports.up = async function(knex) {
+  await knex.schema.alterTable('agreements', (table) => {
+    table.boolean('cancelled').notNullable().defaultTo(false); // Cancelled in the PSA; left out of the client's MRR
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('agreements', (table) => {
+    table.dropColumn('cancelled');
+  });
+};
@@ -0,0 +1,14 @@
+// Email authentication controls were stored without a source, so the posture
+// check could never retire those of a domain a client no longer has
+exports.up = async function(knex) {
+  await knex('controls')
+    .where({ control_type: 'email_authentication' })
+    .whereNull('source')
+    .update({ source: 'email_posture' });
+};
+
+exports.down = async function(knex) {
+  await knex('controls')
+    .where({ control_type: 'email_authentication', source: 'email_posture' })
+    .update({ source: null });
+};
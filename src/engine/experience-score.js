@@ -175,15 +175,17 @@ async function calculateRepeatIssueRate(clientId) {
 
 /**
  * Calculate SLA performance
- * Percentage of tickets meeting SLA
+ * Percentage of tickets meeting SLA, excluding tickets on SLA hold
  */
 async function calculateSLAPerformance(clientId) {
   const now = new Date();
   const quarterStart = startOfQuarter(now);
   const quarterEnd = endOfQuarter(now);
 
-  const totalTickets = (await ticketModel.findByDateRange(clientId, quarterStart, quarterEnd)).length;
+  const allTickets = (await ticketModel.findByDateRange(clientId, quarterStart, quarterEnd)).length;
+  const slaHeld = await ticketModel.countSLAHeld(clientId, quarterStart, quarterEnd);
   const slaMet = await ticketModel.countSLAMet(clientId, quarterStart, quarterEnd);
+  const totalTickets = allTickets - slaHeld;
 
   if (totalTickets === 0) {
     return {
@@ -201,8 +203,10 @@ async function calculateSLAPerformance(clientId) {
     evidence: {
       total_tickets: totalTickets,
       sla_met: slaMet,
+      sla_hold: slaHeld,
       sla_percentage: Math.round(slaPercentage),
-      description: `${slaMet}/${totalTickets} tickets (${Math.round(slaPercentage)}%) met SLA`
+      description: `${slaMet}/${totalTickets} tickets (${Math.round(slaPercentage)}%) met SLA` +
+        (slaHeld > 0 ? ` (${slaHeld} on SLA hold excluded)` : '')
     }
   };
 }
@@ -0,0 +1,154 @@
+const licenseSubscriptionModel = require('../models/license-subscription');
+const userModel = require('../models/user');
+const config = require('../config');
+const { subDays } = require('date-fns');
+const logger = require('../utils/logger');
+
+/**
+ * Monthly list price (USD per seat) of common Microsoft 365 SKUs, by SKU part number.
+ * Free and trial SKUs are priced at 0 so their unlimited seats never count as waste.
+ * Override or extend with LICENSE_PRICES.
+ */
+const SKU_CATALOG = {
+  O365_BUSINESS_ESSENTIALS: { name: 'Microsoft 365 Business Basic', price: 6 },
+  O365_BUSINESS_PREMIUM: { name: 'Microsoft 365 Business Standard', price: 12.5 },
+  SPB: { name: 'Microsoft 365 Business Premium', price: 22 },
+  O365_BUSINESS: { name: 'Microsoft 365 Apps for Business', price: 8.25 },
+  OFFICESUBSCRIPTION: { name: 'Microsoft 365 Apps for Enterprise', price: 12 },
+  STANDARDPACK: { name: 'Office 365 E1', price: 10 },
+  ENTERPRISEPACK: { name: 'Office 365 E3', price: 23 },
+  ENTERPRISEPREMIUM: { name: 'Office 365 E5', price: 38 },
+  SPE_E3: { name: 'Microsoft 365 E3', price: 36 },
+  SPE_E5: { name: 'Microsoft 365 E5', price: 57 },
+  SPE_F1: { name: 'Microsoft 365 F3', price: 8 },
+  EXCHANGESTANDARD: { name: 'Exchange Online (Plan 1)', price: 4 },
+  EXCHANGEENTERPRISE: { name: 'Exchange Online (Plan 2)', price: 8 },
+  EMS: { name: 'Enterprise Mobility + Security E3', price: 10.6 },
+  AAD_PREMIUM: { name: 'Microsoft Entra ID P1', price: 6 },
+  AAD_PREMIUM_P2: { name: 'Microsoft Entra ID P2', price: 9 },
+  INTUNE_A: { name: 'Microsoft Intune Plan 1', price: 8 },
+  ATP_ENTERPRISE: { name: 'Defender for Office 365 (Plan 1)', price: 2 },
+  PROJECTPROFESSIONAL: { name: 'Project Plan 3', price: 30 },
+  VISIOCLIENT: { name: 'Visio Plan 2', price: 15 },
+  POWER_BI_PRO: { name: 'Power BI Pro', price: 14 },
+  FLOW_FREE: { name: 'Power Automate Free', price: 0 },
+  POWER_BI_STANDARD: { name: 'Power BI (free)', price: 0 },
+  TEAMS_EXPLORATORY: { name: 'Teams Exploratory', price: 0 },
+  WINDOWS_STORE: { name: 'Windows Store for Business', price: 0 }
+};
+
+// Subscriptions in these states are no longer billed
+const UNBILLED_STATUSES = ['Suspended', 'Deleted', 'LockedOut'];
+
+/**
+ * Calculate a client's Microsoft 365 license waste
+ * Waste is paid-for seats nobody is assigned, plus licenses on users who are
+ * disabled or haven't signed in within the inactivity window
+ *
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Object>} Waste report
+ */
+async function calculateLicenseWaste(clientId) {
+  try {
+    logger.debug(`Calculating license waste for client ${clientId}`);
+
+    const [subscriptions, users] = await Promise.all([
+      licenseSubscriptionModel.findByClientId(clientId),
+      userModel.findByClientId(clientId)
+    ]);
+
+    const billed = subscriptions
+      .filter(s => !UNBILLED_STATUSES.includes(s.capability_status))
+      .map(s => ({ ...s, ...describeSku(s.sku_part_number) }));
+    const skusById = new Map(billed.map(s => [s.sku_id, s]));
+
+    // Seats paid for but not assigned to anyone
+    const unassigned = billed
+      .map(s => {
+        const seats = Math.max((s.enabled_units || 0) - (s.consumed_units || 0), 0);
+        return {
+          sku: s.sku_part_number,
+          name: s.name,
+          seats,
+          unit_price: s.price,
+          monthly_cost: round(seats * (s.price || 0))
+        };
+      })
+      .filter(s => s.seats > 0 && s.unit_price !== 0)
+      .sort((a, b) => b.monthly_cost - a.monthly_cost);
+
+    // Licensed users who are disabled or haven't signed in recently
+    const cutoff = subDays(new Date(), config.licensing.inactiveDays);
+    const inactive = users
+      .filter(u => (u.assigned_skus || []).some(id => skusById.has(id)))
+      .filter(u => u.account_enabled === false || !u.last_sign_in || new Date(u.last_sign_in) < cutoff)
+      .map(u => {
+        const skus = u.assigned_skus.map(id => skusById.get(id)).filter(Boolean);
+        return {
+          user: u.upn || u.email,
+          account_enabled: u.account_enabled,
+          last_sign_in: u.last_sign_in,
+          licenses: skus.map(s => s.name),
+          monthly_cost: round(skus.reduce((sum, s) => sum + (s.price || 0), 0))
+        };
+      })
+      .sort((a, b) => b.monthly_cost - a.monthly_cost);
+
+    const unassignedCost = round(unassigned.reduce((sum, s) => sum + s.monthly_cost, 0));
+    const inactiveCost = round(inactive.reduce((sum, u) => sum + u.monthly_cost, 0));
+    const monthlyWaste = round(unassignedCost + inactiveCost);
+
+    logger.info(`License waste calculated for client ${clientId}: $${monthlyWaste}/month`);
+
+    return {
+      client_id: clientId,
+      currency: 'USD',
+      monthly_waste: monthlyWaste,
+      annual_waste: round(monthlyWaste * 12),
+      inactive_days: config.licensing.inactiveDays,
+      unassigned_seats: {
+        seats: unassigned.reduce((sum, s) => sum + s.seats, 0),
+        monthly_cost: unassignedCost,
+        items: unassigned
+      },
+      inactive_users: {
+        users: inactive.length,
+        monthly_cost: inactiveCost,
+        items: inactive
+      },
+      unpriced_skus: billed.filter(s => s.price === null).map(s => s.sku_part_number),
+      description: subscriptions.length === 0
+        ? 'No Microsoft 365 license data available'
+        : `$${monthlyWaste.toLocaleString()}/month in unused licenses ` +
+          `(${unassigned.reduce((sum, s) => sum + s.seats, 0)} unassigned seats, ` +
+          `${inactive.length} licensed users inactive for ${config.licensing.inactiveDays}+ days)`,
+      computed_at: new Date()
+    };
+
+  } catch (error) {
+    logger.error(`Error calculating license waste for client ${clientId}`, { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Look up a SKU's display name and monthly price
+ * @param {string} skuPartNumber - SKU part number (e.g. 'SPE_E3')
+ * @returns {{name: string, price: number|null}} Price is null when unknown
+ */
+function describeSku(skuPartNumber) {
+  const known = SKU_CATALOG[skuPartNumber] || {};
+  const override = config.licensing.prices[skuPartNumber];
+  return {
+    name: known.name || skuPartNumber,
+    price: override ?? known.price ?? null
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  calculateLicenseWaste
+};
@@ -1,8 +1,30 @@
 const userModel = require('../models/user');
 const riskModel = require('../models/risk');
 const deviceModel = require('../models/device');
+const identityPostureModel = require('../models/identity-posture');
+const roleAssignmentModel = require('../models/role-assignment');
+const controlModel = require('../models/control');
 const logger = require('../utils/logger');
 
+// Microsoft recommends fewer than five Global Administrators (Google Workspace Super Admins count the same)
+const MAX_GLOBAL_ADMINS = 4;
+const GLOBAL_ADMIN_ROLE_IDS = ['62e90394-69f5-4237-9190-012177145e10', 'google:super_admin'];
+
+// Points added to identity risk for each identity configuration finding
+const FINDING_PENALTIES = {
+  missing_baseline_policy: 8, // per missing baseline
+  excessive_global_admins: 8,
+  admin_without_mfa: 5, // per admin, up to 15
+  legacy_auth_sign_ins: 2 // per user, up to 10
+};
+
+// Domain risk (0-90) added for each email authentication mechanism by strength
+const EMAIL_AUTH_PENALTIES = {
+  spf: { missing: 30, ineffective: 30, weak: 15 },
+  dmarc: { missing: 40, ineffective: 25, weak: 15 },
+  dkim: { missing: 20 }
+};
+
 /**
  * Calculate Risk Score (0-100, inverse: higher = more risk)
  * Weighted components:
@@ -59,7 +81,9 @@ async function calculateRiskScore(clientId) {
 
 /**
  * Calculate identity risk score
- * Based on MFA coverage, risky users, stale accounts
+ * Based on MFA coverage and risky users, plus penalties for missing
+ * Conditional Access baselines, excessive Global Administrators, admins
+ * without MFA and legacy authentication sign-ins
  */
 async function calculateIdentityRisk(clientId) {
   const totalUsers = await userModel.countByClientId(clientId);
@@ -95,6 +119,10 @@ async function calculateIdentityRisk(clientId) {
   const mediumRiskPercentage = (mediumRiskUsers / totalUsers) * 100;
   riskScore += mediumRiskPercentage * 0.1;
 
+  // Identity configuration findings add on top, capped at 100
+  const findings = await findIdentityConfigurationIssues(clientId);
+  riskScore = Math.min(riskScore + findings.reduce((sum, f) => sum + f.penalty, 0), 100);
+
   const riskLevel = riskScore < 25 ? 'Low' : riskScore < 50 ? 'Medium' : 'High';
 
   return {
@@ -106,32 +134,113 @@ async function calculateIdentityRisk(clientId) {
       mfa_coverage: Math.round(mfaCoverage),
       high_risk_users: highRiskUsers,
       medium_risk_users: mediumRiskUsers,
-      description: `${mfaEnabled}/${totalUsers} users (${Math.round(mfaCoverage)}%) have MFA enabled, ${highRiskUsers} users flagged as high risk by Entra ID`
+      findings,
+      description: `${mfaEnabled}/${totalUsers} users (${Math.round(mfaCoverage)}%) have MFA enabled, ${highRiskUsers} users flagged as high risk by Entra ID` +
+        (findings.length > 0 ? `, ${findings.length} identity configuration findings` : '')
     }
   };
 }
 
+/**
+ * Find identity configuration issues from synced Microsoft 365 / Google Workspace posture
+ * Checks are skipped when the data they need hasn't been synced
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array<{check: string, penalty: number, detail: string}>>}
+ */
+async function findIdentityConfigurationIssues(clientId) {
+  const [postures, roleAssignments, legacyAuthUsers] = await Promise.all([
+    identityPostureModel.findByClientId(clientId),
+    roleAssignmentModel.findByClientId(clientId),
+    userModel.findWithLegacyAuthSignIns(clientId)
+  ]);
+  const findings = [];
+
+  // Baseline policies: MFA for all users, MFA for admins, legacy authentication blocked
+  for (const posture of postures) {
+    const enabled = (posture.conditional_access_policies || []).filter(p => p.state === 'enabled');
+    const baselines = {
+      'MFA for all users': enabled.some(p => p.requires_mfa && p.targets_all_users),
+      'MFA for administrators': enabled.some(p => p.requires_mfa && p.targets_admins),
+      'Block legacy authentication': enabled.some(p => p.blocks_legacy_auth)
+    };
+
+    // Security defaults enforce all three baselines
+    if (posture.security_defaults_enabled) continue;
+
+    for (const [baseline, met] of Object.entries(baselines)) {
+      if (met) continue;
+      findings.push({
+        check: 'missing_baseline_policy',
+        penalty: FINDING_PENALTIES.missing_baseline_policy,
+        detail: posture.conditional_access_available
+          ? `No enabled Conditional Access policy for: ${baseline}`
+          : `${baseline} not enforced (security defaults off and Conditional Access not licensed)`
+      });
+    }
+  }
+
+  const globalAdmins = new Set(roleAssignments
+    .filter(a => GLOBAL_ADMIN_ROLE_IDS.includes(a.role_template_id))
+    .map(a => a.principal_external_id));
+  if (globalAdmins.size > MAX_GLOBAL_ADMINS) {
+    findings.push({
+      check: 'excessive_global_admins',
+      penalty: FINDING_PENALTIES.excessive_global_admins,
+      detail: `${globalAdmins.size} Global Administrators (recommended: ${MAX_GLOBAL_ADMINS} or fewer)`
+    });
+  }
+
+  // Admins whose MFA registration is unknown (mfa_enabled null) aren't flagged
+  const adminsWithoutMfa = [...new Map(roleAssignments
+    .filter(a => a.user_id && a.mfa_enabled === false)
+    .map(a => [a.user_id, a.upn || a.principal_name])).values()];
+  if (adminsWithoutMfa.length > 0) {
+    findings.push({
+      check: 'admin_without_mfa',
+      penalty: Math.min(adminsWithoutMfa.length * FINDING_PENALTIES.admin_without_mfa, 15),
+      detail: `${adminsWithoutMfa.length} privileged users without MFA: ${adminsWithoutMfa.slice(0, 10).join(', ')}`
+    });
+  }
+
+  if (legacyAuthUsers.length > 0) {
+    findings.push({
+      check: 'legacy_auth_sign_ins',
+      penalty: Math.min(legacyAuthUsers.length * FINDING_PENALTIES.legacy_auth_sign_ins, 10),
+      detail: `${legacyAuthUsers.length} users signed in with legacy authentication in the last 30 days: ` +
+        legacyAuthUsers.slice(0, 10).map(u => u.upn || u.email).join(', ')
+    });
+  }
+
+  return findings;
+}
+
 /**
  * Calculate email risk score
- * Based on Defender for Office alerts and phishing simulations
+ * Based on open email-related alerts and, once checked, the SPF/DKIM/DMARC
+ * posture of the client's domains (weighted equally)
  */
 async function calculateEmailRisk(clientId) {
   const emailRisks = await riskModel.findByType(clientId, 'email');
   const openEmailRisks = emailRisks.filter(r => r.status === 'open');
 
-  // Simplified: Score based on number of open email-related risks
-  let riskScore = 0;
+  // Alerts: score based on number of open email-related risks
+  let alertScore = 0;
 
   if (openEmailRisks.length === 0) {
-    riskScore = 10; // Low baseline risk
+    alertScore = 10; // Low baseline risk
   } else if (openEmailRisks.length <= 3) {
-    riskScore = 30;
+    alertScore = 30;
   } else if (openEmailRisks.length <= 10) {
-    riskScore = 60;
+    alertScore = 60;
   } else {
-    riskScore = 90;
+    alertScore = 90;
   }
 
+  const posture = await assessEmailAuthentication(clientId);
+  const riskScore = posture
+    ? Math.round(alertScore * 0.5 + posture.score * 0.5)
+    : alertScore;
+
   const riskLevel = riskScore < 25 ? 'Low' : riskScore < 50 ? 'Medium' : 'High';
 
   return {
@@ -140,14 +249,53 @@ async function calculateEmailRisk(clientId) {
     evidence: {
       total_email_alerts: emailRisks.length,
       open_email_alerts: openEmailRisks.length,
-      description: `${openEmailRisks.length} open email-related security alerts`
+      ...(posture && {
+        domains_checked: posture.domains,
+        email_authentication_score: posture.score,
+        findings: posture.findings
+      }),
+      description: `${openEmailRisks.length} open email-related security alerts` +
+        (posture ? `, ${posture.findings.length} email authentication findings across ${posture.domains} domains` : '')
     }
   };
 }
 
+/**
+ * Score the client's SPF/DKIM/DMARC controls
+ * @param {number} clientId - Client ID
+ * @returns {Promise<{score: number, domains: number, findings: Array}|null>} Average domain risk, or null if never checked
+ */
+async function assessEmailAuthentication(clientId) {
+  const controls = await controlModel.findByType(clientId, controlModel.EMAIL_AUTH_CONTROL_TYPE);
+  if (controls.length === 0) return null;
+
+  const domainRisk = {};
+  const findings = [];
+
+  for (const control of controls) {
+    const { domain, mechanism, strength, issues } = control.evidence || {};
+    const penalty = (EMAIL_AUTH_PENALTIES[mechanism] || {})[strength] || 0;
+
+    domainRisk[domain] = (domainRisk[domain] || 0) + penalty;
+    if (penalty > 0) {
+      findings.push({ domain, mechanism, strength, penalty, detail: (issues || []).join('; ') });
+    }
+  }
+
+  const risks = Object.values(domainRisk);
+
+  return {
+    score: Math.round(risks.reduce((sum, risk) => sum + risk, 0) / risks.length),
+    domains: risks.length,
+    findings
+  };
+}
+
 /**
  * Calculate endpoint risk score
- * Based on unpatched devices, missing EDR, high-risk detections
+ * Based on unmanaged devices, device health, Intune non-compliance and open detections.
+ * Intune non-compliance only counts once Intune reports compliance for the client's
+ * devices; until then the device components' weights are scaled up over the rest
  */
 async function calculateEndpointRisk(clientId) {
   const totalDevices = await deviceModel.countByClientId(clientId);
@@ -164,17 +312,31 @@ async function calculateEndpointRisk(clientId) {
 
   const managedDevices = await deviceModel.countManagedByClientId(clientId);
   const criticalDevices = (await deviceModel.findByHealthStatus(clientId, 'critical')).length;
+  const complianceReported = await deviceModel.countComplianceReported(clientId);
+  const nonCompliantDevices = await deviceModel.findNonCompliant(clientId);
   const endpointRisks = await riskModel.findByType(clientId, 'endpoint');
   const openEndpointRisks = endpointRisks.filter(r => r.status === 'open');
 
   // Calculate risk components
   const unmanagedPercentage = ((totalDevices - managedDevices) / totalDevices) * 100;
   const criticalPercentage = (criticalDevices / totalDevices) * 100;
+  const nonCompliantPercentage = complianceReported > 0
+    ? (nonCompliantDevices.length / totalDevices) * 100
+    : null;
+
+  // Device components share 70% of the score over the ones with data
+  const deviceComponents = [
+    { percentage: unmanagedPercentage, weight: 0.3 }, // Unmanaged devices: 30%
+    { percentage: criticalPercentage, weight: 0.25 }, // Critical health: 25%
+    { percentage: nonCompliantPercentage, weight: 0.15 } // Intune non-compliant: 15%
+  ].filter(component => component.percentage !== null);
+  const deviceWeight = deviceComponents.reduce((sum, component) => sum + component.weight, 0);
 
   // Calculate risk score
   let riskScore = 0;
-  riskScore += unmanagedPercentage * 0.4; // Unmanaged devices: 40%
-  riskScore += criticalPercentage * 0.3; // Critical health: 30%
+  riskScore += deviceComponents.reduce((sum, component) => {
+    return sum + component.percentage * (component.weight / deviceWeight) * 0.7;
+  }, 0);
   riskScore += Math.min(openEndpointRisks.length * 5, 30); // Open risks: up to 30%
 
   const riskLevel = riskScore < 25 ? 'Low' : riskScore < 50 ? 'Medium' : 'High';
@@ -186,8 +348,15 @@ async function calculateEndpointRisk(clientId) {
       total_devices: totalDevices,
       unmanaged_devices: totalDevices - managedDevices,
       critical_health_devices: criticalDevices,
+      noncompliant_devices: complianceReported > 0 ? nonCompliantDevices.length : null,
+      noncompliant_examples: nonCompliantDevices.slice(0, 10).map(d => ({
+        device: d.name,
+        policies: d.noncompliant_policies || []
+      })),
       open_endpoint_risks: openEndpointRisks.length,
-      description: `${totalDevices - managedDevices} devices missing EDR, ${criticalDevices} devices in critical health, ${openEndpointRisks.length} open endpoint risks`
+      description: `${totalDevices - managedDevices} devices missing EDR, ${criticalDevices} devices in critical health, ` +
+        (complianceReported > 0 ? `${nonCompliantDevices.length} devices non-compliant in Intune, ` : '') +
+        `${openEndpointRisks.length} open endpoint risks`
     }
   };
 }
@@ -1,15 +1,33 @@
 const deviceModel = require('../models/device');
 const controlModel = require('../models/control');
+const patchStatusModel = require('../models/patch-status');
+const edrAgentModel = require('../models/edr-agent');
+const backupStatusModel = require('../models/backup-status');
 const logger = require('../utils/logger');
 
+// Devices must have installed patches within this window to count as patched
+const PATCH_WINDOW_DAYS = 30;
+
+// EDR agents that haven't checked in within this window are treated as not reporting
+const EDR_CHECK_IN_DAYS = 7;
+
+// Workloads without a successful backup within this window are treated as unprotected
+const BACKUP_RPO_HOURS = 24;
+
+// Evidence lists are capped so breakdowns stay readable
+const MAX_EVIDENCE_ITEMS = 10;
+
 /**
  * Calculate Standards Compliance Score (0-100)
  * Weighted components:
- * - Device coverage: 20%
- * - Immy compliance: 30%
+ * - Device coverage: 15%
+ * - Immy compliance: 25%
  * - Patch compliance: 20%
  * - EDR health: 15%
- * - M365 Secure Score: 15%
+ * - Backup health: 15%
+ * - M365 Secure Score: 10%
+ * Components that don't apply to the client (score null, e.g. no backup source)
+ * are left out and the remaining weights scaled up to 100%
  *
  * @param {number} clientId - Client ID
  * @returns {Promise<ScoreResult>}
@@ -37,28 +55,31 @@ async function calculateStandardsScore(clientId) {
     const immyCompliance = await calculateImmyCompliance(clientId);
     const patchCompliance = await calculatePatchCompliance(clientId);
     const edrHealth = await calculateEDRHealth(clientId);
+    const backupHealth = await calculateBackupHealth(clientId);
     const m365SecureScore = await calculateM365SecureScore(clientId);
 
-    // Calculate weighted total
-    const components = [
-      { ...deviceCoverage, weight: 0.20 },
-      { ...immyCompliance, weight: 0.30 },
-      { ...patchCompliance, weight: 0.20 },
-      { ...edrHealth, weight: 0.15 },
-      { ...m365SecureScore, weight: 0.15 }
-    ];
+    // Calculate weighted total over the components that apply
+    const components = {
+      device_coverage: { ...deviceCoverage, weight: 0.15 },
+      immy_compliance: { ...immyCompliance, weight: 0.25 },
+      patch_compliance: { ...patchCompliance, weight: 0.20 },
+      edr_health: { ...edrHealth, weight: 0.15 },
+      backup_health: { ...backupHealth, weight: 0.15 },
+      m365_secure_score: { ...m365SecureScore, weight: 0.10 }
+    };
 
-    const totalScore = components.reduce((sum, component) => {
+    const applicable = Object.values(components).filter(component => component.score !== null);
+    const totalWeight = applicable.reduce((sum, component) => sum + component.weight, 0);
+
+    const totalScore = applicable.reduce((sum, component) => {
       return sum + (component.score * component.weight);
-    }, 0);
-
-    const breakdown = {
-      device_coverage: { ...deviceCoverage, weight: '20%' },
-      immy_compliance: { ...immyCompliance, weight: '30%' },
-      patch_compliance: { ...patchCompliance, weight: '20%' },
-      edr_health: { ...edrHealth, weight: '15%' },
-      m365_secure_score: { ...m365SecureScore, weight: '15%' }
-    };
+    }, 0) / totalWeight;
+
+    // Weights as applied, so a not-applicable component's share shows up on the others
+    const breakdown = Object.fromEntries(Object.entries(components).map(([key, component]) => [key, {
+      ...component,
+      weight: component.score === null ? 'N/A' : `${Math.round((component.weight / totalWeight) * 100)}%`
+    }]));
 
     logger.info(`Standards score calculated for client ${clientId}: ${Math.round(totalScore)}`);
 
@@ -126,11 +147,16 @@ async function calculateImmyCompliance(clientId) {
 
 /**
  * Calculate patch compliance score
- * Percentage of devices patched in last 30 days
- * Note: Simplified - would need actual patch data
+ * Percentage of devices with no missing critical patches and patched in the last 30 days,
+ * from RMM patch data; falls back to health_status when no RMM reports for the client
  */
 async function calculatePatchCompliance(clientId) {
-  // Simplified: Use health_status as proxy
+  const patchRows = await patchStatusModel.findByClientId(clientId);
+  if (patchRows.length > 0) {
+    return calculatePatchComplianceFromRMM(patchRows);
+  }
+
+  // No RMM patch data: use health_status as proxy
   const totalDevices = await deviceModel.countByClientId(clientId);
   const healthyDevices = (await deviceModel.findByHealthStatus(clientId, 'healthy')).length;
 
@@ -149,6 +175,7 @@ async function calculatePatchCompliance(clientId) {
   return {
     score: Math.round(percentage),
     evidence: {
+      source: 'health_status',
       total_devices: totalDevices,
       healthy_devices: healthyDevices,
       patch_percentage: Math.round(percentage),
@@ -157,12 +184,55 @@ async function calculatePatchCompliance(clientId) {
   };
 }
 
+/**
+ * Calculate patch compliance from RMM patch status rows
+ * @param {Array} patchRows - device_patch_status rows for the client
+ */
+function calculatePatchComplianceFromRMM(patchRows) {
+  const cutoff = Date.now() - PATCH_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+  const missingCritical = patchRows.filter(r => r.missing_critical > 0);
+  const stale = patchRows.filter(r => !r.last_patched_at || new Date(r.last_patched_at).getTime() < cutoff);
+  const pendingReboot = patchRows.filter(r => r.pending_reboot);
+  const nonCompliant = patchRows.filter(r => missingCritical.includes(r) || stale.includes(r));
+  const compliantCount = patchRows.length - nonCompliant.length;
+
+  const percentage = (compliantCount / patchRows.length) * 100;
+
+  return {
+    score: Math.round(percentage),
+    evidence: {
+      source: 'rmm',
+      total_devices: patchRows.length,
+      compliant_devices: compliantCount,
+      missing_critical_devices: missingCritical.length,
+      not_patched_recently: stale.length,
+      pending_reboot: pendingReboot.length,
+      patch_percentage: Math.round(percentage),
+      non_compliant: nonCompliant.slice(0, MAX_EVIDENCE_ITEMS).map(r => ({
+        device: r.device_name,
+        missing_critical: r.missing_critical,
+        last_patched_at: r.last_patched_at
+      })),
+      description: `${compliantCount}/${patchRows.length} devices (${Math.round(percentage)}%) fully patched ` +
+        `(${missingCritical.length} missing critical patches, ${stale.length} not patched in ${PATCH_WINDOW_DAYS} days)`
+    }
+  };
+}
+
 /**
  * Calculate EDR health score
- * Percentage of devices with EDR installed and reporting
- * Note: Simplified - would need actual EDR data
+ * Percentage of endpoints and servers with an EDR agent that is active,
+ * checked in within 7 days and has no active threats; falls back to
+ * managed-device coverage when no EDR data is synced for the client
  */
 async function calculateEDRHealth(clientId) {
+  const agents = await edrAgentModel.findByClientId(clientId);
+  if (agents.length > 0) {
+    const devices = await deviceModel.findByClientId(clientId);
+    return calculateEDRHealthFromAgents(devices, agents);
+  }
+
   const totalDevices = await deviceModel.countByClientId(clientId);
   const managedDevices = await deviceModel.countManagedByClientId(clientId);
 
@@ -175,28 +245,170 @@ async function calculateEDRHealth(clientId) {
     };
   }
 
-  // Simplified: Assume managed devices have EDR
+  // No EDR data: assume managed devices have EDR
   const percentage = (managedDevices / totalDevices) * 100;
 
   return {
     score: Math.round(percentage),
     evidence: {
+      source: 'managed_devices',
       total_devices: totalDevices,
       devices_with_edr: managedDevices,
       edr_coverage: Math.round(percentage),
-      description: `${managedDevices}/${totalDevices} devices (${Math.round(percentage)}%) with EDR coverage`
+      description: `${managedDevices}/${totalDevices} devices (${Math.round(percentage)}%) assumed to have EDR (no EDR data synced)`
+    }
+  };
+}
+
+/**
+ * Calculate EDR health from synced agents
+ * Devices are matched to agents by device link or hostname; agents with no
+ * matching device still count as protected endpoints
+ * @param {Array} devices - Client devices
+ * @param {Array} agents - Client EDR agents
+ */
+function calculateEDRHealthFromAgents(devices, agents) {
+  const cutoff = Date.now() - EDR_CHECK_IN_DAYS * 24 * 60 * 60 * 1000;
+  const normalizeName = (name) => (name || '').trim().toLowerCase();
+
+  const agentsByDeviceId = new Map(agents.filter(a => a.device_id).map(a => [a.device_id, a]));
+  const agentsByName = new Map(agents.map(a => [normalizeName(a.device_name), a]));
+
+  // Network gear can't run an EDR agent
+  const eligibleDevices = devices.filter(d => d.type !== 'network');
+  const matchedAgents = new Set();
+  const missing = [];
+
+  for (const device of eligibleDevices) {
+    const agent = agentsByDeviceId.get(device.id) || agentsByName.get(normalizeName(device.name));
+    if (agent) {
+      matchedAgents.add(agent);
+    } else {
+      missing.push(device);
+    }
+  }
+
+  const isStale = (agent) => !agent.last_check_in || new Date(agent.last_check_in).getTime() < cutoff;
+  const inactive = agents.filter(a => !a.is_active);
+  const stale = agents.filter(a => a.is_active && isStale(a));
+  const infected = agents.filter(a => a.active_threats > 0 || a.threat_status === 'infected');
+  const outdated = agents.filter(a => a.agent_up_to_date === false);
+  const healthy = agents.filter(a => a.is_active && !isStale(a) && !infected.includes(a));
+
+  const totalEndpoints = eligibleDevices.length + agents.filter(a => !matchedAgents.has(a)).length;
+  const percentage = totalEndpoints > 0 ? (healthy.length / totalEndpoints) * 100 : 0;
+
+  const describeAgent = (agent) => ({
+    device: agent.device_name,
+    agent_version: agent.agent_version,
+    last_check_in: agent.last_check_in,
+    active_threats: agent.active_threats
+  });
+
+  return {
+    score: Math.round(percentage),
+    evidence: {
+      source: 'edr',
+      total_endpoints: totalEndpoints,
+      devices_with_edr: totalEndpoints - missing.length,
+      healthy_agents: healthy.length,
+      edr_coverage: totalEndpoints > 0 ? Math.round(((totalEndpoints - missing.length) / totalEndpoints) * 100) : 0,
+      missing_edr: missing.slice(0, MAX_EVIDENCE_ITEMS).map(d => ({ device: d.name, type: d.type })),
+      not_reporting: [...inactive, ...stale].slice(0, MAX_EVIDENCE_ITEMS).map(describeAgent),
+      active_threats: infected.slice(0, MAX_EVIDENCE_ITEMS).map(describeAgent),
+      outdated_agents: outdated.length,
+      description: `${healthy.length}/${totalEndpoints} endpoints (${Math.round(percentage)}%) with healthy EDR ` +
+        `(${missing.length} missing an agent, ${inactive.length + stale.length} not reporting in ${EDR_CHECK_IN_DAYS} days, ` +
+        `${infected.length} with active threats)`
+    }
+  };
+}
+
+/**
+ * Calculate backup health score
+ * Percentage of protected workloads (plus servers with no backup at all) that
+ * are not paused and had a successful backup within the last 24 hours; not
+ * applicable (score null) when no backup source reports for the client
+ */
+async function calculateBackupHealth(clientId) {
+  const backups = await backupStatusModel.findByClientId(clientId);
+
+  if (backups.length === 0) {
+    return {
+      score: null,
+      evidence: {
+        description: 'No backup data available (not scored)'
+      }
+    };
+  }
+
+  const cutoff = Date.now() - BACKUP_RPO_HOURS * 60 * 60 * 1000;
+  const normalizeName = (name) => (name || '').trim().toLowerCase();
+
+  // Servers with no backup row are coverage gaps
+  const devices = await deviceModel.findByClientId(clientId);
+  const protectedIds = new Set(backups.map(b => b.device_id).filter(Boolean));
+  const protectedNames = new Set(backups.map(b => normalizeName(b.workload_name)));
+  const unprotectedServers = devices.filter(d =>
+    d.type === 'server' && !protectedIds.has(d.id) && !protectedNames.has(normalizeName(d.name))
+  );
+
+  const isCurrent = (b) => b.last_successful_backup_at && new Date(b.last_successful_backup_at).getTime() >= cutoff;
+  const paused = backups.filter(b => b.paused);
+  const stale = backups.filter(b => !b.paused && !isCurrent(b));
+  const failing = backups.filter(b => b.failed_backups > 0 || b.last_backup_status === 'failed');
+  const verificationFailed = backups.filter(b => b.last_verification_passed === false);
+  const healthy = backups.filter(b => !b.paused && isCurrent(b));
+
+  const totalWorkloads = backups.length + unprotectedServers.length;
+  const percentage = (healthy.length / totalWorkloads) * 100;
+  const retention = backups.map(b => b.retention_days).filter(d => d !== null && d !== undefined);
+
+  const describeBackup = (b) => ({
+    workload: b.workload_name,
+    last_successful_backup_at: b.last_successful_backup_at,
+    failed_backups: b.failed_backups
+  });
+
+  return {
+    score: Math.round(percentage),
+    evidence: {
+      total_workloads: totalWorkloads,
+      healthy_workloads: healthy.length,
+      backup_percentage: Math.round(percentage),
+      unprotected_servers: unprotectedServers.slice(0, MAX_EVIDENCE_ITEMS).map(d => ({ device: d.name })),
+      stale: stale.slice(0, MAX_EVIDENCE_ITEMS).map(describeBackup),
+      failing: failing.slice(0, MAX_EVIDENCE_ITEMS).map(describeBackup),
+      paused: paused.map(b => b.workload_name),
+      verification_failed: verificationFailed.length,
+      min_retention_days: retention.length > 0 ? Math.min(...retention) : null,
+      description: `${healthy.length}/${totalWorkloads} workloads (${Math.round(percentage)}%) backed up in the last ` +
+        `${BACKUP_RPO_HOURS} hours (${unprotectedServers.length} servers unprotected, ${stale.length + paused.length} stale or paused, ` +
+        `${failing.length} with recent failures)`
     }
   };
 }
 
 /**
  * Calculate M365 Secure Score component
- * Normalized from Microsoft Secure Score
+ * Normalized from Microsoft Secure Score (Google Workspace security controls when there is none)
  */
 async function calculateM365SecureScore(clientId) {
   const passRate = await controlModel.getPassRate(clientId, 'm365_secure_score');
 
   if (passRate === 0) {
+    // Google Workspace clients have no Secure Score; use their Workspace security controls
+    const workspacePassRate = await controlModel.getPassRate(clientId, 'google_workspace_security');
+    if (workspacePassRate > 0) {
+      return {
+        score: Math.round(workspacePassRate),
+        evidence: {
+          workspace_security_percentage: Math.round(workspacePassRate),
+          description: `Google Workspace security controls: ${Math.round(workspacePassRate)}% passing`
+        }
+      };
+    }
+
     return {
       score: 0,
       evidence: {
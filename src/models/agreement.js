@@ -0,0 +1,84 @@
+const db = require('../db');
+
+/**
+ * Agreement model - Query helpers for agreements table
+ */
+
+/**
+ * Find a client's agreements that haven't been cancelled
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findByClientId(clientId) {
+  return db('agreements').where({ client_id: clientId, cancelled: false }).orderBy('mrr', 'desc');
+}
+
+/**
+ * Summarize a client's agreements, leaving out cancelled ones
+ * @param {number} clientId - Client ID
+ * @param {Object} trx - Optional transaction
+ * @returns {Promise<{mrr: number|null, agreement_start: Date|null, agreement_end: Date|null}>}
+ */
+async function summarizeByClientId(clientId, trx = db) {
+  const result = await trx('agreements')
+    .where({ client_id: clientId, cancelled: false })
+    .sum('mrr as mrr')
+    .min('start_date as agreement_start')
+    .max('end_date as agreement_end')
+    .first();
+
+  return {
+    mrr: result.mrr !== null ? parseFloat(result.mrr) : null,
+    agreement_start: result.agreement_start,
+    agreement_end: result.agreement_end
+  };
+}
+
+/**
+ * Create or update agreement (upsert by source and external_id)
+ * @param {Object} agreementData - Agreement data
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Object>}
+ */
+async function upsert(agreementData, trx = db, stats = null) {
+  const existing = await trx('agreements')
+    .where({
+      source: agreementData.source || null,
+      external_id: agreementData.external_id,
+      client_id: agreementData.client_id
+    })
+    .first();
+
+  if (existing) {
+    if (stats) stats.updated++;
+    await trx('agreements').where({ id: existing.id }).update(agreementData);
+    return trx('agreements').where({ id: existing.id }).first();
+  }
+
+  if (stats) stats.inserted++;
+  const [agreement] = await trx('agreements').insert(agreementData).returning('*');
+  return agreement;
+}
+
+/**
+ * Batch upsert agreements
+ * @param {Array} agreements - Array of agreement objects
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Array>}
+ */
+async function batchUpsert(agreements, trx = db, stats = null) {
+  const results = [];
+  for (const agreement of agreements) {
+    results.push(await upsert(agreement, trx, stats));
+  }
+  return results;
+}
+
+module.exports = {
+  findByClientId,
+  summarizeByClientId,
+  upsert,
+  batchUpsert,
+};
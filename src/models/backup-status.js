@@ -0,0 +1,71 @@
+const db = require('../db');
+
+/**
+ * Backup status model - Query helpers for backup_status table
+ * One row per protected workload with its latest backup outcome
+ */
+
+/**
+ * Find backup status rows by client ID
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findByClientId(clientId) {
+  return db('backup_status').where({ client_id: clientId }).whereNull('retired_at').orderBy('workload_name');
+}
+
+/**
+ * Create or update a workload's backup status (upsert by source + external_id)
+ * Links the row to the client's device with the same name when one exists
+ * @param {Object} backupData - Backup status data
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Object>}
+ */
+async function upsert(backupData, trx = db, stats = null) {
+  const device = backupData.workload_name
+    ? await trx('devices')
+      .where({ client_id: backupData.client_id })
+      .whereRaw('lower(name) = ?', [backupData.workload_name.toLowerCase()])
+      .first('id')
+    : null;
+
+  const data = { ...backupData, device_id: device?.id || null };
+
+  const existing = await trx('backup_status')
+    .where({ source: data.source, external_id: data.external_id })
+    .first();
+
+  if (existing) {
+    if (stats) stats.updated++;
+    await trx('backup_status')
+      .where({ id: existing.id })
+      .update({ ...data, updated_at: trx.fn.now() });
+    return trx('backup_status').where({ id: existing.id }).first();
+  }
+
+  if (stats) stats.inserted++;
+  const [row] = await trx('backup_status').insert(data).returning('*');
+  return row;
+}
+
+/**
+ * Batch upsert backup status rows
+ * @param {Array} rows - Array of backup status objects
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Array>}
+ */
+async function batchUpsert(rows, trx = db, stats = null) {
+  const results = [];
+  for (const row of rows) {
+    results.push(await upsert(row, trx, stats));
+  }
+  return results;
+}
+
+module.exports = {
+  findByClientId,
+  upsert,
+  batchUpsert,
+};
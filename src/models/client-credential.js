@@ -0,0 +1,98 @@
+const db = require('../db');
+
+/**
+ * Client credential model - Query helpers for client_credentials table
+ * Per-client, per-source vendor credentials, stored encrypted (see sync/credential-vault)
+ */
+
+// Everything except the encrypted material
+const SAFE_COLUMNS = ['id', 'client_id', 'source', 'fields', 'master_key_id', 'last_used_at', 'created_at', 'updated_at'];
+
+/**
+ * Find stored credentials by ID (without the encrypted material)
+ * @param {number} id - Credential ID
+ * @returns {Promise<Object|null>}
+ */
+async function findById(id) {
+  return db('client_credentials').where({ id }).first(SAFE_COLUMNS);
+}
+
+/**
+ * Find stored credentials (without the encrypted material)
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.clientId - Client ID
+ * @param {string} filters.source - Source system
+ * @returns {Promise<Array>}
+ */
+async function findAll({ clientId = null, source = null } = {}) {
+  const query = db('client_credentials').select(SAFE_COLUMNS).orderBy(['client_id', 'source']);
+
+  if (clientId) {
+    query.where({ client_id: clientId });
+  }
+  if (source) {
+    query.where({ source });
+  }
+
+  return query;
+}
+
+/**
+ * Find a client's credentials for a source, including the encrypted material
+ * @param {number} clientId - Client ID
+ * @param {string} source - Source system
+ * @returns {Promise<Object|null>}
+ */
+async function findEncrypted(clientId, source) {
+  return db('client_credentials').where({ client_id: clientId, source }).first();
+}
+
+/**
+ * Create or replace a client's credentials for a source (upsert by client_id + source)
+ * @param {Object} credentialData - client_id, source, fields, encrypted_key, ciphertext, master_key_id
+ * @returns {Promise<Object>} Stored row without the encrypted material
+ */
+async function upsert(credentialData) {
+  const existing = await db('client_credentials')
+    .where({ client_id: credentialData.client_id, source: credentialData.source })
+    .first('id');
+
+  const row = { ...credentialData, fields: JSON.stringify(credentialData.fields || []) };
+
+  if (existing) {
+    await db('client_credentials')
+      .where({ id: existing.id })
+      .update({ ...row, updated_at: db.fn.now() });
+    return findById(existing.id);
+  }
+
+  const [created] = await db('client_credentials').insert(row).returning(SAFE_COLUMNS);
+  return created;
+}
+
+/**
+ * Record that a sync used the credentials
+ * @param {number} id - Credential ID
+ * @returns {Promise<number>}
+ */
+async function touch(id) {
+  return db('client_credentials').where({ id }).update({ last_used_at: db.fn.now() });
+}
+
+/**
+ * Delete stored credentials
+ * @param {number} id - Credential ID
+ * @returns {Promise<number>} Number of deleted rows
+ */
+async function remove(id) {
+  return db('client_credentials').where({ id }).del();
+}
+
+module.exports = {
+  findById,
+  findAll,
+  findEncrypted,
+  upsert,
+  touch,
+  remove,
+};
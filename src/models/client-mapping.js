@@ -0,0 +1,87 @@
+const db = require('../db');
+
+/**
+ * Client mapping model - Query helpers for client_mappings table
+ * Maps a vendor tenant/company ID to the clients row it belongs to
+ */
+
+/**
+ * Find mapping by ID
+ * @param {number} id - Mapping ID
+ * @returns {Promise<Object|null>}
+ */
+async function findById(id) {
+  return db('client_mappings').where({ id }).first();
+}
+
+/**
+ * Find all mappings, optionally filtered by source
+ * @param {string} source - Optional source filter ('connectwise', 'immy', 'm365')
+ * @returns {Promise<Array>}
+ */
+async function findAll(source = null) {
+  const query = db('client_mappings').orderBy(['source', 'external_name']);
+  if (source) {
+    query.where({ source });
+  }
+  return query;
+}
+
+/**
+ * Find all mappings for a source
+ * @param {string} source - Source system
+ * @param {Object} trx - Optional transaction
+ * @returns {Promise<Array>}
+ */
+async function findBySource(source, trx = db) {
+  return trx('client_mappings').where({ source });
+}
+
+/**
+ * Find mappings for a client
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findByClientId(clientId) {
+  return db('client_mappings').where({ client_id: clientId });
+}
+
+/**
+ * Create or update mapping (upsert by source + external_id)
+ * @param {Object} mappingData - Mapping data
+ * @param {Object} trx - Optional transaction
+ * @returns {Promise<Object>}
+ */
+async function upsert(mappingData, trx = db) {
+  const existing = await trx('client_mappings')
+    .where({ source: mappingData.source, external_id: mappingData.external_id })
+    .first();
+
+  if (existing) {
+    await trx('client_mappings')
+      .where({ id: existing.id })
+      .update({ ...mappingData, updated_at: trx.fn.now() });
+    return trx('client_mappings').where({ id: existing.id }).first();
+  }
+
+  const [mapping] = await trx('client_mappings').insert(mappingData).returning('*');
+  return mapping;
+}
+
+/**
+ * Delete mapping
+ * @param {number} id - Mapping ID
+ * @returns {Promise<number>} Number of deleted rows
+ */
+async function remove(id) {
+  return db('client_mappings').where({ id }).del();
+}
+
+module.exports = {
+  findById,
+  findAll,
+  findBySource,
+  findByClientId,
+  upsert,
+  remove,
+};
@@ -25,10 +25,11 @@ async function findByExternalId(externalId, source) {
 
 /**
  * Find all clients
+ * @param {Object} trx - Optional transaction
  * @returns {Promise<Array>}
  */
-async function findAll() {
-  return db('clients').select('*');
+async function findAll(trx = db) {
+  return trx('clients').select('*');
 }
 
 /**
@@ -44,14 +45,16 @@ async function findBySegment(segment) {
  * Create or update client (upsert)
  * @param {Object} clientData - Client data
  * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
  * @returns {Promise<Object>}
  */
-async function upsert(clientData, trx = db) {
+async function upsert(clientData, trx = db, stats = null) {
   const existing = await trx('clients')
     .where({ external_id: clientData.external_id, source: clientData.source })
     .first();
 
   if (existing) {
+    if (stats) stats.updated++;
     // Update
     await trx('clients')
       .where({ id: existing.id })
@@ -59,21 +62,55 @@ async function upsert(clientData, trx = db) {
     return trx('clients').where({ id: existing.id }).first();
   } else {
     // Insert
-    const [id] = await trx('clients').insert(clientData).returning('id');
+    if (stats) stats.inserted++;
+    const [{ id }] = await trx('clients').insert(clientData).returning('id');
     return trx('clients').where({ id }).first();
   }
 }
 
+/**
+ * Update client fields
+ * @param {number} id - Client ID
+ * @param {Object} clientData - Fields to update
+ * @param {Object} trx - Optional transaction
+ * @returns {Promise<Object>}
+ */
+async function update(id, clientData, trx = db) {
+  await trx('clients')
+    .where({ id })
+    .update({ ...clientData, updated_at: trx.fn.now() });
+  return trx('clients').where({ id }).first();
+}
+
+/**
+ * Store a client's Microsoft 365 tenant ID
+ * A tenant belongs to one client, so it is cleared from any other client first
+ * @param {number} id - Client ID
+ * @param {string} tenantId - Entra tenant ID
+ * @param {Object} trx - Optional transaction
+ * @returns {Promise<void>}
+ */
+async function setM365TenantId(id, tenantId, trx = db) {
+  await trx('clients')
+    .where({ m365_tenant_id: tenantId })
+    .whereNot({ id })
+    .update({ m365_tenant_id: null, updated_at: trx.fn.now() });
+  await trx('clients')
+    .where({ id })
+    .update({ m365_tenant_id: tenantId, updated_at: trx.fn.now() });
+}
+
 /**
  * Batch upsert clients
  * @param {Array} clients - Array of client objects
  * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
  * @returns {Promise<Array>} Inserted/updated IDs
  */
-async function batchUpsert(clients, trx = db) {
+async function batchUpsert(clients, trx = db, stats = null) {
   const results = [];
   for (const client of clients) {
-    const result = await upsert(client, trx);
+    const result = await upsert(client, trx, stats);
     results.push(result);
   }
   return results;
@@ -85,5 +122,7 @@ module.exports = {
   findAll,
   findBySegment,
   upsert,
+  update,
+  setM365TenantId,
   batchUpsert,
 };
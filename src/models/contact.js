@@ -0,0 +1,58 @@
+const db = require('../db');
+
+/**
+ * Contact model - Query helpers for contacts table
+ */
+
+/**
+ * Find contacts by client ID
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findByClientId(clientId) {
+  return db('contacts').where({ client_id: clientId }).orderBy('name');
+}
+
+/**
+ * Create or update contact (upsert by external_id)
+ * @param {Object} contactData - Contact data
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Object>}
+ */
+async function upsert(contactData, trx = db, stats = null) {
+  const existing = await trx('contacts')
+    .where({ external_id: contactData.external_id, client_id: contactData.client_id })
+    .first();
+
+  if (existing) {
+    if (stats) stats.updated++;
+    await trx('contacts').where({ id: existing.id }).update(contactData);
+    return trx('contacts').where({ id: existing.id }).first();
+  }
+
+  if (stats) stats.inserted++;
+  const [contact] = await trx('contacts').insert(contactData).returning('*');
+  return contact;
+}
+
+/**
+ * Batch upsert contacts
+ * @param {Array} contacts - Array of contact objects
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Array>}
+ */
+async function batchUpsert(contacts, trx = db, stats = null) {
+  const results = [];
+  for (const contact of contacts) {
+    results.push(await upsert(contact, trx, stats));
+  }
+  return results;
+}
+
+module.exports = {
+  findByClientId,
+  upsert,
+  batchUpsert,
+};
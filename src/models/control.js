@@ -4,13 +4,16 @@ const db = require('../db');
  * Control model - Query helpers for controls table
  */
 
+// Control type of the SPF/DKIM/DMARC results stored by the email posture check
+const EMAIL_AUTH_CONTROL_TYPE = 'email_authentication';
+
 /**
  * Find controls by client ID
  * @param {number} clientId - Client ID
  * @returns {Promise<Array>}
  */
 async function findByClientId(clientId) {
-  return db('controls').where({ client_id: clientId });
+  return db('controls').where({ client_id: clientId }).whereNull('retired_at');
 }
 
 /**
@@ -20,7 +23,7 @@ async function findByClientId(clientId) {
  * @returns {Promise<Array>}
  */
 async function findByType(clientId, controlType) {
-  return db('controls').where({ client_id: clientId, control_type: controlType });
+  return db('controls').where({ client_id: clientId, control_type: controlType }).whereNull('retired_at');
 }
 
 /**
@@ -32,6 +35,7 @@ async function findByType(clientId, controlType) {
 async function countByStatus(clientId, status) {
   const result = await db('controls')
     .where({ client_id: clientId, status })
+    .whereNull('retired_at')
     .count('id as count')
     .first();
   return parseInt(result.count, 10);
@@ -44,7 +48,7 @@ async function countByStatus(clientId, status) {
  * @returns {Promise<number>} Percentage (0-100)
  */
 async function getPassRate(clientId, controlType = null) {
-  let query = db('controls').where({ client_id: clientId });
+  let query = db('controls').where({ client_id: clientId }).whereNull('retired_at');
 
   if (controlType) {
     query = query.where({ control_type: controlType });
@@ -64,9 +68,10 @@ async function getPassRate(clientId, controlType = null) {
  * Batch upsert controls
  * @param {Array} controls - Array of control objects
  * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
  * @returns {Promise<Array>}
  */
-async function batchUpsert(controls, trx = db) {
+async function batchUpsert(controls, trx = db, stats = null) {
   const results = [];
   for (const control of controls) {
     const existing = await trx('controls')
@@ -74,10 +79,12 @@ async function batchUpsert(controls, trx = db) {
       .first();
 
     if (existing) {
+      if (stats) stats.updated++;
       await trx('controls').where({ id: existing.id }).update(control);
       results.push(await trx('controls').where({ id: existing.id }).first());
     } else {
-      const [id] = await trx('controls').insert(control).returning('id');
+      if (stats) stats.inserted++;
+      const [{ id }] = await trx('controls').insert(control).returning('id');
       results.push(await trx('controls').where({ id }).first());
     }
   }
@@ -85,6 +92,7 @@ async function batchUpsert(controls, trx = db) {
 }
 
 module.exports = {
+  EMAIL_AUTH_CONTROL_TYPE,
   findByClientId,
   findByType,
   countByStatus,
@@ -2,15 +2,29 @@ const db = require('../db');
 
 /**
  * Device model - Query helpers for devices table
+ *
+ * Intune reports the same physical devices as the RMM/PSA, so Intune records
+ * (those carrying intune_device_id) are merged onto the client's existing
+ * device with the same Intune ID, serial number or name rather than added as
+ * duplicates, and only their Intune fields are written to it.
  */
 
+// Device fields owned by Intune; the rest of a merged row belongs to the RMM/PSA
+const INTUNE_FIELDS = [
+  'intune_device_id',
+  'serial_number',
+  'compliance_state',
+  'noncompliant_policies',
+  'compliance_checked_at'
+];
+
 /**
  * Find devices by client ID
  * @param {number} clientId - Client ID
  * @returns {Promise<Array>}
  */
 async function findByClientId(clientId) {
-  return db('devices').where({ client_id: clientId });
+  return db('devices').where({ client_id: clientId }).whereNull('retired_at');
 }
 
 /**
@@ -19,7 +33,7 @@ async function findByClientId(clientId) {
  * @returns {Promise<Array>}
  */
 async function findManagedByClientId(clientId) {
-  return db('devices').where({ client_id: clientId, managed: true });
+  return db('devices').where({ client_id: clientId, managed: true }).whereNull('retired_at');
 }
 
 /**
@@ -29,7 +43,7 @@ async function findManagedByClientId(clientId) {
  * @returns {Promise<Array>}
  */
 async function findByHealthStatus(clientId, healthStatus) {
-  return db('devices').where({ client_id: clientId, health_status: healthStatus });
+  return db('devices').where({ client_id: clientId, health_status: healthStatus }).whereNull('retired_at');
 }
 
 /**
@@ -38,7 +52,7 @@ async function findByHealthStatus(clientId, healthStatus) {
  * @returns {Promise<number>}
  */
 async function countByClientId(clientId) {
-  const result = await db('devices').where({ client_id: clientId }).count('id as count').first();
+  const result = await db('devices').where({ client_id: clientId }).whereNull('retired_at').count('id as count').first();
   return parseInt(result.count, 10);
 }
 
@@ -50,23 +64,78 @@ async function countByClientId(clientId) {
 async function countManagedByClientId(clientId) {
   const result = await db('devices')
     .where({ client_id: clientId, managed: true })
+    .whereNull('retired_at')
+    .count('id as count')
+    .first();
+  return parseInt(result.count, 10);
+}
+
+/**
+ * Count devices in a given Intune compliance state
+ * @param {number} clientId - Client ID
+ * @param {string} complianceState - Compliance state ('compliant', 'noncompliant', ...)
+ * @returns {Promise<number>}
+ */
+async function countByComplianceState(clientId, complianceState) {
+  const result = await db('devices')
+    .where({ client_id: clientId, compliance_state: complianceState })
+    .whereNull('retired_at')
     .count('id as count')
     .first();
   return parseInt(result.count, 10);
 }
 
 /**
- * Create or update device (upsert by external_id)
+ * Count devices Intune has reported a compliance state for
+ * @param {number} clientId - Client ID
+ * @returns {Promise<number>}
+ */
+async function countComplianceReported(clientId) {
+  const result = await db('devices')
+    .where({ client_id: clientId })
+    .whereNotNull('compliance_state')
+    .whereNull('retired_at')
+    .count('id as count')
+    .first();
+  return parseInt(result.count, 10);
+}
+
+/**
+ * Find devices Intune reports as non-compliant
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findNonCompliant(clientId) {
+  return db('devices')
+    .where({ client_id: clientId, compliance_state: 'noncompliant' })
+    .whereNull('retired_at')
+    .orderBy('name');
+}
+
+/**
+ * Create or update device (upsert by source and external_id)
+ * Intune devices are merged onto a matching RMM/PSA device (see mergeIntuneDevice)
  * @param {Object} deviceData - Device data
  * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
  * @returns {Promise<Object>}
  */
-async function upsert(deviceData, trx = db) {
+async function upsert(deviceData, trx = db, stats = null) {
+  if (deviceData.intune_device_id) {
+    return mergeIntuneDevice(deviceData, trx, stats);
+  }
+
+  // A device first reported by Intune is adopted by the RMM/PSA that later reports it
   const existing = await trx('devices')
-    .where({ external_id: deviceData.external_id, client_id: deviceData.client_id })
-    .first();
+    .where({
+      source: deviceData.source || null,
+      external_id: deviceData.external_id,
+      client_id: deviceData.client_id
+    })
+    .first() || await findIntuneOnlyMatch(deviceData, trx);
 
   if (existing) {
+    if (stats) stats.updated++;
     // Update
     await trx('devices')
       .where({ id: existing.id })
@@ -74,21 +143,106 @@ async function upsert(deviceData, trx = db) {
     return trx('devices').where({ id: existing.id }).first();
   } else {
     // Insert
-    const [id] = await trx('devices').insert(deviceData).returning('id');
+    if (stats) stats.inserted++;
+    const [{ id }] = await trx('devices').insert(deviceData).returning('id');
+    return trx('devices').where({ id }).first();
+  }
+}
+
+/**
+ * Merge an Intune device onto the client's matching device, or insert it
+ * @param {Object} deviceData - Normalized Intune device
+ * @param {Object} trx - Transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Object>}
+ */
+async function mergeIntuneDevice(deviceData, trx, stats) {
+  const data = {
+    ...deviceData,
+    noncompliant_policies: JSON.stringify(deviceData.noncompliant_policies || [])
+  };
+
+  // A device its RMM/PSA has retired is no longer merged onto; Intune then reports it on its own row
+  const candidates = await trx('devices')
+    .where({ client_id: data.client_id })
+    .whereNull('retired_at')
+    .where(query => {
+      query.where({ intune_device_id: data.intune_device_id });
+      if (data.serial_number) query.orWhere({ serial_number: data.serial_number });
+      if (data.name) query.orWhereRaw('lower(name) = ?', [data.name.toLowerCase()]);
+    });
+
+  // Prefer the row already linked to this Intune device, then an unlinked serial number or name match
+  const unlinked = candidates.filter(d => !d.intune_device_id);
+  const existing = candidates.find(d => d.intune_device_id === data.intune_device_id) ||
+    unlinked.find(d => data.serial_number && d.serial_number === data.serial_number) ||
+    unlinked[0];
+
+  if (!existing) {
+    if (stats) stats.inserted++;
+    const [{ id }] = await trx('devices').insert(data).returning('id');
     return trx('devices').where({ id }).first();
   }
+
+  if (stats) stats.updated++;
+
+  // Intune-only rows are Intune's to update in full; merged rows only take the Intune fields
+  const ownedByIntune = existing.source === data.source && existing.external_id === data.external_id;
+  const update = ownedByIntune
+    ? data
+    : {
+      ...Object.fromEntries(INTUNE_FIELDS.map(field => [field, data[field]])),
+      managed: true,
+      last_seen: latest(existing.last_seen, data.last_seen)
+    };
+
+  await trx('devices').where({ id: existing.id }).update(update);
+  return trx('devices').where({ id: existing.id }).first();
+}
+
+/**
+ * Find a device only Intune has reported, matching an RMM/PSA device by serial number or name
+ * @param {Object} deviceData - Normalized RMM/PSA device
+ * @param {Object} trx - Transaction
+ * @returns {Promise<Object|undefined>}
+ */
+async function findIntuneOnlyMatch(deviceData, trx) {
+  if (!deviceData.name && !deviceData.serial_number) return undefined;
+
+  return trx('devices')
+    .where({ client_id: deviceData.client_id })
+    .whereNotNull('intune_device_id')
+    .whereRaw('external_id = intune_device_id')
+    .where(query => {
+      if (deviceData.serial_number) query.orWhere({ serial_number: deviceData.serial_number });
+      if (deviceData.name) query.orWhereRaw('lower(name) = ?', [deviceData.name.toLowerCase()]);
+    })
+    .first();
+}
+
+/**
+ * Later of two timestamps
+ * @param {Date|string|null} a
+ * @param {Date|string|null} b
+ * @returns {Date|null}
+ */
+function latest(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return new Date(a) > new Date(b) ? a : b;
 }
 
 /**
  * Batch upsert devices
  * @param {Array} devices - Array of device objects
  * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
  * @returns {Promise<Array>}
  */
-async function batchUpsert(devices, trx = db) {
+async function batchUpsert(devices, trx = db, stats = null) {
   const results = [];
   for (const device of devices) {
-    const result = await upsert(device, trx);
+    const result = await upsert(device, trx, stats);
     results.push(result);
   }
   return results;
@@ -100,6 +254,9 @@ module.exports = {
   findByHealthStatus,
   countByClientId,
   countManagedByClientId,
+  countByComplianceState,
+  countComplianceReported,
+  findNonCompliant,
   upsert,
   batchUpsert,
 };
@@ -0,0 +1,70 @@
+const db = require('../db');
+
+/**
+ * EDR agent model - Query helpers for edr_agents table
+ */
+
+/**
+ * Find EDR agents by client ID
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findByClientId(clientId) {
+  return db('edr_agents').where({ client_id: clientId }).whereNull('retired_at').orderBy('device_name');
+}
+
+/**
+ * Create or update an EDR agent (upsert by source + external_id)
+ * Links the agent to the client's device with the same name when one exists
+ * @param {Object} agentData - EDR agent data
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Object>}
+ */
+async function upsert(agentData, trx = db, stats = null) {
+  const device = agentData.device_name
+    ? await trx('devices')
+      .where({ client_id: agentData.client_id })
+      .whereRaw('lower(name) = ?', [agentData.device_name.toLowerCase()])
+      .first('id')
+    : null;
+
+  const data = { ...agentData, device_id: device?.id || null };
+
+  const existing = await trx('edr_agents')
+    .where({ source: data.source, external_id: data.external_id })
+    .first();
+
+  if (existing) {
+    if (stats) stats.updated++;
+    await trx('edr_agents')
+      .where({ id: existing.id })
+      .update({ ...data, updated_at: trx.fn.now() });
+    return trx('edr_agents').where({ id: existing.id }).first();
+  }
+
+  if (stats) stats.inserted++;
+  const [row] = await trx('edr_agents').insert(data).returning('*');
+  return row;
+}
+
+/**
+ * Batch upsert EDR agents
+ * @param {Array} agents - Array of EDR agent objects
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Array>}
+ */
+async function batchUpsert(agents, trx = db, stats = null) {
+  const results = [];
+  for (const agent of agents) {
+    results.push(await upsert(agent, trx, stats));
+  }
+  return results;
+}
+
+module.exports = {
+  findByClientId,
+  upsert,
+  batchUpsert,
+};
@@ -0,0 +1,66 @@
+const db = require('../db');
+
+/**
+ * Identity posture model - Query helpers for identity_posture table
+ * One row per Microsoft 365 tenant with its security defaults and Conditional Access policies
+ */
+
+/**
+ * Find identity posture rows by client ID
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findByClientId(clientId) {
+  return db('identity_posture').where({ client_id: clientId });
+}
+
+/**
+ * Create or update a tenant's identity posture (upsert by source + external_id)
+ * @param {Object} postureData - Identity posture data
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Object>}
+ */
+async function upsert(postureData, trx = db, stats = null) {
+  const data = {
+    ...postureData,
+    conditional_access_policies: JSON.stringify(postureData.conditional_access_policies || [])
+  };
+
+  const existing = await trx('identity_posture')
+    .where({ source: data.source, external_id: data.external_id })
+    .first();
+
+  if (existing) {
+    if (stats) stats.updated++;
+    await trx('identity_posture')
+      .where({ id: existing.id })
+      .update({ ...data, updated_at: trx.fn.now() });
+    return trx('identity_posture').where({ id: existing.id }).first();
+  }
+
+  if (stats) stats.inserted++;
+  const [row] = await trx('identity_posture').insert(data).returning('*');
+  return row;
+}
+
+/**
+ * Batch upsert identity posture rows
+ * @param {Array} rows - Array of identity posture objects
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Array>}
+ */
+async function batchUpsert(rows, trx = db, stats = null) {
+  const results = [];
+  for (const row of rows) {
+    results.push(await upsert(row, trx, stats));
+  }
+  return results;
+}
+
+module.exports = {
+  findByClientId,
+  upsert,
+  batchUpsert,
+};
@@ -0,0 +1,61 @@
+const db = require('../db');
+
+/**
+ * License subscription model - Query helpers for license_subscriptions table
+ * One row per licensed product (SKU) a client's tenant subscribes to
+ */
+
+/**
+ * Find subscriptions by client ID
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findByClientId(clientId) {
+  return db('license_subscriptions').where({ client_id: clientId }).whereNull('retired_at').orderBy('sku_part_number');
+}
+
+/**
+ * Create or update a subscription (upsert by source + external_id)
+ * @param {Object} subscriptionData - Subscription data
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Object>}
+ */
+async function upsert(subscriptionData, trx = db, stats = null) {
+  const existing = await trx('license_subscriptions')
+    .where({ source: subscriptionData.source, external_id: subscriptionData.external_id })
+    .first();
+
+  if (existing) {
+    if (stats) stats.updated++;
+    await trx('license_subscriptions')
+      .where({ id: existing.id })
+      .update({ ...subscriptionData, updated_at: trx.fn.now() });
+    return trx('license_subscriptions').where({ id: existing.id }).first();
+  }
+
+  if (stats) stats.inserted++;
+  const [row] = await trx('license_subscriptions').insert(subscriptionData).returning('*');
+  return row;
+}
+
+/**
+ * Batch upsert subscriptions
+ * @param {Array} rows - Array of subscription objects
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Array>}
+ */
+async function batchUpsert(rows, trx = db, stats = null) {
+  const results = [];
+  for (const row of rows) {
+    results.push(await upsert(row, trx, stats));
+  }
+  return results;
+}
+
+module.exports = {
+  findByClientId,
+  upsert,
+  batchUpsert,
+};
@@ -0,0 +1,89 @@
+const db = require('../db');
+
+/**
+ * Mapping review model - Query helpers for client_mapping_reviews table
+ * Vendor tenants that could not be matched to a client with enough confidence
+ */
+
+/**
+ * Find review by ID
+ * @param {number} id - Review ID
+ * @returns {Promise<Object|null>}
+ */
+async function findById(id) {
+  return db('client_mapping_reviews').where({ id }).first();
+}
+
+/**
+ * Find reviews by status
+ * @param {string} status - Status ('pending', 'resolved', 'ignored')
+ * @returns {Promise<Array>}
+ */
+async function findByStatus(status = 'pending') {
+  return db('client_mapping_reviews').where({ status }).orderBy('created_at', 'asc');
+}
+
+/**
+ * Queue a tenant for review
+ * Refreshes candidates on a pending review; ignored and resolved reviews are left alone
+ * @param {Object} reviewData - Review data (source, external_id, external_name, domains, candidates)
+ * @param {Object} trx - Optional transaction
+ * @returns {Promise<Object>}
+ */
+async function queue(reviewData, trx = db) {
+  const row = {
+    ...reviewData,
+    domains: JSON.stringify(reviewData.domains || []),
+    candidates: JSON.stringify(reviewData.candidates || [])
+  };
+
+  const existing = await trx('client_mapping_reviews')
+    .where({ source: row.source, external_id: row.external_id })
+    .first();
+
+  if (existing) {
+    if (existing.status === 'pending') {
+      await trx('client_mapping_reviews')
+        .where({ id: existing.id })
+        .update({ ...row, updated_at: trx.fn.now() });
+    }
+    return trx('client_mapping_reviews').where({ id: existing.id }).first();
+  }
+
+  const [review] = await trx('client_mapping_reviews').insert(row).returning('*');
+  return review;
+}
+
+/**
+ * Mark review as resolved to a client
+ * @param {string} source - Source system
+ * @param {string} externalId - Vendor tenant/company ID
+ * @param {number} clientId - Client the tenant was mapped to
+ * @param {Object} trx - Optional transaction
+ * @returns {Promise<number>} Number of updated rows
+ */
+async function markResolved(source, externalId, clientId, trx = db) {
+  return trx('client_mapping_reviews')
+    .where({ source, external_id: externalId })
+    .update({ status: 'resolved', resolved_client_id: clientId, updated_at: trx.fn.now() });
+}
+
+/**
+ * Mark review as ignored (tenant is not a managed client)
+ * @param {number} id - Review ID
+ * @returns {Promise<Object>}
+ */
+async function markIgnored(id) {
+  await db('client_mapping_reviews')
+    .where({ id })
+    .update({ status: 'ignored', updated_at: db.fn.now() });
+  return findById(id);
+}
+
+module.exports = {
+  findById,
+  findByStatus,
+  queue,
+  markResolved,
+  markIgnored,
+};
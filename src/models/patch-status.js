@@ -0,0 +1,79 @@
+const db = require('../db');
+
+/**
+ * Patch status model - Query helpers for device_patch_status table
+ * One row per RMM-managed device with its current patch posture
+ */
+
+/**
+ * Find patch status rows by client ID
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findByClientId(clientId) {
+  return db('device_patch_status').where({ client_id: clientId }).whereNull('retired_at').orderBy('device_name');
+}
+
+/**
+ * Count devices reporting patch data for a client
+ * @param {number} clientId - Client ID
+ * @returns {Promise<number>}
+ */
+async function countByClientId(clientId) {
+  const result = await db('device_patch_status').where({ client_id: clientId }).whereNull('retired_at').count('id as count').first();
+  return parseInt(result.count, 10);
+}
+
+/**
+ * Create or update a device's patch status (upsert by source + external_id)
+ * Links the row to the client's device with the same external ID when one exists
+ * @param {Object} patchData - Patch status data
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Object>}
+ */
+async function upsert(patchData, trx = db, stats = null) {
+  const device = await trx('devices')
+    .where({ client_id: patchData.client_id, external_id: patchData.external_id })
+    .first('id');
+
+  const data = { ...patchData, device_id: device?.id || null };
+
+  const existing = await trx('device_patch_status')
+    .where({ source: data.source, external_id: data.external_id })
+    .first();
+
+  if (existing) {
+    if (stats) stats.updated++;
+    await trx('device_patch_status')
+      .where({ id: existing.id })
+      .update({ ...data, updated_at: trx.fn.now() });
+    return trx('device_patch_status').where({ id: existing.id }).first();
+  }
+
+  if (stats) stats.inserted++;
+  const [row] = await trx('device_patch_status').insert(data).returning('*');
+  return row;
+}
+
+/**
+ * Batch upsert patch status rows
+ * @param {Array} rows - Array of patch status objects
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Array>}
+ */
+async function batchUpsert(rows, trx = db, stats = null) {
+  const results = [];
+  for (const row of rows) {
+    results.push(await upsert(row, trx, stats));
+  }
+  return results;
+}
+
+module.exports = {
+  findByClientId,
+  countByClientId,
+  upsert,
+  batchUpsert,
+};
@@ -0,0 +1,130 @@
+const db = require('../db');
+
+/**
+ * Retired record model - Query helpers for records retired at their source
+ *
+ * Synced rows carry the source that reported them and when it last did. A
+ * full sync that no longer reports a row retires it (retired_at) instead of
+ * deleting it, so it drops out of scoring but stays reportable; a later sync
+ * that reports it again clears retired_at.
+ */
+
+// Entity type → table and the column that names a row in reports
+const RETIRABLE_ENTITIES = {
+  devices: { table: 'devices', label: 'name' },
+  users: { table: 'users', label: 'upn' },
+  controls: { table: 'controls', label: 'external_id' },
+  patches: { table: 'device_patch_status', label: 'device_name' },
+  edr_agents: { table: 'edr_agents', label: 'device_name' },
+  backups: { table: 'backup_status', label: 'workload_name' },
+  licenses: { table: 'license_subscriptions', label: 'sku_part_number' },
+  role_assignments: { table: 'directory_role_assignments', label: 'principal_name' }
+};
+
+/**
+ * Check whether an entity type is retired when missing from a full sync
+ * @param {string} entity - Entity type
+ * @returns {boolean}
+ */
+function isRetirable(entity) {
+  return Boolean(RETIRABLE_ENTITIES[entity]);
+}
+
+/**
+ * Retire a source's rows for the given clients that the current sync didn't report
+ * @param {string} entity - Entity type
+ * @param {Object} options - Retirement scope
+ * @param {string} options.source - Source system that ran the full sync
+ * @param {Array<number>} options.clientIds - Clients the sync reported at least one row for
+ * @param {Date} options.syncedBefore - Start of the sync; rows it reported were stamped at this time
+ * @param {Object} trx - Optional transaction
+ * @returns {Promise<number>} Rows retired
+ */
+async function retireMissing(entity, { source, clientIds, syncedBefore }, trx = db) {
+  if (clientIds.length === 0) return 0;
+
+  return trx(RETIRABLE_ENTITIES[entity].table)
+    .where({ source })
+    .whereIn('client_id', clientIds)
+    .whereNull('retired_at')
+    .where(query => {
+      query.whereNull('last_synced_at').orWhere('last_synced_at', '<', syncedBefore);
+    })
+    .update({ retired_at: trx.fn.now() });
+}
+
+/**
+ * Find retired records, newest retirement first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.entity - Entity type
+ * @param {number} filters.clientId - Client ID
+ * @param {string} filters.source - Source system
+ * @param {Date} filters.since - Only records retired at or after this time
+ * @param {number} filters.limit - Maximum records to return
+ * @returns {Promise<Array>}
+ */
+async function findRetired({ entity = null, clientId = null, source = null, since = null, limit = 500 } = {}) {
+  const entities = entity ? [entity] : Object.keys(RETIRABLE_ENTITIES);
+  const records = [];
+
+  for (const name of entities) {
+    const { table, label } = RETIRABLE_ENTITIES[name];
+    const query = db(table)
+      .whereNotNull('retired_at')
+      .select('id', 'client_id', 'source', 'external_id', `${label} as name`, 'last_synced_at', 'retired_at')
+      .orderBy('retired_at', 'desc')
+      .limit(limit);
+
+    if (clientId) {
+      query.where({ client_id: clientId });
+    }
+    if (source) {
+      query.where({ source });
+    }
+    if (since) {
+      query.where('retired_at', '>=', since);
+    }
+
+    const rows = await query;
+    records.push(...rows.map(row => ({ entity: name, ...row })));
+  }
+
+  return records
+    .sort((a, b) => new Date(b.retired_at) - new Date(a.retired_at))
+    .slice(0, limit);
+}
+
+/**
+ * Count retired records per entity type
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.clientId - Client ID
+ * @param {string} filters.source - Source system
+ * @returns {Promise<Object<string, number>>}
+ */
+async function countRetired({ clientId = null, source = null } = {}) {
+  const counts = {};
+
+  for (const [name, { table }] of Object.entries(RETIRABLE_ENTITIES)) {
+    const query = db(table).whereNotNull('retired_at').count('id as count').first();
+
+    if (clientId) {
+      query.where({ client_id: clientId });
+    }
+    if (source) {
+      query.where({ source });
+    }
+
+    const result = await query;
+    counts[name] = parseInt(result.count, 10);
+  }
+
+  return counts;
+}
+
+module.exports = {
+  RETIRABLE_ENTITIES,
+  isRetirable,
+  retireMissing,
+  findRetired,
+  countRetired,
+};
@@ -74,9 +74,10 @@ async function getTopRisks(clientId, limit = 5) {
  * Batch upsert risks
  * @param {Array} risks - Array of risk objects
  * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
  * @returns {Promise<Array>}
  */
-async function batchUpsert(risks, trx = db) {
+async function batchUpsert(risks, trx = db, stats = null) {
   const results = [];
   for (const risk of risks) {
     const existing = await trx('risks')
@@ -84,10 +85,12 @@ async function batchUpsert(risks, trx = db) {
       .first();
 
     if (existing) {
+      if (stats) stats.updated++;
       await trx('risks').where({ id: existing.id }).update(risk);
       results.push(await trx('risks').where({ id: existing.id }).first());
     } else {
-      const [id] = await trx('risks').insert(risk).returning('id');
+      if (stats) stats.inserted++;
+      const [{ id }] = await trx('risks').insert(risk).returning('id');
       results.push(await trx('risks').where({ id }).first());
     }
   }
@@ -0,0 +1,75 @@
+const db = require('../db');
+
+/**
+ * Role assignment model - Query helpers for directory_role_assignments table
+ * Privileged Entra ID directory role assignments
+ */
+
+/**
+ * Find role assignments by client ID, with the assigned user's MFA state
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findByClientId(clientId) {
+  return db('directory_role_assignments as r')
+    .leftJoin('users as u', 'u.id', 'r.user_id')
+    .where('r.client_id', clientId)
+    .whereNull('r.retired_at')
+    .select('r.*', 'u.mfa_enabled', 'u.upn')
+    .orderBy(['r.role_name', 'r.principal_name']);
+}
+
+/**
+ * Create or update a role assignment (upsert by source + external_id)
+ * Links the assignment to the synced user it is granted to
+ * @param {Object} assignmentData - Role assignment data
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Object>}
+ */
+async function upsert(assignmentData, trx = db, stats = null) {
+  const user = assignmentData.principal_type === 'user'
+    ? await trx('users')
+      .where({ client_id: assignmentData.client_id, external_id: assignmentData.principal_external_id })
+      .first('id')
+    : null;
+
+  const data = { ...assignmentData, user_id: user?.id || null };
+
+  const existing = await trx('directory_role_assignments')
+    .where({ source: data.source, external_id: data.external_id })
+    .first();
+
+  if (existing) {
+    if (stats) stats.updated++;
+    await trx('directory_role_assignments')
+      .where({ id: existing.id })
+      .update({ ...data, updated_at: trx.fn.now() });
+    return trx('directory_role_assignments').where({ id: existing.id }).first();
+  }
+
+  if (stats) stats.inserted++;
+  const [row] = await trx('directory_role_assignments').insert(data).returning('*');
+  return row;
+}
+
+/**
+ * Batch upsert role assignments
+ * @param {Array} rows - Array of role assignment objects
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Array>}
+ */
+async function batchUpsert(rows, trx = db, stats = null) {
+  const results = [];
+  for (const row of rows) {
+    results.push(await upsert(row, trx, stats));
+  }
+  return results;
+}
+
+module.exports = {
+  findByClientId,
+  upsert,
+  batchUpsert,
+};
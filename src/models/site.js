@@ -0,0 +1,58 @@
+const db = require('../db');
+
+/**
+ * Site model - Query helpers for sites table
+ */
+
+/**
+ * Find sites by client ID
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findByClientId(clientId) {
+  return db('sites').where({ client_id: clientId }).orderBy('name');
+}
+
+/**
+ * Create or update site (upsert by external_id)
+ * @param {Object} siteData - Site data
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Object>}
+ */
+async function upsert(siteData, trx = db, stats = null) {
+  const existing = await trx('sites')
+    .where({ external_id: siteData.external_id, client_id: siteData.client_id })
+    .first();
+
+  if (existing) {
+    if (stats) stats.updated++;
+    await trx('sites').where({ id: existing.id }).update(siteData);
+    return trx('sites').where({ id: existing.id }).first();
+  }
+
+  if (stats) stats.inserted++;
+  const [site] = await trx('sites').insert(siteData).returning('*');
+  return site;
+}
+
+/**
+ * Batch upsert sites
+ * @param {Array} sites - Array of site objects
+ * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
+ * @returns {Promise<Array>}
+ */
+async function batchUpsert(sites, trx = db, stats = null) {
+  const results = [];
+  for (const site of sites) {
+    results.push(await upsert(site, trx, stats));
+  }
+  return results;
+}
+
+module.exports = {
+  findByClientId,
+  upsert,
+  batchUpsert,
+};
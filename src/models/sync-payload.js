@@ -0,0 +1,42 @@
+const db = require('../db');
+
+/**
+ * Sync payload model - Query helpers for sync_payloads table
+ * Compressed raw vendor responses archived per sync run
+ */
+
+/**
+ * Find the archived payload of a sync run
+ * @param {number} syncRunId - Sync run ID
+ * @returns {Promise<Object|null>}
+ */
+async function findBySyncRunId(syncRunId) {
+  return db('sync_payloads').where({ sync_run_id: syncRunId }).first();
+}
+
+/**
+ * Archive a sync run's payload
+ * @param {Object} payloadData - Payload data (sync_run_id, source, scope, since, payload, size, compressed_size)
+ * @returns {Promise<Object>} Archived row without the payload itself
+ */
+async function create(payloadData) {
+  const [row] = await db('sync_payloads')
+    .insert(payloadData)
+    .returning(['id', 'sync_run_id', 'source', 'scope', 'since', 'size', 'compressed_size', 'created_at']);
+  return row;
+}
+
+/**
+ * Delete payloads archived before a cutoff
+ * @param {Date} cutoff - Oldest archive time to keep
+ * @returns {Promise<number>} Payloads deleted
+ */
+async function deleteOlderThan(cutoff) {
+  return db('sync_payloads').where('created_at', '<', cutoff).del();
+}
+
+module.exports = {
+  findBySyncRunId,
+  create,
+  deleteOlderThan,
+};
@@ -0,0 +1,89 @@
+const db = require('../db');
+
+/**
+ * Sync run model - Query helpers for sync_runs table
+ */
+
+/**
+ * Find sync run by ID
+ * @param {number} id - Sync run ID
+ * @returns {Promise<Object|null>}
+ */
+async function findById(id) {
+  return db('sync_runs').where({ id }).first();
+}
+
+/**
+ * Find recent sync runs
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.source - Source system
+ * @param {string} filters.status - Run status ('running', 'succeeded', 'failed')
+ * @param {number} filters.clientId - Client whose stored credentials the run used
+ * @param {number} filters.limit - Maximum runs to return
+ * @returns {Promise<Array>}
+ */
+async function findRecent({ source = null, status = null, clientId = null, limit = 50 } = {}) {
+  const query = db('sync_runs').orderBy('started_at', 'desc').limit(limit);
+
+  if (source) {
+    query.where({ source });
+  }
+  if (status) {
+    query.where({ status });
+  }
+  if (clientId) {
+    query.where({ client_id: clientId });
+  }
+
+  return query;
+}
+
+/**
+ * Create a sync run
+ * @param {Object} runData - Run data (source, scope, trigger, mode)
+ * @returns {Promise<Object>}
+ */
+async function create(runData) {
+  const [run] = await db('sync_runs')
+    .insert({ ...runData, status: 'running' })
+    .returning('*');
+  return run;
+}
+
+/**
+ * Update a running sync run (e.g. its scope once credentials are resolved)
+ * @param {number} id - Sync run ID
+ * @param {Object} runData - Columns to update
+ * @returns {Promise<number>}
+ */
+async function update(id, runData) {
+  return db('sync_runs').where({ id }).update(runData);
+}
+
+/**
+ * Record the outcome of a sync run
+ * @param {number} id - Sync run ID
+ * @param {Object} resultData - Outcome (status, counts, warnings, error, error_details, request_metrics)
+ * @returns {Promise<Object>}
+ */
+async function finish(id, resultData) {
+  await db('sync_runs')
+    .where({ id })
+    .update({
+      ...resultData,
+      counts: JSON.stringify(resultData.counts || {}),
+      warnings: JSON.stringify(resultData.warnings || []),
+      error_details: resultData.error_details ? JSON.stringify(resultData.error_details) : null,
+      request_metrics: resultData.request_metrics ? JSON.stringify(resultData.request_metrics) : null,
+      finished_at: db.fn.now()
+    });
+  return findById(id);
+}
+
+module.exports = {
+  findById,
+  findRecent,
+  create,
+  update,
+  finish,
+};
@@ -0,0 +1,68 @@
+const db = require('../db');
+
+/**
+ * Sync state model - Query helpers for sync_state table
+ * Stores the watermark of the last successful sync per source and scope
+ */
+
+/**
+ * Find sync state for a source and scope
+ * @param {string} source - Source system ('connectwise', 'immy', 'm365')
+ * @param {string} scope - Vendor account/tenant identifier
+ * @param {Object} trx - Optional transaction
+ * @returns {Promise<Object|null>}
+ */
+async function find(source, scope, trx = db) {
+  return trx('sync_state').where({ source, scope }).first();
+}
+
+/**
+ * Find all sync states
+ * @returns {Promise<Array>}
+ */
+async function findAll() {
+  return db('sync_state').orderBy(['source', 'scope']);
+}
+
+/**
+ * Record a successful sync
+ * @param {string} source - Source system
+ * @param {string} scope - Vendor account/tenant identifier
+ * @param {Date} watermark - Start time of the sync
+ * @param {boolean} fullSync - Whether the sync pulled the full dataset
+ * @param {Object} trx - Optional transaction
+ * @returns {Promise<Object>}
+ */
+async function save(source, scope, watermark, fullSync, trx = db) {
+  const data = {
+    watermark,
+    updated_at: trx.fn.now(),
+    ...(fullSync && { last_full_sync_at: watermark })
+  };
+
+  const existing = await find(source, scope, trx);
+
+  if (existing) {
+    await trx('sync_state').where({ id: existing.id }).update(data);
+    return find(source, scope, trx);
+  }
+
+  const [state] = await trx('sync_state').insert({ source, scope, ...data }).returning('*');
+  return state;
+}
+
+/**
+ * Clear watermarks so the next sync pulls the full dataset
+ * @param {string} source - Source system
+ * @returns {Promise<number>} Number of cleared states
+ */
+async function reset(source) {
+  return db('sync_state').where({ source }).update({ watermark: null, updated_at: db.fn.now() });
+}
+
+module.exports = {
+  find,
+  findAll,
+  save,
+  reset,
+};
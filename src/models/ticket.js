@@ -38,14 +38,32 @@ async function countByClientId(clientId) {
 }
 
 /**
- * Count tickets that met SLA
+ * Count tickets that met SLA (tickets on SLA hold are excluded)
  * @param {number} clientId - Client ID
  * @param {Date} startDate - Optional start date
  * @param {Date} endDate - Optional end date
  * @returns {Promise<number>}
  */
 async function countSLAMet(clientId, startDate = null, endDate = null) {
-  let query = db('tickets').where({ client_id: clientId, sla_met: true });
+  let query = db('tickets').where({ client_id: clientId, sla_met: true, sla_hold: false });
+
+  if (startDate && endDate) {
+    query = query.whereBetween('created_date', [startDate, endDate]);
+  }
+
+  const result = await query.count('id as count').first();
+  return parseInt(result.count, 10);
+}
+
+/**
+ * Count tickets whose SLA clock is on hold
+ * @param {number} clientId - Client ID
+ * @param {Date} startDate - Optional start date
+ * @param {Date} endDate - Optional end date
+ * @returns {Promise<number>}
+ */
+async function countSLAHeld(clientId, startDate = null, endDate = null) {
+  let query = db('tickets').where({ client_id: clientId, sla_hold: true });
 
   if (startDate && endDate) {
     query = query.whereBetween('created_date', [startDate, endDate]);
@@ -92,23 +110,30 @@ async function getAverageCSAT(clientId, startDate = null, endDate = null) {
 }
 
 /**
- * Batch upsert tickets
+ * Batch upsert tickets (by source and external_id)
  * @param {Array} tickets - Array of ticket objects
  * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
  * @returns {Promise<Array>}
  */
-async function batchUpsert(tickets, trx = db) {
+async function batchUpsert(tickets, trx = db, stats = null) {
   const results = [];
   for (const ticket of tickets) {
     const existing = await trx('tickets')
-      .where({ external_id: ticket.external_id, client_id: ticket.client_id })
+      .where({
+        source: ticket.source || null,
+        external_id: ticket.external_id,
+        client_id: ticket.client_id
+      })
       .first();
 
     if (existing) {
+      if (stats) stats.updated++;
       await trx('tickets').where({ id: existing.id }).update(ticket);
       results.push(await trx('tickets').where({ id: existing.id }).first());
     } else {
-      const [id] = await trx('tickets').insert(ticket).returning('id');
+      if (stats) stats.inserted++;
+      const [{ id }] = await trx('tickets').insert(ticket).returning('id');
       results.push(await trx('tickets').where({ id }).first());
     }
   }
@@ -120,6 +145,7 @@ module.exports = {
   findByDateRange,
   countByClientId,
   countSLAMet,
+  countSLAHeld,
   countReopened,
   getAverageCSAT,
   batchUpsert,
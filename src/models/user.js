@@ -10,7 +10,7 @@ const db = require('../db');
  * @returns {Promise<Array>}
  */
 async function findByClientId(clientId) {
-  return db('users').where({ client_id: clientId });
+  return db('users').where({ client_id: clientId }).whereNull('retired_at');
 }
 
 /**
@@ -19,7 +19,7 @@ async function findByClientId(clientId) {
  * @returns {Promise<number>}
  */
 async function countByClientId(clientId) {
-  const result = await db('users').where({ client_id: clientId }).count('id as count').first();
+  const result = await db('users').where({ client_id: clientId }).whereNull('retired_at').count('id as count').first();
   return parseInt(result.count, 10);
 }
 
@@ -31,6 +31,7 @@ async function countByClientId(clientId) {
 async function countMFAEnabled(clientId) {
   const result = await db('users')
     .where({ client_id: clientId, mfa_enabled: true })
+    .whereNull('retired_at')
     .count('id as count')
     .first();
   return parseInt(result.count, 10);
@@ -45,6 +46,7 @@ async function countMFAEnabled(clientId) {
 async function countByRiskLevel(clientId, riskLevel) {
   const result = await db('users')
     .where({ client_id: clientId, risk_level: riskLevel })
+    .whereNull('retired_at')
     .count('id as count')
     .first();
   return parseInt(result.count, 10);
@@ -57,28 +59,48 @@ async function countByRiskLevel(clientId, riskLevel) {
  */
 async function findHighRiskUsers(clientId) {
   return db('users')
-    .where({ client_id: clientId, risk_level: 'high' })
-    .orWhere({ client_id: clientId, risk_level: 'medium' });
+    .where({ client_id: clientId })
+    .whereIn('risk_level', ['high', 'medium'])
+    .whereNull('retired_at');
+}
+
+/**
+ * Find users who signed in with legacy authentication recently
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+async function findWithLegacyAuthSignIns(clientId) {
+  return db('users')
+    .where({ client_id: clientId })
+    .whereNull('retired_at')
+    .where('legacy_auth_sign_ins', '>', 0)
+    .orderBy('legacy_auth_sign_ins', 'desc');
 }
 
 /**
  * Batch upsert users
  * @param {Array} users - Array of user objects
  * @param {Object} trx - Optional transaction
+ * @param {Object} stats - Optional sync counters ({ inserted, updated })
  * @returns {Promise<Array>}
  */
-async function batchUpsert(users, trx = db) {
+async function batchUpsert(users, trx = db, stats = null) {
   const results = [];
-  for (const user of users) {
+  for (const row of users) {
+    const user = row.assigned_skus
+      ? { ...row, assigned_skus: JSON.stringify(row.assigned_skus) }
+      : row;
     const existing = await trx('users')
       .where({ external_id: user.external_id, client_id: user.client_id })
       .first();
 
     if (existing) {
+      if (stats) stats.updated++;
       await trx('users').where({ id: existing.id }).update(user);
       results.push(await trx('users').where({ id: existing.id }).first());
     } else {
-      const [id] = await trx('users').insert(user).returning('id');
+      if (stats) stats.inserted++;
+      const [{ id }] = await trx('users').insert(user).returning('id');
       results.push(await trx('users').where({ id }).first());
     }
   }
@@ -91,5 +113,6 @@ module.exports = {
   countMFAEnabled,
   countByRiskLevel,
   findHighRiskUsers,
+  findWithLegacyAuthSignIns,
   batchUpsert,
 };
@@ -11,6 +11,7 @@ class NarrativeGenerator {
   constructor() {
     this.openai = new OpenAI({
       apiKey: config.openai.apiKey,
+      baseURL: config.openai.baseUrl,
       timeout: config.openai.timeout
     });
     this.model = config.openai.model;
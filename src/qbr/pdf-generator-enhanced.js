@@ -187,7 +187,7 @@ class EnhancedPDFGenerator {
 
     const standardsBreakdown = Object.entries(data.scores.standards.breakdown).map(([key, value]) => [
       this.formatKey(key),
-      `${value.score}/100`,
+      value.score === null ? 'N/A' : `${value.score}/100`,
       value.weight,
       value.evidence.description.substring(0, 80) + '...'
     ]);
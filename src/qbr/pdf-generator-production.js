@@ -54,7 +54,9 @@ class ProductionPDFGenerator {
         await this.renderTicketAnalysis(doc, data);
         this.renderControlsCompliance(doc, data);
         await this.renderSecurityPosture(doc, data);
+        this.renderBackupRecovery(doc, data);
         this.renderRisks(doc, data);
+        this.renderCostOptimization(doc, data);
         this.renderLifecycle(doc, data);
         this.renderRoadmap(doc, data);
         this.renderActionPlan(doc, data);
@@ -132,10 +134,12 @@ class ProductionPDFGenerator {
       '6. Ticket Analysis',
       '7. Controls Compliance',
       '8. Security Posture',
-      '9. Risk Register',
-      '10. Lifecycle Forecast',
-      '11. Technology Roadmap',
-      '12. Action Plan'
+      '9. Backup & Recovery',
+      '10. Risk Register',
+      '11. Cost Optimization',
+      '12. Lifecycle Forecast',
+      '13. Technology Roadmap',
+      '14. Action Plan'
     ];
 
     doc.fontSize(11).font('Helvetica').fillColor('#34495e');
@@ -431,8 +435,55 @@ class ProductionPDFGenerator {
     doc.addPage();
   }
 
+  renderBackupRecovery(doc, data) {
+    this.renderSectionHeader(doc, '9. Backup & Recovery');
+
+    const backupHealth = data.scores.standards.breakdown?.backup_health;
+    const backups = data.backups || [];
+
+    if (backups.length === 0) {
+      doc.text('No backup data available.');
+      doc.addPage();
+      return;
+    }
+
+    doc.fontSize(11).font('Helvetica-Bold').fillColor('#2c3e50')
+      .text(`Backup Health: ${backupHealth?.score ?? 'N/A'}/100`);
+    if (backupHealth) {
+      doc.fontSize(9).font('Helvetica').fillColor('#7f8c8d')
+        .text(backupHealth.evidence.description);
+    }
+
+    doc.moveDown(1);
+
+    backups.forEach(backup => {
+      this.checkSpace(doc, 20);
+      const status = backup.paused ? 'PAUSED' : (backup.last_backup_status || 'unknown').toUpperCase();
+      const lastSuccess = backup.last_successful_backup_at
+        ? new Date(backup.last_successful_backup_at).toLocaleDateString()
+        : 'never';
+      doc.fontSize(9).font('Helvetica').fillColor('#34495e')
+        .text(`${backup.workload_name} - ${status} - Last successful: ${lastSuccess}`);
+      doc.moveDown(0.2);
+    });
+
+    const unprotected = backupHealth?.evidence.unprotected_servers || [];
+    if (unprotected.length > 0) {
+      doc.moveDown(1);
+      this.checkSpace(doc, 40);
+      doc.fontSize(11).font('Helvetica-Bold').fillColor('#e74c3c').text('Servers Without Backup');
+      doc.moveDown(0.5);
+      unprotected.forEach(server => {
+        this.checkSpace(doc, 20);
+        doc.fontSize(9).font('Helvetica').fillColor('#34495e').text(server.device);
+      });
+    }
+
+    doc.addPage();
+  }
+
   renderRisks(doc, data) {
-    this.renderSectionHeader(doc, '9. Risk Register');
+    this.renderSectionHeader(doc, '10. Risk Register');
 
     if (!data.risks || data.risks.length === 0) {
       doc.text('No active risks.');
@@ -458,8 +509,55 @@ class ProductionPDFGenerator {
     doc.addPage();
   }
 
+  renderCostOptimization(doc, data) {
+    this.renderSectionHeader(doc, '11. Cost Optimization');
+
+    const waste = data.licenseWaste;
+
+    if (!waste || waste.monthly_waste === 0) {
+      doc.text(waste?.description || 'No Microsoft 365 license data available.');
+      doc.addPage();
+      return;
+    }
+
+    doc.fontSize(11).font('Helvetica-Bold').fillColor('#2c3e50')
+      .text(`Estimated License Waste: $${waste.monthly_waste.toLocaleString()}/month`);
+    doc.fontSize(9).font('Helvetica').fillColor('#7f8c8d')
+      .text(`$${waste.annual_waste.toLocaleString()}/year - ${waste.description}`);
+
+    doc.moveDown(1);
+
+    if (waste.unassigned_seats.items.length > 0) {
+      doc.fontSize(11).font('Helvetica-Bold').fillColor('#2c3e50').text('Unassigned Seats');
+      doc.moveDown(0.5);
+      waste.unassigned_seats.items.forEach(item => {
+        this.checkSpace(doc, 20);
+        doc.fontSize(9).font('Helvetica').fillColor('#34495e')
+          .text(`${item.name} - ${item.seats} seats - $${item.monthly_cost.toLocaleString()}/month`);
+        doc.moveDown(0.2);
+      });
+      doc.moveDown(1);
+    }
+
+    if (waste.inactive_users.items.length > 0) {
+      this.checkSpace(doc, 40);
+      doc.fontSize(11).font('Helvetica-Bold').fillColor('#2c3e50')
+        .text(`Licensed Users Inactive ${waste.inactive_days}+ Days`);
+      doc.moveDown(0.5);
+      waste.inactive_users.items.forEach(item => {
+        this.checkSpace(doc, 20);
+        const lastSignIn = item.last_sign_in ? new Date(item.last_sign_in).toLocaleDateString() : 'never';
+        doc.fontSize(9).font('Helvetica').fillColor('#34495e')
+          .text(`${item.user} - Last sign-in: ${lastSignIn} - $${item.monthly_cost.toLocaleString()}/month`);
+        doc.moveDown(0.2);
+      });
+    }
+
+    doc.addPage();
+  }
+
   renderLifecycle(doc, data) {
-    this.renderSectionHeader(doc, '10. Lifecycle & Refresh Forecast');
+    this.renderSectionHeader(doc, '12. Lifecycle & Refresh Forecast');
 
     if (!data.lifecycle || data.lifecycle.length === 0) {
       doc.text('No devices flagged for replacement.');
@@ -494,7 +592,7 @@ class ProductionPDFGenerator {
   }
 
   renderRoadmap(doc, data) {
-    this.renderSectionHeader(doc, '11. Technology Roadmap');
+    this.renderSectionHeader(doc, '13. Technology Roadmap');
 
     if (!data.roadmap || data.roadmap.length === 0) {
       doc.text('No recommendations.');
@@ -521,7 +619,7 @@ class ProductionPDFGenerator {
   }
 
   renderActionPlan(doc, data) {
-    this.renderSectionHeader(doc, '12. Action Plan & Next Steps');
+    this.renderSectionHeader(doc, '14. Action Plan & Next Steps');
 
     if (!data.roadmap || data.roadmap.length === 0) {
       doc.text('No action items.');
@@ -5,7 +5,7 @@ const logger = require('../utils/logger');
 
 /**
  * PDF Generator
- * Generates 9-section QBR PDF using PDFKit
+ * Generates 11-section QBR PDF using PDFKit
  */
 
 class PDFGenerator {
@@ -37,7 +37,7 @@ class PDFGenerator {
         });
         doc.on('error', reject);
 
-        // Render all 9 sections
+        // Render all 11 sections
         this.renderCoverPage(doc, data);
         this.renderExecutiveSummary(doc, data);
         this.renderScoreDashboard(doc, data);
@@ -45,6 +45,8 @@ class PDFGenerator {
         this.renderTopWins(doc, data);
         this.renderServiceStory(doc, data);
         this.renderSecurityStory(doc, data);
+        this.renderBackupRecovery(doc, data);
+        this.renderCostOptimization(doc, data);
         this.renderLifecycleForecast(doc, data);
         this.renderRoadmap(doc, data);
         this.renderOutcomePlan(doc, data);
@@ -206,10 +208,96 @@ class PDFGenerator {
   }
 
   /**
-   * Section 7: Lifecycle Forecast
+   * Section 7: Backup & Recovery
+   */
+  renderBackupRecovery(doc, data) {
+    this.renderSectionHeader(doc, '7. Backup & Recovery');
+
+    const backupHealth = data.scores.standards.breakdown?.backup_health;
+    const backups = data.backups || [];
+
+    if (backups.length === 0) {
+      doc.fontSize(11).text('No backup data available for this client.');
+      doc.addPage();
+      return;
+    }
+
+    doc.fontSize(12).font('Helvetica-Bold').text(`Backup Health: ${backupHealth?.score ?? 'N/A'}/100`);
+    doc.fontSize(10).font('Helvetica');
+    if (backupHealth) {
+      doc.text(backupHealth.evidence.description);
+    }
+    doc.moveDown();
+
+    doc.fontSize(12).font('Helvetica-Bold').text('Protected Workloads');
+    doc.fontSize(10).font('Helvetica');
+    backups.slice(0, 15).forEach(backup => {
+      const lastSuccess = backup.last_successful_backup_at
+        ? new Date(backup.last_successful_backup_at).toLocaleString()
+        : 'never';
+      const status = backup.paused ? 'PAUSED' : (backup.last_backup_status || 'unknown').toUpperCase();
+      doc.text(`• ${backup.workload_name} (${status}) - last successful backup: ${lastSuccess}`, { indent: 10 });
+    });
+
+    const unprotected = backupHealth?.evidence.unprotected_servers || [];
+    if (unprotected.length > 0) {
+      doc.moveDown();
+      doc.fontSize(12).font('Helvetica-Bold').text('Servers Without Backup');
+      doc.fontSize(10).font('Helvetica');
+      unprotected.forEach(server => doc.text(`• ${server.device}`, { indent: 10 }));
+    }
+
+    doc.addPage();
+  }
+
+  /**
+   * Section 8: Cost Optimization
+   */
+  renderCostOptimization(doc, data) {
+    this.renderSectionHeader(doc, '8. Cost Optimization');
+
+    const waste = data.licenseWaste;
+
+    if (!waste || waste.monthly_waste === 0) {
+      doc.fontSize(11).text(waste?.description || 'No Microsoft 365 license data available.');
+      doc.addPage();
+      return;
+    }
+
+    doc.fontSize(12).font('Helvetica-Bold')
+      .text(`Estimated license waste: $${waste.monthly_waste.toLocaleString()}/month ($${waste.annual_waste.toLocaleString()}/year)`);
+    doc.fontSize(10).font('Helvetica').text(waste.description);
+    doc.moveDown();
+
+    if (waste.unassigned_seats.items.length > 0) {
+      doc.fontSize(12).font('Helvetica-Bold').text('Unassigned Seats');
+      doc.fontSize(10).font('Helvetica');
+      waste.unassigned_seats.items.forEach(item => {
+        doc.text(`• ${item.name}: ${item.seats} unassigned ($${item.monthly_cost.toLocaleString()}/month)`, { indent: 10 });
+      });
+      doc.moveDown();
+    }
+
+    if (waste.inactive_users.items.length > 0) {
+      doc.fontSize(12).font('Helvetica-Bold').text(`Licensed Users Inactive ${waste.inactive_days}+ Days`);
+      doc.fontSize(10).font('Helvetica');
+      waste.inactive_users.items.slice(0, 15).forEach(item => {
+        const lastSignIn = item.last_sign_in ? new Date(item.last_sign_in).toLocaleDateString() : 'never';
+        doc.text(`• ${item.user} - last sign-in: ${lastSignIn} ($${item.monthly_cost.toLocaleString()}/month)`, { indent: 10 });
+      });
+      if (waste.inactive_users.items.length > 15) {
+        doc.text(`...and ${waste.inactive_users.items.length - 15} more`, { indent: 10 });
+      }
+    }
+
+    doc.addPage();
+  }
+
+  /**
+   * Section 9: Lifecycle Forecast
    */
   renderLifecycleForecast(doc, data) {
-    this.renderSectionHeader(doc, '7. Lifecycle Forecast');
+    this.renderSectionHeader(doc, '9. Lifecycle Forecast');
 
     if (!data.lifecycle || data.lifecycle.length === 0) {
       doc.fontSize(11).text('No devices flagged for lifecycle replacement.');
@@ -237,10 +325,10 @@ class PDFGenerator {
   }
 
   /**
-   * Section 8: Roadmap
+   * Section 10: Roadmap
    */
   renderRoadmap(doc, data) {
-    this.renderSectionHeader(doc, '8. Technology Roadmap');
+    this.renderSectionHeader(doc, '10. Technology Roadmap');
 
     if (!data.roadmap || data.roadmap.length === 0) {
       doc.fontSize(11).text('No recommendations available for this quarter.');
@@ -270,10 +358,10 @@ class PDFGenerator {
   }
 
   /**
-   * Section 9: Outcome Plan
+   * Section 11: Outcome Plan
    */
   renderOutcomePlan(doc, data) {
-    this.renderSectionHeader(doc, '9. Action Plan & Next Steps');
+    this.renderSectionHeader(doc, '11. Action Plan & Next Steps');
 
     if (!data.roadmap || data.roadmap.length === 0) {
       doc.fontSize(11).text('No action items defined.');
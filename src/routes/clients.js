@@ -3,6 +3,11 @@ const router = express.Router();
 const { calculateStandardsScore } = require('../engine/standards-score');
 const { calculateRiskScore } = require('../engine/risk-score');
 const { calculateExperienceScore } = require('../engine/experience-score');
+const { calculateLicenseWaste } = require('../engine/license-waste');
+const { runEmailPostureCheck } = require('../sync/email-posture');
+const { validateCredentials, storeCredentials } = require('../sync/credential-vault');
+const { hasAdapter, listSources } = require('../adapters/registry');
+const clientCredentialModel = require('../models/client-credential');
 const cache = require('../utils/cache');
 const logger = require('../utils/logger');
 const db = require('../db');
@@ -118,6 +123,128 @@ router.get('/:id/recommendations', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /clients/:id/licenses/waste
+ * Microsoft 365 license waste: unassigned seats and licenses on inactive users
+ */
+router.get('/:id/licenses/waste', async (req, res, next) => {
+  try {
+    const clientId = parseInt(req.params.id, 10);
+
+    const client = await db('clients').where({ id: clientId }).first();
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    res.json(await calculateLicenseWaste(clientId));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /clients/:id/email-posture
+ * Check SPF, DKIM and DMARC for the client's domains now and store the results as controls
+ */
+router.post('/:id/email-posture', async (req, res, next) => {
+  try {
+    const clientId = parseInt(req.params.id, 10);
+
+    const client = await db('clients').where({ id: clientId }).first();
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const result = await runEmailPostureCheck({ clientId, trigger: 'api' });
+
+    // Email risk depends on these controls
+    cache.delete(`scores:${clientId}`);
+
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /clients/:id/credentials
+ * List the client's stored vendor credentials (field names only, never values)
+ */
+router.get('/:id/credentials', async (req, res, next) => {
+  try {
+    const clientId = parseInt(req.params.id, 10);
+
+    const client = await db('clients').where({ id: clientId }).first();
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    res.json(await clientCredentialModel.findAll({ clientId }));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /clients/:id/credentials/:source
+ * Store (or replace) the client's credentials for a source, encrypted; syncs use them via client_id
+ * Body: { credentials: { ...fields the source's adapter expects } }
+ */
+router.put('/:id/credentials/:source', async (req, res, next) => {
+  try {
+    const clientId = parseInt(req.params.id, 10);
+    const { source } = req.params;
+
+    if (!hasAdapter(source)) {
+      return res.status(404).json({
+        error: 'Unknown sync source',
+        details: `Supported sources: ${listSources().join(', ')}`
+      });
+    }
+
+    const invalid = validateCredentials(req.body?.credentials);
+    if (invalid) {
+      return res.status(400).json({ error: 'Validation error', details: invalid });
+    }
+
+    const client = await db('clients').where({ id: clientId }).first();
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    res.json(await storeCredentials(clientId, source, req.body.credentials));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /clients/:id/credentials/:source
+ * Remove the client's stored credentials for a source
+ */
+router.delete('/:id/credentials/:source', async (req, res, next) => {
+  try {
+    const clientId = parseInt(req.params.id, 10);
+    const { source } = req.params;
+
+    const [stored] = await clientCredentialModel.findAll({ clientId, source });
+    if (!stored) {
+      return res.status(404).json({ error: 'Credentials not found' });
+    }
+
+    await clientCredentialModel.remove(stored.id);
+    logger.info(`Deleted ${source} credentials for client ${clientId}`);
+    res.status(204).end();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /clients/due-for-qbr
  * Find clients due for QBR based on segment
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const clientModel = require('../models/client');
+const clientMappingModel = require('../models/client-mapping');
+const mappingReviewModel = require('../models/mapping-review');
+const db = require('../db');
+const logger = require('../utils/logger');
+
+/**
+ * GET /mappings
+ * List vendor tenant → client mappings
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const mappings = await clientMappingModel.findAll(req.query.source || null);
+    res.json(mappings);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /mappings
+ * Manually map a vendor tenant to a client
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { source, external_id: externalId, external_name: externalName } = req.body;
+    const clientId = parseInt(req.body.client_id, 10);
+
+    if (!source || !externalId || !clientId) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: 'source, external_id and client_id are required'
+      });
+    }
+
+    const client = await clientModel.findById(clientId);
+    if (!client) {
+      return res.status(404).json({
+        error: 'Client not found',
+        details: `Client with ID ${clientId} does not exist`
+      });
+    }
+
+    const mapping = await saveManualMapping(source, externalId.toString(), externalName, clientId);
+
+    res.status(201).json(mapping);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /mappings/:id
+ * Remove a mapping (the tenant is re-matched on the next sync)
+ */
+router.delete('/:id(\\d+)', async (req, res, next) => {
+  try {
+    const mappingId = parseInt(req.params.id, 10);
+    const deleted = await clientMappingModel.remove(mappingId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Mapping not found' });
+    }
+
+    logger.info(`Client mapping ${mappingId} deleted`);
+    res.status(204).end();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /mappings/reviews
+ * List vendor tenants awaiting a mapping decision
+ */
+router.get('/reviews', async (req, res, next) => {
+  try {
+    const reviews = await mappingReviewModel.findByStatus(req.query.status || 'pending');
+    res.json(reviews);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /mappings/reviews/:id/resolve
+ * Map a reviewed tenant to a client
+ */
+router.post('/reviews/:id/resolve', async (req, res, next) => {
+  try {
+    const reviewId = parseInt(req.params.id, 10);
+    const clientId = parseInt(req.body.client_id, 10);
+
+    const review = await mappingReviewModel.findById(reviewId);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const client = clientId ? await clientModel.findById(clientId) : null;
+    if (!client) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: 'client_id must reference an existing client'
+      });
+    }
+
+    const mapping = await saveManualMapping(review.source, review.external_id, review.external_name, clientId);
+
+    res.json(mapping);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /mappings/reviews/:id/ignore
+ * Dismiss a tenant that is not a managed client
+ */
+router.post('/reviews/:id/ignore', async (req, res, next) => {
+  try {
+    const reviewId = parseInt(req.params.id, 10);
+
+    const review = await mappingReviewModel.findById(reviewId);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json(await mappingReviewModel.markIgnored(reviewId));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Save a manual mapping and close any open review for the tenant
+ * Microsoft 365 tenant IDs are also stored on the client
+ */
+async function saveManualMapping(source, externalId, externalName, clientId) {
+  const mapping = await db.transaction(async (trx) => {
+    const saved = await clientMappingModel.upsert({
+      client_id: clientId,
+      source,
+      external_id: externalId,
+      external_name: externalName || null,
+      match_method: 'manual',
+      confidence: 1
+    }, trx);
+    await mappingReviewModel.markResolved(source, externalId, clientId, trx);
+    if (source === 'm365') {
+      await clientModel.setM365TenantId(clientId, externalId, trx);
+    }
+    return saved;
+  });
+
+  logger.info(`Mapped ${source} tenant ${externalId} to client ${clientId} (manual)`);
+  return mapping;
+}
+
+module.exports = router;
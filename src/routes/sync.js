@@ -1,121 +1,272 @@
 const express = require('express');
 const router = express.Router();
-const ConnectWiseAdapter = require('../adapters/connectwise-adapter');
-const ImmyAdapter = require('../adapters/immy-adapter');
-const M365Adapter = require('../adapters/m365-adapter');
+const PgBoss = require('pg-boss');
 const config = require('../config');
-const db = require('../db');
+const syncStateModel = require('../models/sync-state');
+const syncRunModel = require('../models/sync-run');
+const retiredRecordModel = require('../models/retired-record');
 const clientModel = require('../models/client');
-const deviceModel = require('../models/device');
-const ticketModel = require('../models/ticket');
-const userModel = require('../models/user');
-const controlModel = require('../models/control');
-const riskModel = require('../models/risk');
+const clientCredentialModel = require('../models/client-credential');
+const { runSync, replaySync, getJobName, listSources } = require('../sync/sync-service');
+const { hasAdapter } = require('../adapters/registry');
+const { listTemplates } = require('../adapters/import-templates');
 const logger = require('../utils/logger');
 
+// Initialize pg-boss (jobs are processed by the worker)
+const boss = new PgBoss(config.database.url);
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Import uploads are the raw file body
+const readImportFile = express.raw({
+  type: ['text/csv', 'application/csv', 'text/plain', XLSX_CONTENT_TYPE, 'application/octet-stream'],
+  limit: config.import.maxFileSize
+});
+
 /**
- * POST /sync/connectwise
- * Sync data from ConnectWise Manage
+ * GET /sync/jobs/:jobId
+ * Get sync job status
  */
-router.post('/connectwise', async (req, res, next) => {
+router.get('/jobs/:jobId', async (req, res, next) => {
   try {
-    const credentials = req.body.credentials || config.connectwise;
-
-    // Initialize adapter and sync
-    const adapter = new ConnectWiseAdapter(config);
-    const normalizedData = await adapter.sync(credentials);
-
-    // Persist to database in transaction
-    const result = await db.transaction(async (trx) => {
-      // Insert/update clients
-      const clients = await clientModel.batchUpsert(normalizedData.clients, trx);
-
-      // Insert/update related entities
-      // Note: We need to map external IDs to database IDs
-      const clientIdMap = {};
-      clients.forEach(client => {
-        clientIdMap[client.external_id] = client.id;
+    const jobId = req.params.jobId;
+
+    // Start boss if not started
+    if (!boss.isStarted) {
+      await boss.start();
+    }
+
+    const job = await boss.getJobById(jobId);
+
+    if (!job || !listSources().some(source => getJobName(source) === job.name)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        details: `Job with ID ${jobId} does not exist`
       });
+    }
+
+    // Map pg-boss state to our status
+    let status = 'unknown';
+    if (job.state === 'created' || job.state === 'retry') {
+      status = 'queued';
+    } else if (job.state === 'active') {
+      status = 'active';
+    } else if (job.state === 'completed') {
+      status = 'completed';
+    } else if (job.state === 'failed') {
+      status = 'failed';
+    }
+
+    const response = {
+      job_id: jobId,
+      source: job.data.source,
+      status,
+      created_at: job.createdon
+    };
+
+    // If completed, include the sync result
+    if (status === 'completed' && job.output) {
+      response.result = job.output;
+      response.completed_at = job.completedon;
+    }
+
+    // If failed, include error
+    if (status === 'failed' && job.output) {
+      response.error = job.output.message || job.output.error;
+    }
+
+    res.json(response);
 
-      // Insert tickets (assuming they have company ID that maps to client external_id)
-      const ticketsToInsert = normalizedData.tickets.map(ticket => ({
-        ...ticket,
-        client_id: clientIdMap[ticket.external_id] || clients[0]?.id // Simplified mapping
-      }));
-      await ticketModel.batchUpsert(ticketsToInsert.filter(t => t.client_id), trx);
-
-      // Insert devices
-      const devicesToInsert = normalizedData.devices.map(device => ({
-        ...device,
-        client_id: clients[0]?.id // Simplified: assign to first client
-      }));
-      await deviceModel.batchUpsert(devicesToInsert.filter(d => d.client_id), trx);
-
-      return {
-        synced_at: new Date(),
-        record_counts: {
-          clients: clients.length,
-          agreements: normalizedData.agreements.length,
-          tickets: ticketsToInsert.filter(t => t.client_id).length,
-          devices: devicesToInsert.filter(d => d.client_id).length
-        }
-      };
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /sync/state
+ * List the last successful watermark per source and scope
+ */
+router.get('/state', async (req, res, next) => {
+  try {
+    res.json(await syncStateModel.findAll());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /sync/runs
+ * List recent sync runs, newest first
+ */
+router.get('/runs', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const runs = await syncRunModel.findRecent({
+      source: req.query.source || null,
+      status: req.query.status || null,
+      clientId: parseInt(req.query.client_id, 10) || null,
+      limit
     });
+    res.json(runs);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    logger.info('ConnectWise sync completed', result.record_counts);
+/**
+ * GET /sync/runs/:id
+ * Get a single sync run with counts, warnings and error
+ */
+router.get('/runs/:id', async (req, res, next) => {
+  try {
+    const runId = parseInt(req.params.id, 10);
+    const run = await syncRunModel.findById(runId);
 
-    res.json(result);
+    if (!run) {
+      return res.status(404).json({
+        error: 'Sync run not found',
+        details: `Sync run with ID ${runId} does not exist`
+      });
+    }
 
+    res.json(run);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * POST /sync/immy
- * Sync data from Immy.Bot
+ * POST /sync/runs/:id/replay
+ * Re-run normalization and persistence from a run's archived vendor payload
  */
-router.post('/immy', async (req, res, next) => {
+router.post('/runs/:id/replay', async (req, res, next) => {
   try {
-    const credentials = req.body.credentials || config.immy;
+    const runId = parseInt(req.params.id, 10);
+    const run = await syncRunModel.findById(runId);
 
-    // Initialize adapter and sync
-    const adapter = new ImmyAdapter(config);
-    const normalizedData = await adapter.sync(credentials);
+    if (!run) {
+      return res.status(404).json({
+        error: 'Sync run not found',
+        details: `Sync run with ID ${runId} does not exist`
+      });
+    }
 
-    // Persist to database in transaction
-    const result = await db.transaction(async (trx) => {
-      // Get existing clients
-      const clients = await clientModel.findAll();
+    const result = await replaySync(runId, { trigger: 'api', dryRun: isDryRun(req) });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
 
-      if (clients.length === 0) {
-        throw new Error('No clients found. Please sync ConnectWise first.');
-      }
+/**
+ * GET /sync/retired
+ * Report records retired because a full sync of their source no longer reports them
+ */
+router.get('/retired', async (req, res, next) => {
+  try {
+    const { entity, source } = req.query;
+    const clientId = req.query.client_id ? parseInt(req.query.client_id, 10) : null;
+    const since = req.query.since ? new Date(req.query.since) : null;
+
+    if (entity && !retiredRecordModel.isRetirable(entity)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: `entity must be one of: ${Object.keys(retiredRecordModel.RETIRABLE_ENTITIES).join(', ')}`
+      });
+    }
+    if (since && isNaN(since.getTime())) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: 'since must be an ISO 8601 date'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+    const [counts, records] = await Promise.all([
+      retiredRecordModel.countRetired({ clientId, source: source || null }),
+      retiredRecordModel.findRetired({ entity: entity || null, clientId, source: source || null, since, limit })
+    ]);
 
-      // Insert/update devices (map to first client for simplification)
-      const devicesToInsert = normalizedData.devices.map(device => ({
-        ...device,
-        client_id: clients[0].id
-      }));
-      await deviceModel.batchUpsert(devicesToInsert, trx);
-
-      // Insert controls
-      const controlsToInsert = normalizedData.controls.map(control => ({
-        ...control,
-        client_id: clients[0].id
-      }));
-      await controlModel.batchUpsert(controlsToInsert, trx);
-
-      return {
-        synced_at: new Date(),
-        record_counts: {
-          devices: devicesToInsert.length,
-          controls: controlsToInsert.length
-        }
-      };
+    res.json({ counts, records });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /sync/import/templates
+ * List the column templates available to file imports
+ */
+router.get('/import/templates', (req, res) => {
+  res.json(listTemplates());
+});
+
+/**
+ * POST /sync/import?entity=devices[&template=][&client_id=][&mapping=][&format=][&replace=true]
+ * Import a CSV or XLSX file (sent as the request body) through the sync pipeline.
+ * Runs in the request; rows that fail validation are skipped and listed in `warnings`.
+ * Imports only add and update records unless replace=true, which retires previously
+ * imported records the file doesn't contain (skipped if any row was rejected)
+ */
+router.post('/import', readImportFile, async (req, res, next) => {
+  try {
+    const { entity, template } = req.query;
+
+    if (!entity) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: 'entity is required (clients, devices, users, tickets or controls)'
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: `Send the file as the request body with Content-Type text/csv or ${XLSX_CONTENT_TYPE}`
+      });
+    }
+
+    let mapping = {};
+    if (req.query.mapping) {
+      try {
+        mapping = JSON.parse(req.query.mapping);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: 'mapping must be a JSON object of { field: "Column header" }'
+        });
+      }
+    }
+
+    let clientId = null;
+    if (req.query.client_id) {
+      clientId = parseInt(req.query.client_id, 10);
+      if (!clientId || !(await clientModel.findById(clientId))) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: 'client_id must reference an existing client'
+        });
+      }
+    }
+
+    const result = await runSync('import', {
+      fullResync: true,
+      trigger: 'api',
+      dryRun: isDryRun(req),
+      file: {
+        content: req.body,
+        format: detectImportFormat(req),
+        entity,
+        template: template || 'default',
+        mapping,
+        clientId,
+        replace: req.query.replace === 'true'
+      }
     });
 
-    logger.info('Immy.Bot sync completed', result.record_counts);
+    if (!result.dry_run) {
+      logger.info(`Imported ${entity} file`, { syncRunId: result.sync_run_id, counts: result.counts[entity] });
+    }
 
     res.json(result);
 
@@ -125,64 +276,124 @@ router.post('/immy', async (req, res, next) => {
 });
 
 /**
- * POST /sync/m365
- * Sync data from Microsoft 365
+ * POST /sync/:source
+ * Queue a sync for any registered adapter (connectwise, immy, m365, ...)
+ * With client_id the sync uses that client's stored credentials (see /clients/:id/credentials);
+ * otherwise body credentials, then the environment config.
+ * Syncs with body credentials are run in the request so the secrets are never queued,
+ * as are dry runs, which return the changes they would make
  */
-router.post('/m365', async (req, res, next) => {
+router.post('/:source', async (req, res, next) => {
   try {
-    const credentials = req.body.credentials || config.m365;
-
-    // Initialize adapter and sync
-    const adapter = new M365Adapter(config);
-    const normalizedData = await adapter.sync(credentials);
+    const source = req.params.source;
 
-    // Persist to database in transaction
-    const result = await db.transaction(async (trx) => {
-      // Get existing clients
-      const clients = await clientModel.findAll();
+    if (!hasAdapter(source)) {
+      return res.status(404).json({
+        error: 'Unknown sync source',
+        details: `Supported sources: ${listSources().join(', ')}`
+      });
+    }
 
-      if (clients.length === 0) {
-        throw new Error('No clients found. Please sync ConnectWise first.');
+    let clientId = null;
+    if (req.body?.client_id !== undefined) {
+      clientId = parseInt(req.body.client_id, 10);
+      if (!clientId) {
+        return res.status(400).json({ error: 'Validation error', details: 'client_id must be a client ID' });
+      }
+      if (req.body.credentials) {
+        return res.status(400).json({ error: 'Validation error', details: 'Pass either credentials or client_id, not both' });
       }
 
-      // Insert users
-      const usersToInsert = normalizedData.users.map(user => ({
-        ...user,
-        client_id: clients[0].id
-      }));
-      await userModel.batchUpsert(usersToInsert, trx);
-
-      // Insert controls
-      const controlsToInsert = normalizedData.controls.map(control => ({
-        ...control,
-        client_id: clients[0].id
-      }));
-      await controlModel.batchUpsert(controlsToInsert, trx);
-
-      // Insert risks
-      const risksToInsert = normalizedData.risks.map(risk => ({
-        ...risk,
-        client_id: clients[0].id
-      }));
-      await riskModel.batchUpsert(risksToInsert, trx);
-
-      return {
-        synced_at: new Date(),
-        record_counts: {
-          users: usersToInsert.length,
-          controls: controlsToInsert.length,
-          risks: risksToInsert.length
-        }
-      };
+      const [stored] = await clientCredentialModel.findAll({ clientId, source });
+      if (!stored) {
+        return res.status(404).json({
+          error: 'No stored credentials',
+          details: `Client ${clientId} has no stored ${source} credentials`
+        });
+      }
+    }
+
+    if (isDryRun(req) || req.body?.credentials) {
+      const result = await runSync(source, {
+        credentials: req.body?.credentials || null,
+        clientId,
+        fullResync: isFullResync(req),
+        trigger: 'api',
+        dryRun: isDryRun(req)
+      });
+      return res.json(result);
+    }
+
+    // Start boss if not started
+    if (!boss.isStarted) {
+      await boss.start();
+    }
+
+    const data = {
+      source,
+      trigger: 'api',
+      full_resync: isFullResync(req)
+    };
+    if (clientId) {
+      // Only the client ID is queued; the worker decrypts the credentials when it runs
+      data.client_id = clientId;
+    }
+
+    // One queued sync per source (and client); a second request while one is pending is rejected
+    const jobId = await boss.send(getJobName(source), data, {
+      singletonKey: clientId ? `${source}:${clientId}` : source,
+      retryLimit: config.pgBoss.retryLimit,
+      retryDelay: config.pgBoss.retryDelay,
+      retryBackoff: config.pgBoss.retryBackoff,
+      expireInMinutes: config.sync.expireInMinutes
     });
 
-    logger.info('M365 sync completed', result.record_counts);
+    if (!jobId) {
+      return res.status(409).json({
+        error: 'Sync already queued',
+        details: `A ${source} sync${clientId ? ` for client ${clientId}` : ''} is already queued or running`
+      });
+    }
 
-    res.json(result);
+    logger.info(`Sync job queued for ${source}`, { jobId });
+
+    res.status(202).json({
+      job_id: jobId,
+      status: 'queued',
+      message: `Sync started. Poll /sync/jobs/${jobId} for status.`
+    });
 
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * Work out whether an upload is CSV or XLSX
+ * Uses ?format=, then the content type, then the ZIP signature XLSX files start with
+ */
+function detectImportFormat(req) {
+  if (req.query.format === 'csv' || req.query.format === 'xlsx') {
+    return req.query.format;
+  }
+  if (req.is(XLSX_CONTENT_TYPE)) {
+    return 'xlsx';
+  }
+  return req.body.subarray(0, 2).toString('latin1') === 'PK' ? 'xlsx' : 'csv';
+}
+
+/**
+ * Whether the caller asked to ignore watermarks and pull everything
+ */
+function isFullResync(req) {
+  return req.body?.full_resync === true || req.query.full === 'true';
+}
+
+/**
+ * Whether the caller asked for a rolled-back preview of the sync
+ */
+function isDryRun(req) {
+  return req.body?.dry_run === true || req.query.dry_run === 'true';
+}
+
 module.exports = router;
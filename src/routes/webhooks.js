@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { verifyCallback, applyCallback } = require('../sync/connectwise-webhook');
+const logger = require('../utils/logger');
+
+/**
+ * POST /webhooks/connectwise
+ * Receive a ConnectWise Manage callback (ticket, company or configuration)
+ * Authenticated by the callback signature rather than the API key
+ */
+router.post('/connectwise', async (req, res, next) => {
+  try {
+    await verifyCallback(req.rawBody, req.get('x-content-signature'), req.body);
+
+    const result = await applyCallback(req.body);
+    if (!result.applied) {
+      logger.info('ConnectWise callback acknowledged without changes', result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
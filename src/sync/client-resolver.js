@@ -0,0 +1,253 @@
+const db = require('../db');
+const clientModel = require('../models/client');
+const clientMappingModel = require('../models/client-mapping');
+const mappingReviewModel = require('../models/mapping-review');
+const logger = require('../utils/logger');
+
+// Name similarity at or above this is mapped automatically
+const AUTO_MATCH_THRESHOLD = 0.9;
+// Name similarity at or above this is offered as a review candidate
+const CANDIDATE_THRESHOLD = 0.6;
+// Best match must beat the runner-up by this much to be auto-mapped
+const AMBIGUITY_MARGIN = 0.1;
+
+// Legal suffixes and filler words ignored when comparing company names
+const NAME_STOP_WORDS = new Set([
+  'the', 'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp',
+  'corporation', 'co', 'company', 'plc', 'pc', 'pllc', 'gmbh', 'group', 'and'
+]);
+
+/**
+ * Client Resolver
+ * Attaches normalized vendor records to the correct clients row.
+ *
+ * Records carry a `client_ref` ({ external_id, name, domains, tenant_id })
+ * describing the vendor company/tenant they belong to; file imports aimed at
+ * one client pass { client_id } instead. Resolution order:
+ * 1. Existing client_mappings row for (source, external_id)
+ * 2. Client storing the reference's Microsoft 365 tenant ID
+ * 3. Client created by this source with the same external_id
+ * 4. Exactly one client owning one of the tenant's domains
+ * 5. Unambiguous fuzzy name match
+ * Anything else is queued in client_mapping_reviews and left unattached.
+ */
+class ClientResolver {
+  /**
+   * @param {string} source - Source system ('connectwise', 'immy', 'm365')
+   * @param {Object} trx - Optional transaction
+   */
+  constructor(source, trx = db) {
+    this.source = source;
+    this.trx = trx;
+    this.clients = [];
+    this.mappings = new Map();
+    this.resolved = new Map();
+  }
+
+  /**
+   * Load clients and existing mappings for this source
+   * @returns {Promise<ClientResolver>}
+   */
+  async load() {
+    this.clients = await clientModel.findAll(this.trx);
+    const mappings = await clientMappingModel.findBySource(this.source, this.trx);
+    this.mappings = new Map(mappings.map(m => [m.external_id, m.client_id]));
+    this.resolved.clear();
+    return this;
+  }
+
+  /**
+   * Resolve a vendor company/tenant reference to a client ID
+   * @param {Object} ref - { external_id, name, domains, tenant_id } or { client_id }
+   * @returns {Promise<number|null>} Client ID, or null if queued for review
+   */
+  async resolve(ref) {
+    if (ref?.client_id) {
+      return this.clients.some(c => c.id === ref.client_id) ? ref.client_id : null;
+    }
+    if (!ref || !ref.external_id) return null;
+
+    const externalId = ref.external_id.toString();
+    if (this.resolved.has(externalId)) {
+      return this.resolved.get(externalId);
+    }
+
+    const clientId = this.mappings.get(externalId) || await this.match({ ...ref, external_id: externalId });
+    this.resolved.set(externalId, clientId);
+    return clientId;
+  }
+
+  /**
+   * Attach client IDs to normalized records, dropping records that cannot be resolved
+   * @param {Array} records - Normalized records with `client_ref`
+   * @returns {Promise<{records: Array, unmatched: number}>}
+   */
+  async attach(records) {
+    const matched = [];
+    let unmatched = 0;
+
+    for (const record of records) {
+      const { client_ref: ref, ...rest } = record;
+      const clientId = await this.resolve(ref);
+
+      if (!clientId) {
+        unmatched++;
+        continue;
+      }
+
+      matched.push({ ...rest, client_id: clientId });
+    }
+
+    if (unmatched > 0) {
+      logger.warn(`${unmatched} ${this.source} records could not be matched to a client`);
+    }
+
+    return { records: matched, unmatched };
+  }
+
+  /**
+   * Match an unmapped reference against known clients
+   * @param {Object} ref - Client reference
+   * @returns {Promise<number|null>}
+   */
+  async match(ref) {
+    const tenantOwner = ref.tenant_id && this.clients.find(c => c.m365_tenant_id === ref.tenant_id);
+    if (tenantOwner) {
+      return this.saveMapping(ref, tenantOwner.id, 'tenant', 1);
+    }
+
+    const owned = this.clients.find(c => c.source === this.source && c.external_id === ref.external_id);
+    if (owned) {
+      return this.saveMapping(ref, owned.id, 'exact', 1);
+    }
+
+    const domains = normalizeDomains(ref.domains);
+    if (domains.length > 0) {
+      const domainMatches = this.clients.filter(c =>
+        normalizeDomains(c.domains).some(d => domains.includes(d))
+      );
+      if (domainMatches.length === 1) {
+        return this.saveMapping(ref, domainMatches[0].id, 'domain', 1);
+      }
+    }
+
+    const candidates = this.clients
+      .map(c => ({ client_id: c.id, name: c.name, confidence: nameSimilarity(ref.name, c.name) }))
+      .filter(c => c.confidence >= CANDIDATE_THRESHOLD)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const [best, runnerUp] = candidates;
+    if (best && best.confidence >= AUTO_MATCH_THRESHOLD &&
+        (!runnerUp || best.confidence - runnerUp.confidence >= AMBIGUITY_MARGIN)) {
+      return this.saveMapping(ref, best.client_id, 'fuzzy', best.confidence);
+    }
+
+    await mappingReviewModel.queue({
+      source: this.source,
+      external_id: ref.external_id,
+      external_name: ref.name || null,
+      domains,
+      candidates: candidates.slice(0, 5).map(c => ({ ...c, confidence: round(c.confidence) }))
+    }, this.trx);
+
+    logger.info(`Queued ${this.source} tenant ${ref.external_id} (${ref.name || 'unnamed'}) for mapping review`, {
+      candidates: candidates.length
+    });
+
+    return null;
+  }
+
+  /**
+   * Persist an automatic mapping
+   * Microsoft 365 tenants are also stored on the client so later syncs match by tenant ID
+   * @returns {Promise<number>} Client ID
+   */
+  async saveMapping(ref, clientId, method, confidence) {
+    await clientMappingModel.upsert({
+      client_id: clientId,
+      source: this.source,
+      external_id: ref.external_id,
+      external_name: ref.name || null,
+      match_method: method,
+      confidence: round(confidence)
+    }, this.trx);
+    await mappingReviewModel.markResolved(this.source, ref.external_id, clientId, this.trx);
+
+    if (ref.tenant_id) {
+      await clientModel.setM365TenantId(clientId, ref.tenant_id, this.trx);
+      for (const client of this.clients) {
+        if (client.m365_tenant_id === ref.tenant_id) client.m365_tenant_id = null;
+        if (client.id === clientId) client.m365_tenant_id = ref.tenant_id;
+      }
+    }
+
+    this.mappings.set(ref.external_id, clientId);
+    logger.debug(`Mapped ${this.source} tenant ${ref.external_id} to client ${clientId} (${method})`);
+    return clientId;
+  }
+}
+
+/**
+ * Normalize a company name for comparison
+ * @param {string} name - Company name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  if (!name) return '';
+  return name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !NAME_STOP_WORDS.has(word))
+    .join('');
+}
+
+/**
+ * Dice coefficient of character bigrams between two company names
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} Similarity (0-1)
+ */
+function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < left.length - 1; i++) {
+    const bigram = left.substring(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < right.length - 1; i++) {
+    const bigram = right.substring(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap++;
+    }
+  }
+
+  return (2 * overlap) / (left.length + right.length - 2);
+}
+
+/**
+ * Lowercase and de-duplicate a list of domains
+ * @param {Array<string>} domains - Domains
+ * @returns {Array<string>}
+ */
+function normalizeDomains(domains) {
+  if (!Array.isArray(domains)) return [];
+  return [...new Set(domains.filter(Boolean).map(d => d.toLowerCase().trim()))];
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = ClientResolver;
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../db');
+const cache = require('../utils/cache');
+const logger = require('../utils/logger');
+const clientModel = require('../models/client');
+const ticketModel = require('../models/ticket');
+const deviceModel = require('../models/device');
+const ConnectWiseAdapter = require('../adapters/connectwise-adapter');
+const { AdapterError } = require('../adapters/base-adapter');
+const ClientResolver = require('./client-resolver');
+
+/**
+ * ConnectWise Webhook
+ * Applies ConnectWise Manage callbacks for tickets, companies and
+ * configurations as single-record upserts between scheduled syncs.
+ *
+ * ConnectWise signs each callback body with HMAC-SHA256 (x-content-signature)
+ * using a signing key it serves at the callback's Metadata.key_url.
+ */
+
+// Callback Type → entity type it updates
+const CALLBACK_TYPES = {
+  ticket: 'tickets',
+  company: 'clients',
+  configuration: 'devices'
+};
+
+// Signing keys are re-fetched after this long
+const SIGNING_KEY_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Verify a callback's signature
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signature - x-content-signature header (base64 HMAC-SHA256)
+ * @param {Object} payload - Parsed callback payload
+ * @returns {Promise<void>}
+ * @throws {AdapterError} - 401 if the signature is missing or wrong
+ */
+async function verifyCallback(rawBody, signature, payload) {
+  if (!signature || !rawBody) {
+    throw new AdapterError('Invalid webhook signature', 'Missing x-content-signature header', 401);
+  }
+
+  const signingKey = await getSigningKey(payload?.Metadata?.key_url);
+  const expected = crypto.createHmac('sha256', signingKey).update(rawBody).digest();
+  const received = Buffer.from(signature, 'base64');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new AdapterError('Invalid webhook signature', 'Signature does not match the callback body', 401);
+  }
+}
+
+/**
+ * Fetch (and cache) the signing key for a callback
+ * Only keys served by the configured ConnectWise instance are trusted
+ * @param {string} keyUrl - Metadata.key_url from the callback
+ * @returns {Promise<string>}
+ */
+async function getSigningKey(keyUrl) {
+  let url;
+  try {
+    url = new URL(keyUrl);
+  } catch (error) {
+    throw new AdapterError('Invalid webhook signature', 'Callback has no valid Metadata.key_url', 401);
+  }
+
+  if (url.protocol !== 'https:' || url.host !== new URL(config.connectwise.baseUrl).host) {
+    throw new AdapterError('Invalid webhook signature', `Signing key URL host ${url.host} is not the configured ConnectWise host`, 401);
+  }
+
+  const cacheKey = `cw-signing-key:${url.href}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const adapter = new ConnectWiseAdapter(config);
+  adapter.initializeClient(config.connectwise);
+
+  try {
+    const response = await adapter.client.get(url.href);
+    const signingKey = response.data?.signing_key;
+    if (!signingKey) {
+      throw new Error('Key response has no signing_key');
+    }
+
+    cache.set(cacheKey, signingKey, SIGNING_KEY_TTL_MS);
+    return signingKey;
+  } catch (error) {
+    logger.error('Failed to fetch ConnectWise callback signing key', { error: error.message });
+    throw new AdapterError('Could not verify webhook', error.message, 502);
+  }
+}
+
+/**
+ * Apply a verified callback
+ * Deleted records are acknowledged but left in place (the next sync reconciles them)
+ * @param {Object} payload - ConnectWise callback ({ Action, Type, ID, CompanyId, Entity })
+ * @returns {Promise<Object>} What was applied
+ */
+async function applyCallback(payload) {
+  const type = String(payload.Type || '').toLowerCase();
+  const action = String(payload.Action || '').toLowerCase();
+  const entityType = CALLBACK_TYPES[type];
+  const result = { type, action, id: payload.ID ?? null, applied: false };
+
+  if (!entityType) {
+    return { ...result, reason: `Unsupported callback type (supported: ${Object.keys(CALLBACK_TYPES).join(', ')})` };
+  }
+
+  if (config.connectwise.companyId && payload.CompanyId &&
+      String(payload.CompanyId).toLowerCase() !== String(config.connectwise.companyId).toLowerCase()) {
+    throw new AdapterError('Unknown ConnectWise company', `Callback is for company ${payload.CompanyId}`, 403);
+  }
+
+  if (action === 'deleted') {
+    return { ...result, reason: 'Deletions are reconciled by the next sync' };
+  }
+
+  const entity = parseEntity(payload.Entity);
+  if (!entity?.id) {
+    throw new AdapterError('Invalid webhook payload', 'Callback Entity is missing or has no id', 400);
+  }
+
+  const adapter = new ConnectWiseAdapter(config);
+
+  const clientId = await db.transaction(async (trx) => {
+    if (entityType === 'clients') {
+      const client = await clientModel.upsert(adapter.normalizeClient(entity), trx);
+      return client.id;
+    }
+
+    const record = entityType === 'tickets'
+      ? adapter.normalizeTicket(entity)
+      : adapter.normalizeDevice(entity);
+
+    const resolver = await new ClientResolver(ConnectWiseAdapter.source, trx).load();
+    const { records } = await resolver.attach([record]);
+    if (records.length === 0) return null;
+
+    if (entityType === 'tickets') {
+      await ticketModel.batchUpsert(records.map(r => ({ ...r, source: ConnectWiseAdapter.source })), trx);
+    } else {
+      // The callback is as good as a sync for the device it reports
+      await deviceModel.upsert({
+        ...records[0],
+        source: ConnectWiseAdapter.source,
+        last_synced_at: new Date(),
+        retired_at: null
+      }, trx);
+    }
+    return records[0].client_id;
+  });
+
+  if (!clientId) {
+    logger.warn(`ConnectWise ${type} callback could not be matched to a client`, { id: entity.id });
+    return { ...result, reason: 'Record could not be matched to a client' };
+  }
+
+  // Scores are cached per client
+  cache.delete(`scores:${clientId}`);
+
+  logger.info(`ConnectWise ${type} ${action} applied`, { id: entity.id, clientId });
+  return { ...result, applied: true, client_id: clientId };
+}
+
+/**
+ * Read the callback's Entity, which ConnectWise sends as a JSON string
+ * @param {string|Object} entity - Callback Entity
+ * @returns {Object|null}
+ */
+function parseEntity(entity) {
+  if (typeof entity !== 'string') return entity;
+
+  try {
+    return JSON.parse(entity);
+  } catch (error) {
+    throw new AdapterError('Invalid webhook payload', `Callback Entity is not valid JSON: ${error.message}`, 400);
+  }
+}
+
+module.exports = {
+  verifyCallback,
+  applyCallback
+};
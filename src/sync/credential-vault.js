@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config');
+const clientCredentialModel = require('../models/client-credential');
+const { AdapterError } = require('../adapters/base-adapter');
+const logger = require('../utils/logger');
+
+/**
+ * Credential Vault
+ * Keeps per-client, per-source vendor credentials encrypted at rest.
+ *
+ * Envelope encryption: each row's credentials JSON is encrypted with its own
+ * random data key (AES-256-GCM), and the data key is encrypted with the local
+ * master key. Rows store the master key's fingerprint, so credentials written
+ * under another key fail loudly instead of decrypting to garbage.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Largest credentials JSON accepted (a Google service account key is ~2 KB)
+const MAX_CREDENTIALS_BYTES = 16 * 1024;
+
+/**
+ * Load the master key from CREDENTIAL_MASTER_KEY or CREDENTIAL_MASTER_KEY_FILE
+ * @returns {{key: Buffer, id: string}} Key and its fingerprint
+ * @throws {AdapterError} - 503 if no valid master key is configured
+ */
+function getMasterKey() {
+  const { masterKey, masterKeyFile } = config.credentialVault;
+  const encoded = masterKey || (masterKeyFile && fs.existsSync(masterKeyFile)
+    ? fs.readFileSync(masterKeyFile, 'utf8').trim()
+    : null);
+
+  if (!encoded) {
+    throw new AdapterError(
+      'Credential vault is not configured',
+      'Set CREDENTIAL_MASTER_KEY (or CREDENTIAL_MASTER_KEY_FILE) to a base64-encoded 32-byte key',
+      503
+    );
+  }
+
+  const key = Buffer.from(encoded, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new AdapterError('Invalid credential master key', 'The master key must be 32 bytes, base64-encoded', 503);
+  }
+
+  return {
+    key,
+    id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 16)
+  };
+}
+
+/**
+ * Encrypt with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Buffer} IV, auth tag and ciphertext
+ */
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt the output of encrypt()
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} sealed - IV, auth tag and ciphertext
+ * @returns {Buffer} Plaintext
+ */
+function decrypt(key, sealed) {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Check a credentials object is a non-empty set of scalar fields
+ * @param {*} credentials - Credentials from a request
+ * @returns {string|null} What's wrong with it, or null if it's valid
+ */
+function validateCredentials(credentials) {
+  if (!credentials || typeof credentials !== 'object' || Array.isArray(credentials)) {
+    return 'credentials must be an object of credential fields';
+  }
+
+  const entries = Object.entries(credentials);
+  if (entries.length === 0) {
+    return 'credentials must have at least one field';
+  }
+
+  const invalid = entries.filter(([, value]) => !['string', 'number', 'boolean'].includes(typeof value));
+  if (invalid.length > 0) {
+    return `credential fields must be strings, numbers or booleans: ${invalid.map(([field]) => field).join(', ')}`;
+  }
+
+  if (Buffer.byteLength(JSON.stringify(credentials)) > MAX_CREDENTIALS_BYTES) {
+    return `credentials must be under ${MAX_CREDENTIALS_BYTES / 1024} KB`;
+  }
+
+  return null;
+}
+
+/**
+ * Encrypt and store a client's credentials for a source, replacing any already stored
+ * @param {number} clientId - Client ID
+ * @param {string} source - Source system
+ * @param {Object} credentials - Credential fields
+ * @returns {Promise<Object>} Stored row (field names only, never values)
+ */
+async function storeCredentials(clientId, source, credentials) {
+  const master = getMasterKey();
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+
+  const stored = await clientCredentialModel.upsert({
+    client_id: clientId,
+    source,
+    fields: Object.keys(credentials).sort(),
+    encrypted_key: encrypt(master.key, dataKey),
+    ciphertext: encrypt(dataKey, Buffer.from(JSON.stringify(credentials))),
+    master_key_id: master.id
+  });
+
+  logger.info(`Stored ${source} credentials for client ${clientId}`, { fields: stored.fields });
+  return stored;
+}
+
+/**
+ * Decrypt a client's stored credentials for a source
+ * @param {number} clientId - Client ID
+ * @param {string} source - Source system
+ * @returns {Promise<{id: number, credentials: Object}|null>} null if none are stored
+ * @throws {AdapterError} - If they were encrypted under another master key or can't be decrypted
+ */
+async function getCredentials(clientId, source) {
+  const row = await clientCredentialModel.findEncrypted(clientId, source);
+  if (!row) return null;
+
+  const master = getMasterKey();
+  if (row.master_key_id !== master.id) {
+    throw new AdapterError(
+      'Stored credentials cannot be decrypted',
+      `${source} credentials for client ${clientId} were encrypted with a different master key (${row.master_key_id})`,
+      500
+    );
+  }
+
+  try {
+    const dataKey = decrypt(master.key, row.encrypted_key);
+    return {
+      id: row.id,
+      credentials: JSON.parse(decrypt(dataKey, row.ciphertext).toString())
+    };
+  } catch (error) {
+    // Never include the decrypted material in the error
+    throw new AdapterError(
+      'Stored credentials cannot be decrypted',
+      `${source} credentials for client ${clientId} failed integrity checks`,
+      500
+    );
+  }
+}
+
+module.exports = {
+  validateCredentials,
+  storeCredentials,
+  getCredentials
+};
@@ -0,0 +1,317 @@
+const db = require('../db');
+const config = require('../config');
+const logger = require('../utils/logger');
+const clientModel = require('../models/client');
+const controlModel = require('../models/control');
+const retiredRecordModel = require('../models/retired-record');
+const SyncRecorder = require('./sync-recorder');
+const { createDnsResolver } = require('../utils/dns-resolver');
+
+/**
+ * Email Authentication Posture
+ * Checks SPF, DKIM and DMARC for every client domain and stores one control
+ * per domain and mechanism (control_type 'email_authentication').
+ *
+ * Each result carries a strength:
+ * - strong: enforcing policy
+ * - weak: present but only partly enforced (~all, pct < 100, sp=none)
+ * - ineffective: present but protects nothing (+all/?all, p=none)
+ * - missing: no usable record
+ *
+ * Controls are stamped with the 'email_posture' source like synced records, so
+ * the controls of a domain a client no longer has are retired by the next check.
+ */
+
+// Source stamped on the controls (and the sync run) this check writes
+const SOURCE = 'email_posture';
+
+/**
+ * Run the posture check and store the results as controls
+ * A domain whose lookups fail keeps its previous controls and is recorded as a
+ * warning; controls for domains not checked are retired for every client whose
+ * domains were all checked
+ * @param {Object} options
+ * @param {number|null} options.clientId - Only check this client's domains
+ * @param {string} options.trigger - What started the check ('api', 'schedule')
+ * @param {Object|null} options.resolver - DNS resolver (defaults to createDnsResolver())
+ * @returns {Promise<Object>} Run summary with per-domain results
+ */
+async function runEmailPostureCheck({ clientId = null, trigger = 'api', resolver = null } = {}) {
+  const recorder = new SyncRecorder(SOURCE, trigger);
+  const startedAt = new Date();
+
+  try {
+    await recorder.start(clientId ? `client:${clientId}` : '*', 'full');
+    const dns = resolver || createDnsResolver();
+
+    const clients = clientId
+      ? [await clientModel.findById(clientId)].filter(Boolean)
+      : await clientModel.findAll();
+
+    const results = [];
+    const controls = [];
+    const reconciledClientIds = [];
+
+    for (const client of clients) {
+      const domains = normalizeDomains(client.domains);
+      if (domains.length === 0 && clientId) {
+        recorder.warn(`Client ${client.name} has no domains to check`);
+      }
+
+      let failed = false;
+      for (const domain of domains) {
+        try {
+          const posture = await checkDomain(dns, domain);
+          results.push({ client_id: client.id, domain, ...posture });
+          controls.push(...buildControls(client.id, domain, posture, startedAt));
+        } catch (error) {
+          failed = true;
+          logger.warn(`Email posture check failed for ${domain}`, { error: error.message });
+          recorder.warn(`DNS lookup failed for ${domain}: ${error.message}`, {
+            client_id: client.id,
+            code: error.code
+          });
+        }
+      }
+
+      if (!failed) reconciledClientIds.push(client.id);
+    }
+
+    await db.transaction(async (trx) => {
+      await controlModel.batchUpsert(controls, trx, recorder.entity('controls'));
+
+      const retired = await retiredRecordModel.retireMissing('controls', {
+        source: SOURCE,
+        clientIds: reconciledClientIds,
+        syncedBefore: startedAt
+      }, trx);
+      if (retired > 0) {
+        recorder.entity('controls').retired = retired;
+        logger.info(`Retired ${retired} email authentication controls for domains no longer checked`);
+      }
+    });
+
+    logger.info('Email posture check completed', { domains: results.length });
+
+    await recorder.succeed();
+    return {
+      sync_run_id: recorder.runId,
+      checked_at: new Date(),
+      domains_checked: results.length,
+      results,
+      counts: recorder.counts,
+      warnings: recorder.warnings
+    };
+
+  } catch (error) {
+    await recorder.fail(error);
+    throw error;
+  }
+}
+
+/**
+ * Look up and evaluate SPF, DKIM and DMARC for a domain
+ * @param {Object} dns - DNS resolver
+ * @param {string} domain - Domain to check
+ * @returns {Promise<{spf: Object, dkim: Object, dmarc: Object}>}
+ */
+async function checkDomain(dns, domain) {
+  const [rootRecords, dmarcRecords] = await Promise.all([
+    dns.resolveTxt(domain),
+    dns.resolveTxt(`_dmarc.${domain}`)
+  ]);
+
+  const dkimRecords = {};
+  for (const selector of config.emailPosture.dkimSelectors) {
+    const records = await dns.resolveTxt(`${selector}._domainkey.${domain}`);
+    if (records.length > 0) dkimRecords[selector] = records;
+  }
+
+  return {
+    spf: evaluateSpf(rootRecords),
+    dkim: evaluateDkim(dkimRecords),
+    dmarc: evaluateDmarc(dmarcRecords)
+  };
+}
+
+/**
+ * Evaluate a domain's SPF record
+ * @param {Array<string>} records - TXT records at the domain apex
+ * @returns {{strength: string, record: string|null, issues: Array<string>}}
+ */
+function evaluateSpf(records) {
+  const spf = records.filter(r => /^v=spf1(\s|$)/i.test(r.trim()));
+
+  if (spf.length === 0) {
+    return { strength: 'missing', record: null, issues: ['No SPF record published'] };
+  }
+  if (spf.length > 1) {
+    return {
+      strength: 'missing',
+      record: spf.join(' | '),
+      issues: [`${spf.length} SPF records published (receivers treat this as a permanent error)`]
+    };
+  }
+
+  const record = spf[0].trim();
+  const all = record.match(/\s([+?~-]?)all(\s|$)/i);
+
+  if (!all) {
+    if (/\sredirect=/i.test(record)) {
+      return { strength: 'strong', record, issues: [] };
+    }
+    return { strength: 'ineffective', record, issues: ['SPF record has no "all" mechanism, so unlisted senders are not rejected'] };
+  }
+
+  switch (all[1]) {
+    case '-':
+      return { strength: 'strong', record, issues: [] };
+    case '~':
+      return { strength: 'weak', record, issues: ['SPF soft-fails unlisted senders (~all) instead of failing them (-all)'] };
+    default:
+      return { strength: 'ineffective', record, issues: [`SPF ends in "${all[1] || '+'}all", which authorizes any sender`] };
+  }
+}
+
+/**
+ * Evaluate a domain's DKIM keys found under the configured selectors
+ * Selectors can't be enumerated, so a domain with no key found is reported as
+ * missing but its control is left 'unknown'
+ * @param {Object<string, Array<string>>} recordsBySelector - TXT records per selector that returned any
+ * @returns {{strength: string, selectors: Array<string>, issues: Array<string>}}
+ */
+function evaluateDkim(recordsBySelector) {
+  const selectors = [];
+  const revoked = [];
+
+  for (const [selector, records] of Object.entries(recordsBySelector)) {
+    for (const record of records) {
+      const key = parseTags(record).p;
+      if (key === undefined) continue;
+      (key ? selectors : revoked).push(selector);
+    }
+  }
+
+  if (selectors.length > 0) {
+    return { strength: 'strong', selectors: [...new Set(selectors)], issues: [] };
+  }
+
+  return {
+    strength: 'missing',
+    selectors: [],
+    issues: revoked.length > 0
+      ? [`Only revoked DKIM keys found (selectors: ${revoked.join(', ')})`]
+      : [`No DKIM key found under selectors: ${config.emailPosture.dkimSelectors.join(', ')}`]
+  };
+}
+
+/**
+ * Evaluate a domain's DMARC record
+ * @param {Array<string>} records - TXT records at _dmarc.<domain>
+ * @returns {{strength: string, record: string|null, policy: string|null, issues: Array<string>}}
+ */
+function evaluateDmarc(records) {
+  const dmarc = records.filter(r => /^v=DMARC1(\s*;|$)/i.test(r.trim()));
+
+  if (dmarc.length === 0) {
+    return { strength: 'missing', record: null, policy: null, issues: ['No DMARC record published'] };
+  }
+  if (dmarc.length > 1) {
+    return {
+      strength: 'missing',
+      record: dmarc.join(' | '),
+      policy: null,
+      issues: [`${dmarc.length} DMARC records published (receivers ignore DMARC for the domain)`]
+    };
+  }
+
+  const record = dmarc[0].trim();
+  const tags = parseTags(record);
+  const policy = (tags.p || '').toLowerCase();
+
+  if (!['none', 'quarantine', 'reject'].includes(policy)) {
+    return { strength: 'missing', record, policy: null, issues: ['DMARC record has no valid policy (p=) tag'] };
+  }
+  if (policy === 'none') {
+    return { strength: 'ineffective', record, policy, issues: ['DMARC policy is p=none (monitoring only)'] };
+  }
+
+  const issues = [];
+  const pct = tags.pct !== undefined ? parseInt(tags.pct, 10) : 100;
+  if (pct < 100) {
+    issues.push(`DMARC policy applies to ${pct}% of failing mail`);
+  }
+  if ((tags.sp || '').toLowerCase() === 'none') {
+    issues.push('DMARC subdomain policy is sp=none');
+  }
+
+  return { strength: issues.length > 0 ? 'weak' : 'strong', record, policy, issues };
+}
+
+/**
+ * Build the controls stored for one domain's posture
+ * @param {number} clientId - Client ID
+ * @param {string} domain - Domain
+ * @param {Object} posture - checkDomain() result
+ * @param {Date} startedAt - Start of the check, stamped as last_synced_at
+ * @returns {Array<Object>}
+ */
+function buildControls(clientId, domain, posture, startedAt) {
+  const checkedAt = new Date();
+
+  return Object.entries(posture).map(([mechanism, result]) => ({
+    client_id: clientId,
+    source: SOURCE,
+    external_id: `email:${domain}:${mechanism}`,
+    control_type: controlModel.EMAIL_AUTH_CONTROL_TYPE,
+    status: mapStrengthToStatus(mechanism, result.strength),
+    evidence: { domain, mechanism, ...result },
+    last_checked: checkedAt,
+    last_synced_at: startedAt,
+    retired_at: null
+  }));
+}
+
+/**
+ * Map a posture strength to a control status
+ */
+function mapStrengthToStatus(mechanism, strength) {
+  if (strength === 'strong') return 'pass';
+  // DKIM may use a selector we didn't try
+  if (mechanism === 'dkim') return 'unknown';
+  return 'fail';
+}
+
+/**
+ * Parse a "k=v; k=v" tag list (DMARC, DKIM)
+ * @param {string} record - TXT record
+ * @returns {Object<string, string>}
+ */
+function parseTags(record) {
+  const tags = {};
+  for (const part of record.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    tags[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).replace(/\s+/g, '');
+  }
+  return tags;
+}
+
+/**
+ * Lowercase and de-duplicate a client's domains
+ * @param {Array<string>|null} domains
+ * @returns {Array<string>}
+ */
+function normalizeDomains(domains) {
+  return [...new Set((domains || [])
+    .map(d => String(d).trim().toLowerCase().replace(/^@/, '').replace(/\.$/, ''))
+    .filter(Boolean))];
+}
+
+module.exports = {
+  runEmailPostureCheck,
+  checkDomain,
+  evaluateSpf,
+  evaluateDkim,
+  evaluateDmarc
+};
@@ -0,0 +1,78 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { subDays } = require('date-fns');
+const config = require('../config');
+const syncPayloadModel = require('../models/sync-payload');
+const logger = require('../utils/logger');
+
+/**
+ * Payload Archive
+ * Keeps the raw vendor responses behind each sync run (gzipped JSON in
+ * sync_payloads) so a run can be replayed through normalization and
+ * persistence without calling the vendor again.
+ *
+ * Adapters hand their fetched responses to recordPayload(); Maps they build
+ * while fetching are tagged so they come back as Maps on replay.
+ */
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Marks a serialized Map in the archived JSON
+const MAP_TAG = '__map__';
+
+/**
+ * Archive a sync run's payload and drop payloads past retention
+ * @param {number} syncRunId - Sync run ID
+ * @param {Object} run - Run details
+ * @param {string} run.source - Source system
+ * @param {string} run.scope - Vendor account/tenant synced
+ * @param {Date|null} run.since - Delta watermark (null for a full sync)
+ * @param {Object} payload - Raw responses recorded by the adapter
+ * @returns {Promise<Object>} Archived row (without the payload)
+ */
+async function archivePayload(syncRunId, { source, scope, since }, payload) {
+  const json = JSON.stringify(payload, (key, value) =>
+    value instanceof Map ? { [MAP_TAG]: [...value.entries()] } : value
+  );
+  const compressed = await gzip(json);
+
+  const archived = await syncPayloadModel.create({
+    sync_run_id: syncRunId,
+    source,
+    scope,
+    since,
+    payload: compressed,
+    size: Buffer.byteLength(json),
+    compressed_size: compressed.length
+  });
+
+  const pruned = await syncPayloadModel.deleteOlderThan(subDays(new Date(), config.payloadArchive.retentionDays));
+  if (pruned > 0) {
+    logger.info(`Pruned ${pruned} archived sync payloads older than ${config.payloadArchive.retentionDays} days`);
+  }
+
+  return archived;
+}
+
+/**
+ * Load a sync run's archived payload
+ * @param {number} syncRunId - Sync run ID
+ * @returns {Promise<{source: string, scope: string, since: Date|null, payload: Object}|null>}
+ */
+async function loadPayload(syncRunId) {
+  const row = await syncPayloadModel.findBySyncRunId(syncRunId);
+  if (!row) return null;
+
+  const json = (await gunzip(row.payload)).toString('utf8');
+  const payload = JSON.parse(json, (key, value) =>
+    value && typeof value === 'object' && Array.isArray(value[MAP_TAG]) ? new Map(value[MAP_TAG]) : value
+  );
+
+  return { source: row.source, scope: row.scope, since: row.since, payload };
+}
+
+module.exports = {
+  archivePayload,
+  loadPayload
+};
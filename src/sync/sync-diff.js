@@ -0,0 +1,160 @@
+const db = require('../db');
+
+/**
+ * Sync Diff
+ * Describes what a dry-run sync changed inside its (rolled back) transaction.
+ *
+ * The sync's rows are read twice for each client it touched: through the
+ * transaction (after) and through a separate connection, which still sees the
+ * committed data (before). Comparing the two by row ID covers every upsert
+ * and merge rule without the models having to report their changes.
+ */
+
+// Entity type → table it is persisted to
+const ENTITY_TABLES = {
+  clients: 'clients',
+  sites: 'sites',
+  contacts: 'contacts',
+  agreements: 'agreements',
+  tickets: 'tickets',
+  devices: 'devices',
+  patches: 'device_patch_status',
+  edr_agents: 'edr_agents',
+  backups: 'backup_status',
+  users: 'users',
+  licenses: 'license_subscriptions',
+  role_assignments: 'directory_role_assignments',
+  identity_posture: 'identity_posture',
+  controls: 'controls',
+  risks: 'risks'
+};
+
+// Bookkeeping columns every sync rewrites
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'last_synced_at'];
+
+/**
+ * Diff the rows a sync wrote, per entity type and client
+ * @param {Object<string, Array<number>>} syncedClients - Client IDs touched per entity type
+ * @param {Object} trx - The sync's transaction (not yet rolled back)
+ * @returns {Promise<Object>} { summary: { entity: counts }, changes: { entity: [clientChanges] } }
+ */
+async function diffSync(syncedClients, trx) {
+  const summary = {};
+  const changes = {};
+
+  for (const [entity, clientIds] of Object.entries(syncedClients)) {
+    if (!ENTITY_TABLES[entity] || clientIds.length === 0) continue;
+
+    const key = entity === 'clients' ? 'id' : 'client_id';
+    const [before, after] = await Promise.all([
+      db(ENTITY_TABLES[entity]).whereIn(key, clientIds),
+      trx(ENTITY_TABLES[entity]).whereIn(key, clientIds)
+    ]);
+
+    const byClient = diffRows(before, after, key);
+    summary[entity] = { created: 0, updated: 0, retired: 0 };
+    for (const clientChanges of byClient) {
+      summary[entity].created += clientChanges.created.length;
+      summary[entity].updated += clientChanges.updated.length;
+      summary[entity].retired += clientChanges.retired.length;
+    }
+    changes[entity] = byClient.filter(c => c.created.length || c.updated.length || c.retired.length);
+  }
+
+  return { summary, changes };
+}
+
+/**
+ * Compare before/after rows by ID, grouped by client
+ * @param {Array} before - Committed rows
+ * @param {Array} after - Rows inside the sync transaction
+ * @param {string} key - Column holding the client ID ('id' for clients)
+ * @returns {Array<{client_id: number, created: Array, updated: Array, retired: Array}>}
+ */
+function diffRows(before, after, key) {
+  const previous = new Map(before.map(row => [row.id, row]));
+  const clients = new Map();
+
+  const forClient = (clientId) => {
+    if (!clients.has(clientId)) {
+      clients.set(clientId, { client_id: clientId, created: [], updated: [], retired: [] });
+    }
+    return clients.get(clientId);
+  };
+
+  for (const row of after) {
+    const old = previous.get(row.id);
+    const clientChanges = forClient(row[key]);
+
+    if (!old) {
+      clientChanges.created.push(describe(row, true));
+      continue;
+    }
+
+    if (row.retired_at && !old.retired_at) {
+      clientChanges.retired.push(describe(row));
+      continue;
+    }
+
+    const fields = changedFields(old, row);
+    if (Object.keys(fields).length > 0) {
+      clientChanges.updated.push({ ...describe(row), changes: fields });
+    }
+  }
+
+  return [...clients.values()];
+}
+
+/**
+ * Fields whose value differs between two versions of a row
+ * @param {Object} before - Committed row
+ * @param {Object} after - Row inside the sync transaction
+ * @returns {Object<string, {from: *, to: *}>}
+ */
+function changedFields(before, after) {
+  const fields = {};
+
+  for (const field of Object.keys(after)) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (comparable(before[field]) !== comparable(after[field])) {
+      fields[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Serialize a column value so dates and JSON compare by content
+ * @param {*} value - Column value
+ * @returns {string}
+ */
+function comparable(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return value.toISOString();
+  return JSON.stringify(value);
+}
+
+/**
+ * Identify a row in the diff; created rows are shown in full
+ * Row IDs are left out of created rows since the rollback discards them
+ * @param {Object} row - Row
+ * @param {boolean} full - Include every field
+ * @returns {Object}
+ */
+function describe(row, full = false) {
+  if (full) {
+    return Object.fromEntries(Object.entries(row).filter(([field]) => !IGNORED_FIELDS.includes(field)));
+  }
+
+  return {
+    id: row.id,
+    external_id: row.external_id ?? null,
+    ...(row.source && { source: row.source }),
+    ...(row.name && { name: row.name })
+  };
+}
+
+module.exports = {
+  diffSync
+};
@@ -0,0 +1,127 @@
+const syncRunModel = require('../models/sync-run');
+const logger = require('../utils/logger');
+
+/**
+ * Sync Recorder
+ * Collects per-entity counts and warnings for one sync and writes them to sync_runs.
+ *
+ * The run row is written outside the sync transaction so failed syncs are
+ * still recorded after their data changes roll back.
+ */
+class SyncRecorder {
+  /**
+   * @param {string} source - Source system ('connectwise', 'immy', 'm365')
+   * @param {string} trigger - What started the sync ('api', 'schedule')
+   */
+  constructor(source, trigger = 'api') {
+    this.source = source;
+    this.trigger = trigger;
+    this.runId = null;
+    this.counts = {};
+    this.warnings = [];
+    this.requestMetrics = null;
+  }
+
+  /**
+   * Create the sync run row
+   * @param {string|null} scope - Vendor account/tenant being synced (null until known, see describe())
+   * @param {string|null} mode - 'full' or 'delta'
+   * @param {Object} fields - Extra run columns (e.g. replay_of)
+   * @returns {Promise<SyncRecorder>}
+   */
+  async start(scope, mode, fields = {}) {
+    const run = await syncRunModel.create({
+      source: this.source,
+      scope,
+      trigger: this.trigger,
+      mode,
+      ...fields
+    });
+    this.runId = run.id;
+    return this;
+  }
+
+  /**
+   * Fill in the scope and mode of a run started before they were known
+   * @param {string} scope - Vendor account/tenant being synced
+   * @param {string} mode - 'full' or 'delta'
+   * @returns {Promise<void>}
+   */
+  async describe(scope, mode) {
+    if (!this.runId) return;
+    await syncRunModel.update(this.runId, { scope, mode });
+  }
+
+  /**
+   * Get the counters for an entity type
+   * Passed to model batchUpsert() which increments inserted/updated
+   * @param {string} name - Entity type ('devices', 'tickets', ...)
+   * @returns {{inserted: number, updated: number, skipped: number, retired?: number}}
+   */
+  entity(name) {
+    if (!this.counts[name]) {
+      this.counts[name] = { inserted: 0, updated: 0, skipped: 0 };
+    }
+    return this.counts[name];
+  }
+
+  /**
+   * Record a warning
+   * @param {string} message - Warning message
+   * @param {Object} details - Optional details
+   */
+  warn(message, details = null) {
+    this.warnings.push({ message, ...(details && { details }) });
+  }
+
+  /**
+   * Record the vendor API request metrics for the run
+   * @param {Object|null} metrics - Adapter request metrics (see BaseAdapter.getRequestMetrics())
+   */
+  recordRequests(metrics) {
+    this.requestMetrics = metrics;
+  }
+
+  /**
+   * Mark the run as succeeded
+   * @returns {Promise<void>}
+   */
+  async succeed() {
+    await this.finish({ status: 'succeeded' });
+  }
+
+  /**
+   * Mark the run as failed
+   * Never throws, so the original sync error is what reaches the caller
+   * @param {Error} error - Sync error
+   * @returns {Promise<void>}
+   */
+  async fail(error) {
+    try {
+      await this.finish({
+        status: 'failed',
+        error: error.message,
+        error_details: error.details ? { details: error.details, status: error.statusCode } : null
+      });
+    } catch (recordError) {
+      logger.error(`Failed to record ${this.source} sync failure`, { error: recordError.message });
+    }
+  }
+
+  /**
+   * Write the outcome with the collected counts and warnings
+   * @param {Object} resultData - Status and error fields
+   * @returns {Promise<void>}
+   */
+  async finish(resultData) {
+    if (!this.runId) return;
+    await syncRunModel.finish(this.runId, {
+      ...resultData,
+      counts: this.counts,
+      warnings: this.warnings,
+      request_metrics: this.requestMetrics
+    });
+  }
+}
+
+module.exports = SyncRecorder;
@@ -0,0 +1,454 @@
+const { getAdapter, listSources } = require('../adapters/registry');
+const { AdapterError } = require('../adapters/base-adapter');
+const config = require('../config');
+const db = require('../db');
+const clientModel = require('../models/client');
+const deviceModel = require('../models/device');
+const ticketModel = require('../models/ticket');
+const userModel = require('../models/user');
+const controlModel = require('../models/control');
+const riskModel = require('../models/risk');
+const siteModel = require('../models/site');
+const contactModel = require('../models/contact');
+const agreementModel = require('../models/agreement');
+const patchStatusModel = require('../models/patch-status');
+const edrAgentModel = require('../models/edr-agent');
+const backupStatusModel = require('../models/backup-status');
+const licenseSubscriptionModel = require('../models/license-subscription');
+const roleAssignmentModel = require('../models/role-assignment');
+const identityPostureModel = require('../models/identity-posture');
+const syncStateModel = require('../models/sync-state');
+const retiredRecordModel = require('../models/retired-record');
+const syncRunModel = require('../models/sync-run');
+const clientCredentialModel = require('../models/client-credential');
+const ClientResolver = require('./client-resolver');
+const SyncRecorder = require('./sync-recorder');
+const { diffSync } = require('./sync-diff');
+const { archivePayload, loadPayload } = require('./payload-archive');
+const { getCredentials } = require('./credential-vault');
+const logger = require('../utils/logger');
+
+// Watermarks are rewound by this much so clock skew between us and a vendor never drops a change
+const WATERMARK_OVERLAP_MS = 5 * 60 * 1000;
+
+/**
+ * Thrown to roll back a dry-run sync's transaction, carrying its result out
+ */
+class DryRunRollback extends Error {
+  constructor(result) {
+    super('Dry run rolled back');
+    this.result = result;
+  }
+}
+
+/**
+ * Model used to persist each normalized entity type
+ */
+const ENTITY_MODELS = {
+  clients: clientModel,
+  sites: siteModel,
+  contacts: contactModel,
+  agreements: agreementModel,
+  tickets: ticketModel,
+  devices: deviceModel,
+  patches: patchStatusModel,
+  edr_agents: edrAgentModel,
+  backups: backupStatusModel,
+  users: userModel,
+  licenses: licenseSubscriptionModel,
+  role_assignments: roleAssignmentModel,
+  identity_posture: identityPostureModel,
+  controls: controlModel,
+  risks: riskModel
+};
+
+// Non-retirable entity types keyed by source as well as external ID (vendors' IDs overlap)
+const SOURCE_KEYED_ENTITIES = ['tickets', 'agreements'];
+
+/**
+ * Run a sync end to end: fetch changes, persist them and record the run
+ * @param {string} source - Registered adapter source (e.g. 'connectwise')
+ * @param {Object} options - Sync options
+ * @param {Object} options.credentials - Credentials (defaults to environment config)
+ * @param {number} options.clientId - Sync with this client's stored credentials instead; every record
+ *   the sync returns belongs to that client
+ * @param {boolean} options.fullResync - Ignore the stored watermark
+ * @param {string} options.trigger - What started the sync ('api', 'schedule')
+ * @param {ImportFile|null} options.file - Uploaded file (import adapter)
+ * @param {boolean} options.dryRun - Roll the changes back and return a diff instead (not recorded in sync_runs)
+ * @returns {Promise<Object>} Sync result
+ */
+async function runSync(source, { credentials = null, clientId = null, fullResync = false, trigger = 'api', file = null, dryRun = false } = {}) {
+  const Adapter = getAdapter(source);
+  const recorder = new SyncRecorder(source, trigger);
+  let adapter = null;
+
+  try {
+    // Recorded before credentials are resolved, so missing or undecryptable ones show up as a failed run
+    if (!dryRun) {
+      await recorder.start(null, null, clientId ? { client_id: clientId } : {});
+    }
+
+    const syncCredentials = clientId
+      ? await getClientCredentials(clientId, source)
+      : credentials || config[source];
+
+    // Initialize adapter and sync changes since the last watermark
+    adapter = new Adapter(config);
+    const scope = adapter.getSyncScope(syncCredentials);
+    const since = await getSince(source, scope, fullResync);
+    const startedAt = new Date();
+    await recorder.describe(scope, since ? 'delta' : 'full');
+
+    const normalizedData = await adapter.sync(syncCredentials, { since, ...(file && { file }) });
+    recorder.recordRequests(adapter.getRequestMetrics());
+    for (const warning of normalizedData.warnings || []) {
+      recorder.warn(warning.message, warning.details);
+    }
+
+    // Archived before persisting so a run that fails to persist can still be replayed
+    if (adapter.payload && recorder.runId && config.payloadArchive.enabled) {
+      await archiveRunPayload(recorder, { source, scope, since }, adapter.payload);
+    }
+
+    const result = await commitSync(Adapter, normalizedData, recorder, {
+      since,
+      startedAt,
+      dryRun,
+      clientId,
+      // Only a complete full sync proves a record is gone at the source; a file
+      // import only does when it was uploaded as a replacement
+      retire: !since && !normalizedData.partial && (!file || file.replace === true),
+      // A partial sync keeps the old watermark so the skipped parts are retried from it next time
+      saveWatermark: trx => normalizedData.partial
+        ? null
+        : syncStateModel.save(source, scope, startedAt, !since, trx)
+    });
+
+    logger.info(`${Adapter.label || source} ${dryRun ? 'dry run' : 'sync'} completed`, result.record_counts);
+
+    await recorder.succeed();
+    return { ...result, counts: recorder.counts, warnings: recorder.warnings };
+
+  } catch (error) {
+    // Most useful when the vendor is what failed (throttling, outages)
+    recorder.recordRequests(adapter?.getRequestMetrics() || null);
+    await recorder.fail(error);
+    throw error;
+  }
+}
+
+/**
+ * Check whether the environment config holds every credential a source's sync requires
+ * @param {string} source - Source system
+ * @returns {boolean}
+ */
+function hasConfiguredCredentials(source) {
+  const configured = config[source] || {};
+  return getAdapter(source).requiredCredentials.every(field => Boolean(configured[field]));
+}
+
+/**
+ * Decrypt a client's stored credentials for a sync
+ * @param {number} clientId - Client ID
+ * @param {string} source - Source system
+ * @returns {Promise<Object>} Credentials
+ * @throws {AdapterError} - 404 if the client has none stored for the source
+ */
+async function getClientCredentials(clientId, source) {
+  const stored = await getCredentials(clientId, source);
+  if (!stored) {
+    throw new AdapterError(
+      'No stored credentials',
+      `Client ${clientId} has no stored ${source} credentials`,
+      404
+    );
+  }
+
+  await clientCredentialModel.touch(stored.id);
+  return stored.credentials;
+}
+
+/**
+ * Re-run normalization and persistence from a sync run's archived payload
+ * The vendor isn't called, watermarks are left alone and nothing is retired
+ * (the payload may be older than what later syncs have stored).
+ * @param {number} syncRunId - Sync run whose payload to replay
+ * @param {Object} options - Replay options
+ * @param {string} options.trigger - What started the replay ('api', 'cli')
+ * @param {boolean} options.dryRun - Roll the changes back and return a diff instead (not recorded in sync_runs)
+ * @returns {Promise<Object>} Sync result (with replay_of)
+ * @throws {AdapterError} - 404 if the run has no archived payload
+ */
+async function replaySync(syncRunId, { trigger = 'api', dryRun = false } = {}) {
+  const archived = await loadPayload(syncRunId);
+  if (!archived) {
+    throw new AdapterError(
+      'No archived payload',
+      `Sync run ${syncRunId} has no archived payload (it may predate the archive or be past retention)`,
+      404
+    );
+  }
+
+  const Adapter = getAdapter(archived.source);
+  const recorder = new SyncRecorder(archived.source, trigger);
+
+  try {
+    // A client-scoped run's records are replayed onto the same client
+    const clientId = (await syncRunModel.findById(syncRunId))?.client_id || null;
+    const mode = archived.since ? 'delta' : 'full';
+    if (!dryRun) {
+      await recorder.start(archived.scope, mode, { replay_of: syncRunId, ...(clientId && { client_id: clientId }) });
+    }
+
+    const normalizedData = new Adapter(config).normalizePayload(archived.payload);
+    for (const warning of normalizedData.warnings || []) {
+      recorder.warn(warning.message, warning.details);
+    }
+
+    const result = await commitSync(Adapter, normalizedData, recorder, {
+      since: archived.since,
+      startedAt: new Date(),
+      dryRun,
+      clientId,
+      retire: false,
+      saveWatermark: () => null
+    });
+
+    logger.info(`${Adapter.label || archived.source} replay of sync run ${syncRunId} completed`, result.record_counts);
+
+    await recorder.succeed();
+    return { ...result, replay_of: syncRunId, counts: recorder.counts, warnings: recorder.warnings };
+
+  } catch (error) {
+    await recorder.fail(error);
+    throw error;
+  }
+}
+
+/**
+ * Persist normalized data in one transaction, or preview it and roll back
+ * @param {Function} Adapter - Adapter class
+ * @param {NormalizedData} normalizedData - Normalized entities
+ * @param {SyncRecorder} recorder - Sync run recorder
+ * @param {Object} options - Commit options
+ * @param {Date|null} options.since - Delta watermark the data was fetched from
+ * @param {Date} options.startedAt - Sync start, stamped on retirable records
+ * @param {boolean} options.dryRun - Roll back and return a diff
+ * @param {number|null} options.clientId - Attach every record to this client (client-scoped syncs)
+ * @param {boolean} options.retire - Retire records the sync no longer reports
+ * @param {Function} options.saveWatermark - Called with the transaction to advance the watermark
+ * @returns {Promise<Object>} Sync result (without counts/warnings)
+ */
+async function commitSync(Adapter, normalizedData, recorder, { since, startedAt, dryRun, clientId = null, retire, saveWatermark }) {
+  return db.transaction(async (trx) => {
+    const persisted = await persistNormalizedData(Adapter, normalizedData, recorder, trx, startedAt, clientId);
+
+    if (retire) {
+      await retireMissing(Adapter, persisted.synced_clients, recorder, trx, startedAt);
+    }
+
+    await saveWatermark(trx);
+
+    const syncResult = {
+      sync_run_id: recorder.runId,
+      synced_at: new Date(),
+      mode: since ? 'delta' : 'full',
+      since,
+      record_counts: persisted.record_counts,
+      unmatched: persisted.unmatched
+    };
+
+    if (dryRun) {
+      const diff = await diffSync(persisted.synced_clients, trx);
+      throw new DryRunRollback({ ...syncResult, dry_run: true, ...diff });
+    }
+
+    return syncResult;
+  }).catch(error => {
+    if (error instanceof DryRunRollback) return error.result;
+    throw error;
+  });
+}
+
+/**
+ * Archive the adapter's raw responses for the run
+ * A failed archive is recorded as a warning rather than failing the sync
+ * @param {SyncRecorder} recorder - Sync run recorder
+ * @param {Object} run - { source, scope, since }
+ * @param {Object} payload - Raw responses recorded by the adapter
+ */
+async function archiveRunPayload(recorder, run, payload) {
+  try {
+    await archivePayload(recorder.runId, run, payload);
+  } catch (error) {
+    logger.error(`Failed to archive ${run.source} sync payload`, { error: error.message });
+    recorder.warn(`Raw payload was not archived: ${error.message}`);
+  }
+}
+
+/**
+ * Get the pg-boss queue name for a source's sync jobs (one queue per source so each can be scheduled)
+ * @param {string} source - Source system
+ * @returns {string}
+ */
+function getJobName(source) {
+  return `sync-${source}`;
+}
+
+/**
+ * Persist the entity types an adapter declares, attaching each record to its client
+ * @param {Function} Adapter - Adapter class
+ * @param {NormalizedData} normalizedData - Adapter sync() output
+ * @param {SyncRecorder} recorder - Sync run recorder
+ * @param {Object} trx - Transaction
+ * @param {Date} startedAt - Sync start, stamped on retirable records as last_synced_at
+ * @param {number|null} clientId - Client a client-scoped sync's records all belong to
+ * @returns {Promise<{record_counts: Object, unmatched: Object, synced_clients: Object<string, Array<number>>}>}
+ *   synced_clients lists the client IDs each entity type wrote records for
+ */
+async function persistNormalizedData(Adapter, normalizedData, recorder, trx, startedAt, clientId = null) {
+  const entityTypes = Object.keys(ENTITY_MODELS)
+    .filter(type => Adapter.entityTypes.includes(type));
+  const recordCounts = {};
+  const unmatched = {};
+  const syncedClients = {};
+
+  // Clients are keyed by source/external_id directly; everything else goes through the resolver
+  let clients = [];
+  if (entityTypes.includes('clients') && clientId) {
+    // The client's own account describes the client itself, so no other client is created or updated
+    const reported = (normalizedData.clients || []).length;
+    recorder.entity('clients').skipped += reported;
+    recordCounts.clients = 0;
+  } else if (entityTypes.includes('clients')) {
+    clients = await clientModel.batchUpsert(normalizedData.clients || [], trx, recorder.entity('clients'));
+    recordCounts.clients = clients.length;
+    syncedClients.clients = clients.map(c => c.id);
+  }
+
+  const resolver = await new ClientResolver(Adapter.source, trx).load();
+
+  if (!entityTypes.includes('clients') && resolver.clients.length === 0) {
+    throw new Error('No clients found. Please sync your PSA (e.g. ConnectWise) first.');
+  }
+
+  for (const type of entityTypes.filter(t => t !== 'clients')) {
+    // Client-scoped records skip matching (and the review queue) and go to the sync's client
+    const records = clientId
+      ? (normalizedData[type] || []).map(record => ({ ...record, client_ref: { client_id: clientId } }))
+      : normalizedData[type] || [];
+    const attached = await resolver.attach(records);
+
+    if (retiredRecordModel.isRetirable(type)) {
+      attached.records = attached.records.map(record => ({
+        ...record,
+        source: Adapter.source,
+        last_synced_at: startedAt,
+        retired_at: null
+      }));
+    } else if (SOURCE_KEYED_ENTITIES.includes(type)) {
+      attached.records = attached.records.map(record => ({ ...record, source: Adapter.source }));
+    }
+    syncedClients[type] = [...new Set(attached.records.map(r => r.client_id))];
+
+    await upsertAttached(recorder, type, attached, ENTITY_MODELS[type], trx);
+    recordCounts[type] = attached.records.length;
+    unmatched[type] = attached.unmatched;
+
+    if (type === 'agreements') {
+      await rollupAgreements(clients, attached.records, trx);
+    }
+  }
+
+  return { record_counts: recordCounts, unmatched, synced_clients: syncedClients };
+}
+
+/**
+ * Retire the source's records a full sync no longer reports
+ * Only clients the sync reported at least one record of that type for are
+ * reconciled, so a tenant that returned nothing never has its data retired.
+ * @param {Function} Adapter - Adapter class
+ * @param {Object<string, Array<number>>} syncedClients - Client IDs synced per entity type
+ * @param {SyncRecorder} recorder - Sync run recorder
+ * @param {Object} trx - Transaction
+ * @param {Date} startedAt - Sync start the synced records were stamped with
+ */
+async function retireMissing(Adapter, syncedClients, recorder, trx, startedAt) {
+  for (const [type, clientIds] of Object.entries(syncedClients)) {
+    if (!retiredRecordModel.isRetirable(type)) continue;
+
+    const retired = await retiredRecordModel.retireMissing(type, {
+      source: Adapter.source,
+      clientIds,
+      syncedBefore: startedAt
+    }, trx);
+
+    if (retired > 0) {
+      recorder.entity(type).retired = retired;
+      logger.info(`Retired ${retired} ${type} no longer reported by ${Adapter.label || Adapter.source}`);
+    }
+  }
+}
+
+/**
+ * Roll agreement MRR and term up onto each client touched by this sync
+ * @param {Array} clients - Clients upserted by this sync
+ * @param {Array} agreements - Agreements attached to clients by this sync
+ * @param {Object} trx - Transaction
+ */
+async function rollupAgreements(clients, agreements, trx) {
+  const clientIds = new Set([
+    ...clients.map(c => c.id),
+    ...agreements.map(a => a.client_id)
+  ]);
+
+  for (const clientId of clientIds) {
+    const summary = await agreementModel.summarizeByClientId(clientId, trx);
+    await clientModel.update(clientId, summary, trx);
+  }
+}
+
+/**
+ * Upsert records attached by the client resolver, counting unmatched records as skipped
+ * @param {SyncRecorder} recorder - Sync run recorder
+ * @param {string} entity - Entity type
+ * @param {{records: Array, unmatched: number}} attached - Result of ClientResolver.attach()
+ * @param {Object} model - Model exposing batchUpsert()
+ * @param {Object} trx - Transaction
+ * @returns {Promise<Array>}
+ */
+async function upsertAttached(recorder, entity, attached, model, trx) {
+  const stats = recorder.entity(entity);
+  stats.skipped += attached.unmatched;
+
+  if (attached.unmatched > 0) {
+    recorder.warn(`${attached.unmatched} ${entity} could not be matched to a client`);
+  }
+
+  return model.batchUpsert(attached.records, trx, stats);
+}
+
+/**
+ * Get the time to sync changes from, or null for a full sync
+ * @param {string} source - Source system
+ * @param {string} scope - Vendor account/tenant identifier
+ * @param {boolean} fullResync - Ignore the stored watermark
+ * @returns {Promise<Date|null>}
+ */
+async function getSince(source, scope, fullResync) {
+  if (fullResync) return null;
+
+  const state = await syncStateModel.find(source, scope);
+  if (!state?.watermark) return null;
+
+  return new Date(new Date(state.watermark).getTime() - WATERMARK_OVERLAP_MS);
+}
+
+module.exports = {
+  runSync,
+  replaySync,
+  listSources,
+  getJobName,
+  hasConfiguredCredentials
+};
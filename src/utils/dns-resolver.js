@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { Resolver } = require('dns').promises;
+const config = require('../config');
+
+/**
+ * DNS Resolver
+ * TXT lookups for the email authentication posture check.
+ *
+ * Any object with `resolveTxt(name) => Promise<Array<string>>` can stand in
+ * for the resolver (one string per TXT record, chunks joined).
+ */
+
+// Lookup errors that mean "no such record" rather than a DNS failure
+const NO_RECORD_CODES = ['ENODATA', 'ENOTFOUND'];
+
+/**
+ * Create the resolver configured for this environment
+ * Uses the fixture file when EMAIL_POSTURE_DNS_FIXTURE is set, otherwise
+ * the system (or EMAIL_POSTURE_DNS_SERVERS) name servers
+ * @param {Object} options - Overrides for config.emailPosture
+ * @returns {{resolveTxt: Function}}
+ */
+function createDnsResolver(options = {}) {
+  const { dnsServers, dnsFixture, dnsTimeout } = { ...config.emailPosture, ...options };
+
+  if (dnsFixture) {
+    return createFixtureResolver(dnsFixture);
+  }
+
+  const resolver = new Resolver({ timeout: dnsTimeout, tries: 2 });
+  if (dnsServers.length > 0) {
+    resolver.setServers(dnsServers);
+  }
+
+  return {
+    async resolveTxt(name) {
+      try {
+        const records = await resolver.resolveTxt(name);
+        return records.map(chunks => chunks.join(''));
+      } catch (error) {
+        if (NO_RECORD_CODES.includes(error.code)) return [];
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Resolver backed by a JSON file of { "name": ["txt record", ...] }
+ * Lets the posture check run offline against tests/mocks/dns-records.json
+ * @param {string} file - Path to the fixture file
+ * @returns {{resolveTxt: Function}}
+ */
+function createFixtureResolver(file) {
+  const records = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+  return {
+    async resolveTxt(name) {
+      return records[name.toLowerCase()] || [];
+    }
+  };
+}
+
+module.exports = {
+  createDnsResolver,
+  createFixtureResolver
+};
@@ -7,11 +7,22 @@ const clientModel = require('./models/client');
 const deviceModel = require('./models/device');
 const ticketModel = require('./models/ticket');
 const riskModel = require('./models/risk');
+const siteModel = require('./models/site');
+const contactModel = require('./models/contact');
+const agreementModel = require('./models/agreement');
+const backupStatusModel = require('./models/backup-status');
+const clientCredentialModel = require('./models/client-credential');
 const { calculateStandardsScore } = require('./engine/standards-score');
 const { calculateRiskScore } = require('./engine/risk-score');
 const { calculateExperienceScore } = require('./engine/experience-score');
+const { calculateLicenseWaste } = require('./engine/license-waste');
 const NarrativeGenerator = require('./qbr/narrative-generator');
 const PDFGenerator = require('./qbr/pdf-generator');
+const { getAdapter } = require('./adapters/registry');
+const { runSync, listSources, getJobName, hasConfiguredCredentials } = require('./sync/sync-service');
+const { runEmailPostureCheck } = require('./sync/email-posture');
+
+const EMAIL_POSTURE_JOB = 'email-posture-check';
 
 // Initialize pg-boss
 const boss = new PgBoss(config.database.url);
@@ -44,6 +55,13 @@ async function handleQBRGeneration(job) {
     const recentTickets = await ticketModel.findByClientId(client_id);
     const topRisks = await riskModel.getTopRisks(client_id, 5);
     const lifecycleItems = await deviceModel.findByClientId(client_id);
+    const [sites, contacts, agreements, backups, licenseWaste] = await Promise.all([
+      siteModel.findByClientId(client_id),
+      contactModel.findByClientId(client_id),
+      agreementModel.findByClientId(client_id),
+      backupStatusModel.findByClientId(client_id),
+      calculateLicenseWaste(client_id)
+    ]);
 
     const narrativeInput = {
       client,
@@ -71,7 +89,12 @@ async function handleQBRGeneration(job) {
         const daysSinceLastSeen = (Date.now() - new Date(d.last_seen)) / (1000 * 60 * 60 * 24);
         return daysSinceLastSeen > 365; // Not seen in a year
       }),
-      roadmap: narrative.recommendations
+      roadmap: narrative.recommendations,
+      sites,
+      contacts,
+      agreements,
+      backups,
+      licenseWaste
     };
 
     // Step 6: Generate PDF
@@ -110,6 +133,160 @@ async function handleQBRGeneration(job) {
   }
 }
 
+/**
+ * Sync Job Handler
+ * Pulls a source's changes and persists them (queued via the API or by schedule)
+ * A scheduled run also queues a sync for every client with stored credentials for the source
+ */
+async function handleSync(job) {
+  const { source, trigger, full_resync, client_id } = job.data;
+
+  logger.info(`Processing ${source} sync`, { jobId: job.id, trigger, clientId: client_id || null });
+
+  try {
+    if (trigger === 'schedule' && !client_id) {
+      await queueClientSyncs(source);
+
+      // Scheduled only for clients' stored credentials
+      if (!hasConfiguredCredentials(source)) {
+        logger.info(`No ${source} credentials configured, skipping the scheduled sync with environment credentials`);
+        return null;
+      }
+    }
+
+    return await runSync(source, {
+      clientId: client_id || null,
+      fullResync: full_resync === true,
+      trigger: trigger || 'api'
+    });
+
+  } catch (error) {
+    logger.error(`${source} sync failed`, {
+      jobId: job.id,
+      error: error.message
+    });
+
+    throw error; // Will trigger retry
+  }
+}
+
+/**
+ * Queue a scheduled sync for each client with stored credentials for a source
+ * Uses the same singleton key as POST /sync/:source, so a client already queued is skipped
+ * @param {string} source - Source system
+ */
+async function queueClientSyncs(source) {
+  const stored = await clientCredentialModel.findAll({ source });
+
+  for (const { client_id } of stored) {
+    const jobId = await boss.send(getJobName(source), { source, trigger: 'schedule', client_id }, {
+      singletonKey: `${source}:${client_id}`,
+      retryLimit: config.pgBoss.retryLimit,
+      retryDelay: config.pgBoss.retryDelay,
+      retryBackoff: config.pgBoss.retryBackoff,
+      expireInMinutes: config.sync.expireInMinutes
+    });
+
+    if (!jobId) {
+      logger.info(`Scheduled ${source} sync for client ${client_id} already queued`);
+    }
+  }
+
+  if (stored.length > 0) {
+    logger.info(`Queued scheduled ${source} syncs for ${stored.length} client(s)`);
+  }
+}
+
+/**
+ * Email Posture Job Handler
+ * Re-checks SPF/DKIM/DMARC for every client's domains
+ */
+async function handleEmailPostureCheck(job) {
+  logger.info('Processing email posture check', { jobId: job.id });
+
+  try {
+    const { client_id, trigger } = job.data || {};
+    return await runEmailPostureCheck({
+      clientId: client_id || null,
+      trigger: trigger || 'api'
+    });
+
+  } catch (error) {
+    logger.error('Email posture check failed', {
+      jobId: job.id,
+      error: error.message
+    });
+
+    throw error; // Will trigger retry
+  }
+}
+
+/**
+ * Explain why a source's sync can't run on a schedule
+ * Sources that need input on every run (file import) never can; the rest need
+ * credentials in the environment or stored for at least one client
+ * @param {string} source - Source system
+ * @returns {Promise<string|null>} Reason, or null if it can
+ */
+async function getUnschedulableReason(source) {
+  if (!getAdapter(source).schedulable) return 'it needs input on every run';
+  if (hasConfiguredCredentials(source)) return null;
+
+  const stored = await clientCredentialModel.findAll({ source });
+  return stored.length > 0 ? null : 'no credentials are configured or stored for any client';
+}
+
+/**
+ * Register (or remove) the cron schedule for each source's sync and the email posture check
+ * Sources that can't run on a schedule are left unscheduled even with a cron set
+ */
+async function scheduleSyncs() {
+  for (const source of listSources()) {
+    const cron = config.sync.schedules[source];
+    const name = getJobName(source);
+
+    if (!cron) {
+      await boss.unschedule(name);
+      logger.info(`Scheduled ${source} sync disabled`);
+      continue;
+    }
+
+    const reason = await getUnschedulableReason(source);
+    if (reason) {
+      await boss.unschedule(name);
+      logger.info(`Scheduled ${source} sync skipped: ${reason}`);
+      continue;
+    }
+
+    await boss.schedule(name, cron, { source, trigger: 'schedule' }, {
+      tz: config.sync.timezone,
+      singletonKey: source,
+      retryLimit: config.pgBoss.retryLimit,
+      retryDelay: config.pgBoss.retryDelay,
+      retryBackoff: config.pgBoss.retryBackoff,
+      expireInMinutes: config.sync.expireInMinutes
+    });
+    logger.info(`Scheduled ${source} sync`, { cron, tz: config.sync.timezone });
+  }
+
+  const postureCron = config.emailPosture.schedule;
+  if (!postureCron) {
+    await boss.unschedule(EMAIL_POSTURE_JOB);
+    logger.info('Scheduled email posture check disabled');
+    return;
+  }
+
+  await boss.schedule(EMAIL_POSTURE_JOB, postureCron, { trigger: 'schedule' }, {
+    tz: config.sync.timezone,
+    singletonKey: EMAIL_POSTURE_JOB,
+    retryLimit: config.pgBoss.retryLimit,
+    retryDelay: config.pgBoss.retryDelay,
+    retryBackoff: config.pgBoss.retryBackoff,
+    expireInMinutes: config.sync.expireInMinutes
+  });
+  logger.info('Scheduled email posture check', { cron: postureCron, tz: config.sync.timezone });
+}
+
 /**
  * Extract wins from narrative and scores
  */
@@ -140,7 +317,7 @@ function extractWins(narrative, standards, risk, experience) {
  */
 async function startWorker() {
   try {
-    logger.info('Starting QBR worker...');
+    logger.info('Starting worker...');
 
     await boss.start();
 
@@ -150,7 +327,22 @@ async function startWorker() {
       teamConcurrency: 1
     }, handleQBRGeneration);
 
-    logger.info('QBR worker started successfully');
+    // Subscribe to sync jobs, one at a time per source
+    for (const source of listSources()) {
+      await boss.work(getJobName(source), {
+        teamSize: 1,
+        teamConcurrency: 1
+      }, handleSync);
+    }
+
+    await boss.work(EMAIL_POSTURE_JOB, {
+      teamSize: 1,
+      teamConcurrency: 1
+    }, handleEmailPostureCheck);
+
+    await scheduleSyncs();
+
+    logger.info('Worker started successfully');
 
   } catch (error) {
     logger.error('Failed to start worker', { error: error.message });
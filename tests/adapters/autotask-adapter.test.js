@@ -0,0 +1,210 @@
+const AutotaskAdapter = require('../../src/adapters/autotask-adapter');
+const { mockHttp } = require('../helpers/mock-http');
+const fixture = require('../mocks/autotask-response.json');
+
+const BASE_URL = 'https://webservices1.autotask.net/atservicesrest/v1.0';
+
+const credentials = {
+  username: 'api@acme.example',
+  secret: 'secret',
+  integrationCode: 'INTEGRATION',
+  baseUrl: BASE_URL
+};
+
+// Fixture collection returned by each entity's query endpoint
+const QUERY_FIXTURES = {
+  Companies: 'companies',
+  Contracts: 'contracts',
+  ContractServices: 'contractServices',
+  Tickets: 'tickets',
+  TimeEntries: 'timeEntries',
+  ConfigurationItems: 'configurationItems',
+  ConfigurationItemTypes: 'configurationItemTypes'
+};
+
+/**
+ * Serve the fixture in place of the Autotask REST API (one page per query)
+ */
+function fixtureResponse({ method, url }) {
+  if (method === 'get' && url === `${BASE_URL}/Tickets/entityInformation/fields`) {
+    return { data: fixture.ticketFields };
+  }
+
+  const entity = url.match(/\/(\w+)\/query$/)?.[1];
+  if (method === 'post' && QUERY_FIXTURES[entity]) {
+    return { data: { items: fixture[QUERY_FIXTURES[entity]], pageDetails: { nextPageUrl: null } } };
+  }
+
+  throw new Error(`Unexpected request: ${method.toUpperCase()} ${url}`);
+}
+
+describe('AutotaskAdapter', () => {
+  let adapter;
+  let http;
+
+  beforeEach(() => {
+    http = mockHttp(fixtureResponse);
+    adapter = new AutotaskAdapter({});
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  /**
+   * Serve the API from another handler for the rest of the test
+   */
+  function serve(handler) {
+    http.restore();
+    http = mockHttp(handler);
+  }
+
+  it('authenticates every request with the API user headers', async () => {
+    await adapter.sync(credentials);
+
+    expect(http.calls[0].headers).toMatchObject({
+      ApiIntegrationCode: 'INTEGRATION',
+      UserName: 'api@acme.example',
+      Secret: 'secret'
+    });
+  });
+
+  it('normalizes companies into clients and main sites', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(result.clients).toEqual([expect.objectContaining({
+      external_id: '29683501',
+      source: 'autotask',
+      name: 'Acme Corporation',
+      domains: ['acmecorp.com']
+    })]);
+    expect(result.sites).toEqual([expect.objectContaining({
+      external_id: '29683501-main',
+      client_ref: { external_id: '29683501', name: 'Acme Corporation' },
+      address: '123 Main St, New York, NY, 10001'
+    })]);
+  });
+
+  it('totals contract services into agreement MRR', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(result.agreements).toEqual([expect.objectContaining({
+      external_id: '29684010',
+      name: 'Managed Services Agreement',
+      client_ref: { external_id: '29683501', name: 'Acme Corporation' },
+      mrr: 5000,
+      term_months: 24,
+      cancelled: false
+    })]);
+  });
+
+  it('pulls inactive contracts too and marks them cancelled', async () => {
+    const inactive = { ...fixture.contracts[0], id: 29684011, status: 0 };
+    serve(request => (request.url === `${BASE_URL}/Contracts/query`
+      ? { data: { items: [...fixture.contracts, inactive], pageDetails: {} } }
+      : fixtureResponse(request)));
+
+    const result = await adapter.sync(credentials);
+
+    const contractsQuery = JSON.parse(http.calls.find(({ url }) => url === `${BASE_URL}/Contracts/query`).data);
+    expect(contractsQuery.filter).not.toContainEqual(expect.objectContaining({ field: 'status' }));
+    expect(result.agreements.map(a => [a.external_id, a.cancelled])).toEqual([
+      ['29684010', false],
+      ['29684011', true]
+    ]);
+  });
+
+  it('labels tickets from picklists and sums their time entries', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(result.tickets).toEqual([expect.objectContaining({
+      external_id: '7401',
+      category: 'Service Request',
+      priority: 'Medium',
+      status: 'Complete',
+      hours_spent: 1.5,
+      sla_met: true,
+      created_date: new Date('2025-12-01T09:00:00Z'),
+      closed_date: new Date('2025-12-01T14:30:00Z')
+    })]);
+  });
+
+  it('types configuration items by their configuration item type', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(result.devices).toEqual([expect.objectContaining({
+      external_id: '318',
+      name: 'WS-ACCT-01',
+      type: 'endpoint',
+      os: 'Windows 11 Pro',
+      client_ref: { external_id: '29683501', name: 'Acme Corporation' }
+    })]);
+  });
+
+  it('follows nextPageUrl and stops at the last page', async () => {
+    const nextPageUrl = `${BASE_URL}/Companies/query/next?paging=abc`;
+    const globex = { ...fixture.companies[0], id: 29683502, companyName: 'Globex' };
+    serve((request) => {
+      if (request.url === `${BASE_URL}/Companies/query`) {
+        return { data: { items: fixture.companies, pageDetails: { nextPageUrl } } };
+      }
+      if (request.url === nextPageUrl) {
+        return { data: { items: [globex], pageDetails: { nextPageUrl: null } } };
+      }
+      return fixtureResponse(request);
+    });
+
+    const result = await adapter.sync(credentials);
+
+    const companyRequests = http.calls.filter(({ url }) => url.includes('/Companies/'));
+    expect(companyRequests.map(({ method, url }) => `${method} ${url}`)).toEqual([
+      `post ${BASE_URL}/Companies/query`,
+      `get ${nextPageUrl}`
+    ]);
+    expect(result.clients.map(c => c.name)).toEqual(['Acme Corporation', 'Globex']);
+  });
+
+  it('limits delta syncs to records changed since the watermark', async () => {
+    const since = new Date('2026-01-01T00:00:00Z');
+    await adapter.sync(credentials, { since });
+
+    const queryFilter = entity => JSON.parse(
+      http.calls.find(({ url }) => url === `${BASE_URL}/${entity}/query`).data
+    ).filter;
+
+    expect(queryFilter('Companies')).toContainEqual({ op: 'gt', field: 'lastActivityDate', value: since.toISOString() });
+    expect(queryFilter('ContractServices')).not.toContainEqual(expect.objectContaining({ op: 'gt' }));
+  });
+
+  it('retries a rate limited query after Retry-After', async () => {
+    let limited = false;
+    serve((request) => {
+      if (!limited && request.url === `${BASE_URL}/Companies/query`) {
+        limited = true;
+        return { status: 429, headers: { 'retry-after': '0' } };
+      }
+      return fixtureResponse(request);
+    });
+
+    const result = await adapter.sync(credentials);
+
+    expect(result.clients).toHaveLength(1);
+    expect(adapter.getRequestMetrics()).toMatchObject({ retries: 1, rate_limited: 1, failed: 0 });
+  });
+
+  it('reports rejected API user credentials as an authentication failure', async () => {
+    serve(() => ({ status: 401, data: { errors: ['Unauthorized'] } }));
+
+    await expect(adapter.sync(credentials)).rejects.toMatchObject({
+      name: 'AdapterError',
+      message: 'Autotask authentication failed',
+      statusCode: 401
+    });
+  });
+
+  it('replays the recorded payload to the same result', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(adapter.normalizePayload(adapter.payload)).toEqual(result);
+  });
+});
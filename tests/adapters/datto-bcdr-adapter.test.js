@@ -0,0 +1,160 @@
+const DattoBCDRAdapter = require('../../src/adapters/datto-bcdr-adapter');
+const { mockHttp } = require('../helpers/mock-http');
+const fixture = require('../mocks/datto-bcdr-response.json');
+
+const BASE_URL = 'https://api.datto.com/v1';
+
+const credentials = { publicKey: 'public', secretKey: 'secret', baseUrl: BASE_URL };
+
+// Shortly after the fixture's latest backups, so its failures fall in the 7 day window
+const NOW = new Date('2026-01-15T12:00:00Z');
+
+/**
+ * Serve the fixture in place of the Datto REST API
+ */
+function fixtureResponse({ method, url }) {
+  if (method === 'get' && url === `${BASE_URL}/bcdr/device`) return { data: fixture.devices };
+
+  const serialNumber = url.match(/\/bcdr\/device\/(\w+)\/asset\/agent$/)?.[1];
+  if (method === 'get' && serialNumber) return { data: fixture.agents[serialNumber] || [] };
+
+  throw new Error(`Unexpected request: ${method.toUpperCase()} ${url}`);
+}
+
+describe('DattoBCDRAdapter', () => {
+  let adapter;
+  let http;
+
+  beforeEach(() => {
+    // Only the clock is faked; retries still wait on real timers
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setTimeout', 'clearTimeout', 'setImmediate', 'nextTick', 'queueMicrotask'] });
+    http = mockHttp(fixtureResponse);
+    adapter = new DattoBCDRAdapter({});
+  });
+
+  afterEach(() => {
+    http.restore();
+    jest.useRealTimers();
+  });
+
+  /**
+   * Serve the API from another handler for the rest of the test
+   */
+  function serve(handler) {
+    http.restore();
+    http = mockHttp(handler);
+  }
+
+  const agentRequests = () => http.calls.map(({ url }) => url).filter(url => url.endsWith('/asset/agent'));
+
+  it('authenticates with the API keys', async () => {
+    await adapter.sync(credentials);
+
+    expect(http.calls[0].headers.Authorization).toBe(`Basic ${Buffer.from('public:secret').toString('base64')}`);
+  });
+
+  it('skips hidden appliances', async () => {
+    await adapter.sync(credentials);
+
+    expect(agentRequests()).toEqual([`${BASE_URL}/bcdr/device/A1B2C3D4E5F6/asset/agent`]);
+  });
+
+  it('normalizes a workload with current, verified backups', async () => {
+    const result = await adapter.sync(credentials);
+    const backup = result.backups.find(b => b.workload_name === 'SRV-DC-01');
+
+    expect(backup).toEqual(expect.objectContaining({
+      client_ref: { external_id: '4412', name: 'Acme Corporation' },
+      source: 'datto_bcdr',
+      external_id: 'A1B2C3D4E5F6:10.0.0.10',
+      workload_type: 'server',
+      appliance: 'ACME-SIRIS-01',
+      paused: false,
+      last_backup_status: 'success',
+      last_successful_backup_at: new Date(1768477200 * 1000),
+      last_offsite_at: new Date(1768480800 * 1000),
+      failed_backups: 0,
+      retention_days: 30,
+      last_verification_passed: true
+    }));
+  });
+
+  it('counts recent failures and keeps the last successful backup', async () => {
+    const result = await adapter.sync(credentials);
+    const backup = result.backups.find(b => b.workload_name === 'SRV-FILE-01');
+
+    expect(backup).toEqual(expect.objectContaining({
+      last_backup_status: 'failed',
+      last_backup_at: new Date(1768473600 * 1000),
+      last_successful_backup_at: new Date(1768131600 * 1000),
+      failed_backups: 2,
+      last_verification_passed: false
+    }));
+  });
+
+  it('falls back to the last snapshot for a paused workload with no history', async () => {
+    const result = await adapter.sync(credentials);
+    const backup = result.backups.find(b => b.workload_name === 'WS-ACCT-01');
+
+    expect(backup).toEqual(expect.objectContaining({
+      workload_type: 'workstation',
+      paused: true,
+      last_backup_status: null,
+      last_backup_at: new Date(1767268800 * 1000),
+      last_successful_backup_at: new Date(1767268800 * 1000),
+      last_offsite_at: null,
+      last_verification_passed: null
+    }));
+  });
+
+  it('pages through appliances until the last reported page', async () => {
+    const [appliance] = fixture.devices.items;
+    const second = { ...appliance, serialNumber: 'B2C3D4E5F6A1', name: 'ACME-SIRIS-02' };
+    serve((request) => {
+      if (request.url !== `${BASE_URL}/bcdr/device`) return fixtureResponse(request);
+      const page = request.params._page;
+      return { data: { pagination: { page, totalPages: 2 }, items: page === 1 ? [appliance] : [second] } };
+    });
+
+    await adapter.sync(credentials);
+
+    const pages = http.calls.filter(({ url }) => url === `${BASE_URL}/bcdr/device`).map(({ params }) => params._page);
+    expect(pages).toEqual([1, 2]);
+    expect(agentRequests()).toEqual([
+      `${BASE_URL}/bcdr/device/A1B2C3D4E5F6/asset/agent`,
+      `${BASE_URL}/bcdr/device/B2C3D4E5F6A1/asset/agent`
+    ]);
+  });
+
+  it('retries an appliance the API briefly failed to answer for', async () => {
+    let failed = false;
+    serve((request) => {
+      if (!failed && request.url.endsWith('/asset/agent')) {
+        failed = true;
+        return { status: 502, headers: { 'retry-after': '0' } };
+      }
+      return fixtureResponse(request);
+    });
+
+    const result = await adapter.sync(credentials);
+
+    expect(result.backups).toHaveLength(3);
+    expect(adapter.getRequestMetrics()).toMatchObject({ retries: 1, failed: 0, statuses: { 502: 1 } });
+  });
+
+  it('reports rejected API keys as an authentication failure', async () => {
+    serve(() => ({ status: 401 }));
+
+    await expect(adapter.sync(credentials)).rejects.toMatchObject({
+      name: 'AdapterError',
+      message: 'Datto authentication failed',
+      statusCode: 401
+    });
+  });
+
+  it('replays the recorded payload to the same result', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(adapter.normalizePayload(adapter.payload)).toEqual(result);
+  });
+});
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const GoogleWorkspaceAdapter = require('../../src/adapters/google-workspace-adapter');
+const config = require('../../src/config');
+const { mockHttp } = require('../helpers/mock-http');
+const fixture = require('../mocks/google-workspace-response.json');
+
+const { tokenUrl, directoryBaseUrl, alertCenterBaseUrl } = config.google_workspace;
+
+// Throwaway service account key; the token endpoint is mocked, so only the signature is checked
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const credentials = {
+  serviceAccountEmail: 'qbr-sync@brightpath.iam.gserviceaccount.com',
+  privateKey,
+  adminEmail: 'dana@brightpath.org'
+};
+
+// List endpoints and the fixture page each returns
+const ROUTES = {
+  [`${directoryBaseUrl}/customers/my_customer`]: fixture.customer,
+  [`${directoryBaseUrl}/customer/my_customer/domains`]: fixture.domains,
+  [`${directoryBaseUrl}/users`]: fixture.users,
+  [`${directoryBaseUrl}/customer/my_customer/roles`]: fixture.roles,
+  [`${directoryBaseUrl}/customer/my_customer/roleassignments`]: fixture.roleAssignments,
+  [`${alertCenterBaseUrl}/alerts`]: fixture.alerts
+};
+
+/**
+ * Serve the fixture in place of the token endpoint, Admin SDK and Alert Center APIs
+ */
+function fixtureResponse({ method, url }) {
+  if (method === 'post' && url === tokenUrl) return { data: { access_token: 'google-token' } };
+  if (method === 'get' && ROUTES[url]) return { data: ROUTES[url] };
+  throw new Error(`Unexpected request: ${method.toUpperCase()} ${url}`);
+}
+
+describe('GoogleWorkspaceAdapter', () => {
+  let adapter;
+  let http;
+
+  beforeEach(() => {
+    http = mockHttp(fixtureResponse);
+    adapter = new GoogleWorkspaceAdapter(config);
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  /**
+   * Serve the API from another handler for the rest of the test
+   */
+  function serve(handler) {
+    http.restore();
+    http = mockHttp(handler);
+  }
+
+  it('exchanges a signed assertion for the delegated admin for an access token', async () => {
+    await adapter.sync(credentials);
+
+    const [tokenRequest, ...apiRequests] = http.calls;
+    const { grant_type: grantType, assertion } = Object.fromEntries(new URLSearchParams(tokenRequest.data));
+    const [header, claims, signature] = assertion.split('.');
+
+    expect(grantType).toBe('urn:ietf:params:oauth:grant-type:jwt-bearer');
+    expect(JSON.parse(Buffer.from(claims, 'base64url'))).toMatchObject({
+      iss: credentials.serviceAccountEmail,
+      sub: credentials.adminEmail,
+      aud: tokenUrl
+    });
+    expect(crypto.createVerify('RSA-SHA256').update(`${header}.${claims}`).verify(publicKey, signature, 'base64url')).toBe(true);
+    expect(apiRequests.every(request => request.headers.Authorization === 'Bearer google-token')).toBe(true);
+  });
+
+  it('attaches every record to the customer by its verified domains', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(result.users[0].client_ref).toEqual({
+      external_id: 'C03az79cb',
+      name: 'BrightPath Nonprofit',
+      domains: ['brightpath.org', 'brightpath-foundation.org']
+    });
+  });
+
+  it('normalizes users with 2-Step Verification and last login', async () => {
+    const result = await adapter.sync(credentials);
+    const byEmail = Object.fromEntries(result.users.map(u => [u.email, u]));
+
+    expect(result.users).toHaveLength(5);
+    expect(byEmail['dana@brightpath.org']).toMatchObject({
+      external_id: '104511234567890123401',
+      account_enabled: true,
+      mfa_enabled: true,
+      last_sign_in: new Date('2026-01-15T09:12:44.000Z')
+    });
+    expect(byEmail['volunteers@brightpath.org']).toMatchObject({ mfa_enabled: false, last_sign_in: null });
+    expect(byEmail['former.staff@brightpath.org'].account_enabled).toBe(false);
+  });
+
+  it('stores Super Admin assignments under the Global Administrator equivalent', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(result.role_assignments.map(a => [a.principal_name, a.role_template_id])).toEqual([
+      ['dana@brightpath.org', 'google:super_admin'],
+      ['it-admin@brightpath.org', 'google:super_admin'],
+      ['jordan@brightpath.org', 'google:91447453409034242']
+    ]);
+  });
+
+  it('derives 2-Step Verification controls from active users', async () => {
+    const result = await adapter.sync(credentials);
+    const byName = Object.fromEntries(result.controls.map(c => [c.evidence.control_name, c]));
+
+    // The suspended user is left out; delegated admins count as administrators
+    expect(byName['2sv_enrollment']).toMatchObject({
+      external_id: 'C03az79cb:2sv_enrollment',
+      control_type: 'google_workspace_security',
+      status: 'unknown',
+      evidence: { score: 2, max_score: 4 }
+    });
+    expect(byName['2sv_enforcement']).toMatchObject({ status: 'fail', evidence: { score: 1, max_score: 4 } });
+    expect(byName.admin_2sv_enrollment).toMatchObject({ status: 'unknown', evidence: { score: 2, max_score: 3 } });
+  });
+
+  it('maps Alert Center alerts to risks', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(result.risks.map(r => [r.external_id, r.risk_type, r.impact, r.status])).toEqual([
+      ['a1b2c3d4-0001', 'email', 'medium', 'open'],
+      ['a1b2c3d4-0002', 'identity', 'high', 'open'],
+      ['a1b2c3d4-0003', 'endpoint', 'low', 'mitigated']
+    ]);
+  });
+
+  it('follows nextPageToken until a page comes back without one', async () => {
+    const [first, ...rest] = fixture.users.users;
+    serve((request) => {
+      if (request.url !== `${directoryBaseUrl}/users`) return fixtureResponse(request);
+      return request.params.pageToken === 'page-2'
+        ? { data: { users: rest } }
+        : { data: { users: [first], nextPageToken: 'page-2' } };
+    });
+
+    const result = await adapter.sync(credentials);
+
+    const pageTokens = http.calls
+      .filter(({ url }) => url === `${directoryBaseUrl}/users`)
+      .map(({ params }) => params.pageToken);
+    expect(pageTokens).toEqual([undefined, 'page-2']);
+    expect(result.users).toHaveLength(5);
+  });
+
+  it('only pulls alerts created since the watermark on a delta sync', async () => {
+    const since = new Date('2026-01-10T00:00:00Z');
+    await adapter.sync(credentials, { since });
+
+    const { params } = http.calls.find(({ url }) => url === `${alertCenterBaseUrl}/alerts`);
+    expect(params.filter).toBe(`createTime >= "${since.toISOString()}"`);
+  });
+
+  it('retries a rate limited directory request after Retry-After', async () => {
+    let limited = false;
+    serve((request) => {
+      if (!limited && request.url === `${directoryBaseUrl}/users`) {
+        limited = true;
+        return { status: 429, headers: { 'retry-after': '0' } };
+      }
+      return fixtureResponse(request);
+    });
+
+    const result = await adapter.sync(credentials);
+
+    expect(result.users).toHaveLength(5);
+    expect(adapter.getRequestMetrics()).toMatchObject({ retries: 1, rate_limited: 1, failed: 0 });
+  });
+
+  it('reports a rejected assertion as an authentication failure', async () => {
+    serve(() => ({ status: 400, data: { error: 'invalid_grant', error_description: 'Invalid JWT Signature.' } }));
+
+    await expect(adapter.sync(credentials)).rejects.toMatchObject({
+      name: 'AdapterError',
+      message: 'Google Workspace authentication failed',
+      details: 'Invalid JWT Signature.',
+      statusCode: 401
+    });
+  });
+
+  it('explains missing delegation when the API denies access', async () => {
+    serve(request => (request.method === 'post' ? fixtureResponse(request) : { status: 403 }));
+
+    await expect(adapter.sync(credentials)).rejects.toMatchObject({
+      name: 'AdapterError',
+      message: 'Google Workspace permission denied',
+      statusCode: 403
+    });
+  });
+
+  it('replays the recorded payload to the same result', async () => {
+    const result = await adapter.sync(credentials);
+    const replayed = adapter.normalizePayload(adapter.payload);
+
+    // Controls are stamped with the time they were derived
+    const withoutCheckTime = data => ({
+      ...data,
+      controls: data.controls.map(({ last_checked, ...control }) => control)
+    });
+    expect(withoutCheckTime(replayed)).toEqual(withoutCheckTime(result));
+  });
+});
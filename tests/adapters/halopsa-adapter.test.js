@@ -0,0 +1,185 @@
+const HaloPSAAdapter = require('../../src/adapters/halopsa-adapter');
+const { mockHttp } = require('../helpers/mock-http');
+const fixture = require('../mocks/halopsa-response.json');
+
+const BASE_URL = 'https://acme.halopsa.com';
+
+const credentials = {
+  clientId: 'halo-client',
+  clientSecret: 'secret',
+  baseUrl: `${BASE_URL}/`,
+  tenant: 'acme'
+};
+
+// List endpoints and the fixture response each returns
+const LIST_FIXTURES = {
+  '/api/Client': fixture.clients,
+  '/api/Site': fixture.sites,
+  '/api/Users': fixture.users,
+  '/api/Tickets': fixture.tickets,
+  '/api/Asset': fixture.assets
+};
+
+/**
+ * Serve the fixture in place of the HaloPSA API
+ */
+function fixtureResponse({ method, url }) {
+  const path = url.slice(BASE_URL.length);
+  if (method === 'post' && path === '/auth/token') return { data: { access_token: 'halo-token' } };
+  if (method === 'get' && path === '/api/Status') return { data: fixture.statuses };
+  if (method === 'get' && LIST_FIXTURES[path]) return { data: LIST_FIXTURES[path] };
+  throw new Error(`Unexpected request: ${method.toUpperCase()} ${url}`);
+}
+
+describe('HaloPSAAdapter', () => {
+  let adapter;
+  let http;
+
+  beforeEach(() => {
+    http = mockHttp(fixtureResponse);
+    adapter = new HaloPSAAdapter({});
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  /**
+   * Serve the API from another handler for the rest of the test
+   */
+  function serve(handler) {
+    http.restore();
+    http = mockHttp(handler);
+  }
+
+  it('authenticates with the client credentials grant before calling the API', async () => {
+    await adapter.sync(credentials);
+
+    const [tokenRequest, ...apiRequests] = http.calls;
+    expect(tokenRequest).toMatchObject({ method: 'post', url: `${BASE_URL}/auth/token` });
+    expect(Object.fromEntries(new URLSearchParams(tokenRequest.data))).toEqual({
+      grant_type: 'client_credentials',
+      client_id: 'halo-client',
+      client_secret: 'secret',
+      scope: 'all',
+      tenant: 'acme'
+    });
+
+    for (const request of apiRequests) {
+      expect(request.url.startsWith(`${BASE_URL}/api/`)).toBe(true);
+      expect(request.headers.Authorization).toBe('Bearer halo-token');
+    }
+  });
+
+  it('normalizes clients, sites and contacts', async () => {
+    const result = await adapter.sync(credentials);
+    const clientRef = { external_id: '12', name: 'Acme Corporation' };
+
+    expect(result.clients).toEqual([expect.objectContaining({
+      external_id: '12',
+      source: 'halopsa',
+      name: 'Acme Corporation',
+      domains: ['acmecorp.com']
+    })]);
+    expect(result.sites).toEqual([expect.objectContaining({
+      client_ref: clientRef,
+      external_id: '31',
+      address: '123 Main St, New York, NY, 10001'
+    })]);
+    expect(result.contacts).toEqual([expect.objectContaining({
+      client_ref: clientRef,
+      name: 'Jane Smith',
+      role: 'IT Manager',
+      email: 'jane.smith@acmecorp.com'
+    })]);
+  });
+
+  it('normalizes assets into devices', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(result.devices).toEqual([expect.objectContaining({
+      external_id: '877',
+      name: 'WS-ACCT-01',
+      type: 'endpoint',
+      os: 'Windows 11 Pro',
+      last_seen: new Date('2026-01-15T12:00:00Z')
+    })]);
+  });
+
+  it('maps ticket status names, SLA state and holds', async () => {
+    const result = await adapter.sync(credentials);
+    const byId = Object.fromEntries(result.tickets.map(t => [t.external_id, t]));
+
+    expect(byId['5012']).toMatchObject({
+      category: 'Incident',
+      priority: 'Medium',
+      status: 'Closed',
+      hours_spent: 1.5,
+      sla_met: true,
+      sla_hold: false,
+      closed_date: new Date('2025-12-01T14:30:00Z')
+    });
+    // Responded inside SLA but resolved outside it
+    expect(byId['5013']).toMatchObject({ sla_met: false, reopen_count: 2 });
+    expect(byId['5014']).toMatchObject({ status: 'On Hold', sla_hold: true, closed_date: null });
+  });
+
+  it('pages through list endpoints and stops once record_count is reached', async () => {
+    // Exactly two full pages, so only record_count says there is no third
+    const tickets = Array.from({ length: 200 }, (_, i) => ({ ...fixture.tickets.tickets[0], id: 6000 + i }));
+    serve((request) => {
+      if (request.url !== `${BASE_URL}/api/Tickets`) return fixtureResponse(request);
+      const { page_no: page, page_size: size } = request.params;
+      return { data: { record_count: tickets.length, tickets: tickets.slice((page - 1) * size, page * size) } };
+    });
+
+    const result = await adapter.sync(credentials);
+
+    const pages = http.calls
+      .filter(({ url }) => url === `${BASE_URL}/api/Tickets`)
+      .map(({ params }) => params.page_no);
+    expect(pages).toEqual([1, 2]);
+    expect(result.tickets).toHaveLength(200);
+  });
+
+  it('pulls tickets changed since the watermark on a delta sync', async () => {
+    const since = new Date('2026-01-01T00:00:00Z');
+    await adapter.sync(credentials, { since });
+
+    const { params } = http.calls.find(({ url }) => url === `${BASE_URL}/api/Tickets`);
+    expect(params).toMatchObject({ datesearch: 'lastactiondate', startdate: since.toISOString(), pageinate: true });
+  });
+
+  it('retries a list request the gateway briefly failed', async () => {
+    let failed = false;
+    serve((request) => {
+      if (!failed && request.url === `${BASE_URL}/api/Asset`) {
+        failed = true;
+        return { status: 503, headers: { 'retry-after': '0' } };
+      }
+      return fixtureResponse(request);
+    });
+
+    const result = await adapter.sync(credentials);
+
+    expect(result.devices).toHaveLength(1);
+    expect(adapter.getRequestMetrics()).toMatchObject({ retries: 1, failed: 0, statuses: { 503: 1 } });
+  });
+
+  it('reports a rejected token request as an authentication failure', async () => {
+    serve(() => ({ status: 400, data: { error_description: 'invalid_client' } }));
+
+    await expect(adapter.sync(credentials)).rejects.toMatchObject({
+      name: 'AdapterError',
+      message: 'HaloPSA authentication failed',
+      details: 'invalid_client',
+      statusCode: 401
+    });
+  });
+
+  it('replays the recorded payload to the same result', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(adapter.normalizePayload(adapter.payload)).toEqual(result);
+  });
+});
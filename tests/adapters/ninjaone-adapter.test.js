@@ -0,0 +1,187 @@
+const NinjaOneAdapter = require('../../src/adapters/ninjaone-adapter');
+const { mockHttp } = require('../helpers/mock-http');
+const fixture = require('../mocks/ninjaone-response.json');
+
+const BASE_URL = 'https://app.ninjarmm.com';
+const API_URL = `${BASE_URL}/v2`;
+
+const credentials = { clientId: 'ninja-client', clientSecret: 'secret', baseUrl: BASE_URL };
+
+/**
+ * Serve the fixture in place of the NinjaOne API
+ */
+function fixtureResponse({ method, url, params }) {
+  if (method === 'post' && url === `${BASE_URL}/ws/oauth/token`) return { data: { access_token: 'ninja-token' } };
+  if (url === `${API_URL}/organizations`) return { data: fixture.organizations };
+  if (url === `${API_URL}/devices-detailed`) return { data: params.after ? [] : fixture.devices };
+  if (url === `${API_URL}/queries/os-patches`) return { data: fixture['os-patches'][params.status] };
+  if (url === `${API_URL}/queries/os-patch-installs`) return { data: fixture['os-patch-installs'][params.status] };
+  throw new Error(`Unexpected request: ${method.toUpperCase()} ${url}`);
+}
+
+describe('NinjaOneAdapter', () => {
+  let adapter;
+  let http;
+
+  beforeEach(() => {
+    http = mockHttp(fixtureResponse);
+    adapter = new NinjaOneAdapter({});
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  /**
+   * Serve the API from another handler for the rest of the test
+   */
+  function serve(handler) {
+    http.restore();
+    http = mockHttp(handler);
+  }
+
+  it('requests a monitoring token and sends it with every API request', async () => {
+    await adapter.sync(credentials);
+
+    const [tokenRequest, ...apiRequests] = http.calls;
+    expect(Object.fromEntries(new URLSearchParams(tokenRequest.data))).toEqual({
+      grant_type: 'client_credentials',
+      client_id: 'ninja-client',
+      client_secret: 'secret',
+      scope: 'monitoring'
+    });
+    expect(apiRequests.every(request => request.headers.Authorization === 'Bearer ninja-token')).toBe(true);
+  });
+
+  it('normalizes devices with their organization and patch health', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(result.devices).toHaveLength(2);
+    const [workstation, server] = result.devices;
+
+    expect(workstation).toMatchObject({
+      client_ref: { external_id: '7', name: 'Acme Corporation' },
+      external_id: '1042',
+      name: 'WS-ACCT-01',
+      type: 'endpoint',
+      os: 'Windows 11 Pro',
+      health_status: 'healthy',
+      last_seen: new Date(1768478400 * 1000)
+    });
+
+    // A missing critical patch outranks the pending reboot
+    expect(server).toMatchObject({
+      external_id: '1043',
+      name: 'SRV-DC-01',
+      type: 'server',
+      health_status: 'critical'
+    });
+  });
+
+  it('summarizes pending and installed patches per device', async () => {
+    const result = await adapter.sync(credentials);
+    const [workstation, server] = result.patches;
+
+    expect(server).toMatchObject({
+      source: 'ninjaone',
+      external_id: '1043',
+      missing_critical: 1,
+      missing_important: 1,
+      missing_other: 0,
+      failed_patches: 0,
+      pending_reboot: true,
+      last_patched_at: new Date(1760443200 * 1000),
+      last_scanned_at: new Date(1768392000 * 1000)
+    });
+
+    expect(workstation).toMatchObject({
+      external_id: '1042',
+      missing_critical: 0,
+      pending_reboot: false,
+      last_patched_at: new Date(1768219200 * 1000),
+      last_scanned_at: new Date(1768478400 * 1000)
+    });
+  });
+
+  it('pages devices by the last device ID until a page comes back short', async () => {
+    const devices = Array.from({ length: 1001 }, (_, i) => ({ ...fixture.devices[0], id: 5000 + i }));
+    serve((request) => {
+      if (request.url !== `${API_URL}/devices-detailed`) return fixtureResponse(request);
+      const { after, pageSize } = request.params;
+      return { data: devices.filter(d => d.id > after).slice(0, pageSize) };
+    });
+
+    const result = await adapter.sync(credentials);
+
+    const afters = http.calls
+      .filter(({ url }) => url === `${API_URL}/devices-detailed`)
+      .map(({ params }) => params.after);
+    expect(afters).toEqual([0, 5999]);
+    expect(result.devices).toHaveLength(1001);
+  });
+
+  it('follows the patch report cursor while pages come back full', async () => {
+    const [patch] = fixture['os-patches'].PENDING.results;
+    const fullPage = Array.from({ length: 1000 }, (_, i) => ({ ...patch, id: `p${i}` }));
+    serve((request) => {
+      if (request.url !== `${API_URL}/queries/os-patches` || request.params.status !== 'PENDING') {
+        return fixtureResponse(request);
+      }
+      return request.params.cursor === 'c-2'
+        ? { data: { results: [patch], cursor: { name: 'c-3' } } }
+        : { data: { results: fullPage, cursor: { name: 'c-2' } } };
+    });
+
+    const result = await adapter.sync(credentials);
+
+    const cursors = http.calls
+      .filter(({ url, params }) => url === `${API_URL}/queries/os-patches` && params.status === 'PENDING')
+      .map(({ params }) => params.cursor);
+    expect(cursors).toEqual([undefined, 'c-2']);
+    expect(result.patches.find(p => p.external_id === '1043').missing_critical).toBe(1001);
+  });
+
+  it('waits out a rate limit for its Retry-After instead of failing the sync', async () => {
+    let limited = false;
+    serve((request) => {
+      if (!limited && request.url === `${API_URL}/organizations`) {
+        limited = true;
+        return { status: 429, headers: { 'retry-after': '0' } };
+      }
+      return fixtureResponse(request);
+    });
+
+    const result = await adapter.sync(credentials);
+
+    expect(result.devices[0].client_ref).toEqual({ external_id: '7', name: 'Acme Corporation' });
+    expect(adapter.getRequestMetrics()).toMatchObject({ retries: 1, rate_limited: 1, failed: 0 });
+  });
+
+  it('reports a rejected token request as an authentication failure', async () => {
+    serve(() => ({ status: 401, data: { error_description: 'invalid_client' } }));
+
+    await expect(adapter.sync(credentials)).rejects.toMatchObject({
+      name: 'AdapterError',
+      message: 'NinjaOne authentication failed',
+      details: 'invalid_client',
+      statusCode: 401
+    });
+  });
+
+  it('reports a token without API access as an authentication failure', async () => {
+    serve(request => (request.url.startsWith(API_URL) ? { status: 401 } : fixtureResponse(request)));
+
+    await expect(adapter.sync(credentials)).rejects.toMatchObject({
+      name: 'AdapterError',
+      message: 'NinjaOne authentication failed',
+      details: 'Invalid API credentials',
+      statusCode: 401
+    });
+  });
+
+  it('replays the recorded payload to the same result', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(adapter.normalizePayload(adapter.payload)).toEqual(result);
+  });
+});
@@ -0,0 +1,116 @@
+const SentinelOneAdapter = require('../../src/adapters/sentinelone-adapter');
+const { mockHttp } = require('../helpers/mock-http');
+const fixture = require('../mocks/sentinelone-response.json');
+
+const API_URL = 'https://usea1.sentinelone.net/web/api/v2.1';
+
+const credentials = { apiToken: 's1-token', baseUrl: 'https://usea1.sentinelone.net/' };
+
+/**
+ * Serve the fixture in place of the SentinelOne management API (one page of agents)
+ */
+function fixtureResponse({ method, url }) {
+  if (method === 'get' && url === `${API_URL}/agents`) {
+    return { data: { data: fixture.agents, pagination: { nextCursor: null, totalItems: fixture.agents.length } } };
+  }
+  throw new Error(`Unexpected request: ${method.toUpperCase()} ${url}`);
+}
+
+describe('SentinelOneAdapter', () => {
+  let adapter;
+  let http;
+
+  beforeEach(() => {
+    http = mockHttp(fixtureResponse);
+    adapter = new SentinelOneAdapter({});
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  /**
+   * Serve the API from another handler for the rest of the test
+   */
+  function serve(handler) {
+    http.restore();
+    http = mockHttp(handler);
+  }
+
+  it('authenticates with the API token', async () => {
+    await adapter.sync(credentials);
+
+    expect(http.calls[0].headers.Authorization).toBe('ApiToken s1-token');
+  });
+
+  it('attaches agents to the client by their site', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(result.edr_agents.map(a => a.client_ref)).toEqual(
+      Array(3).fill({ external_id: '987654321098765432', name: 'Acme Corporation' })
+    );
+  });
+
+  it('normalizes agent version, check-in and threat state', async () => {
+    const result = await adapter.sync(credentials);
+    const byName = Object.fromEntries(result.edr_agents.map(a => [a.device_name, a]));
+
+    expect(byName['WS-ACCT-01']).toEqual(expect.objectContaining({
+      source: 'sentinelone',
+      external_id: '1456789012345678901',
+      os: 'Windows 11 Pro',
+      agent_version: '23.4.2.14',
+      agent_up_to_date: true,
+      is_active: true,
+      last_check_in: new Date('2026-01-15T11:58:00.000Z'),
+      active_threats: 0,
+      threat_status: 'clean'
+    }));
+    expect(byName['SRV-DC-01']).toMatchObject({ agent_up_to_date: false, active_threats: 1, threat_status: 'infected' });
+    expect(byName['LT-SALES-04'].last_check_in).toEqual(new Date('2025-12-02T17:10:00.000Z'));
+  });
+
+  it('follows the pagination cursor until none is returned', async () => {
+    const [first, ...rest] = fixture.agents;
+    serve(({ params }) => (params.cursor === 'page-2'
+      ? { data: { data: rest, pagination: { nextCursor: null } } }
+      : { data: { data: [first], pagination: { nextCursor: 'page-2' } } }));
+
+    const result = await adapter.sync(credentials);
+
+    expect(http.calls.map(({ params }) => params.cursor)).toEqual([undefined, 'page-2']);
+    expect(result.edr_agents).toHaveLength(3);
+  });
+
+  it('retries a rate limited page after Retry-After', async () => {
+    let limited = false;
+    serve((request) => {
+      if (!limited) {
+        limited = true;
+        return { status: 429, headers: { 'retry-after': '0' } };
+      }
+      return fixtureResponse(request);
+    });
+
+    const result = await adapter.sync(credentials);
+
+    expect(result.edr_agents).toHaveLength(3);
+    expect(adapter.getRequestMetrics()).toMatchObject({ requests: 2, retries: 1, rate_limited: 1, failed: 0 });
+  });
+
+  it('reports a rejected API token as an authentication failure', async () => {
+    serve(() => ({ status: 401, data: { errors: [{ title: 'Authentication Failed' }] } }));
+
+    await expect(adapter.sync(credentials)).rejects.toMatchObject({
+      name: 'AdapterError',
+      message: 'SentinelOne authentication failed',
+      statusCode: 401
+    });
+  });
+
+  it('replays the recorded payload to the same result', async () => {
+    const result = await adapter.sync(credentials);
+
+    expect(adapter.normalizePayload(adapter.payload)).toEqual(result);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * In-memory stand-in for the knex query builder the models call with a transaction
+ *
+ * Supports equality where() (null matches a missing or null column),
+ * whereNull/whereNotNull, first(), update(), insert().returning() and
+ * awaiting the builder for its rows. Grouped (callback) and raw conditions
+ * aren't evaluated, so tests should make them moot.
+ */
+function createMemoryDb(tables = {}) {
+  let nextId = 1;
+
+  function trx(tableName) {
+    const rows = tables[tableName] || (tables[tableName] = []);
+    const filters = [];
+    const matching = () => rows.filter(row => filters.every(filter => filter(row)));
+
+    const builder = {
+      where(conditions) {
+        if (typeof conditions === 'object') {
+          filters.push(row => Object.entries(conditions).every(([key, value]) => (row[key] ?? null) === value));
+        }
+        return builder;
+      },
+      whereNull(column) {
+        filters.push(row => row[column] == null);
+        return builder;
+      },
+      whereNotNull(column) {
+        filters.push(row => row[column] != null);
+        return builder;
+      },
+      whereRaw() {
+        return builder;
+      },
+      async first() {
+        return matching()[0];
+      },
+      async update(data) {
+        const updated = matching();
+        updated.forEach(row => Object.assign(row, data));
+        return updated.length;
+      },
+      insert(data) {
+        const row = { id: nextId++, ...data };
+        rows.push(row);
+        return { returning: async () => [row] };
+      },
+      then(resolve, reject) {
+        return Promise.resolve(matching()).then(resolve, reject);
+      }
+    };
+    return builder;
+  }
+
+  trx.tables = tables;
+  return trx;
+}
+
+module.exports = { createMemoryDb };
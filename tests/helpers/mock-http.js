@@ -0,0 +1,49 @@
+const axios = require('axios');
+const { AxiosError } = axios;
+
+/**
+ * Serve vendor API requests from a handler instead of the network
+ *
+ * Installed as the default axios adapter, so it backs every HttpClient
+ * created while installed and requests still go through the client's
+ * retries, concurrency limits and paging. The handler gets
+ * { method, url, params, data, headers } (url absolute, without the query
+ * string) and returns { status = 200, data, headers }; statuses axios treats
+ * as errors are rejected like a real response.
+ * @param {Function} handler - Request handler
+ * @returns {{calls: Array<Object>, restore: Function}} Requests served, and a function to reinstall the real adapter
+ */
+function mockHttp(handler) {
+  const original = axios.defaults.adapter;
+  const calls = [];
+
+  axios.defaults.adapter = async (requestConfig) => {
+    const request = {
+      method: requestConfig.method,
+      url: axios.getUri({ baseURL: requestConfig.baseURL, url: requestConfig.url }),
+      params: requestConfig.params || {},
+      data: requestConfig.data,
+      headers: requestConfig.headers.toJSON()
+    };
+    calls.push(request);
+
+    const { status = 200, data = null, headers = {} } = await handler(request);
+    const response = { status, statusText: String(status), data, headers, config: requestConfig, request: {} };
+    if (requestConfig.validateStatus(status)) return response;
+
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      requestConfig,
+      {},
+      response
+    );
+  };
+
+  return {
+    calls,
+    restore: () => { axios.defaults.adapter = original; }
+  };
+}
+
+module.exports = { mockHttp };
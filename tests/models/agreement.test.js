@@ -0,0 +1,21 @@
+const agreementModel = require('../../src/models/agreement');
+const { createMemoryDb } = require('../helpers/memory-db');
+
+// Every call goes through the transaction passed in
+jest.mock('../../src/db', () => jest.fn());
+
+describe('agreement model', () => {
+  it('keeps agreements from two sources that share an external ID apart', async () => {
+    const trx = createMemoryDb({ agreements: [] });
+
+    await agreementModel.batchUpsert([
+      { source: 'connectwise', external_id: '88', client_id: 1, mrr: 5000 },
+      { source: 'autotask', external_id: '88', client_id: 1, mrr: 1200 }
+    ], trx);
+
+    expect(trx.tables.agreements.map(a => [a.source, a.mrr])).toEqual([
+      ['connectwise', 5000],
+      ['autotask', 1200]
+    ]);
+  });
+});
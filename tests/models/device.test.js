@@ -0,0 +1,32 @@
+const deviceModel = require('../../src/models/device');
+const { createMemoryDb } = require('../helpers/memory-db');
+
+// Every call goes through the transaction passed in
+jest.mock('../../src/db', () => jest.fn());
+
+describe('device model', () => {
+  let trx;
+
+  beforeEach(() => {
+    trx = createMemoryDb({ devices: [] });
+  });
+
+  it('keeps devices from two sources that share an external ID apart', async () => {
+    await deviceModel.upsert({ source: 'connectwise', external_id: '1042', client_id: 1, name: 'WS-ACCT-01' }, trx);
+    await deviceModel.upsert({ source: 'ninjaone', external_id: '1042', client_id: 1, name: 'SRV-DC-01' }, trx);
+
+    expect(trx.tables.devices.map(d => [d.source, d.external_id, d.name])).toEqual([
+      ['connectwise', '1042', 'WS-ACCT-01'],
+      ['ninjaone', '1042', 'SRV-DC-01']
+    ]);
+  });
+
+  it('updates the device its own source reported before', async () => {
+    const stats = { inserted: 0, updated: 0 };
+    await deviceModel.upsert({ source: 'ninjaone', external_id: '1042', client_id: 1, name: 'WS-ACCT-01' }, trx, stats);
+    await deviceModel.upsert({ source: 'ninjaone', external_id: '1042', client_id: 1, name: 'WS-ACCT-02' }, trx, stats);
+
+    expect(trx.tables.devices).toEqual([expect.objectContaining({ source: 'ninjaone', name: 'WS-ACCT-02' })]);
+    expect(stats).toEqual({ inserted: 1, updated: 1 });
+  });
+});
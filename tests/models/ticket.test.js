@@ -0,0 +1,24 @@
+const ticketModel = require('../../src/models/ticket');
+const { createMemoryDb } = require('../helpers/memory-db');
+
+// Every call goes through the transaction passed in
+jest.mock('../../src/db', () => jest.fn());
+
+describe('ticket model', () => {
+  it('keeps tickets from two sources that share an external ID apart', async () => {
+    const trx = createMemoryDb({ tickets: [] });
+    const stats = { inserted: 0, updated: 0 };
+
+    await ticketModel.batchUpsert([
+      { source: 'connectwise', external_id: '5012', client_id: 1, status: 'Closed' },
+      { source: 'halopsa', external_id: '5012', client_id: 1, status: 'Open' },
+      { source: 'connectwise', external_id: '5012', client_id: 1, status: 'Reopened' }
+    ], trx, stats);
+
+    expect(trx.tables.tickets.map(t => [t.source, t.status])).toEqual([
+      ['connectwise', 'Reopened'],
+      ['halopsa', 'Open']
+    ]);
+    expect(stats).toEqual({ inserted: 2, updated: 1 });
+  });
+});